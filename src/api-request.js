@@ -0,0 +1,208 @@
+const axios = require("axios");
+const {
+  ApiError,
+  AuthenticationError,
+  InvalidRequestError,
+  UnsupportedTokenError,
+  InsufficientLiquidityError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  ApiTimeoutError,
+  RequestAbortedError
+} = require("./errors");
+
+const DEFAULT_REQUEST_OPTIONS = {
+  timeoutMs: 30000,
+  retries: 3,
+  retryBaseDelayMs: 500,
+  retryMaxDelayMs: 10000
+};
+
+const UNSUPPORTED_TOKEN_PATTERN = /unsupported token|token (is )?not supported|unknown token|invalid token/i;
+const INSUFFICIENT_LIQUIDITY_PATTERN = /liquidity|no route|no quote|price pair/i;
+
+/**
+ * Read a Retry-After header, given in seconds or as an HTTP date
+ * @returns {number|undefined} - Delay in milliseconds
+ */
+function parseRetryAfter(header, now = Date.now()) {
+  if (header === undefined || header === null || header === "") {
+    return undefined;
+  }
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Pull the error code and message out of an API error body, whatever its shape
+ */
+function readErrorBody(data) {
+  if (data === undefined || data === null || data === "") {
+    return {};
+  }
+  if (typeof data !== "object") {
+    return { apiMessage: String(data) };
+  }
+  const message = Array.isArray(data.message) ? data.message.join(", ") : data.message;
+  return {
+    code: data.code || data.errorCode,
+    apiMessage: message || data.error || JSON.stringify(data)
+  };
+}
+
+/**
+ * Turn an axios error into the matching ApiError subclass
+ * @param {Error} error - Error thrown by axios
+ * @param {Object} request - { method, path, params, data } of the failed request
+ * @returns {ApiError}
+ */
+function classifyApiError(error, { method, path, params, data } = {}) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  const request = `${method.toUpperCase()} ${path}`;
+  const details = { method, path, params, data, cause: error };
+
+  if (axios.isCancel(error) || error.name === "AbortError" || error.name === "CanceledError") {
+    return new RequestAbortedError(`31Third API request ${request} was aborted`, details);
+  }
+  if (!error.response) {
+    if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+      return new ApiTimeoutError(`31Third API request ${request} timed out`, details);
+    }
+    return new NetworkError(`31Third API request ${request} failed: ${error.message}`, details);
+  }
+
+  const { status, headers = {} } = error.response;
+  const { code, apiMessage } = readErrorBody(error.response.data);
+  const info = { ...details, status, code, apiMessage };
+  const message = `31Third API error ${status} on ${request}${code ? ` (${code})` : ""}: ${apiMessage || error.message}`;
+  const text = `${code || ""} ${apiMessage || ""}`;
+
+  if (status === 401 || status === 403) {
+    return new AuthenticationError(message, info);
+  }
+  if (status === 429) {
+    return new RateLimitError(message, { ...info, retryAfterMs: parseRetryAfter(headers["retry-after"]) });
+  }
+  if (status >= 500) {
+    return new ServerError(message, { ...info, retryAfterMs: parseRetryAfter(headers["retry-after"]) });
+  }
+  if (UNSUPPORTED_TOKEN_PATTERN.test(text)) {
+    return new UnsupportedTokenError(message, info);
+  }
+  if (INSUFFICIENT_LIQUIDITY_PATTERN.test(text)) {
+    return new InsufficientLiquidityError(message, info);
+  }
+  if (status >= 400) {
+    return new InvalidRequestError(message, info);
+  }
+  return new ApiError(message, info);
+}
+
+/**
+ * Delay before retry `attempt` (1-based): exponential backoff with full jitter,
+ * or the server's Retry-After when it asked for longer
+ */
+function retryDelay(attempt, error, { retryBaseDelayMs, retryMaxDelayMs }, random = Math.random) {
+  const backoff = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** (attempt - 1));
+  const jittered = Math.round(backoff * random());
+  return error.retryAfterMs !== undefined ? Math.max(error.retryAfterMs, jittered) : jittered;
+}
+
+/**
+ * Wait `ms` milliseconds, or until the signal aborts. It resolves either way, so callers
+ * check `signal.aborted` afterwards to tell a finished wait from a cancelled one.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) {
+      resolve();
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Send an API request, retrying failures that may go away. Idempotent requests are retried
+ * on rate limits, 5xx, timeouts and network errors; other requests only on rate limits,
+ * which the API rejected before doing anything.
+ * @param {Object} request - { method, url, path, headers, params, data }
+ * @param {Object} options
+ * @param {boolean} [options.idempotent=false] - Whether sending the request twice is harmless
+ * @param {number} [options.timeoutMs=30000] - Timeout of each attempt, 0 disables it
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.retryBaseDelayMs=500] - Backoff before the first retry, doubled for each further one
+ * @param {number} [options.retryMaxDelayMs=10000] - Upper bound of the backoff
+ * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+ * @param {Object} [options.logger] - Logger for retry warnings
+ * @returns {Promise<*>} - Response body
+ * @throws {ApiError} - Specific subclass for each kind of failure
+ */
+async function requestWithRetry({ method, url, path, headers, params, data }, {
+  idempotent = false,
+  signal,
+  logger,
+  ...options
+} = {}) {
+  const { timeoutMs, retries, retryBaseDelayMs, retryMaxDelayMs } = { ...DEFAULT_REQUEST_OPTIONS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios.request({ method, url, headers, params, data, timeout: timeoutMs, signal });
+      return response.data;
+    } catch (cause) {
+      const error = classifyApiError(cause, { method, path, params, data });
+      const retryable = idempotent ? error.retryable : error instanceof RateLimitError;
+      if (!retryable || attempt >= retries) {
+        throw error;
+      }
+
+      const delay = retryDelay(attempt + 1, error, { retryBaseDelayMs, retryMaxDelayMs });
+      if (logger) {
+        logger.warn(`${error.message}; retry ${attempt + 1}/${retries} in ${delay}ms`);
+      }
+      await sleep(delay, signal);
+      if (signal && signal.aborted) {
+        throw new RequestAbortedError(`31Third API request ${method.toUpperCase()} ${path} was aborted`, {
+          method,
+          path,
+          params,
+          data,
+          cause: signal.reason
+        });
+      }
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_REQUEST_OPTIONS,
+  parseRetryAfter,
+  classifyApiError,
+  retryDelay,
+  sleep,
+  requestWithRetry
+};
@@ -0,0 +1,277 @@
+const { ethers } = require("ethers");
+const { getChain, NATIVE_TOKEN_ADDRESS } = require("./chains");
+
+// Uniswap's Permit2, deployed at the same address on every supported chain
+const PERMIT2_ADDRESS = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+
+const PERMIT2_ABI = [
+  "function allowance(address owner, address token, address spender) external view returns (uint160 amount, uint48 expiration, uint48 nonce)",
+  "function permit(address owner, tuple(tuple(address token, uint160 amount, uint48 expiration, uint48 nonce) details, address spender, uint256 sigDeadline) permitSingle, bytes signature) external"
+];
+
+const ERC2612_ABI = [
+  "function name() external view returns (string)",
+  "function version() external view returns (string)",
+  "function nonces(address owner) external view returns (uint256)",
+  "function DOMAIN_SEPARATOR() external view returns (bytes32)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external"
+];
+
+/**
+ * Tokens that revert when a non-zero allowance is changed to another non-zero value
+ */
+const RESET_TO_ZERO_TOKENS = {
+  ethereum: [
+    "0xdAC17F958D2ee523a2206206994597C13D831ec7" // USDT
+  ]
+};
+
+const DEFAULT_APPROVAL_OPTIONS = {
+  strategy: "exact", // exact | buffer | unlimited | permit | permit2
+  bufferBps: 1000, // 10% on top of the needed amount for the buffer strategy
+  resetToZero: "auto", // auto | always | never
+  resetToZeroTokens: [],
+  permitDeadlineSec: 30 * 60,
+  permit2ExpirationSec: 24 * 60 * 60,
+  permit2Spenders: [], // Spenders that pull tokens through Permit2
+  permitRelayer: undefined // Signer that submits permits, required by the permit strategies
+};
+
+const APPROVAL_STRATEGIES = ["exact", "buffer", "unlimited", "permit", "permit2"];
+
+const MAX_UINT160 = ethers.BigNumber.from(2).pow(160).sub(1);
+
+const approveInterface = new ethers.utils.Interface(["function approve(address spender, uint256 amount) returns (bool)"]);
+
+/**
+ * Amount to approve for a needed allowance under the given strategy
+ * @param {string} strategy - exact, buffer or unlimited (permit strategies sign the exact amount)
+ * @param {ethers.BigNumberish} amount - Needed allowance
+ * @param {number} [bufferBps] - Buffer in basis points for the buffer strategy
+ */
+function getApprovalAmount(strategy, amount, bufferBps = DEFAULT_APPROVAL_OPTIONS.bufferBps) {
+  const needed = ethers.BigNumber.from(amount);
+
+  switch (strategy) {
+    case "unlimited":
+      return ethers.constants.MaxUint256;
+    case "buffer":
+      return needed.mul(10000 + bufferBps).div(10000);
+    case "exact":
+    case "permit":
+    case "permit2":
+      return needed;
+    default:
+      throw new Error(`Unknown approval strategy "${strategy}"`);
+  }
+}
+
+/**
+ * Whether an existing allowance has to be set to zero before approving a new amount
+ * @param {string|number|Object} chain - Chain identifier
+ * @param {string} tokenAddress - Token to approve
+ * @param {Object} [options] - resetToZero mode and extra resetToZeroTokens
+ */
+function requiresResetToZero(chain, tokenAddress, { resetToZero = "auto", resetToZeroTokens = [] } = {}) {
+  if (resetToZero === "always") {
+    return true;
+  }
+  if (resetToZero === "never") {
+    return false;
+  }
+
+  const known = (RESET_TO_ZERO_TOKENS[getChain(chain).name] || []).concat(resetToZeroTokens);
+  return known.some(address => address.toLowerCase() === tokenAddress.toLowerCase());
+}
+
+/**
+ * approve() calls an owner needs before a trade it does not send itself (a Safe batch or
+ * unsigned transactions). Allowances that are already sufficient are skipped; tokens like USDT
+ * that reject changing a non-zero allowance are reset to zero first. Amounts follow the
+ * client's approval strategy, with exact amounts for the permit strategies.
+ * @param {ThirtyOneThirdClient} client - Client with a provider for reading current allowances
+ * @param {string} owner - Address that will send the approvals
+ * @param {Array} requiredAllowances - Allowances in the API format ({ token, allowanceTarget, neededAllowance })
+ * @returns {Promise<Array>} - [{ to, value, data, description, purpose: "approval" }]
+ */
+async function approvalTransactions(client, owner, requiredAllowances = []) {
+  const options = client.approvalOptions;
+  const transactions = [];
+
+  for (const allowance of requiredAllowances) {
+    const token = allowance.token;
+    if (token.address.toLowerCase() === NATIVE_TOKEN_ADDRESS.toLowerCase()) {
+      continue;
+    }
+
+    const needed = ethers.BigNumber.from(allowance.neededAllowance);
+    const current = await client.getAllowance(token.address, owner, allowance.allowanceTarget);
+    if (current.gte(needed)) {
+      client.logger.log(`Allowance of ${token.symbol || token.address} is sufficient`);
+      continue;
+    }
+
+    const approve = (amount, description) => transactions.push({
+      to: token.address,
+      value: "0",
+      data: approveInterface.encodeFunctionData("approve", [allowance.allowanceTarget, amount]),
+      description,
+      purpose: "approval"
+    });
+    if (current.gt(0) && requiresResetToZero(client.chain, token.address, options)) {
+      approve(0, `Reset ${token.symbol || token.address} allowance to zero`);
+    }
+    const amount = getApprovalAmount(options.strategy, needed, options.bufferBps);
+    approve(amount, `Approve ${amount.toString()} ${token.symbol || token.address} to ${allowance.allowanceTarget}`);
+  }
+
+  return transactions;
+}
+
+/**
+ * Find the EIP-712 domain of an EIP-2612 token, or null if the token has no permit.
+ * The version is checked against DOMAIN_SEPARATOR since many tokens don't expose version().
+ */
+async function getErc2612Domain(provider, tokenAddress, chainId) {
+  const token = new ethers.Contract(tokenAddress, ERC2612_ABI, provider);
+
+  let name;
+  let domainSeparator;
+  try {
+    [name, domainSeparator] = await Promise.all([token.name(), token.DOMAIN_SEPARATOR()]);
+    await token.nonces(ethers.constants.AddressZero);
+  } catch (error) {
+    return null;
+  }
+
+  const versions = [];
+  try {
+    versions.push(await token.version());
+  } catch (error) {
+    // No version() getter, try the common ones below
+  }
+  versions.push("1", "2");
+
+  for (const version of versions) {
+    const domain = { name, version, chainId, verifyingContract: tokenAddress };
+    if (ethers.utils._TypedDataEncoder.hashDomain(domain) === domainSeparator) {
+      return domain;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Sign an EIP-2612 permit. Anyone can submit the returned permit, so the owner pays no gas
+ * when a relayer sends it.
+ * @returns {Promise<Object|null>} - Permit with signature and calldata, null if the token has no permit
+ */
+async function signErc2612Permit(signer, { tokenAddress, spender, value, deadline }) {
+  const provider = signer.provider;
+  const owner = await signer.getAddress();
+  const { chainId } = await provider.getNetwork();
+
+  const domain = await getErc2612Domain(provider, tokenAddress, chainId);
+  if (!domain) {
+    return null;
+  }
+
+  const token = new ethers.Contract(tokenAddress, ERC2612_ABI, provider);
+  const nonce = await token.nonces(owner);
+  const message = { owner, spender, value: ethers.BigNumber.from(value), nonce, deadline };
+  const types = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  const signature = await signer._signTypedData(domain, types, message);
+  const { v, r, s } = ethers.utils.splitSignature(signature);
+
+  return {
+    type: "erc2612",
+    token: tokenAddress,
+    ...message,
+    signature,
+    transaction: {
+      to: tokenAddress,
+      data: token.interface.encodeFunctionData("permit", [owner, spender, message.value, deadline, v, r, s])
+    }
+  };
+}
+
+/**
+ * Sign a Permit2 PermitSingle that lets `spender` pull `amount` of the token through Permit2
+ * until `expiration`. The token itself must already be approved to Permit2.
+ * @returns {Promise<Object>} - Permit with signature and calldata for Permit2.permit
+ */
+async function signPermit2(signer, { tokenAddress, spender, amount, expiration, sigDeadline }) {
+  const provider = signer.provider;
+  const owner = await signer.getAddress();
+  const { chainId } = await provider.getNetwork();
+
+  const permit2 = new ethers.Contract(PERMIT2_ADDRESS, PERMIT2_ABI, provider);
+  const { nonce } = await permit2.allowance(owner, tokenAddress, spender);
+
+  const permitSingle = {
+    details: {
+      token: tokenAddress,
+      amount: ethers.BigNumber.from(amount),
+      expiration,
+      nonce
+    },
+    spender,
+    sigDeadline
+  };
+  if (permitSingle.details.amount.gt(MAX_UINT160)) {
+    throw new Error("Permit2 amounts are limited to uint160");
+  }
+
+  const domain = { name: "Permit2", chainId, verifyingContract: PERMIT2_ADDRESS };
+  const types = {
+    PermitSingle: [
+      { name: "details", type: "PermitDetails" },
+      { name: "spender", type: "address" },
+      { name: "sigDeadline", type: "uint256" }
+    ],
+    PermitDetails: [
+      { name: "token", type: "address" },
+      { name: "amount", type: "uint160" },
+      { name: "expiration", type: "uint48" },
+      { name: "nonce", type: "uint48" }
+    ]
+  };
+
+  const signature = await signer._signTypedData(domain, types, permitSingle);
+
+  return {
+    type: "permit2",
+    token: tokenAddress,
+    owner,
+    permitSingle,
+    signature,
+    transaction: {
+      to: PERMIT2_ADDRESS,
+      data: permit2.interface.encodeFunctionData("permit", [owner, permitSingle, signature])
+    }
+  };
+}
+
+module.exports = {
+  PERMIT2_ADDRESS,
+  PERMIT2_ABI,
+  APPROVAL_STRATEGIES,
+  RESET_TO_ZERO_TOKENS,
+  DEFAULT_APPROVAL_OPTIONS,
+  getApprovalAmount,
+  requiresResetToZero,
+  approvalTransactions,
+  getErc2612Domain,
+  signErc2612Permit,
+  signPermit2
+};
@@ -1,460 +1,433 @@
 const { ethers } = require("ethers");
-const axios = require("axios");
-require("dotenv").config();
-
-// ABI for ERC20 approve function
-const ERC20_ABI = [
-  "function approve(address spender, uint256 amount) external returns (bool)",
-  "function allowance(address owner, address spender) external view returns (uint256)",
-  "function balanceOf(address account) external view returns (uint256)",
-  "function decimals() external view returns (uint8)",
-  "function symbol() external view returns (string)"
-];
+const { createClientFromEnv } = require("./env");
+const { isNativeToken } = require("./chains");
+const { expectedDeltasFromRebalancing, logSimulation } = require("./simulation");
+const { explainTransaction } = require("./calldata");
+const { buildRebalancingReport, logExecutionReport } = require("./execution-report");
+const { computeRebalance, logPortfolio } = require("./portfolio");
+const { requestRebalancingJob, saveJobSubmission } = require("./rebalancing-job");
+const { JobStore } = require("./job-store");
+const { approvalTransactions } = require("./approvals");
+const { exportUnsignedTransactions } = require("./offline");
+const {
+  buildRebalancingPlan,
+  assertGuardrails,
+  writeRebalancingPlan,
+  promptConfirmation
+} = require("./rebalancing-plan");
 
 /**
- * Request a wallet rebalancing from 31Third API
+ * Execute a wallet rebalancing with 31Third API
+ * @param {Object} [options]
+ * @param {ThirtyOneThirdClient} [options.client] - Client with provider and signer, built from .env when omitted
+ * @param {Array} [options.baseEntries] - Tokens to sell as { tokenAddress, amount }; the token may be a symbol
+ *   (or "ETH" for the native token) and the amount wei or a human amount like "2 GRT"
+ * @param {Array} [options.targetEntries] - Tokens to buy as { tokenAddress, allocation }, tokens as for baseEntries
+ * @param {number} [options.maxSlippage=0.01] - Maximum slippage per trade
+ * @param {number} [options.maxPriceImpact=0.05] - Maximum price impact per trade
+ * @param {number} [options.maxDeviationFromTarget=0.005] - How far the result may be off the target allocation
+ * @param {boolean} [options.dryRun=false] - Simulate the rebalancing with eth_call instead of approving and sending
+ * @param {boolean} [options.unsigned=false] - Export the approvals and batch trade as unsigned transactions instead of sending
+ * @param {string} [options.output] - File the unsigned transactions are written to (default: logged)
+ * @param {boolean} [options.async=false] - Request the rebalancing as an async job and poll until it is ready
+ * @param {JobStore} [options.jobStore] - Where async job ids are kept for resuming, defaults to .31third/jobs.json
+ * @param {Function} [options.onProgress] - Called on every status change of an async job, see waitForRebalancing
+ * @param {Object} [options.pollOptions] - Polling delays and timeout of an async job, see waitForRebalancing
+ * @param {Object|false} [options.guardrails] - Pre-trade checks, see DEFAULT_GUARDRAILS; a broken one throws a
+ *   GuardrailError before anything is approved, exported or sent (dry runs only warn). false checks none.
+ * @param {Function} [options.confirm] - async (plan) => boolean, asked before approving and sending;
+ *   anything but true cancels the rebalancing (see promptConfirmation)
+ * @param {string} [options.planOutput] - File the plan is written to for sign-off (.json, .csv or .md)
+ * @param {string} [options.planFormat] - Format of planOutput when its extension doesn't tell
+ * @returns {Promise<Object>} - { rebalancing, receipt, report, plan } (see buildRebalancingReport and
+ *   buildRebalancingPlan), with resumed: true when an earlier run had already sent the trade,
+ *   the simulation on dry runs, or the unsigned transaction file (see populateUnsignedTransactions)
  */
-async function requestWalletRebalancing({
-  apiKey,
-  signer,
-  wallet,
-  baseEntries,
-  targetEntries,
-  maxDeviationFromTarget = 0.005,
-  maxSlippage = 0.01,
-  maxPriceImpact = 0.05,
-  batchTrade = true,
-  revertOnError = true,
-  skipBalanceValidation = false,
-  failOnMissingPricePair = true,
-  async = false
-}) {
-  const url = "https://api.31third.com/0.1/rebalancing/wallet";
+async function executeWalletRebalancing({
+  client = createClientFromEnv(),
+  // Define tokens to sell (base entries)
+  baseEntries = [
+    { tokenAddress: "GRT", amount: "2 GRT" },
+    { tokenAddress: "USDT", amount: "0.2 USDT" }
+  ],
+  // Define tokens to buy (target entries with percentage allocations)
+  targetEntries = [
+    { tokenAddress: "WETH", allocation: 0.5 }, // 50%
+    { tokenAddress: "USDC", allocation: 0.5 } // 50%
+  ],
+  maxSlippage = 0.01, // 1%
+  maxPriceImpact = 0.05, // 5%
+  maxDeviationFromTarget,
+  dryRun = false,
+  unsigned = false,
+  output,
+  async = false,
+  jobStore = async ? new JobStore() : undefined,
+  onProgress,
+  pollOptions = {},
+  guardrails = {},
+  confirm,
+  planOutput,
+  planFormat
+} = {}) {
+  const { signer: wallet, logger } = client;
+  logger.log(`Using wallet address: ${wallet.address}`);
+  ({ baseEntries, targetEntries } = await resolveEntries(client, baseEntries, targetEntries));
+  client.beginRun("rebalance", { wallet: wallet.address, baseEntries, targetEntries, maxSlippage, dryRun, unsigned, async });
+  
+  // Never sell the native token down to a balance that can't pay for gas
+  const nativeSold = baseEntries
+    .filter(entry => isNativeToken(entry.tokenAddress))
+    .reduce((total, entry) => total.add(entry.amount), ethers.constants.Zero);
+  if (!nativeSold.isZero()) {
+    await client.assertNativeBalance(wallet.address, nativeSold);
+  }
   
-  const requestBody = {
-    signer,
-    wallet,
+  logger.log("Requesting wallet rebalancing from 31Third API...");
+  
+  // Request rebalancing from 31Third API
+  const rebalancingRequest = {
+    signer: wallet.address,
+    wallet: wallet.address,
     baseEntries,
     targetEntries,
     maxDeviationFromTarget,
     maxSlippage,
     maxPriceImpact,
-    batchTrade,
-    revertOnError,
-    skipBalanceValidation,
-    failOnMissingPricePair,
-    async
+    batchTrade: true
   };
+  // Async jobs are resumed from the job store when a previous run died while waiting
+  const rebalancingData = async
+    ? await requestRebalancingJob(client, rebalancingRequest, { jobStore, onProgress, ...pollOptions })
+    : await client.requestWalletRebalancing(rebalancingRequest);
+  
+  // An earlier run sent this job's trade before it stopped; report it instead of sending it again
+  if (rebalancingData.submitted) {
+    const { receipt } = rebalancingData.submitted;
+    clearJob(jobStore, rebalancingData);
+    const report = buildRebalancingReport(receipt, {
+      account: wallet.address,
+      rebalancing: rebalancingData,
+      targetEntries,
+      expectedDeltas: expectedDeltasFromRebalancing(rebalancingData)
+    });
+    logExecutionReport(logger, report);
+    client.endRun({ transactionHash: receipt.transactionHash, report, resumed: true });
+    return { rebalancing: rebalancingData, receipt, report, resumed: true };
+  }
   
-  console.log("API Request Body:", JSON.stringify(requestBody, null, 2));
+  logRebalancingSummary(logger, rebalancingData);
   
+  // Check if the transaction data is available for batch trade
+  if (!rebalancingData.txHandler || !rebalancingData.txData) {
+    logger.log("\n⚠️ No valid transaction data in the API response. Cannot execute the swap.");
+    client.recordEvent("rebalancing.rejected", { error: { message: "No transaction data in the API response" } });
+    return;
+  }
+  
+  // Never sign a rebalancing that doesn't match what we asked for
   try {
-    const response = await axios.post(url, requestBody, {
-      headers: {
-        "x-api-key": apiKey,
-        "chain-id": "0x1", // Ethereum mainnet
-        "Content-Type": "application/json"
-      }
-    });
-    
-    return response.data;
+    client.validateRebalancing(rebalancingData, rebalancingRequest);
   } catch (error) {
-    const errorMessage = error.response?.data || error.message;
-    throw new Error(`31Third API error: ${JSON.stringify(errorMessage)}`);
+    clearJob(jobStore, rebalancingData);
+    throw error;
   }
-}
-
-/**
- * Check token balance
- */
-async function getTokenBalance(provider, tokenAddress, walletAddress) {
-  // Create contract instance
-  const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-  
-  // Get token details
-  const balance = await tokenContract.balanceOf(walletAddress);
-  const decimals = await tokenContract.decimals();
-  const symbol = await tokenContract.symbol();
   
-  return {
-    address: tokenAddress,
-    balance,
-    decimals,
-    symbol,
-    formattedBalance: ethers.utils.formatUnits(balance, decimals)
-  };
-}
-
-/**
- * Check and set token allowance if needed
- */
-async function checkAndSetAllowance(
-  provider,
-  wallet,
-  tokenAddress,
-  spenderAddress,
-  amount
-) {
-  console.log(`Checking allowance for ${tokenAddress} to spender ${spenderAddress}`);
-  
-  // Create contract instance
-  const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+  // What will be traded and what it costs, checked against the guardrails before anything is signed
+  const plan = buildRebalancingPlan(rebalancingData, { wallet: wallet.address, guardrails });
+  if (planOutput) {
+    const format = writeRebalancingPlan(plan, planOutput, { format: planFormat });
+    logger.log(`\nRebalancing plan written to ${planOutput} (${format})`);
+  }
+  if (dryRun) {
+    plan.violations.forEach(violation => logger.warn(`⚠️ Guardrail: ${violation.message}`));
+  } else {
+    try {
+      assertGuardrails(plan.violations);
+    } catch (error) {
+      clearJob(jobStore, rebalancingData);
+      client.recordEvent("rebalancing.rejected", { error });
+      throw error;
+    }
+  }
   
-  // Check current allowance
-  const currentAllowance = await tokenContract.allowance(wallet.address, spenderAddress);
-  console.log(`Current allowance: ${currentAllowance.toString()}`);
+  // Show what the calldata itself does, not just the API's trade fields
+  const decoded = explainTransaction(
+    logger,
+    { to: rebalancingData.txHandler, data: rebalancingData.txData },
+    { taker: wallet.address },
+    tokensFromTrades(rebalancingData.trades)
+  );
   
-  // If allowance is insufficient, approve
-  if (currentAllowance.lt(amount)) {
-    console.log(`Setting approval for ${tokenAddress}`);
-    
-    // Define approval amount - approve a large amount to avoid future approvals
-    const approvalAmount = ethers.constants.MaxUint256;
-    
-    // Create and send approval transaction
-    const approveTx = await tokenContract.approve(spenderAddress, approvalAmount, {
-      gasLimit: 100000,
-      gasPrice: await provider.getGasPrice()
+  // Native sells are sent as value; validateRebalancing made sure txValue is no more than they add up to
+  const value = ethers.BigNumber.from(rebalancingData.txValue || 0).isZero()
+    ? nativeSold.toString()
+    : ethers.BigNumber.from(rebalancingData.txValue).toString();
+  
+  if (dryRun) {
+    logger.log("\nDry run: simulating the rebalancing without approving or sending...");
+    const transaction = {
+      to: rebalancingData.txHandler,
+      data: rebalancingData.txData,
+      value
+    };
+    const simulation = await client.simulateTransaction(transaction, {
+      requiredAllowances: rebalancingData.requiredAllowances || []
     });
-    
-    console.log(`Approval transaction sent: ${approveTx.hash}`);
-    console.log(`Waiting for approval confirmation...`);
-    
-    // Wait for confirmation
-    const approveReceipt = await approveTx.wait(1);
-    console.log(`Approval confirmed in block ${approveReceipt.blockNumber}`);
-    
-    return true;
-  } else {
-    console.log(`Token allowance is sufficient`);
-    return false;
+    simulation.expectedDeltas = expectedDeltasFromRebalancing(rebalancingData);
+    logSimulation(logger, simulation);
+    client.endRun({ dryRun: true, simulation });
+    return { rebalancing: rebalancingData, transaction, simulation, decoded, plan };
   }
-}
-
-/**
- * Check and approve all required tokens based on required allowances in the API response
- */
-async function handleRequiredAllowances(provider, wallet, requiredAllowances) {
-    console.log("Checking and setting required allowances...");
-    
-    if (!requiredAllowances || requiredAllowances.length === 0) {
-      console.log("No token allowances required");
-      return;
-    }
   
-    console.log("Required allowances:", JSON.stringify(requiredAllowances, null, 2));
-    
-    const approvalPromises = requiredAllowances.map(async (allowance) => {
-      // Extract the correct properties from the allowance object
-      const tokenAddress = allowance.token.address;
-      const spenderAddress = allowance.allowanceTarget;
-      const neededAllowance = allowance.neededAllowance;
-      
-      if (!tokenAddress || !spenderAddress || !neededAllowance) {
-        console.error(`Missing required allowance data: `, JSON.stringify(allowance, null, 2));
-        throw new Error("Incomplete allowance data");
-      }
-      
-      console.log(`Setting allowance for ${allowance.token.symbol}: ${neededAllowance}`);
-      
-      return checkAndSetAllowance(
-        provider,
-        wallet,
-        tokenAddress,
-        spenderAddress,
-        ethers.BigNumber.from(neededAllowance)
-      );
+  if (unsigned) {
+    const approvals = await approvalTransactions(client, wallet.address, rebalancingData.requiredAllowances);
+    const calls = approvals.concat({
+      to: rebalancingData.txHandler,
+      data: rebalancingData.txData,
+      value,
+      description: `Rebalance through ${(rebalancingData.trades || []).length} trade(s)`,
+      purpose: "trade"
+    });
+    const file = await exportUnsignedTransactions(client, calls, {
+      fallbackGasLimit: 3000000,
+      output,
+      expiresAt: rebalancingData.expirationTimestamp
     });
-    
-    await Promise.all(approvalPromises);
-    console.log("All required token approvals completed");
+    clearJob(jobStore, rebalancingData);
+    return { rebalancing: rebalancingData, unsigned: file, decoded, plan };
   }
-/**
- * Execute a wallet rebalancing with 31Third API
- */
-async function executeWalletRebalancing() {
-  // Load environment variables
-  const API_KEY = process.env.API_KEY || "6c8e528a-1ed1-497a-a71e-889170cfe52e"; // Default API key
-  const PRIVATE_KEY = process.env.PRIVATE_KEY;
-  const RPC_URL = process.env.RPC_URL;
   
-  if (!PRIVATE_KEY || !RPC_URL) {
-    throw new Error("Please set PRIVATE_KEY and RPC_URL in your .env file");
+  // Approvals are transactions too, so nothing is sent before the rebalancing is confirmed
+  if (confirm && (await confirm(plan)) !== true) {
+    clearJob(jobStore, rebalancingData);
+    const error = new Error("The rebalancing was not confirmed, nothing was sent");
+    client.recordEvent("rebalancing.rejected", { error });
+    throw error;
   }
   
-  // Create wallet and provider
-  const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
-  const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-  console.log(`Using wallet address: ${wallet.address}`);
-  
-  // Define tokens to sell (base entries)
-  const baseEntries = [
-    {
-      tokenAddress: "0xc944E90C64B2c07662A292be6244BDf05Cda44a7", // GRT (The Graph)
-      amount: ethers.utils.parseUnits("2", 18).toString() // 6 GRT (18 decimals)
-    },
-    {
-      tokenAddress: "0xdAC17F958D2ee523a2206206994597C13D831ec7", // USDT
-      amount: ethers.utils.parseUnits("0.2", 6).toString() // 0.68 USDT (6 decimals)
-    }
-  ];
+  // Handle required allowances
+  await client.handleRequiredAllowances(rebalancingData.requiredAllowances);
   
-  // Define tokens to buy (target entries with percentage allocations)
-  const targetEntries = [
+  // Send the batch trade through the shared transaction sender (EIP-1559 fees, confirmations)
+  const receipt = await client.sendTransaction(
     {
-      tokenAddress: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", // WETH
-      allocation: 0.5 // 50%
+      to: rebalancingData.txHandler,
+      data: rebalancingData.txData,
+      value
     },
     {
-      tokenAddress: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", // USDC
-      allocation: 0.5 // 50%
+      fallbackGasLimit: 3000000, // Higher gas limit for batch transactions
+      purpose: "trade",
+      // Saved before the receipt, so a restart looks the trade up instead of sending it twice
+      onSubmitted: ({ hash, nonce }) => {
+        if (jobStore && rebalancingData.jobKey) {
+          saveJobSubmission(jobStore, rebalancingData.jobKey, { transactionHash: hash, nonce });
+        }
+      }
     }
-  ];
-  
-  console.log("Requesting wallet rebalancing from 31Third API...");
+  );
+  clearJob(jobStore, rebalancingData);
   
-  // Request rebalancing from 31Third API
-  const rebalancingData = await requestWalletRebalancing({
-    apiKey: API_KEY,
-    signer: wallet.address,
-    wallet: wallet.address,
-    baseEntries,
+  const report = buildRebalancingReport(receipt, {
+    account: wallet.address,
+    rebalancing: rebalancingData,
     targetEntries,
-    maxSlippage: 0.01, // 1%
-    maxPriceImpact: 0.05, // 5%
-    batchTrade: true
+    expectedDeltas: expectedDeltasFromRebalancing(rebalancingData)
   });
+  logExecutionReport(logger, report);
+  client.endRun({ transactionHash: receipt.transactionHash, report });
   
+  return { rebalancing: rebalancingData, receipt, report, plan };
+}
+
+/**
+ * Resolve token symbols and human amounts of rebalancing entries to addresses and wei
+ * @returns {Promise<Object>} - { baseEntries, targetEntries } as the API expects them
+ */
+async function resolveEntries(client, baseEntries, targetEntries) {
+  const { tokenRegistry } = client;
+  const resolved = { baseEntries: [], targetEntries: [] };
+
+  for (const entry of baseEntries) {
+    const { address } = tokenRegistry.resolve(entry.tokenAddress || entry.token);
+    const amount = await tokenRegistry.parseAmount(entry.amount, address);
+    resolved.baseEntries.push({ tokenAddress: address, amount: amount.toString() });
+  }
+  targetEntries.forEach(entry => {
+    const { address } = tokenRegistry.resolve(entry.tokenAddress || entry.token);
+    resolved.targetEntries.push({ tokenAddress: address, allocation: entry.allocation });
+  });
+
+  return resolved;
+}
+
+/**
+ * Forget an async job once its transaction was sent or rejected, so it isn't resumed again
+ */
+function clearJob(jobStore, rebalancingData) {
+  if (jobStore && rebalancingData.jobKey) {
+    jobStore.delete(rebalancingData.jobKey);
+  }
+}
+
+/**
+ * Rebalance the wallet to a target portfolio. baseEntries and targetEntries are worked out
+ * from the wallet's holdings (see computeRebalance); nothing is requested while the drift
+ * stays within the threshold.
+ * @param {Object} options
+ * @param {ThirtyOneThirdClient} [options.client] - Client with provider and signer, built from .env when omitted
+ * @param {Array} options.targets - [{ tokenAddress, weight }] summing to 1
+ * @param {number} [options.driftThreshold=0.01] - Minimum drift of a weight before rebalancing
+ * @param {string} [options.valuationToken="USDC"] - Token holdings are valued in
+ * @param {Function} [options.getValue] - Custom valuation, see computeRebalance
+ * @returns {Promise<Object>} - { plan, skipped } plus the result of executeWalletRebalancing
+ */
+async function rebalanceToTarget({
+  client = createClientFromEnv(),
+  targets,
+  driftThreshold,
+  valuationToken,
+  getValue,
+  ...rebalancingOptions
+} = {}) {
+  const { signer: wallet, logger } = client;
+
+  const plan = await computeRebalance(client, { wallet: wallet.address, targets, driftThreshold, valuationToken, getValue });
+  logPortfolio(logger, plan);
+
+  if (!plan.needsRebalance) {
+    logger.log("Portfolio is within the drift threshold, nothing to do");
+    return { plan, skipped: true };
+  }
+
+  const result = await executeWalletRebalancing({
+    ...rebalancingOptions,
+    client,
+    baseEntries: plan.baseEntries,
+    targetEntries: plan.targetEntries
+  });
+  return { plan, skipped: false, result };
+}
+
+/**
+ * Log the API response, the plan summary and the trades of a rebalancing
+ */
+function logRebalancingSummary(logger, rebalancingData) {
   // Log the response for debugging
-  console.log("\nAPI Response Data:", JSON.stringify(rebalancingData, null, 2));
+  logger.log("\nAPI Response Data:", JSON.stringify(rebalancingData, null, 2));
   
   // Display rebalancing plan summary
-  console.log("\n======= Rebalancing Plan Summary =======");
-  console.log(`Transaction ID: ${rebalancingData.id || 'N/A'}`);
-  console.log(`Sell Value (USD): $${rebalancingData.sellValueInUsd || 'N/A'}`);
-  console.log(`Estimated Value Loss (USD): $${rebalancingData.estimatedValueLossInUsd || 'N/A'}`);
-  console.log(`Estimated Receive Value (USD): $${rebalancingData.estimatedReceiveValueInUsd || 'N/A'}`);
-  console.log(`Min Receive Value (USD): $${rebalancingData.minReceiveValueInUsd || 'N/A'}`);
-  console.log(`Estimated Gas Fees: ${rebalancingData.estimatedGasFees ? 
+  logger.log("\n======= Rebalancing Plan Summary =======");
+  logger.log(`Transaction ID: ${rebalancingData.id || 'N/A'}`);
+  logger.log(`Sell Value (USD): $${rebalancingData.sellValueInUsd || 'N/A'}`);
+  logger.log(`Estimated Value Loss (USD): $${rebalancingData.estimatedValueLossInUsd || 'N/A'}`);
+  logger.log(`Estimated Receive Value (USD): $${rebalancingData.estimatedReceiveValueInUsd || 'N/A'}`);
+  logger.log(`Min Receive Value (USD): $${rebalancingData.minReceiveValueInUsd || 'N/A'}`);
+  logger.log(`Estimated Gas Fees: ${rebalancingData.estimatedGasFees ? 
     ethers.utils.formatEther(rebalancingData.estimatedGasFees) + ' ETH' : 'N/A'}`);
-  console.log(`Estimated Gas Fees (USD): $${rebalancingData.estimatedGasFeesInUsd || 'N/A'}`);
-  console.log(`Estimated Protocol Fees (USD): $${rebalancingData.estimatedProtocolFeesInUsd || 'N/A'}`);
-  console.log(`Expiration: ${rebalancingData.expirationTimestamp || 'N/A'}`);
-  console.log(`Executable: ${rebalancingData.executable === true ? 'Yes' : 'No'}`);
+  logger.log(`Estimated Gas Fees (USD): $${rebalancingData.estimatedGasFeesInUsd || 'N/A'}`);
+  logger.log(`Estimated Protocol Fees (USD): $${rebalancingData.estimatedProtocolFeesInUsd || 'N/A'}`);
+  logger.log(`Expiration: ${rebalancingData.expirationTimestamp || 'N/A'}`);
+  logger.log(`Executable: ${rebalancingData.executable === true ? 'Yes' : 'No'}`);
   
   // Check if any tokens don't have price pairs
   if (rebalancingData.tokensWithoutPricePair && rebalancingData.tokensWithoutPricePair.length > 0) {
-    console.log("\n⚠️ Warning: The following tokens do not have price pairs:");
+    logger.log("\n⚠️ Warning: The following tokens do not have price pairs:");
     rebalancingData.tokensWithoutPricePair.forEach(token => {
-      console.log(`- ${token}`);
+      logger.log(`- ${token}`);
     });
   }
   
   // Display trades information
   if (rebalancingData.trades && Array.isArray(rebalancingData.trades) && rebalancingData.trades.length > 0) {
-    console.log("\n======= Trades to Execute =======");
+    logger.log("\n======= Trades to Execute =======");
     rebalancingData.trades.forEach((trade, index) => {
-      console.log(`\nTrade ${index + 1}:`);
+      logger.log(`\nTrade ${index + 1}:`);
       
       try {
         // Create a more detailed trade summary using available information
         if (trade.sellToken) {
-          console.log(`  Sell Token: ${trade.sellToken.symbol || 'Unknown'} (${trade.sellToken.address || 'N/A'})`);
-          console.log(`  Sell Amount: ${trade.sellAmount ? 
+          logger.log(`  Sell Token: ${trade.sellToken.symbol || 'Unknown'} (${trade.sellToken.address || 'N/A'})`);
+          logger.log(`  Sell Amount: ${trade.sellAmount ? 
             ethers.utils.formatUnits(trade.sellAmount, trade.sellToken.decimals || 18) : 'N/A'}`);
         } else if (trade.sellTokenAddress) {
-          console.log(`  Sell Token Address: ${trade.sellTokenAddress}`);
-          console.log(`  Sell Amount: ${trade.sellAmount || 'N/A'}`);
+          logger.log(`  Sell Token Address: ${trade.sellTokenAddress}`);
+          logger.log(`  Sell Amount: ${trade.sellAmount || 'N/A'}`);
         }
         
         if (trade.buyToken) {
-          console.log(`  Buy Token: ${trade.buyToken.symbol || 'Unknown'} (${trade.buyToken.address || 'N/A'})`);
-          console.log(`  Buy Amount: ${trade.buyAmount ? 
+          logger.log(`  Buy Token: ${trade.buyToken.symbol || 'Unknown'} (${trade.buyToken.address || 'N/A'})`);
+          logger.log(`  Buy Amount: ${trade.buyAmount ? 
             ethers.utils.formatUnits(trade.buyAmount, trade.buyToken.decimals || 18) : 'N/A'}`);
         } else if (trade.buyTokenAddress) {
-          console.log(`  Buy Token Address: ${trade.buyTokenAddress}`);
-          console.log(`  Buy Amount: ${trade.buyAmount || 'N/A'}`);
+          logger.log(`  Buy Token Address: ${trade.buyTokenAddress}`);
+          logger.log(`  Buy Amount: ${trade.buyAmount || 'N/A'}`);
         }
         
         if (trade.price) {
-          console.log(`  Rate: ${trade.price}`);
+          logger.log(`  Rate: ${trade.price}`);
         }
         
         // If individual trade transaction data is available
         if (trade.txHandler) {
-          console.log(`  Transaction Handler: ${trade.txHandler}`);
+          logger.log(`  Transaction Handler: ${trade.txHandler}`);
         }
       } catch (error) {
-        console.log(`  Error formatting trade ${index + 1}: ${error.message}`);
-        console.log(`  Raw trade data: ${JSON.stringify(trade, null, 2)}`);
+        logger.log(`  Error formatting trade ${index + 1}: ${error.message}`);
+        logger.log(`  Raw trade data: ${JSON.stringify(trade, null, 2)}`);
       }
     });
   } else {
-    console.log("\nNo trades data in the API response.");
-  }
-  
-  // Check if the transaction data is available for batch trade
-  if (!rebalancingData.txHandler || !rebalancingData.txData) {
-    console.log("\n⚠️ No valid transaction data in the API response. Cannot execute the swap.");
-    return;
-  }
-  
-  // Handle required allowances
-  await handleRequiredAllowances(provider, wallet, rebalancingData.requiredAllowances);
-  
-  // Extract transaction data
-  const tx = {
-    to: rebalancingData.txHandler,
-    data: rebalancingData.txData,
-    value: rebalancingData.txValue ? 
-      ethers.BigNumber.from(rebalancingData.txValue) : 
-      ethers.BigNumber.from("0"),
-    gasPrice: await provider.getGasPrice(),
-  };
-  
-  // Estimate gas limit or use a safe default
-  let gasLimit;
-  try {
-    gasLimit = await provider.estimateGas({
-      from: wallet.address,
-      to: tx.to,
-      data: tx.data,
-      value: tx.value
-    });
-    // Add 20% buffer to gas estimate
-    gasLimit = gasLimit.mul(120).div(100);
-  } catch (error) {
-    console.warn("Gas estimation failed, using default gas limit:", error.message);
-    gasLimit = ethers.BigNumber.from("3000000"); // Higher gas limit for batch transactions
-  }
-  
-  console.log(`\nEstimated gas limit: ${gasLimit.toString()}`);
-  
-  // Get nonce
-  const nonce = await provider.getTransactionCount(wallet.address, "latest");
-  
-  // Prepare transaction for signing
-  const transaction = {
-    to: tx.to,
-    data: tx.data,
-    value: tx.value,
-    gasLimit: gasLimit,
-    gasPrice: tx.gasPrice,
-    nonce: nonce,
-    chainId: (await provider.getNetwork()).chainId
-  };
-  
-  console.log("\nTransaction details:");
-  console.log(`To: ${transaction.to}`);
-  console.log(`Value: ${ethers.utils.formatEther(transaction.value)} ETH`);
-  console.log(`Gas Price: ${ethers.utils.formatUnits(transaction.gasPrice, "gwei")} gwei`);
-  console.log(`Gas Limit: ${transaction.gasLimit.toString()}`);
-  console.log(`Nonce: ${transaction.nonce}`);
-  
-  // Confirm transaction execution
-  console.log("\n⚠️ Ready to execute the transaction. Do you want to proceed? (y/n)");
-  // In a real application, you would wait for user input here
-  // For this script, we'll assume 'y' and proceed
-  
-  try {
-    // Sign the transaction
-    console.log("\nSigning transaction...");
-    const signedTx = await wallet.signTransaction(transaction);
-    console.log("Transaction signed!");
-    
-    // Send the transaction
-    console.log("Sending transaction...");
-    const txResponse = await provider.sendTransaction(signedTx);
-    console.log(`Transaction sent with hash: ${txResponse.hash}`);
-    
-    // Wait for confirmation
-    console.log("Waiting for confirmation...");
-    const receipt = await txResponse.wait(1);
-    console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
-    console.log(`Gas used: ${receipt.gasUsed.toString()}`);
-    
-    return receipt;
-  } catch (error) {
-    console.error("Error with transaction:", error.message);
-    
-    // If there's an error about gas limit, try again with a higher limit
-    if (error.message.includes("gas limit") || error.message.includes("UNPREDICTABLE_GAS_LIMIT")) {
-      console.log("Trying with higher gas limit...");
-      transaction.gasLimit = transaction.gasLimit.mul(150).div(100); // Increase by 50%
-      
-      const signedTx = await wallet.signTransaction(transaction);
-      const txResponse = await provider.sendTransaction(signedTx);
-      console.log(`Transaction sent with hash: ${txResponse.hash}`);
-      
-      const receipt = await txResponse.wait(1);
-      console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
-      return receipt;
-    }
-    
-    throw error;
+    logger.log("\nNo trades data in the API response.");
   }
 }
 
 /**
- * Check token balances before and after rebalancing
+ * Token metadata of the rebalancing trades by lowercase address, for formatting decoded trades
  */
-async function checkBalances(provider, walletAddress, tokens) {
-  console.log("\nChecking token balances...");
-  
-  const balancePromises = tokens.map(token => 
-    getTokenBalance(provider, token, walletAddress)
-  );
-  
-  const balances = await Promise.all(balancePromises);
-  
-  balances.forEach(tokenData => {
-    console.log(`${tokenData.symbol}: ${tokenData.formattedBalance}`);
+function tokensFromTrades(trades = []) {
+  const tokens = {};
+  trades.forEach(trade => {
+    [trade.sellToken, trade.buyToken].forEach(token => {
+      if (token && token.address && token.decimals !== undefined) {
+        tokens[token.address.toLowerCase()] = token;
+      }
+    });
   });
-  
-  return balances;
+  return tokens;
 }
 
 // Main function to execute the entire process
 async function main() {
-  // Load environment variables
-  const PRIVATE_KEY = process.env.PRIVATE_KEY;
-  const RPC_URL = process.env.RPC_URL;
-  
-  if (!PRIVATE_KEY || !RPC_URL) {
-    throw new Error("Please set PRIVATE_KEY and RPC_URL in your .env file");
-  }
+  // Create client with wallet and provider from .env
+  const client = createClientFromEnv();
   
-  // Create wallet and provider
-  const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
-  const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-  
-  // Token addresses to track
-  const tokens = [
-    "0xc944E90C64B2c07662A292be6244BDf05Cda44a7", // GRT (The Graph)
-    "0xdAC17F958D2ee523a2206206994597C13D831ec7", // USDT
-    "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", // WETH
-    "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48"  // USDC
-  ];
-  
-  // Check balances before rebalancing
-  console.log("Balances before rebalancing:");
-  await checkBalances(provider, wallet.address, tokens);
-  
-  // Execute the rebalancing
-  await executeWalletRebalancing();
-  
-  // Check balances after rebalancing
-  console.log("\nBalances after rebalancing:");
-  await checkBalances(provider, wallet.address, tokens);
+  // The execution report compares the received tokens with the rebalancing's estimates
+  return executeWalletRebalancing({
+    client,
+    confirm: plan => promptConfirmation(`Send ${plan.trades.length} trade(s) selling $${plan.costs.sellValueInUsd.toFixed(2)}?`)
+  });
 }
 
-// Execute the script
-main()
-  .then(() => {
-    console.log("✅ Wallet rebalancing completed successfully!");
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error("❌ Error executing wallet rebalancing:", error.message);
-    process.exit(1);
-  });
\ No newline at end of file
+module.exports = {
+  executeWalletRebalancing,
+  rebalanceToTarget,
+  resolveEntries,
+  logRebalancingSummary,
+  tokensFromTrades,
+  main
+};
+
+// Execute the script when run directly
+if (require.main === module) {
+  main()
+    .then(() => {
+      console.log("✅ Wallet rebalancing completed successfully!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("❌ Error executing wallet rebalancing:", error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,203 @@
+const { ethers } = require("ethers");
+const { ENZYME_COMPTROLLER_ABI, INTEGRATION_MANAGER_ACTIONS, TAKE_ORDER_SELECTOR } = require("./enzyme");
+
+// 31Third BatchTrade executor, used for single swaps and batch rebalances
+const BATCH_TRADE_ABI = [
+  "function batchTrade(tuple(string exchangeName, address from, uint256 fromAmount, address to, uint256 minToReceiveBeforeFees, bytes data, bytes signature)[] trades, tuple(bool checkFeelessWallets, bool revertOnError) batchTradeConfig) payable"
+];
+
+const TRADE_TUPLE = "tuple(string exchangeName, address from, uint256 fromAmount, address to, uint256 minToReceiveBeforeFees, bytes data, bytes signature)[]";
+
+// Exchange calldata inside a trade; only the recipient is read from it
+const EXCHANGE_ABI = [
+  "function swap(address executor, tuple(address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags) desc, bytes permit, bytes data)",
+  "function swap(address executor, tuple(address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags) desc, bytes data)",
+  "function exactInputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)",
+  "function exactInput(tuple(bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params)",
+  "function transformERC20(address inputTokenAddress, address outputTokenAddress, uint256 inputTokenAmount, uint256 minOutputTokenAmount, tuple(uint32 deploymentNonce, bytes data)[] transformations)"
+];
+
+const batchTradeInterface = new ethers.utils.Interface(BATCH_TRADE_ABI);
+const comptrollerInterface = new ethers.utils.Interface(ENZYME_COMPTROLLER_ABI);
+const exchangeInterface = new ethers.utils.Interface(EXCHANGE_ABI);
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Read the recipient from an exchange call. Exchanges that pay the caller (or address zero,
+ * which means the caller) return null; unknown calldata returns undefined.
+ */
+function decodeExchangeRecipient(data) {
+  let parsed;
+  try {
+    parsed = exchangeInterface.parseTransaction({ data });
+  } catch (error) {
+    return undefined;
+  }
+
+  let recipient;
+  switch (parsed.name) {
+    case "swap":
+      recipient = parsed.args.desc.dstReceiver;
+      break;
+    case "exactInputSingle":
+    case "exactInput":
+      recipient = parsed.args.params.recipient;
+      break;
+    default:
+      recipient = null;
+  }
+
+  return recipient && recipient !== ethers.constants.AddressZero ? recipient : null;
+}
+
+function decodeTrades(trades, { caller, expectedRecipients }) {
+  return trades.map((trade, index) => {
+    const recipient = decodeExchangeRecipient(trade.data);
+    const resolvedRecipient = recipient === null ? caller : recipient;
+    const knownRecipient = resolvedRecipient
+      ? expectedRecipients.some(address => sameAddress(address, resolvedRecipient))
+      : undefined;
+
+    return {
+      index,
+      exchange: trade.exchangeName,
+      fromToken: trade.from,
+      fromAmount: trade.fromAmount,
+      toToken: trade.to,
+      minReceived: trade.minToReceiveBeforeFees,
+      recipient: resolvedRecipient,
+      recipientDecoded: recipient !== undefined,
+      unexpectedRecipient: knownRecipient === false
+    };
+  });
+}
+
+/**
+ * Decode 31Third calldata into its trades: a BatchTrade call, or an Enzyme
+ * callOnExtension wrapping the 31Third adapter's takeOrder.
+ * Each trade lists exchange, tokens, amounts, min-received and recipient. Proceeds flow
+ * through the 31Third contract (and the Enzyme adapter), so those count as expected
+ * recipients next to the taker and vault; any other recipient is flagged.
+ * @param {Object} tx - Transaction with to and data
+ * @param {Object} [options]
+ * @param {string} [options.taker] - Wallet the trade is for
+ * @param {string} [options.vault] - Enzyme vault the trade is for
+ * @returns {Object} - { type, to, trades, config, warnings } plus extension/adapter for Enzyme calls
+ */
+function decodeTransaction(tx, { taker, vault } = {}) {
+  const selector = (tx.data || "").slice(0, 10);
+  const expectedRecipients = [taker, vault, tx.to].filter(Boolean);
+
+  let result;
+  if (selector === batchTradeInterface.getSighash("batchTrade")) {
+    const { trades, batchTradeConfig } = batchTradeInterface.decodeFunctionData("batchTrade", tx.data);
+    result = {
+      type: "batchTrade",
+      to: tx.to,
+      config: { checkFeelessWallets: batchTradeConfig.checkFeelessWallets, revertOnError: batchTradeConfig.revertOnError },
+      trades: decodeTrades(trades, { caller: tx.to, expectedRecipients })
+    };
+  } else if (selector === comptrollerInterface.getSighash("callOnExtension")) {
+    result = decodeEnzymeCall(tx, expectedRecipients);
+  } else {
+    throw new Error(`Unknown 31Third calldata selector ${selector || "(empty)"}`);
+  }
+
+  result.warnings = result.trades
+    .filter(trade => trade.unexpectedRecipient)
+    .map(trade => `Trade ${trade.index + 1} sends ${trade.toToken} to ${trade.recipient}, which is not the taker or vault`);
+  return result;
+}
+
+function decodeEnzymeCall(tx, expectedRecipients) {
+  const { extension, actionId, callArgs } = comptrollerInterface.decodeFunctionData("callOnExtension", tx.data);
+  if (!actionId.eq(INTEGRATION_MANAGER_ACTIONS.callOnIntegration)) {
+    throw new Error(`Unsupported Enzyme extension action ${actionId.toString()}, expected callOnIntegration`);
+  }
+
+  const [adapter, adapterSelector, integrationData] = ethers.utils.defaultAbiCoder.decode(
+    ["address", "bytes4", "bytes"],
+    callArgs
+  );
+  if (adapterSelector !== TAKE_ORDER_SELECTOR) {
+    throw new Error(`Unsupported adapter selector ${adapterSelector}, expected takeOrder`);
+  }
+
+  const [trades] = ethers.utils.defaultAbiCoder.decode([TRADE_TUPLE], integrationData);
+  return {
+    type: "enzyme",
+    to: tx.to,
+    extension,
+    adapter,
+    trades: decodeTrades(trades, { caller: adapter, expectedRecipients: expectedRecipients.concat(adapter) })
+  };
+}
+
+/**
+ * Whether the calldata is a direct batchTrade call
+ */
+function isBatchTradeCalldata(data) {
+  return (data || "").slice(0, 10) === batchTradeInterface.getSighash("batchTrade");
+}
+
+/**
+ * Re-encode the trades of a batchTrade call as integration data for the Enzyme 31Third adapter,
+ * which runs the batch trade itself
+ */
+function batchTradeToIntegrationData(data) {
+  const { trades } = batchTradeInterface.decodeFunctionData("batchTrade", data);
+  return ethers.utils.defaultAbiCoder.encode([TRADE_TUPLE], [trades]);
+}
+
+/**
+ * Log decoded trades in human terms
+ * @param {Object} logger - Logger with a log method
+ * @param {Object} decoded - Result of decodeTransaction
+ * @param {Object} [tokens] - Token metadata by lowercase address ({ symbol, decimals }) for formatting
+ */
+function logDecodedTransaction(logger, decoded, tokens = {}) {
+  const format = (address, amount) => {
+    const token = tokens[address.toLowerCase()];
+    return token
+      ? `${ethers.utils.formatUnits(amount, token.decimals)} ${token.symbol}`
+      : `${amount.toString()} of ${address}`;
+  };
+
+  logger.log("\n======= Decoded Calldata =======");
+  logger.log(`Type: ${decoded.type}${decoded.adapter ? ` (adapter ${decoded.adapter})` : ""}`);
+  decoded.trades.forEach(trade => {
+    logger.log(`\nTrade ${trade.index + 1} via ${trade.exchange}:`);
+    logger.log(`  Sell: ${format(trade.fromToken, trade.fromAmount)}`);
+    logger.log(`  Buy (min received): ${format(trade.toToken, trade.minReceived)}`);
+    logger.log(`  Recipient: ${trade.recipient || "unknown"}${trade.recipientDecoded ? "" : " (exchange calldata not decoded)"}`);
+  });
+  decoded.warnings.forEach(warning => logger.log(`⚠️ ${warning}`));
+}
+
+/**
+ * Decode and log a transaction; calldata that can't be decoded is reported instead of thrown
+ * @returns {Object|null} - Result of decodeTransaction, null when it failed
+ */
+function explainTransaction(logger, tx, options, tokens) {
+  try {
+    const decoded = decodeTransaction(tx, options);
+    logDecodedTransaction(logger, decoded, tokens);
+    return decoded;
+  } catch (error) {
+    logger.log(`\n⚠️ Could not decode the calldata: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  BATCH_TRADE_ABI,
+  decodeTransaction,
+  decodeExchangeRecipient,
+  isBatchTradeCalldata,
+  batchTradeToIntegrationData,
+  logDecodedTransaction,
+  explainTransaction
+};
@@ -0,0 +1,143 @@
+// Placeholder address the 31Third API uses for the chain's native asset
+const NATIVE_TOKEN_ADDRESS = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+// 31Third's Enzyme adapter (ThreeOneThirdAdapter), at the same address on every chain Enzyme lists it for
+const ENZYME_ADAPTER_ADDRESS = "0x5a1c0E89133C4Cd844A8B345370565f1368A79A8";
+
+/**
+ * Chains supported by the SDK, keyed by short name
+ */
+const CHAINS = {
+  ethereum: {
+    name: "ethereum",
+    displayName: "Ethereum Mainnet",
+    chainId: 1,
+    hexChainId: "0x1",
+    nativeToken: { symbol: "ETH", decimals: 18, address: NATIVE_TOKEN_ADDRESS },
+    wrappedNativeToken: { symbol: "WETH", decimals: 18, address: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2" },
+    rpcUrlEnv: "ETHEREUM_RPC_URL",
+    allowedTargets: [ENZYME_ADAPTER_ADDRESS],
+    blockTimeMs: 12000
+  },
+  arbitrum: {
+    name: "arbitrum",
+    displayName: "Arbitrum One",
+    chainId: 42161,
+    hexChainId: "0xa4b1",
+    nativeToken: { symbol: "ETH", decimals: 18, address: NATIVE_TOKEN_ADDRESS },
+    wrappedNativeToken: { symbol: "WETH", decimals: 18, address: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1" },
+    rpcUrlEnv: "ARBITRUM_RPC_URL",
+    allowedTargets: [ENZYME_ADAPTER_ADDRESS],
+    blockTimeMs: 250
+  },
+  base: {
+    name: "base",
+    displayName: "Base",
+    chainId: 8453,
+    hexChainId: "0x2105",
+    nativeToken: { symbol: "ETH", decimals: 18, address: NATIVE_TOKEN_ADDRESS },
+    wrappedNativeToken: { symbol: "WETH", decimals: 18, address: "0x4200000000000000000000000000000000000006" },
+    rpcUrlEnv: "BASE_RPC_URL",
+    allowedTargets: [ENZYME_ADAPTER_ADDRESS],
+    blockTimeMs: 2000
+  },
+  polygon: {
+    name: "polygon",
+    displayName: "Polygon",
+    chainId: 137,
+    hexChainId: "0x89",
+    nativeToken: { symbol: "POL", decimals: 18, address: NATIVE_TOKEN_ADDRESS },
+    wrappedNativeToken: { symbol: "WPOL", decimals: 18, address: "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270" },
+    rpcUrlEnv: "POLYGON_RPC_URL",
+    allowedTargets: [ENZYME_ADAPTER_ADDRESS],
+    blockTimeMs: 2000
+  },
+  optimism: {
+    name: "optimism",
+    displayName: "Optimism",
+    chainId: 10,
+    hexChainId: "0xa",
+    nativeToken: { symbol: "ETH", decimals: 18, address: NATIVE_TOKEN_ADDRESS },
+    wrappedNativeToken: { symbol: "WETH", decimals: 18, address: "0x4200000000000000000000000000000000000006" },
+    rpcUrlEnv: "OPTIMISM_RPC_URL",
+    blockTimeMs: 2000
+  }
+};
+
+/**
+ * Look up a chain by name ("arbitrum"), numeric id (42161) or hex id ("0xa4b1")
+ * @param {string|number|Object} chain - Chain identifier or chain definition
+ * @returns {Object} - Chain definition from the registry
+ */
+function getChain(chain) {
+  if (chain && typeof chain === "object") {
+    return getChain(chain.chainId);
+  }
+
+  if (typeof chain === "string" && CHAINS[chain.toLowerCase()]) {
+    return CHAINS[chain.toLowerCase()];
+  }
+
+  const chainId = Number(chain);
+  const match = Number.isInteger(chainId) && chainId > 0
+    ? Object.values(CHAINS).find(c => c.chainId === chainId)
+    : undefined;
+
+  if (!match) {
+    throw new Error(`Unsupported chain: ${chain}. Supported chains: ${Object.keys(CHAINS).join(", ")}`);
+  }
+
+  return match;
+}
+
+/**
+ * Whether an address is the API's placeholder for the chain's native asset
+ */
+function isNativeToken(address) {
+  return Boolean(address) && address.toLowerCase() === NATIVE_TOKEN_ADDRESS.toLowerCase();
+}
+
+/**
+ * Add a chain to the registry, e.g. a local dev chain
+ * @param {Object} definition - Chain definition with the same fields as the built-in chains
+ * @returns {Object} - The registered chain definition
+ */
+function registerChain(definition) {
+  const { name, chainId } = definition;
+  if (!name || !Number.isInteger(chainId)) {
+    throw new Error("Chain definition requires a name and a numeric chainId");
+  }
+
+  const chain = {
+    nativeToken: { symbol: "ETH", decimals: 18, address: NATIVE_TOKEN_ADDRESS },
+    blockTimeMs: 12000,
+    ...definition,
+    name: name.toLowerCase(),
+    hexChainId: toHexChainId(chainId)
+  };
+  CHAINS[chain.name] = chain;
+
+  return chain;
+}
+
+/**
+ * Resolve the RPC url for a chain from its env var, falling back to RPC_URL
+ */
+function getRpcUrl(chain, env = process.env) {
+  const { rpcUrlEnv } = getChain(chain);
+  return (rpcUrlEnv && env[rpcUrlEnv]) || env.RPC_URL;
+}
+
+function toHexChainId(chainId) {
+  return `0x${chainId.toString(16)}`;
+}
+
+module.exports = {
+  CHAINS,
+  NATIVE_TOKEN_ADDRESS,
+  ENZYME_ADAPTER_ADDRESS,
+  getChain,
+  isNativeToken,
+  registerChain,
+  getRpcUrl
+};
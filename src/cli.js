@@ -0,0 +1,843 @@
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { createClientFromEnv, journalFromEnv, signerFromEnv, transactionOptionsFromEnv } = require("./env");
+const { swapWithThirtyOneThird } = require("./single-swap");
+const { executeWalletRebalancing, rebalanceToTarget } = require("./basket-swap");
+const { readTargetAllocation } = require("./portfolio");
+const { swapFromEnzymeVault, rebalanceEnzymeVault } = require("./enzyme_calldata");
+const { swapFromSafe, rebalanceSafe } = require("./safe-batch");
+const { executeTwap } = require("./twap");
+const { watchConditionalOrders } = require("./conditional-orders");
+const {
+  readPortfolioSchedules,
+  portfolioEnv,
+  runRebalanceDaemon,
+  scheduleStatus,
+  withWalletLock
+} = require("./rebalance-schedule");
+const { JobStore } = require("./job-store");
+const { checkJournalTransactions } = require("./journal");
+const { promptConfirmation } = require("./rebalancing-plan");
+const {
+  readTransactionFile,
+  writeTransactionFile,
+  signTransactionFile,
+  broadcastTransactionFile
+} = require("./offline");
+
+const USAGE = `Usage: 31third <command> [options]
+
+Commands:
+  quote <sell> <buy> <amount>   Get a swap quote
+  swap <sell> <buy> <amount>    Quote and execute a swap
+  twap <sell> <buy> <amount>    Sell the amount in --slices swaps, --interval seconds apart;
+                                an interrupted run resumes with the remaining slices
+  watch <file>                  Watch the price-triggered orders of a JSON file and swap when
+                                one triggers; Ctrl-C stops watching
+  rebalance                     Rebalance the wallet from --base/--target entries, --file,
+                                or to the target weights in --allocation
+  schedule <file>               Rebalance the portfolios of a JSON file on their cron schedules
+                                until Ctrl-C; runs within maxDeviationFromTarget are skipped
+  schedule-status <file>        Show the last and next run of each portfolio and recent outcomes
+  enzyme-swap <sell> <buy> <amount>
+                                Swap tokens held by an Enzyme vault (--vault) as its manager
+  enzyme-rebalance              Rebalance an Enzyme vault to --target weights, selling its
+                                tracked assets (or --base entries)
+  balances <token...>           Show token balances of the wallet
+  journal [runId]               List recent runs from the trade journal and their status,
+                                or every record of one run
+  sign <file>                   Sign the transactions of an --unsigned export with the keystore
+                                (KEYSTORE_PATH); works offline
+  broadcast <file>              Send the signed transactions of a file in order, skipping mined ones
+
+Tokens are symbols (USDC), addresses, or ETH for the chain's native token; amounts are
+human-readable (1.5).
+
+Options:
+  --chain <name|id>         Chain from the registry (default: CHAIN_ID or ethereum)
+  --slippage-bps <bps>      Maximum slippage in basis points
+  --approval <strategy>     Approval strategy: exact, buffer or unlimited (permit and permit2
+                            need a permitRelayer signer, which only the library takes)
+  --dry-run                 Simulate with eth_call, do not approve or send
+  --wrap                    Swap native ETH as WETH: wrap before selling, unwrap after buying
+  --json                    Print the result as JSON on stdout
+  --taker <address>         Taker for quotes (default: the configured signer's address)
+  --wallet <address>        Wallet for balances (default: the configured signer's address)
+  --base <token:amount>     Token and amount to sell, repeatable
+  --target <token:weight>   Token and allocation to buy, repeatable
+  --file <path>             JSON file with baseEntries and targetEntries
+  --allocation <path>       JSON file of token → weight; sell amounts come from the wallet's holdings
+  --drift <fraction>        Only rebalance --allocation when a weight is off by more than this (default: 0.01)
+  --slices <n>              Number of twap swaps
+  --interval <seconds>      Time between twap swaps, or between watch quotes (default: 30)
+  --max-impact-bps <bps>    Maximum price impact of each twap swap (default: 100)
+  --reference-price <price> twap pauses while a quote pays less than this many buy tokens per
+                            sell token (default: the first swap's price)
+  --max-deviation-bps <bps> How far below the reference price twap still trades (default: 200)
+  --max-cost-bps <bps>      Abort rebalance or enzyme-rebalance when value loss, gas and protocol
+                            fees are above this share of the sell value; not executable
+                            rebalancings and tokens without a price pair always abort
+  --plan <path>             Write the rebalance plan to a .json, .csv or .md file before sending
+  -y, --yes                 Send rebalance or enzyme-rebalance without asking for confirmation
+  --async                   Request the rebalancing as an async job and poll for it; an interrupted
+                            run resumes the same job (ids kept in JOB_STORE_PATH or .31third/jobs.json)
+  --vault <address>         Enzyme vault (default: ENZYME_VAULT)
+  --manager <address>       Enzyme vault manager (default: ENZYME_MANAGER or the configured signer)
+  --adapter <address>       31Third adapter for Enzyme calls (default: the API's transaction target)
+  --unsigned                Export swap, rebalance or the enzyme commands' manager transaction as
+                            unsigned transactions (nonce, fees, chain id) for sign/broadcast
+  --safe <address>          Build swap or rebalance as a Safe Transaction Builder batch (approvals
+                            plus trade) for this Safe instead of signing
+  --output <path>           File the Safe batch, unsigned or signed transactions are written to
+                            (default: printed)
+  --limit <n>               Runs listed by journal (default: 20), or outcomes per portfolio
+                            listed by schedule-status (default: 5)
+  --check                   Look up receipts of journal transactions that have no outcome yet
+  -h, --help                Show this help
+`;
+
+const OPTIONS = {
+  chain: { type: "string" },
+  "slippage-bps": { type: "string" },
+  approval: { type: "string" },
+  "dry-run": { type: "boolean", default: false },
+  json: { type: "boolean", default: false },
+  taker: { type: "string" },
+  wallet: { type: "string" },
+  base: { type: "string", multiple: true, default: [] },
+  target: { type: "string", multiple: true, default: [] },
+  file: { type: "string" },
+  allocation: { type: "string" },
+  drift: { type: "string" },
+  async: { type: "boolean", default: false },
+  "max-cost-bps": { type: "string" },
+  plan: { type: "string" },
+  yes: { type: "boolean", short: "y", default: false },
+  slices: { type: "string" },
+  interval: { type: "string" },
+  "max-impact-bps": { type: "string" },
+  "reference-price": { type: "string" },
+  "max-deviation-bps": { type: "string" },
+  vault: { type: "string" },
+  manager: { type: "string" },
+  adapter: { type: "string" },
+  unsigned: { type: "boolean", default: false },
+  wrap: { type: "boolean", default: false },
+  safe: { type: "string" },
+  output: { type: "string" },
+  limit: { type: "string" },
+  check: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false }
+};
+
+/**
+ * Logger that keeps stdout clean for --json output
+ */
+const stderrLogger = {
+  log: (...args) => console.error(...args),
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args)
+};
+
+/**
+ * JSON.stringify replacer printing BigNumbers as decimal strings
+ */
+function jsonReplacer(key, value) {
+  if (value && value.type === "BigNumber" && value.hex) {
+    return ethers.BigNumber.from(value.hex).toString();
+  }
+  return value;
+}
+
+/**
+ * Resolve a token argument and parse a human-readable amount with its decimals
+ */
+async function resolveTokenAmount(client, tokenArg, amount) {
+  const token = await client.tokenRegistry.getMetadata(tokenArg);
+  return { ...token, amount: ethers.utils.parseUnits(String(amount), token.decimals) };
+}
+
+function parseSlippageBps(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const bps = Number(value);
+  if (!Number.isInteger(bps) || bps < 0 || bps > 10000) {
+    throw new Error(`--slippage-bps must be an integer between 0 and 10000, got "${value}"`);
+  }
+  return bps;
+}
+
+/**
+ * Split "TOKEN:value" flag entries
+ */
+function parsePair(entry, flag) {
+  const index = entry.lastIndexOf(":");
+  if (index <= 0 || index === entry.length - 1) {
+    throw new Error(`Invalid --${flag} entry "${entry}", expected <token>:<value>`);
+  }
+  return [entry.slice(0, index), entry.slice(index + 1)];
+}
+
+/**
+ * Read rebalancing entries from --base/--target flags or a JSON file.
+ * File format: { baseEntries: [{ token, amount }], targetEntries: [{ token, allocation }] }
+ */
+function readRebalanceEntries(values, { requireBase = true } = {}) {
+  let base = values.base.map(entry => {
+    const [token, amount] = parsePair(entry, "base");
+    return { token, amount };
+  });
+  let target = values.target.map(entry => {
+    const [token, allocation] = parsePair(entry, "target");
+    return { token, allocation: Number(allocation) };
+  });
+
+  if (values.file) {
+    const plan = JSON.parse(fs.readFileSync(values.file, "utf8"));
+    const fromFile = (entries = []) => entries.map(entry => ({
+      ...entry,
+      token: entry.token || entry.tokenAddress
+    }));
+    base = base.concat(fromFile(plan.baseEntries));
+    target = target.concat(fromFile(plan.targetEntries));
+  }
+
+  if ((requireBase && base.length === 0) || target.length === 0) {
+    throw new Error(
+      requireBase
+        ? "rebalance needs at least one base and one target entry (--base/--target or --file)"
+        : "enzyme-rebalance needs at least one target entry (--target or --file)"
+    );
+  }
+
+  return { base, target };
+}
+
+async function runQuote(client, positionals, values) {
+  const [sell, buy, amount] = positionals;
+  if (!sell || !buy || !amount) {
+    throw new Error("quote needs <sell> <buy> <amount>");
+  }
+
+  const taker = values.taker || (client.signer && client.signer.address);
+  if (!taker) {
+    throw new Error("quote needs --taker or a configured signer to know the taker address");
+  }
+
+  const sellToken = await resolveTokenAmount(client, sell, amount);
+  const buyToken = client.tokenRegistry.resolve(buy);
+
+  const request = {
+    sellToken: sellToken.address,
+    buyToken: buyToken.address,
+    sellAmount: sellToken.amount,
+    taker,
+    txOrigin: taker,
+    maxSlippageBps: parseSlippageBps(values["slippage-bps"])
+  };
+  client.beginRun("quote", request);
+  const quoteData = await client.getSwapQuote(request);
+  client.endRun();
+
+  client.logger.log(`Quote: ${quoteData.sellToken.symbol} → ${quoteData.buyToken.symbol}`);
+  client.logger.log(`Sell amount: ${ethers.utils.formatUnits(quoteData.sellAmount, quoteData.sellToken.decimals)} ${quoteData.sellToken.symbol}`);
+  client.logger.log(`Buy amount: ${ethers.utils.formatUnits(quoteData.buyAmount, quoteData.buyToken.decimals)} ${quoteData.buyToken.symbol}`);
+  client.logger.log(`Rate: 1 ${quoteData.sellToken.symbol} = ${quoteData.price} ${quoteData.buyToken.symbol}`);
+  client.logger.log(`Expires at: ${quoteData.expiresAt}`);
+
+  return quoteData;
+}
+
+async function runSwap(client, positionals, values) {
+  const [sell, buy, amount] = positionals;
+  if (!sell || !buy || !amount) {
+    throw new Error("swap needs <sell> <buy> <amount>");
+  }
+
+  const sellToken = await resolveTokenAmount(client, sell, amount);
+  const buyToken = client.tokenRegistry.resolve(buy);
+
+  if (values.safe) {
+    return swapFromSafe({
+      client,
+      safe: values.safe,
+      sellToken: sellToken.address,
+      buyToken: buyToken.address,
+      sellAmount: sellToken.amount,
+      maxSlippageBps: parseSlippageBps(values["slippage-bps"]),
+      output: values.output
+    });
+  }
+
+  return swapWithThirtyOneThird({
+    client,
+    sellToken: sellToken.address,
+    buyToken: buyToken.address,
+    sellAmount: sellToken.amount,
+    maxSlippageBps: parseSlippageBps(values["slippage-bps"]),
+    wrapNative: values.wrap,
+    dryRun: values["dry-run"],
+    unsigned: values.unsigned,
+    output: values.output
+  });
+}
+
+/**
+ * Parse a flag that must be a non-negative number, or an integer for `integer`
+ */
+function parseNumber(value, flag, { integer = false } = {}) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    throw new Error(`--${flag} must be a non-negative ${integer ? "integer" : "number"}, got "${value}"`);
+  }
+  return number;
+}
+
+async function runTwap(client, positionals, values) {
+  const [sell, buy, amount] = positionals;
+  if (!sell || !buy || !amount) {
+    throw new Error("twap needs <sell> <buy> <amount>");
+  }
+  if (values.slices === undefined || values.interval === undefined) {
+    throw new Error("twap needs --slices and --interval");
+  }
+  if (values["dry-run"] || values.unsigned || values.safe) {
+    throw new Error("twap sends its swaps as they come due; --dry-run, --unsigned and --safe are not supported");
+  }
+
+  const sellToken = await resolveTokenAmount(client, sell, amount);
+  const controller = new AbortController();
+  const stop = () => {
+    client.logger.log("Stopping after this slice...");
+    controller.abort();
+  };
+  process.once("SIGINT", stop);
+  try {
+    return await executeTwap({
+      client,
+      sellToken: sellToken.address,
+      buyToken: client.tokenRegistry.resolve(buy).address,
+      totalAmount: sellToken.amount,
+      slices: parseNumber(values.slices, "slices", { integer: true }),
+      intervalMs: parseNumber(values.interval, "interval") * 1000,
+      maxSlippageBps: parseSlippageBps(values["slippage-bps"]),
+      maxPriceImpactBps: parseNumber(values["max-impact-bps"], "max-impact-bps", { integer: true }),
+      referencePrice: parseNumber(values["reference-price"], "reference-price"),
+      maxPriceDeviationBps: parseNumber(values["max-deviation-bps"], "max-deviation-bps", { integer: true }),
+      wrapNative: values.wrap,
+      jobStore: new JobStore(process.env.JOB_STORE_PATH || undefined),
+      signal: controller.signal
+    });
+  } finally {
+    process.removeListener("SIGINT", stop);
+  }
+}
+
+/**
+ * Watch the orders of a JSON file: an array of orders or { orders }, see watchConditionalOrders
+ */
+async function runWatch(client, positionals, values) {
+  const [file] = positionals;
+  if (!file) {
+    throw new Error("watch needs <file>");
+  }
+  if (values.unsigned || values.safe) {
+    throw new Error("watch sends its swaps as they trigger; --unsigned and --safe are not supported");
+  }
+
+  const content = JSON.parse(fs.readFileSync(file, "utf8"));
+  const orders = Array.isArray(content) ? content : content.orders;
+  const interval = parseNumber(values.interval, "interval");
+  const controller = new AbortController();
+  const stop = () => {
+    client.logger.log("Stopping after this round...");
+    controller.abort();
+  };
+  process.once("SIGINT", stop);
+  try {
+    return await watchConditionalOrders({
+      client,
+      orders: (orders || []).map(order => ({ maxSlippageBps: parseSlippageBps(values["slippage-bps"]), ...order })),
+      pollIntervalMs: interval === undefined ? undefined : interval * 1000,
+      dryRun: values["dry-run"],
+      signal: controller.signal
+    });
+  } finally {
+    process.removeListener("SIGINT", stop);
+  }
+}
+
+/**
+ * Resolve rebalancing entries to token addresses and wei amounts
+ */
+async function resolveRebalanceEntries(client, { base, target }) {
+  const baseEntries = [];
+  for (const entry of base) {
+    const token = await resolveTokenAmount(client, entry.token, entry.amount);
+    baseEntries.push({ tokenAddress: token.address, amount: token.amount.toString() });
+  }
+
+  const targetEntries = target.map(entry => ({
+    tokenAddress: client.tokenRegistry.resolve(entry.token).address,
+    allocation: entry.allocation
+  }));
+
+  return { baseEntries, targetEntries };
+}
+
+async function runRebalance(client, values) {
+  if (values.allocation) {
+    if (values.safe) {
+      throw new Error("--safe needs --base/--target entries or --file, not --allocation");
+    }
+    return runAllocationRebalance(client, values);
+  }
+
+  const { baseEntries, targetEntries } = await resolveRebalanceEntries(client, readRebalanceEntries(values));
+
+  const slippageBps = parseSlippageBps(values["slippage-bps"]);
+
+  if (values.safe) {
+    return rebalanceSafe({
+      client,
+      safe: values.safe,
+      baseEntries,
+      targetEntries,
+      maxSlippage: slippageBps === undefined ? undefined : slippageBps / 10000,
+      output: values.output
+    });
+  }
+
+  return executeWalletRebalancing({
+    client,
+    baseEntries,
+    targetEntries,
+    maxSlippage: slippageBps === undefined ? undefined : slippageBps / 10000,
+    dryRun: values["dry-run"],
+    unsigned: values.unsigned,
+    output: values.output,
+    ...asyncJobOptions(values),
+    ...guardrailOptions(values)
+  });
+}
+
+/**
+ * Guardrails, plan export and, unless --yes, a confirmation on the terminal before sending
+ */
+function guardrailOptions(values) {
+  const options = {
+    guardrails: { maxCostBps: parseNumber(values["max-cost-bps"], "max-cost-bps", { integer: true }) },
+    planOutput: values.plan
+  };
+  if (!values.yes) {
+    options.confirm = plan => {
+      const { sellValueInUsd, totalCostInUsd, costBps } = plan.costs;
+      const share = costBps === undefined ? "" : ` (${(costBps / 100).toFixed(2)}%)`;
+      return promptConfirmation(
+        `Send ${plan.trades.length} trade(s) selling $${sellValueInUsd.toFixed(2)} ` +
+        `for an estimated $${totalCostInUsd.toFixed(2)} in costs${share}?`
+      );
+    };
+  }
+  return options;
+}
+
+function asyncJobOptions(values) {
+  return values.async
+    ? { async: true, jobStore: new JobStore(process.env.JOB_STORE_PATH || undefined) }
+    : {};
+}
+
+async function runAllocationRebalance(client, values) {
+  const driftThreshold = values.drift === undefined ? undefined : Number(values.drift);
+  if (driftThreshold !== undefined && !(driftThreshold >= 0 && driftThreshold < 1)) {
+    throw new Error(`--drift must be a fraction between 0 and 1, got "${values.drift}"`);
+  }
+  const slippageBps = parseSlippageBps(values["slippage-bps"]);
+
+  return rebalanceToTarget({
+    client,
+    targets: readTargetAllocation(values.allocation, client.chain),
+    driftThreshold,
+    maxSlippage: slippageBps === undefined ? undefined : slippageBps / 10000,
+    dryRun: values["dry-run"],
+    unsigned: values.unsigned,
+    output: values.output,
+    ...asyncJobOptions(values),
+    ...guardrailOptions(values)
+  });
+}
+
+async function runEnzymeSwap(client, positionals, values) {
+  const [sell, buy, amount] = positionals;
+  if (!sell || !buy || !amount) {
+    throw new Error("enzyme-swap needs <sell> <buy> <amount>");
+  }
+
+  const vault = values.vault || process.env.ENZYME_VAULT;
+  if (!vault) {
+    throw new Error("enzyme-swap needs --vault or ENZYME_VAULT");
+  }
+
+  const sellToken = await resolveTokenAmount(client, sell, amount);
+  const buyToken = client.tokenRegistry.resolve(buy);
+
+  return swapFromEnzymeVault({
+    client,
+    vault,
+    manager: values.manager || process.env.ENZYME_MANAGER,
+    sellToken: sellToken.address,
+    buyToken: buyToken.address,
+    sellAmount: sellToken.amount,
+    maxSlippageBps: parseSlippageBps(values["slippage-bps"]),
+    adapter: values.adapter,
+    unsigned: values.unsigned,
+    output: values.output,
+    dryRun: values["dry-run"]
+  });
+}
+
+async function runEnzymeRebalance(client, values) {
+  const vault = values.vault || process.env.ENZYME_VAULT;
+  if (!vault) {
+    throw new Error("enzyme-rebalance needs --vault or ENZYME_VAULT");
+  }
+
+  const { baseEntries, targetEntries } = await resolveRebalanceEntries(
+    client,
+    readRebalanceEntries(values, { requireBase: false })
+  );
+  const slippageBps = parseSlippageBps(values["slippage-bps"]);
+
+  return rebalanceEnzymeVault({
+    client,
+    vault,
+    manager: values.manager || process.env.ENZYME_MANAGER,
+    targetEntries,
+    baseEntries: baseEntries.length > 0 ? baseEntries : undefined,
+    maxSlippage: slippageBps === undefined ? undefined : slippageBps / 10000,
+    adapter: values.adapter,
+    unsigned: values.unsigned,
+    output: values.output,
+    dryRun: values["dry-run"],
+    ...guardrailOptions(values)
+  });
+}
+
+async function runBalances(client, positionals, values) {
+  if (positionals.length === 0) {
+    throw new Error("balances needs at least one token");
+  }
+
+  const wallet = values.wallet || (client.signer && client.signer.address);
+  if (!wallet) {
+    throw new Error("balances needs --wallet or a configured signer to know the wallet address");
+  }
+
+  const tokens = positionals.map(token => client.tokenRegistry.resolve(token).address);
+  return client.checkBalances(wallet, tokens);
+}
+
+/**
+ * List recent runs of the trade journal, or the records of one run. With --check, receipts of
+ * transactions sent on --chain without a recorded outcome are looked up and recorded first.
+ */
+async function runJournal(positionals, values, { createClient, logger }) {
+  const [runId] = positionals;
+  const limit = values.limit === undefined ? undefined : Number(values.limit);
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    throw new Error(`--limit must be a positive integer, got "${values.limit}"`);
+  }
+
+  const journal = journalFromEnv();
+  if (!journal) {
+    throw new Error("The trade journal is disabled (JOURNAL=off)");
+  }
+
+  if (values.check) {
+    const client = createClient({ chain: values.chain, logger, requireSigner: false, requireAllowedTargets: false });
+    const checked = await checkJournalTransactions(journal, client._requireProvider(), {
+      runId,
+      limit,
+      chain: client.chain.name
+    });
+    checked.forEach(({ hash, receipt }) => {
+      logger.log(receipt
+        ? `${hash}: mined in block ${receipt.blockNumber}${receipt.status === 0 ? " (reverted)" : ""}`
+        : `${hash}: no receipt yet, still pending or dropped`);
+    });
+  }
+
+  if (runId) {
+    const records = journal.read({ runId });
+    if (records.length === 0) {
+      throw new Error(`No journal records for run ${runId}`);
+    }
+    records.forEach(record => {
+      const { time, type, runId: id, ...data } = record;
+      logger.log(`${time} ${type} ${JSON.stringify(data)}`);
+    });
+    return records;
+  }
+
+  const runs = journal.runs({ limit });
+  if (runs.length === 0) {
+    logger.log(`No runs in ${journal.filePath}`);
+  }
+  runs.forEach(run => {
+    logger.log(`${run.startedAt} ${run.runId} ${run.kind} ${run.status}${run.dryRun ? " (dry run)" : ""}`);
+    run.transactions.forEach(transaction => {
+      const block = transaction.blockNumber !== undefined ? ` in block ${transaction.blockNumber}` : "";
+      logger.log(`  ${transaction.purpose || "transaction"} ${transaction.hash} ${transaction.status}${block}`);
+    });
+    if (run.error && run.status !== "completed") {
+      logger.log(`  error: ${run.error.message}`);
+    }
+  });
+  return runs;
+}
+
+function readSchedules(positionals, command) {
+  const [file] = positionals;
+  if (!file) {
+    throw new Error(`${command} needs <file>`);
+  }
+  return readPortfolioSchedules(file);
+}
+
+function scheduleJobStore() {
+  return new JobStore(process.env.JOB_STORE_PATH || undefined);
+}
+
+/**
+ * Run the rebalancing daemon until Ctrl-C; every portfolio gets a client for its own chain and keystore
+ */
+async function runSchedule(positionals, values, { createClient, logger }) {
+  const portfolios = readSchedules(positionals, "schedule");
+  if (values.unsigned || values.safe) {
+    throw new Error("schedule sends its rebalancings as they come due; --unsigned and --safe are not supported");
+  }
+
+  const controller = new AbortController();
+  const stop = () => {
+    logger.log("Stopping after the current run...");
+    controller.abort();
+  };
+  process.once("SIGINT", stop);
+  try {
+    await runRebalanceDaemon({
+      portfolios,
+      createClient: portfolio => createClient({
+        chain: portfolio.chain || values.chain,
+        logger,
+        env: portfolioEnv(portfolio),
+        approvalOptions: values.approval ? { strategy: values.approval } : undefined
+      }),
+      jobStore: scheduleJobStore(),
+      dryRun: values["dry-run"],
+      signal: controller.signal,
+      logger
+    });
+  } finally {
+    process.removeListener("SIGINT", stop);
+  }
+}
+
+function runScheduleStatus(positionals, values, { logger }) {
+  const limit = values.limit === undefined ? 5 : Number(values.limit);
+  if (!(Number.isInteger(limit) && limit > 0)) {
+    throw new Error(`--limit must be a positive integer, got "${values.limit}"`);
+  }
+
+  const statuses = scheduleStatus(readSchedules(positionals, "schedule-status"), { jobStore: scheduleJobStore() });
+  const describe = run => {
+    const drift = run.drift !== undefined ? ` (drift ${(run.drift * 100).toFixed(2)}%)` : "";
+    const detail = run.transactionHash || run.error || "";
+    return `${run.startedAt} ${run.outcome}${drift}${detail ? ` ${detail}` : ""}`;
+  };
+  statuses.forEach(status => {
+    logger.log(`${status.name} (${status.schedule})${status.running ? ` running since ${status.running.startedAt}` : ""}`);
+    logger.log(`  last run: ${status.lastRun ? describe(status.lastRun) : "never"}`);
+    logger.log(`  next run: ${status.nextRun}`);
+    status.history.slice(-limit).reverse().forEach(run => logger.log(`    ${describe(run)}`));
+  });
+  return statuses;
+}
+
+/**
+ * Sign an unsigned transaction file with the signer from the environment. No provider is
+ * needed, so this runs on an offline machine.
+ */
+async function runSign(positionals, values, { signer = signerFromEnv(), logger }) {
+  const [filePath] = positionals;
+  if (!filePath) {
+    throw new Error("sign needs <file>");
+  }
+  if (!signer || signer instanceof ethers.VoidSigner) {
+    throw new Error("sign needs a keystore (KEYSTORE_PATH) or PRIVATE_KEY");
+  }
+
+  const signed = await signTransactionFile(signer, readTransactionFile(filePath));
+  const output = values.output || filePath.replace(/(\.json)?$/, ".signed.json");
+  writeTransactionFile(output, signed);
+  logger.log(`Signed ${signed.transactions.length} transaction(s), written to ${output}`);
+  return signed;
+}
+
+/**
+ * Broadcast a signed transaction file on --chain and record the transactions in the journal
+ */
+async function runBroadcast(positionals, values, { createClient, logger }) {
+  const [filePath] = positionals;
+  if (!filePath) {
+    throw new Error("broadcast needs <file>");
+  }
+
+  const file = readTransactionFile(filePath);
+  const client = createClient({ chain: values.chain, logger, requireSigner: false, requireAllowedTargets: false });
+  client.beginRun("broadcast", { file: filePath, from: file.from });
+  // No signer is needed to broadcast, so there may be no client.sender to read this from
+  const { confirmations = 1 } = transactionOptionsFromEnv();
+  const receipts = await broadcastTransactionFile(client._requireProvider(), file, {
+    confirmations,
+    logger,
+    onEvent: (type, data) => client.recordEvent(type, data)
+  });
+  client.endRun({ transactionHashes: receipts.map(receipt => receipt.transactionHash) });
+  return receipts;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @param {Object} [deps] - Overrides for tests
+ * @param {Function} [deps.createClient=createClientFromEnv] - Client factory
+ * @param {ethers.Signer} [deps.signer] - Signer for the sign command, read from the environment when omitted
+ * @returns {Promise<number>} - Process exit code
+ */
+async function run(argv, { createClient = createClientFromEnv, signer } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...args] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  if (![
+    "quote", "swap", "twap", "watch", "rebalance", "schedule", "schedule-status", "balances",
+    "enzyme-swap", "enzyme-rebalance", "journal", "sign", "broadcast"
+  ].includes(command)) {
+    console.error(`Unknown command "${command}"`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  const logger = values.json ? stderrLogger : console;
+
+  try {
+    if (command === "journal") {
+      const runs = await runJournal(args, values, { createClient, logger });
+      if (values.json) {
+        console.log(JSON.stringify(runs, null, 2));
+      }
+      return 0;
+    }
+    if (command === "schedule" || command === "schedule-status") {
+      const result = command === "schedule"
+        ? await runSchedule(args, values, { createClient, logger })
+        : runScheduleStatus(args, values, { logger });
+      if (values.json) {
+        console.log(JSON.stringify(result === undefined ? null : result, jsonReplacer, 2));
+      }
+      return 0;
+    }
+    if (command === "sign" || command === "broadcast") {
+      const result = command === "sign"
+        ? await runSign(args, values, { signer, logger })
+        : await runBroadcast(args, values, { createClient, logger });
+      if (values.json) {
+        console.log(JSON.stringify(result, jsonReplacer, 2));
+      }
+      return 0;
+    }
+
+    const readOnly = command === "quote" || command === "balances";
+    const managerOnly = command.startsWith("enzyme-") && (values.unsigned || values["dry-run"]);
+    const safeBatch = Boolean(values.safe) && (command === "swap" || command === "rebalance");
+    if (safeBatch && values["dry-run"]) {
+      throw new Error("--safe only builds the batch, nothing is sent; leave out --dry-run");
+    }
+    if (values.unsigned && !command.startsWith("enzyme-") && (values["dry-run"] || values.safe)) {
+      throw new Error("--unsigned can't be combined with --dry-run or --safe");
+    }
+    const client = createClient({
+      chain: values.chain,
+      logger,
+      requireSigner: !(readOnly && (values.taker || values.wallet)) && !managerOnly && !safeBatch,
+      requireAllowedTargets: !readOnly,
+      approvalOptions: values.approval ? { strategy: values.approval } : undefined
+    });
+
+    let result;
+    switch (command) {
+      case "quote":
+        result = await runQuote(client, args, values);
+        break;
+      case "swap":
+        result = await runSwap(client, args, values);
+        break;
+      case "twap":
+        result = await runTwap(client, args, values);
+        break;
+      case "watch":
+        result = await runWatch(client, args, values);
+        break;
+      case "rebalance": {
+        const rebalance = () => runRebalance(client, values);
+        // Sending from the wallet takes its lock, so it never overlaps a scheduled rebalance
+        result = values.safe || values.unsigned || values["dry-run"]
+          ? await rebalance()
+          : await withWalletLock(client, { jobStore: scheduleJobStore(), holder: { command: "rebalance" } }, rebalance);
+        break;
+      }
+      case "balances":
+        result = await runBalances(client, args, values);
+        break;
+      case "enzyme-swap":
+        result = await runEnzymeSwap(client, args, values);
+        break;
+      case "enzyme-rebalance":
+        result = await runEnzymeRebalance(client, values);
+        break;
+    }
+
+    if (values.json) {
+      console.log(JSON.stringify(result === undefined ? null : result, jsonReplacer, 2));
+    } else {
+      logger.log(`✅ ${command} completed${values["dry-run"] ? " (dry run)" : ""}`);
+    }
+    return 0;
+  } catch (error) {
+    logger.error(`❌ ${command} failed:`, error.message);
+    return 1;
+  }
+}
+
+module.exports = { run, USAGE };
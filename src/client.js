@@ -0,0 +1,913 @@
+const { ethers } = require("ethers");
+const { getChain, isNativeToken } = require("./chains");
+const { TokenRegistry, decodeTokenSymbol } = require("./tokens");
+const { MULTICALL3_ADDRESS, isMulticallDeployed, aggregate } = require("./multicall");
+const { simulateTransaction } = require("./simulation");
+const { TransactionSender } = require("./transaction-sender");
+const { NonceManager } = require("./nonce-manager");
+const { TransactionRevertedError, InsufficientFundsError } = require("./errors");
+const { DEFAULT_REQUEST_OPTIONS, requestWithRetry } = require("./api-request");
+const { DEFAULT_MAX_SLIPPAGE_BPS, validateSwapQuote, validateRebalancing } = require("./quote-validation");
+const {
+  PERMIT2_ADDRESS,
+  PERMIT2_ABI,
+  APPROVAL_STRATEGIES,
+  DEFAULT_APPROVAL_OPTIONS,
+  getApprovalAmount,
+  requiresResetToZero,
+  signErc2612Permit,
+  signPermit2
+} = require("./approvals");
+
+// ABI for the ERC20 functions used by the client
+const ERC20_ABI = [
+  "function approve(address spender, uint256 amount) external returns (bool)",
+  "function allowance(address owner, address spender) external view returns (uint256)",
+  "function balanceOf(address account) external view returns (uint256)",
+  "function decimals() external view returns (uint8)",
+  "function symbol() external view returns (string)"
+];
+
+// ABI for wrapping and unwrapping the native token (WETH9)
+const WRAPPED_NATIVE_ABI = [
+  "function deposit() external payable",
+  "function withdraw(uint256 amount) external"
+];
+
+const erc20Interface = new ethers.utils.Interface(ERC20_ABI);
+
+const DEFAULT_BASE_URL = "https://api.31third.com/0.1";
+
+// Native balance a swap or rebalance leaves in the wallet to pay for gas
+const DEFAULT_GAS_RESERVE = ethers.utils.parseEther("0.01");
+
+// How far a rebalancing may leave the wallet off its target allocation
+const DEFAULT_MAX_DEVIATION_FROM_TARGET = 0.005;
+
+/**
+ * The 31Third API's calldata can't carry a permit signature, so the signed permit has to be
+ * submitted separately. Sent by the owner it would only be a costlier approve(), so the
+ * permit strategies need a permitRelayer.
+ */
+function assertPermitRelayer(options) {
+  if (!options.permitRelayer) {
+    throw new Error(
+      `The ${options.strategy} approval strategy needs a permitRelayer signer to submit the permit; ` +
+      "use exact, buffer or unlimited approvals otherwise"
+    );
+  }
+}
+
+/**
+ * Client for the 31Third API and the on-chain steps around it
+ * (allowances, balances). Holds the API credentials, the target chain
+ * and the provider/signer so callers don't have to pass them around.
+ */
+class ThirtyOneThirdClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - 31Third API key
+   * @param {string|number} [options.chain="ethereum"] - Chain name or id from the chain registry
+   * @param {string} [options.chainId] - Alias for `chain`, kept for hex chain ids like "0x1"
+   * @param {string} [options.baseUrl] - API base url
+   * @param {ethers.providers.Provider} [options.provider] - RPC provider
+   * @param {ethers.Signer} [options.signer] - Signer used for approvals and trades
+   * @param {Object} [options.logger=console] - Logger with log/warn/error methods
+   * @param {Object} [options.transactionOptions] - Fee caps, confirmations and nonceManager for the TransactionSender
+   * @param {Object} [options.approvalOptions] - Approval strategy and its settings, see DEFAULT_APPROVAL_OPTIONS
+   * @param {string[]} [options.allowedTargets] - 31Third contracts transactions may target, on top of the chain registry's
+   * @param {Object} [options.requestOptions] - API timeout, retries, backoff and a default AbortSignal, see DEFAULT_REQUEST_OPTIONS
+   * @param {TradeJournal} [options.journal] - Journal recording quotes, approvals and transactions of every run
+   * @param {TokenRegistry} [options.tokenRegistry] - Symbols and cached metadata of the chain's tokens,
+   *   defaults to the built-in list without a cache file
+   * @param {ethers.BigNumberish} [options.gasReserve=0.01 ETH] - Native balance that selling the native token must leave for gas
+   * @param {string|false} [options.multicallAddress] - Multicall3 contract batching balance and allowance reads,
+   *   defaults to the canonical deployment; false reads one call at a time
+   */
+  constructor({
+    apiKey,
+    chain,
+    chainId,
+    baseUrl = DEFAULT_BASE_URL,
+    provider,
+    signer,
+    logger = console,
+    transactionOptions = {},
+    approvalOptions = {},
+    allowedTargets = [],
+    requestOptions = {},
+    journal,
+    tokenRegistry,
+    gasReserve = DEFAULT_GAS_RESERVE,
+    multicallAddress = MULTICALL3_ADDRESS
+  } = {}) {
+    if (!apiKey) {
+      throw new Error("apiKey is required");
+    }
+
+    this.apiKey = apiKey;
+    this.chain = getChain(chain || chainId || "ethereum");
+    this.chainId = this.chain.hexChainId;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.signer = signer;
+    this.provider = provider || (signer && signer.provider);
+    this.logger = logger;
+    this.allowedTargets = allowedTargets;
+    this.requestOptions = { ...DEFAULT_REQUEST_OPTIONS, ...requestOptions };
+    this.journal = journal;
+    this.runId = undefined;
+    this.tokenRegistry = tokenRegistry || new TokenRegistry({ chain: this.chain, provider: this.provider });
+    this.gasReserve = ethers.BigNumber.from(gasReserve);
+    this.multicallAddress = multicallAddress;
+    this._multicall = undefined;
+    const onEvent = (type, data) => this.recordEvent(type, data);
+    this.nonceManager = signer
+      ? transactionOptions.nonceManager || new NonceManager({ signer, provider: this.provider, logger, onEvent })
+      : undefined;
+    this.sender = signer
+      ? new TransactionSender({
+        signer,
+        provider: this.provider,
+        logger,
+        ...transactionOptions,
+        nonceManager: this.nonceManager,
+        onEvent
+      })
+      : undefined;
+    this.approvalOptions = { ...DEFAULT_APPROVAL_OPTIONS, ...approvalOptions };
+    if (!APPROVAL_STRATEGIES.includes(this.approvalOptions.strategy)) {
+      throw new Error(
+        `Unknown approval strategy "${this.approvalOptions.strategy}", expected one of ${APPROVAL_STRATEGIES.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Start a run in the journal. Quotes, approvals and transactions recorded until the next
+   * beginRun are linked to it. Without a journal this does nothing.
+   * @param {string} kind - What the run does, like "swap" or "rebalance"
+   * @param {Object} [details] - Parameters of the run
+   * @returns {string|undefined} - Run id
+   */
+  beginRun(kind, details = {}) {
+    if (!this.journal) {
+      return undefined;
+    }
+    this.runId = this._safeRecord(() => this.journal.startRun(kind, { chain: this.chain.name, ...details }));
+    return this.runId;
+  }
+
+  /**
+   * Record the outcome of the current run and close it
+   * @param {Object} [data] - Outcome, like { transactionHash, report } or { dryRun: true }
+   */
+  endRun(data = {}) {
+    this.recordEvent("run.completed", data);
+    this.runId = undefined;
+  }
+
+  /**
+   * Record an event of the current run in the journal, starting a "session" run when none is open.
+   * Journal write errors are logged but never fail the trade.
+   * @param {string} type - Record type, like "quote.received"
+   * @param {Object} [data] - Record fields
+   */
+  recordEvent(type, data = {}) {
+    if (!this.journal) {
+      return;
+    }
+    if (!this.runId) {
+      this.beginRun("session");
+    }
+    this._safeRecord(() => this.journal.record(this.runId, type, data));
+  }
+
+  _safeRecord(write) {
+    try {
+      return write();
+    } catch (error) {
+      this.logger.warn(`Cannot write to the trade journal: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Get a swap quote from 31Third API. Quotes are idempotent and retried on rate limits,
+   * 5xx responses, timeouts and network errors; `signal` cancels the request and its retries.
+   */
+  async getSwapQuote({
+    sellToken,
+    buyToken,
+    sellAmount,
+    taker,
+    txOrigin,
+    maxSlippageBps = DEFAULT_MAX_SLIPPAGE_BPS,
+    maxPriceImpactBps = 10000,
+    minExpirySec = 60,
+    skipSimulation = false,
+    skipChecks = true,
+    encodingType = "basic",
+    signal
+  }) {
+    const params = {
+      sellToken,
+      buyToken,
+      sellAmount: sellAmount.toString(),
+      taker,
+      txOrigin,
+      maxSlippageBps,
+      maxPriceImpactBps,
+      minExpirySec,
+      skipSimulation,
+      skipChecks,
+      encodingType
+    };
+
+    return this._recordRequest("quote", params, () => this._request("get", "/swap/quote", { params, idempotent: true, signal }));
+  }
+
+  /**
+   * Request a wallet rebalancing from 31Third API. Only rate limits are retried,
+   * since a failed request may still have created a rebalancing.
+   */
+  async requestWalletRebalancing({
+    signer,
+    wallet,
+    baseEntries,
+    targetEntries,
+    maxDeviationFromTarget = DEFAULT_MAX_DEVIATION_FROM_TARGET,
+    maxSlippage = 0.01,
+    maxPriceImpact = 0.05,
+    batchTrade = true,
+    revertOnError = true,
+    skipBalanceValidation = false,
+    failOnMissingPricePair = true,
+    async = false,
+    encodingType,
+    signal
+  }) {
+    const requestBody = {
+      signer,
+      wallet,
+      baseEntries,
+      targetEntries,
+      maxDeviationFromTarget,
+      maxSlippage,
+      maxPriceImpact,
+      batchTrade,
+      revertOnError,
+      skipBalanceValidation,
+      failOnMissingPricePair,
+      async
+    };
+    if (encodingType) {
+      requestBody.encodingType = encodingType;
+    }
+
+    return this._recordRequest(
+      "rebalancing",
+      requestBody,
+      () => this._request("post", "/rebalancing/wallet", { data: requestBody, signal })
+    );
+  }
+
+  /**
+   * Get the state of a rebalancing requested with async: true
+   * @param {string} id - Job id returned by requestWalletRebalancing
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} - { id, status, ... } plus txHandler and txData once it is done
+   */
+  async getRebalancing(id, { signal } = {}) {
+    return this._request("get", `/rebalancing/wallet/${encodeURIComponent(id)}`, { idempotent: true, signal });
+  }
+
+  /**
+   * Build a transaction object from a swap quote
+   * @param {Object} quoteData - The quote data returned from getSwapQuote
+   * @returns {Object} - Transaction object ready to be signed and sent
+   */
+  prepareTransaction(quoteData) {
+    if (!quoteData || !quoteData.transaction) {
+      throw new Error("Invalid quote data. Missing transaction information.");
+    }
+
+    return {
+      to: quoteData.transaction.to,
+      data: quoteData.transaction.data,
+      value: quoteData.transaction.value,
+      gasLimit: quoteData.transaction.gasLimit,
+      gasPrice: quoteData.transaction.gasPrice,
+    };
+  }
+
+  /**
+   * Check if there are any issues with the quote (balance, allowance)
+   * @param {Object} quoteData - The quote data returned from getSwapQuote
+   * @returns {Object|null} - Issues object or null if no issues
+   */
+  checkIssues(quoteData) {
+    return quoteData.issues || null;
+  }
+
+  /**
+   * Check a swap quote against its request before signing: tokens and amount, target allowlist,
+   * value, expiry and minimum buy amount
+   * @param {Object} quoteData - The quote data returned from getSwapQuote
+   * @param {Object} request - The parameters passed to getSwapQuote
+   * @throws {QuoteValidationError}
+   */
+  validateSwapQuote(quoteData, request) {
+    try {
+      validateSwapQuote(quoteData, request, { chain: this.chain, allowedTargets: this.allowedTargets });
+    } catch (error) {
+      this.recordEvent("quote.rejected", { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Check a rebalancing against its request before signing, see validateSwapQuote
+   * @param {Object} rebalancingData - The data returned from requestWalletRebalancing
+   * @param {Object} request - The parameters passed to requestWalletRebalancing
+   * @throws {QuoteValidationError}
+   */
+  validateRebalancing(rebalancingData, request) {
+    try {
+      validateRebalancing(rebalancingData, request, { chain: this.chain, allowedTargets: this.allowedTargets });
+    } catch (error) {
+      this.recordEvent("rebalancing.rejected", { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Read decimals and symbol of a token, from the token registry's cache when known
+   * @param {string} tokenAddress - Token address or symbol
+   */
+  async getTokenMetadata(tokenAddress) {
+    const { address, decimals, symbol } = await this.tokenRegistry.getMetadata(tokenAddress);
+    return { address, decimals, symbol };
+  }
+
+  /**
+   * Check token balance; the native placeholder address (or "ETH") reads the native balance
+   */
+  async getTokenBalance(tokenAddress, walletAddress) {
+    const provider = this._requireProvider();
+    const balance = isNativeToken(tokenAddress)
+      ? await provider.getBalance(walletAddress)
+      : await new ethers.Contract(tokenAddress, ERC20_ABI, provider).balanceOf(walletAddress);
+    const { decimals, symbol } = await this.getTokenMetadata(tokenAddress);
+
+    return {
+      address: tokenAddress,
+      balance,
+      decimals,
+      symbol,
+      formattedBalance: ethers.utils.formatUnits(balance, decimals)
+    };
+  }
+
+  /**
+   * Balances of several tokens, read in Multicall3 batches together with the decimals and
+   * symbol of tokens the registry doesn't know yet. A token whose reads fail comes back with
+   * `error` instead of a balance; the other tokens are not affected.
+   * @param {string[]} tokenAddresses - Token addresses or symbols, "ETH" for the native balance
+   * @param {string} walletAddress - Wallet the balances belong to
+   * @param {Object} [options]
+   * @param {string|number} [options.blockTag] - Block to read, e.g. for before/after snapshots
+   * @returns {Promise<Array>} - { address, balance, decimals, symbol, formattedBalance } or { address, symbol, error }
+   */
+  async getTokenBalances(tokenAddresses, walletAddress, { blockTag } = {}) {
+    const tokens = tokenAddresses.map(token => this.tokenRegistry.resolve(token));
+    const calls = [];
+    const indexes = tokens.map(token => {
+      const index = { balance: calls.length };
+      calls.push(token.native
+        ? { nativeBalanceOf: walletAddress }
+        : { target: token.address, interface: erc20Interface, method: "balanceOf", args: [walletAddress] });
+      if (token.symbol === undefined || token.decimals === undefined) {
+        index.decimals = calls.push({ target: token.address, interface: erc20Interface, method: "decimals" }) - 1;
+        index.symbol = calls.push({ target: token.address, interface: erc20Interface, method: "symbol", decode: decodeTokenSymbol }) - 1;
+      }
+      return index;
+    });
+
+    const results = await this._aggregate(calls, { blockTag });
+    return tokens.map((token, i) => {
+      const index = indexes[i];
+      const reads = [index.balance, index.decimals, index.symbol].filter(n => n !== undefined).map(n => results[n]);
+      const failed = reads.find(result => !result.success);
+      if (failed) {
+        return { address: token.address, symbol: token.symbol, error: failed.error.message };
+      }
+
+      const balance = results[index.balance].value;
+      let { decimals, symbol } = token;
+      if (index.decimals !== undefined) {
+        decimals = results[index.decimals].value;
+        symbol = results[index.symbol].value;
+        this.tokenRegistry.remember(token.address, { symbol, decimals });
+      }
+      return {
+        address: token.address,
+        balance,
+        decimals,
+        symbol,
+        formattedBalance: ethers.utils.formatUnits(balance, decimals)
+      };
+    });
+  }
+
+  /**
+   * Check balances of several tokens for a wallet; tokens whose balance cannot be read are logged and returned with `error`
+   */
+  async checkBalances(walletAddress, tokens) {
+    this.logger.log("\nChecking token balances...");
+
+    const balances = await this.getTokenBalances(tokens, walletAddress);
+
+    balances.forEach(tokenData => {
+      if (tokenData.error) {
+        this.logger.warn(`${tokenData.symbol || tokenData.address}: ${tokenData.error}`);
+      } else {
+        this.logger.log(`${tokenData.symbol}: ${tokenData.formattedBalance}`);
+      }
+    });
+
+    return balances;
+  }
+
+  /**
+   * Read the current allowance of a token
+   */
+  async getAllowance(tokenAddress, ownerAddress, spenderAddress) {
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this._requireProvider());
+    return tokenContract.allowance(ownerAddress, spenderAddress);
+  }
+
+  /**
+   * Read several allowances in Multicall3 batches. A failed read comes back with `error`
+   * instead of `allowance`.
+   * @param {Array} requests - [{ token, owner, spender }]
+   * @returns {Promise<Array>} - The requests with `allowance` or `error` added
+   */
+  async getAllowances(requests) {
+    const results = await this._aggregate(requests.map(({ token, owner, spender }) => ({
+      target: token,
+      interface: erc20Interface,
+      method: "allowance",
+      args: [owner, spender]
+    })));
+    return requests.map((request, index) => (results[index].success
+      ? { ...request, allowance: results[index].value }
+      : { ...request, error: results[index].error.message }));
+  }
+
+  /**
+   * Simulate a transaction with eth_call from the signer without sending it.
+   * Allowances that are not set yet are reported, since the call reverts without them.
+   * @param {Object} tx - Transaction with to, data and value; from defaults to the signer
+   * @param {Object} [options]
+   * @param {Array} [options.requiredAllowances] - Allowances in the API format ({ token, allowanceTarget, neededAllowance })
+   * @param {Array|ethers.utils.Interface} [options.abi] - ABI used to decode custom errors
+   * @returns {Promise<Object>} - Simulation result with missingAllowances
+   */
+  async simulateTransaction(tx, { requiredAllowances = [], abi } = {}) {
+    const provider = this._requireProvider();
+    const from = tx.from || (await this._requireSigner().getAddress());
+
+    const erc20Allowances = requiredAllowances.filter(allowance => !isNativeToken(allowance.token.address));
+    const current = await this.getAllowances(erc20Allowances.map(allowance => ({
+      token: allowance.token.address,
+      owner: from,
+      spender: allowance.allowanceTarget
+    })));
+    const missingAllowances = [];
+    erc20Allowances.forEach((allowance, index) => {
+      if (current[index].error) {
+        throw new Error(`Cannot read the allowance of ${allowance.token.address}: ${current[index].error}`);
+      }
+      if (current[index].allowance.lt(allowance.neededAllowance)) {
+        missingAllowances.push({ ...allowance, currentAllowance: current[index].allowance });
+      }
+    });
+
+    const result = await simulateTransaction(provider, { ...tx, from }, { abi });
+    return { ...result, missingAllowances };
+  }
+
+  /**
+   * Check and set token allowance if needed, following the client's approval strategy:
+   * - exact: approve the needed amount (default)
+   * - buffer: approve the needed amount plus bufferBps
+   * - unlimited: approve MaxUint256
+   * - permit: sign an EIP-2612 permit, falls back to exact for tokens without permit
+   * - permit2: sign a Permit2 allowance for spenders in permit2Spenders, falls back to exact for others
+   * The permit strategies need a permitRelayer to submit the signed permit, see assertPermitRelayer.
+   * Tokens like USDT that reject changing a non-zero allowance are reset to zero first.
+   * @param {string} tokenAddress - Token to approve
+   * @param {string} spenderAddress - Spender, usually the allowanceTarget of a quote
+   * @param {ethers.BigNumberish} amount - Needed allowance
+   * @param {Object} [overrides] - Approval options for this call only
+   * @returns {Promise<boolean|Object>} - false if the allowance was sufficient, the submitted permit
+   *   for the permit strategies, true otherwise
+   */
+  async checkAndSetAllowance(tokenAddress, spenderAddress, amount, overrides = {}) {
+    if (isNativeToken(tokenAddress)) {
+      this.logger.log("Native token is sent as value, no allowance needed");
+      return false;
+    }
+
+    const signer = this._requireSigner();
+    const owner = await signer.getAddress();
+    const options = { ...this.approvalOptions, ...overrides };
+
+    if (options.strategy === "permit2" && !this._isPermit2Spender(spenderAddress, options)) {
+      this.logger.log(`${spenderAddress} does not use Permit2, falling back to an exact approval`);
+      options.strategy = "exact";
+    }
+    if (options.strategy === "permit2") {
+      assertPermitRelayer(options);
+      return this._setPermit2Allowance(tokenAddress, spenderAddress, amount, options);
+    }
+
+    this.logger.log(`Checking allowance for ${tokenAddress} to spender ${spenderAddress}`);
+
+    const currentAllowance = await this.getAllowance(tokenAddress, owner, spenderAddress);
+    this.logger.log(`Current allowance: ${currentAllowance.toString()}`);
+
+    if (currentAllowance.gte(amount)) {
+      this.logger.log(`Token allowance is sufficient`);
+      return false;
+    }
+
+    if (options.strategy === "permit") {
+      assertPermitRelayer(options);
+      const deadline = Math.floor(Date.now() / 1000) + options.permitDeadlineSec;
+      const permit = await signErc2612Permit(signer, { tokenAddress, spender: spenderAddress, value: amount, deadline });
+      if (permit) {
+        await this._submitPermit(permit, options);
+        return permit;
+      }
+      this.logger.log(`${tokenAddress} does not support EIP-2612 permits, falling back to an exact approval`);
+      options.strategy = "exact";
+    }
+
+    await this._approve(tokenAddress, spenderAddress, amount, currentAllowance, options);
+    return true;
+  }
+
+  /**
+   * Send approve() for the strategy's amount, resetting the allowance to zero first when the token needs it
+   */
+  async _approve(tokenAddress, spenderAddress, amount, currentAllowance, options) {
+    const approvalAmount = getApprovalAmount(options.strategy, amount, options.bufferBps);
+    const mustReset = currentAllowance.gt(0) && requiresResetToZero(this.chain, tokenAddress, options);
+
+    if (mustReset) {
+      this.logger.log(`Resetting allowance of ${tokenAddress} to zero first`);
+      await this._sendApprove(tokenAddress, spenderAddress, 0);
+    }
+
+    this.logger.log(`Setting approval for ${tokenAddress}: ${approvalAmount.toString()} (${options.strategy})`);
+    this.recordEvent("approval", {
+      token: tokenAddress,
+      spender: spenderAddress,
+      amount: approvalAmount,
+      strategy: options.strategy,
+      resetToZero: mustReset
+    });
+
+    try {
+      await this._sendApprove(tokenAddress, spenderAddress, approvalAmount);
+    } catch (error) {
+      // Unknown tokens with the USDT behaviour revert during gas estimation; reset and try once more
+      const retry = options.resetToZero === "auto" &&
+        !mustReset &&
+        currentAllowance.gt(0) &&
+        error instanceof TransactionRevertedError;
+      if (!retry) {
+        throw error;
+      }
+
+      this.logger.warn(`Approval of ${tokenAddress} reverted, resetting the allowance to zero and retrying`);
+      await this._sendApprove(tokenAddress, spenderAddress, 0);
+      await this._sendApprove(tokenAddress, spenderAddress, approvalAmount);
+    }
+  }
+
+  async _sendApprove(tokenAddress, spenderAddress, amount) {
+    const tokenInterface = new ethers.utils.Interface(ERC20_ABI);
+    const receipt = await this.sendTransaction({
+      to: tokenAddress,
+      data: tokenInterface.encodeFunctionData("approve", [spenderAddress, amount])
+    }, { purpose: "approval" });
+    this.logger.log(`Approval confirmed in block ${receipt.blockNumber}`);
+    return receipt;
+  }
+
+  /**
+   * Approve the token to Permit2 once, then sign and submit a Permit2 allowance for the spender
+   */
+  async _setPermit2Allowance(tokenAddress, spenderAddress, amount, options) {
+    const signer = this._requireSigner();
+    const owner = await signer.getAddress();
+    const permit2 = new ethers.Contract(PERMIT2_ADDRESS, PERMIT2_ABI, this._requireProvider());
+    const now = Math.floor(Date.now() / 1000);
+
+    this.logger.log(`Checking Permit2 allowance for ${tokenAddress} to spender ${spenderAddress}`);
+
+    const current = await permit2.allowance(owner, tokenAddress, spenderAddress);
+    if (current.amount.gte(amount) && current.expiration > now) {
+      this.logger.log(`Permit2 allowance is sufficient`);
+      return false;
+    }
+
+    const tokenAllowance = await this.getAllowance(tokenAddress, owner, PERMIT2_ADDRESS);
+    if (tokenAllowance.lt(amount)) {
+      await this._approve(tokenAddress, PERMIT2_ADDRESS, amount, tokenAllowance, { ...options, strategy: "exact" });
+    }
+
+    const permit = await signPermit2(signer, {
+      tokenAddress,
+      spender: spenderAddress,
+      amount,
+      expiration: now + options.permit2ExpirationSec,
+      sigDeadline: now + options.permitDeadlineSec
+    });
+    await this._submitPermit(permit, options);
+    return permit;
+  }
+
+  /**
+   * Submit a signed permit through the permitRelayer signer
+   */
+  async _submitPermit(permit, options) {
+    this.logger.log(`Submitting ${permit.type} permit for ${permit.token} through the relayer`);
+    this.recordEvent("permit", { permitType: permit.type, token: permit.token, relayed: true });
+
+    if (!this._relayerSender || this._relayerSender.signer !== options.permitRelayer) {
+      this._relayerSender = new TransactionSender({
+        signer: options.permitRelayer,
+        provider: this.provider,
+        logger: this.logger,
+        onEvent: (type, data) => this.recordEvent(type, data)
+      });
+    }
+    return this._relayerSender.sendTransaction(permit.transaction, { purpose: "permit" });
+  }
+
+  _isPermit2Spender(spenderAddress, options) {
+    return options.permit2Spenders.some(address => address.toLowerCase() === spenderAddress.toLowerCase());
+  }
+
+  /**
+   * Check and approve all required tokens based on required allowances in the API response
+   */
+  async handleRequiredAllowances(requiredAllowances) {
+    this.logger.log("Checking and setting required allowances...");
+
+    if (!requiredAllowances || requiredAllowances.length === 0) {
+      this.logger.log("No token allowances required");
+      return;
+    }
+
+    this.logger.log("Required allowances:", JSON.stringify(requiredAllowances, null, 2));
+
+    requiredAllowances.forEach(allowance => {
+      if (!allowance.token || !allowance.token.address || !allowance.allowanceTarget || !allowance.neededAllowance) {
+        this.logger.error(`Missing required allowance data: `, JSON.stringify(allowance, null, 2));
+        throw new Error("Incomplete allowance data");
+      }
+    });
+
+    // Current allowances are read in one batch, so only the tokens that need one are checked again
+    const sufficient = await this._sufficientAllowances(requiredAllowances);
+
+    // Approvals are sent one after another; the nonce manager keeps their nonces in order
+    for (const [index, allowance] of requiredAllowances.entries()) {
+      const tokenAddress = allowance.token.address;
+      const spenderAddress = allowance.allowanceTarget;
+      const neededAllowance = allowance.neededAllowance;
+
+      if (sufficient[index]) {
+        this.logger.log(`Token allowance for ${allowance.token.symbol} is sufficient`);
+        continue;
+      }
+
+      this.logger.log(`Setting allowance for ${allowance.token.symbol}: ${neededAllowance}`);
+
+      await this.checkAndSetAllowance(
+        tokenAddress,
+        spenderAddress,
+        ethers.BigNumber.from(neededAllowance)
+      );
+    }
+
+    this.logger.log("All required token approvals completed");
+  }
+
+  /**
+   * Whether each required allowance is already set, from one batch of allowance reads.
+   * Native tokens, Permit2 spenders and failed reads are left to checkAndSetAllowance.
+   */
+  async _sufficientAllowances(requiredAllowances) {
+    const owner = await this._requireSigner().getAddress();
+    const usesPermit2 = this.approvalOptions.strategy === "permit2";
+    const checked = requiredAllowances.filter(allowance => !isNativeToken(allowance.token.address) &&
+      !(usesPermit2 && this._isPermit2Spender(allowance.allowanceTarget, this.approvalOptions)));
+    const current = await this.getAllowances(checked.map(allowance => ({
+      token: allowance.token.address,
+      owner,
+      spender: allowance.allowanceTarget
+    })));
+
+    return requiredAllowances.map(allowance => {
+      const index = checked.indexOf(allowance);
+      return index !== -1 && current[index].allowance !== undefined && current[index].allowance.gte(allowance.neededAllowance);
+    });
+  }
+
+  /**
+   * Run read-only calls through Multicall3 when it is deployed, one by one otherwise (see aggregate)
+   */
+  async _aggregate(calls, { blockTag } = {}) {
+    const provider = this._requireProvider();
+    if (calls.length === 0) {
+      return [];
+    }
+    if (!this._multicall) {
+      this._multicall = this._findMulticall(provider).catch(error => {
+        this._multicall = undefined;
+        throw error;
+      });
+    }
+    return aggregate(provider, calls, { address: await this._multicall, blockTag });
+  }
+
+  async _findMulticall(provider) {
+    if (!this.multicallAddress) {
+      return undefined;
+    }
+    if (!(await isMulticallDeployed(provider, this.multicallAddress))) {
+      this.logger.warn(`Multicall3 is not deployed at ${this.multicallAddress}, reading one call at a time`);
+      return undefined;
+    }
+    return this.multicallAddress;
+  }
+
+  /**
+   * Check that the wallet can sell `amount` of the native token and keep the gas reserve
+   * @param {string} owner - Wallet selling the native token
+   * @param {ethers.BigNumberish} amount - Native amount sent as value
+   * @throws {InsufficientFundsError} - When the balance is below amount plus gasReserve
+   */
+  async assertNativeBalance(owner, amount) {
+    const balance = await this._requireProvider().getBalance(owner);
+    const needed = ethers.BigNumber.from(amount).add(this.gasReserve);
+    if (balance.lt(needed)) {
+      const { symbol } = this.chain.nativeToken;
+      throw new InsufficientFundsError(
+        `Selling ${ethers.utils.formatEther(amount)} ${symbol} needs ${ethers.utils.formatEther(needed)} ${symbol} ` +
+        `including the gas reserve of ${ethers.utils.formatEther(this.gasReserve)}, the wallet has ${ethers.utils.formatEther(balance)}`
+      );
+    }
+  }
+
+  /**
+   * Call to wrap `amount` of the native token (deposit on WETH), for sending or exporting
+   */
+  wrapNativeTransaction(amount) {
+    const wrapped = this.tokenRegistry.wrappedNative();
+    return {
+      to: wrapped.address,
+      data: new ethers.utils.Interface(WRAPPED_NATIVE_ABI).encodeFunctionData("deposit"),
+      value: ethers.BigNumber.from(amount).toString(),
+      description: `Wrap ${ethers.utils.formatEther(amount)} ${this.chain.nativeToken.symbol} into ${wrapped.symbol}`,
+      purpose: "wrap"
+    };
+  }
+
+  /**
+   * Call to unwrap `amount` of the wrapped native token (withdraw on WETH)
+   */
+  unwrapNativeTransaction(amount) {
+    const wrapped = this.tokenRegistry.wrappedNative();
+    return {
+      to: wrapped.address,
+      data: new ethers.utils.Interface(WRAPPED_NATIVE_ABI).encodeFunctionData("withdraw", [amount]),
+      value: "0",
+      description: `Unwrap ${ethers.utils.formatEther(amount)} ${wrapped.symbol} into ${this.chain.nativeToken.symbol}`,
+      purpose: "unwrap"
+    };
+  }
+
+  /**
+   * Wrap native tokens, keeping the gas reserve
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async wrapNative(amount) {
+    await this.assertNativeBalance(await this._requireSigner().getAddress(), amount);
+    const { description, ...transaction } = this.wrapNativeTransaction(amount);
+    this.logger.log(`${description}...`);
+    return this.sendTransaction(transaction, { purpose: transaction.purpose });
+  }
+
+  /**
+   * Unwrap wrapped native tokens
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async unwrapNative(amount) {
+    const { description, ...transaction } = this.unwrapNativeTransaction(amount);
+    this.logger.log(`${description}...`);
+    return this.sendTransaction(transaction, { purpose: transaction.purpose });
+  }
+
+  /**
+   * Send a transaction through the client's TransactionSender
+   * @param {Object} tx - Transaction with to, data and value
+   * @param {Object} [options] - gasLimit, fallbackGasLimit or nonce overrides, and the purpose recorded in the journal
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async sendTransaction(tx, options) {
+    if (this._requireSigner() instanceof ethers.VoidSigner) {
+      throw new Error("The signer is address-only (SIGNER_ADDRESS); export unsigned transactions and sign them offline");
+    }
+    return this.sender.sendTransaction(tx, options);
+  }
+
+  /**
+   * Make sure the provider is connected to the chain API calls target.
+   * Calldata built for one chain must never be signed on another.
+   */
+  async assertNetwork() {
+    if (!this.provider) {
+      return;
+    }
+
+    const { chainId } = await this.provider.getNetwork();
+    if (chainId !== this.chain.chainId) {
+      throw new Error(
+        `Chain mismatch: provider is connected to chain ${chainId} but API calls target ` +
+        `${this.chain.displayName || this.chain.name} (${this.chain.chainId})`
+      );
+    }
+  }
+
+  async _request(method, path, { params, data, idempotent = false, signal } = {}) {
+    await this.assertNetwork();
+
+    const headers = {
+      "x-api-key": this.apiKey,
+      "chain-id": this.chainId
+    };
+    if (data !== undefined) {
+      headers["Content-Type"] = "application/json";
+    }
+
+    return requestWithRetry(
+      { method, url: `${this.baseUrl}${path}`, path, headers, params, data },
+      { ...this.requestOptions, idempotent, signal: signal || this.requestOptions.signal, logger: this.logger }
+    );
+  }
+
+  /**
+   * Record an API request, its response or its error in the journal
+   */
+  async _recordRequest(name, request, send) {
+    this.recordEvent(`${name}.requested`, { request });
+    try {
+      const response = await send();
+      this.recordEvent(`${name}.received`, { response });
+      return response;
+    } catch (error) {
+      this.recordEvent(`${name}.failed`, { error });
+      throw error;
+    }
+  }
+
+  _requireProvider() {
+    if (!this.provider) {
+      throw new Error("A provider is required for on-chain calls");
+    }
+    return this.provider;
+  }
+
+  _requireSigner() {
+    if (!this.signer) {
+      throw new Error("A signer is required to send transactions");
+    }
+    return this.signer;
+  }
+}
+
+module.exports = {
+  ThirtyOneThirdClient,
+  ERC20_ABI,
+  WRAPPED_NATIVE_ABI,
+  DEFAULT_BASE_URL,
+  DEFAULT_GAS_RESERVE,
+  DEFAULT_MAX_DEVIATION_FROM_TARGET
+};
@@ -0,0 +1,240 @@
+const { createClientFromEnv } = require("./env");
+const { swapWithThirtyOneThird } = require("./single-swap");
+const { parseExpiry } = require("./quote-validation");
+const { sleep } = require("./api-request");
+
+const DEFAULT_POLL_INTERVAL_MS = 30000;
+
+/**
+ * The executable quote no longer meets the trigger the polled one met
+ */
+class TriggerNotMetError extends Error {}
+
+/**
+ * Check an order and fill in its id, expiry in milliseconds and status
+ */
+function normalizeOrder(order, index) {
+  const id = order.id || `order-${index + 1}`;
+  if (!order.sellToken || !order.buyToken || !order.sellAmount) {
+    throw new Error(`Order ${id} needs sellToken, buyToken and sellAmount`);
+  }
+  const triggers = ["above", "below"].filter(field => order[field] !== undefined);
+  if (triggers.length !== 1 || !(Number(order[triggers[0]]) > 0)) {
+    throw new Error(`Order ${id} needs exactly one positive trigger price: above or below`);
+  }
+
+  const expiresAt = order.expiresAt === undefined ? null : parseExpiry(order.expiresAt);
+  if (order.expiresAt !== undefined && expiresAt === null) {
+    throw new Error(`Order ${id} has an invalid expiresAt "${order.expiresAt}"`);
+  }
+
+  return {
+    ...order,
+    id,
+    trigger: triggers[0],
+    triggerPrice: Number(order[triggers[0]]),
+    expiresAt,
+    status: "active"
+  };
+}
+
+/**
+ * Whether a price (buy tokens per sell token) meets the order's trigger
+ */
+function triggerMet(order, price) {
+  return order.trigger === "above" ? price >= order.triggerPrice : price <= order.triggerPrice;
+}
+
+function describeOrder(order) {
+  return `${order.id} (sell ${order.sellAmount} ${order.sellToken} for ${order.buyToken} ${order.trigger} ${order.triggerPrice})`;
+}
+
+/**
+ * Watch price-triggered orders, like a take profit ("sell 10 ETH for USDC above 4000") or a
+ * stop loss (below). Every `pollIntervalMs` each active order is quoted with skipSimulation and
+ * `quoteData.price` (buy tokens per sell token) compared with its trigger. A met trigger gets a
+ * fresh executable quote through swapWithThirtyOneThird, which must still meet the trigger before
+ * anything is sent. Orders sharing an `ocoGroup` cancel each other once one of them executes;
+ * a failed order leaves the rest of its group active. An order whose swap fails with a retryable
+ * error (rate limit, server or network) stays active for the next round. With dryRun, triggered
+ * orders are simulated instead of sent.
+ * @param {Object} options
+ * @param {ThirtyOneThirdClient} [options.client] - Client with provider and signer, built from .env when omitted
+ * @param {Array} options.orders - [{ id, sellToken, buyToken, sellAmount, above | below, expiresAt, ocoGroup, maxSlippageBps }];
+ *   sellAmount in wei or like "10 ETH", expiresAt as ISO date or unix time
+ * @param {number} [options.pollIntervalMs=30000] - Time between two rounds of quotes
+ * @param {boolean} [options.dryRun=false] - Simulate triggered orders instead of sending them
+ * @param {number} [options.maxPolls] - Stop after this many rounds, leaving orders active
+ * @param {AbortSignal} [options.signal] - Stops watching after the current round
+ * @param {Function} [options.onEvent] - Called with { type, order, price, error } for "triggered",
+ *   "executed", "simulated", "expired", "cancelled", "failed", "retrying" and "quote.failed"
+ * @returns {Promise<Array>} - The orders with status active, executed, simulated, expired, cancelled or failed
+ */
+async function watchConditionalOrders({
+  client = createClientFromEnv(),
+  orders,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  dryRun = false,
+  maxPolls,
+  signal,
+  onEvent
+}) {
+  const { signer: wallet, logger, tokenRegistry } = client;
+  if (!Array.isArray(orders) || orders.length === 0) {
+    throw new Error("watchConditionalOrders needs at least one order");
+  }
+
+  const watched = orders.map(normalizeOrder);
+  const ids = new Set(watched.map(order => order.id));
+  if (ids.size !== watched.length) {
+    throw new Error("Order ids must be unique");
+  }
+  for (const order of watched) {
+    order.sell = tokenRegistry.resolve(order.sellToken);
+    order.buy = tokenRegistry.resolve(order.buyToken);
+    order.amount = await tokenRegistry.parseAmount(order.sellAmount, order.sell.address);
+  }
+
+  const emit = (type, order, details = {}) => {
+    client.recordEvent(`order.${type}`, { orderId: order.id, ...details });
+    if (onEvent) {
+      onEvent({ type, order, ...details });
+    }
+  };
+  const settle = (order, status, details = {}) => {
+    order.status = status;
+    emit(status, order, details);
+    // One-cancels-other: the rest of the group stops once one order has traded
+    if (order.ocoGroup !== undefined && (status === "executed" || status === "simulated")) {
+      watched
+        .filter(other => other !== order && other.ocoGroup === order.ocoGroup && other.status === "active")
+        .forEach(other => {
+          other.status = "cancelled";
+          logger.log(`Order ${other.id} cancelled by ${order.id}`);
+          emit("cancelled", other, { by: order.id });
+        });
+    }
+  };
+
+  const watchDetails = {
+    orders: watched.map(order => ({ id: order.id, trigger: order.trigger, price: order.triggerPrice })),
+    dryRun
+  };
+  client.beginRun("watch", watchDetails);
+  logger.log(`Watching ${watched.length} orders every ${Math.round(pollIntervalMs / 1000)}s${dryRun ? " (dry run)" : ""}`);
+
+  for (let poll = 1; ; poll++) {
+    for (const order of watched.filter(candidate => candidate.status === "active")) {
+      if (order.expiresAt !== null && order.expiresAt <= Date.now()) {
+        logger.log(`Order ${order.id} expired`);
+        settle(order, "expired");
+        continue;
+      }
+
+      let price;
+      try {
+        const quoteData = await client.getSwapQuote({
+          sellToken: order.sell.address,
+          buyToken: order.buy.address,
+          sellAmount: order.amount,
+          taker: wallet.address,
+          txOrigin: wallet.address,
+          maxSlippageBps: order.maxSlippageBps,
+          skipSimulation: true
+        });
+        price = Number(quoteData.price);
+      } catch (error) {
+        // A failed poll is tried again next round
+        logger.warn(`Cannot quote order ${order.id}: ${error.message}`);
+        emit("quote.failed", order, { error });
+        continue;
+      }
+      order.lastPrice = price;
+      if (!triggerMet(order, price)) {
+        continue;
+      }
+
+      logger.log(`Order ${describeOrder(order)} triggered at ${price}`);
+      emit("triggered", order, { price });
+      // The swap is journaled as its own run, watching carries on in a new one
+      client.endRun({ triggered: order.id, price });
+      let result;
+      let failure;
+      try {
+        result = await swapWithThirtyOneThird({
+          client,
+          sellToken: order.sell.address,
+          buyToken: order.buy.address,
+          sellAmount: order.amount,
+          maxSlippageBps: order.maxSlippageBps,
+          dryRun,
+          checkQuote: quoteData => {
+            if (!triggerMet(order, Number(quoteData.price))) {
+              const error = new TriggerNotMetError(
+                `Executable quote price ${quoteData.price} no longer meets ${order.trigger} ${order.triggerPrice}`
+              );
+              client.recordEvent("quote.rejected", { error });
+              throw error;
+            }
+          }
+        });
+      } catch (error) {
+        failure = error;
+      }
+      client.beginRun("watch", watchDetails);
+
+      if (failure instanceof TriggerNotMetError) {
+        logger.warn(`${failure.message}, watching order ${order.id} again`);
+      } else if (failure && failure.retryable) {
+        logger.warn(`Order ${order.id} failed: ${failure.message}, trying again next round`);
+        emit("retrying", order, { error: failure });
+      } else if (failure) {
+        logger.error(`Order ${order.id} failed: ${failure.message}`);
+        order.error = failure;
+        settle(order, "failed", { error: failure });
+      } else if (dryRun) {
+        order.result = result;
+        settle(order, "simulated", { price, simulation: result.simulation });
+      } else {
+        order.result = result;
+        settle(order, "executed", { price, transactionHash: result.receipt.transactionHash });
+      }
+    }
+
+    const active = watched.filter(order => order.status === "active");
+    if (active.length === 0 || (maxPolls !== undefined && poll >= maxPolls) || (signal && signal.aborted)) {
+      break;
+    }
+    await sleep(pollIntervalMs, signal);
+    if (signal && signal.aborted) {
+      break;
+    }
+  }
+
+  client.endRun({ orders: watched.map(order => ({ id: order.id, status: order.status })) });
+  return watched.map(({ sell, buy, amount, ...order }) => order);
+}
+
+module.exports = {
+  DEFAULT_POLL_INTERVAL_MS,
+  triggerMet,
+  watchConditionalOrders
+};
+
+// Execute the script when run directly: take profit above 4000 or stop loss below 2500 on 1 WETH
+if (require.main === module) {
+  watchConditionalOrders({
+    orders: [
+      { id: "take-profit", sellToken: "WETH", buyToken: "USDT", sellAmount: "1 WETH", above: 4000, ocoGroup: "weth-exit" },
+      { id: "stop-loss", sellToken: "WETH", buyToken: "USDT", sellAmount: "1 WETH", below: 2500, ocoGroup: "weth-exit" }
+    ]
+  })
+    .then(orders => {
+      orders.forEach(order => console.log(`${order.id}: ${order.status}`));
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("❌ Error watching orders:", error.message);
+      process.exit(1);
+    });
+}
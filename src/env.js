@@ -0,0 +1,208 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { ThirtyOneThirdClient } = require("./client");
+const { getChain, getRpcUrl } = require("./chains");
+const { TradeJournal } = require("./journal");
+const { loadKeystoreSigner } = require("./signers");
+const { TokenRegistry, DEFAULT_TOKEN_CACHE_PATH } = require("./tokens");
+const { assertTradeTargetsConfigured } = require("./quote-validation");
+require("dotenv").config();
+
+/**
+ * Build a client from environment variables (API_KEY, PRIVATE_KEY, CHAIN_ID, RPC urls,
+ * CONFIRMATIONS, MAX_FEE_PER_GAS_GWEI, MAX_PRIORITY_FEE_PER_GAS_GWEI, APPROVAL_STRATEGY,
+ * APPROVAL_BUFFER_BPS, PERMIT2_SPENDERS, ALLOWED_TARGETS, API_TIMEOUT_MS, API_RETRIES, API_BASE_URL,
+ * JOURNAL, JOURNAL_PATH, TOKEN_CACHE, TOKEN_CACHE_PATH, GAS_RESERVE, MULTICALL_ADDRESS and the signer
+ * variables of signerFromEnv)
+ * @param {Object} [options]
+ * @param {string|number} [options.chain] - Chain to use, defaults to CHAIN_ID or ethereum
+ * @param {boolean} [options.requireSigner=true] - Fail when no signer is configured
+ * @param {boolean} [options.requireAllowedTargets=true] - Fail when ALLOWED_TARGETS and the chain registry name
+ *   no 31Third trading contract, so trades aren't refused only once they are quoted
+ * @param {ethers.Signer} [options.signer] - Signer to use instead of the environment's, e.g. a CallbackSigner
+ * @param {Object} [options.logger] - Logger passed to the client
+ * @param {Object} [options.approvalOptions] - Approval options taking precedence over the environment
+ * @param {Object} [options.env=process.env] - Environment to read from
+ * @returns {ThirtyOneThirdClient}
+ */
+function createClientFromEnv({
+  chain,
+  requireSigner = true,
+  requireAllowedTargets = true,
+  logger,
+  approvalOptions,
+  signer: signerOverride,
+  env = process.env
+} = {}) {
+  const API_KEY = env.API_KEY || "6c8e528a-1ed1-497a-a71e-889170cfe52e"; // Default API key
+  const resolvedChain = getChain(chain || env.CHAIN_ID || "ethereum");
+  const RPC_URL = getRpcUrl(resolvedChain, env);
+
+  if (!RPC_URL) {
+    throw new Error(`Please set RPC_URL (or ${resolvedChain.rpcUrlEnv}) in your .env file`);
+  }
+
+  const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+  const signer = signerOverride
+    ? (signerOverride.provider ? signerOverride : signerOverride.connect(provider))
+    : signerFromEnv(env, provider);
+
+  if (requireSigner && !signer) {
+    throw new Error(
+      "Please set KEYSTORE_PATH and KEYSTORE_PASSWORD_FILE, SIGNER_ADDRESS for unsigned transactions, " +
+      "or PRIVATE_KEY (development only) in your .env file"
+    );
+  }
+
+  const allowedTargets = splitList(env.ALLOWED_TARGETS);
+  if (requireAllowedTargets) {
+    assertTradeTargetsConfigured(resolvedChain, allowedTargets);
+  }
+
+  return new ThirtyOneThirdClient({
+    apiKey: API_KEY,
+    chain: resolvedChain,
+    baseUrl: env.API_BASE_URL || undefined,
+    provider,
+    signer,
+    logger,
+    transactionOptions: transactionOptionsFromEnv(env),
+    approvalOptions: { ...approvalOptionsFromEnv(env), ...approvalOptions },
+    allowedTargets,
+    requestOptions: requestOptionsFromEnv(env),
+    journal: journalFromEnv(env),
+    tokenRegistry: tokenRegistryFromEnv(env, resolvedChain, provider),
+    gasReserve: env.GAS_RESERVE ? ethers.utils.parseEther(env.GAS_RESERVE) : undefined,
+    multicallAddress: multicallAddressFromEnv(env)
+  });
+}
+
+/**
+ * Signer from the environment, in order of preference:
+ * KEYSTORE_PATH with KEYSTORE_PASSWORD_FILE or KEYSTORE_PASSWORD - encrypted JSON keystore
+ * SIGNER_ADDRESS - address only, for exporting unsigned transactions
+ * PRIVATE_KEY - raw key, for development and test wallets
+ * @returns {ethers.Signer|undefined}
+ */
+function signerFromEnv(env = process.env, provider) {
+  if (env.KEYSTORE_PATH) {
+    const password = env.KEYSTORE_PASSWORD_FILE
+      ? fs.readFileSync(env.KEYSTORE_PASSWORD_FILE, "utf8").replace(/\r?\n$/, "")
+      : env.KEYSTORE_PASSWORD;
+    return loadKeystoreSigner(env.KEYSTORE_PATH, password, provider);
+  }
+  if (env.SIGNER_ADDRESS) {
+    return new ethers.VoidSigner(ethers.utils.getAddress(env.SIGNER_ADDRESS), provider);
+  }
+  if (env.PRIVATE_KEY) {
+    return new ethers.Wallet(env.PRIVATE_KEY, provider);
+  }
+  return undefined;
+}
+
+/**
+ * Read fee caps, confirmation depth and stuck transaction handling for the TransactionSender
+ */
+function transactionOptionsFromEnv(env = process.env) {
+  const options = {};
+
+  if (env.CONFIRMATIONS) {
+    options.confirmations = Number(env.CONFIRMATIONS);
+  }
+  if (env.MAX_FEE_PER_GAS_GWEI) {
+    options.maxFeePerGasCap = ethers.utils.parseUnits(env.MAX_FEE_PER_GAS_GWEI, "gwei");
+  }
+  if (env.MAX_PRIORITY_FEE_PER_GAS_GWEI) {
+    options.maxPriorityFeePerGasCap = ethers.utils.parseUnits(env.MAX_PRIORITY_FEE_PER_GAS_GWEI, "gwei");
+  }
+  if (env.STUCK_AFTER_BLOCKS) {
+    options.stuckAfterBlocks = Number(env.STUCK_AFTER_BLOCKS);
+  }
+  if (env.STUCK_ACTION) {
+    options.stuckAction = env.STUCK_ACTION;
+  }
+
+  return options;
+}
+
+/**
+ * Read the approval strategy for the client
+ */
+function approvalOptionsFromEnv(env = process.env) {
+  const options = {};
+
+  if (env.APPROVAL_STRATEGY) {
+    options.strategy = env.APPROVAL_STRATEGY;
+  }
+  if (env.APPROVAL_BUFFER_BPS) {
+    options.bufferBps = Number(env.APPROVAL_BUFFER_BPS);
+  }
+  if (env.PERMIT2_SPENDERS) {
+    options.permit2Spenders = splitList(env.PERMIT2_SPENDERS);
+  }
+
+  return options;
+}
+
+/**
+ * Read the API timeout and retry count
+ */
+function requestOptionsFromEnv(env = process.env) {
+  const options = {};
+
+  if (env.API_TIMEOUT_MS) {
+    options.timeoutMs = Number(env.API_TIMEOUT_MS);
+  }
+  if (env.API_RETRIES) {
+    options.retries = Number(env.API_RETRIES);
+  }
+
+  return options;
+}
+
+/**
+ * Trade journal at JOURNAL_PATH (default .31third/journal.jsonl), unless JOURNAL=off
+ */
+function journalFromEnv(env = process.env) {
+  if (["off", "false", "0"].includes(String(env.JOURNAL || "").toLowerCase())) {
+    return undefined;
+  }
+  return new TradeJournal(env.JOURNAL_PATH || undefined);
+}
+
+/**
+ * Multicall3 contract from MULTICALL_ADDRESS; "off" reads one call at a time, unset uses the canonical deployment
+ */
+function multicallAddressFromEnv(env) {
+  const value = String(env.MULTICALL_ADDRESS || "").trim();
+  if (["off", "false", "0"].includes(value.toLowerCase())) {
+    return false;
+  }
+  return value || undefined;
+}
+
+/**
+ * Token registry caching metadata in TOKEN_CACHE_PATH (default .31third/tokens.json), unless TOKEN_CACHE=off
+ */
+function tokenRegistryFromEnv(env = process.env, chain, provider) {
+  const disabled = ["off", "false", "0"].includes(String(env.TOKEN_CACHE || "").toLowerCase());
+  return new TokenRegistry({
+    chain,
+    provider,
+    cachePath: disabled ? undefined : env.TOKEN_CACHE_PATH || DEFAULT_TOKEN_CACHE_PATH
+  });
+}
+
+function splitList(value) {
+  return (value || "").split(",").map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+  createClientFromEnv,
+  signerFromEnv,
+  transactionOptionsFromEnv,
+  approvalOptionsFromEnv,
+  requestOptionsFromEnv,
+  journalFromEnv,
+  tokenRegistryFromEnv
+};
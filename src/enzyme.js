@@ -0,0 +1,173 @@
+const { ethers } = require("ethers");
+const { ERC20_ABI } = require("./client");
+
+const ENZYME_VAULT_ABI = [
+  "function getAccessor() external view returns (address)",
+  "function getOwner() external view returns (address)",
+  "function isAssetManager(address who) external view returns (bool)",
+  "function canManageAssets(address who) external view returns (bool)",
+  "function getTrackedAssets() external view returns (address[])"
+];
+
+const ENZYME_COMPTROLLER_ABI = [
+  "function callOnExtension(address extension, uint256 actionId, bytes callArgs)",
+  "function getIntegrationManager() external view returns (address)",
+  "function getVaultProxy() external view returns (address)"
+];
+
+// IntegrationManager action ids
+const INTEGRATION_MANAGER_ACTIONS = {
+  callOnIntegration: 0,
+  addTrackedAssetsToVault: 1,
+  removeTrackedAssetsFromVault: 2
+};
+
+const TAKE_ORDER_SELECTOR = ethers.utils.id("takeOrder(address,bytes,bytes)").slice(0, 10);
+
+const comptrollerInterface = new ethers.utils.Interface(ENZYME_COMPTROLLER_ABI);
+const erc20Interface = new ethers.utils.Interface(ERC20_ABI);
+const takeOrderInterface = new ethers.utils.Interface([
+  "function takeOrder(address vaultProxy, bytes actionData, bytes assetData)"
+]);
+
+/**
+ * Read the contracts around an Enzyme vault: its ComptrollerProxy and IntegrationManager
+ * @param {ethers.providers.Provider} provider
+ * @param {string} vaultAddress - VaultProxy address
+ * @param {Object} [overrides] - comptroller and integrationManager addresses to use instead of reading them
+ * @returns {Promise<Object>} - { vault, comptroller, integrationManager }
+ */
+async function getVaultContracts(provider, vaultAddress, overrides = {}) {
+  const vault = new ethers.Contract(vaultAddress, ENZYME_VAULT_ABI, provider);
+  const comptrollerAddress = overrides.comptroller || (await vault.getAccessor());
+  const comptroller = new ethers.Contract(comptrollerAddress, ENZYME_COMPTROLLER_ABI, provider);
+  const integrationManager = overrides.integrationManager || (await comptroller.getIntegrationManager());
+
+  return { vault, comptroller, integrationManager };
+}
+
+/**
+ * Whether `manager` may trade for the vault: the owner or a registered asset manager
+ */
+async function isAuthorizedManager(provider, vaultAddress, manager) {
+  const vault = new ethers.Contract(vaultAddress, ENZYME_VAULT_ABI, provider);
+
+  try {
+    return await vault.canManageAssets(manager);
+  } catch (error) {
+    // Older vault libs have no canManageAssets
+    const [owner, isAssetManager] = await Promise.all([vault.getOwner(), vault.isAssetManager(manager)]);
+    return owner.toLowerCase() === manager.toLowerCase() || isAssetManager;
+  }
+}
+
+/**
+ * Throw unless `manager` is authorized to trade for the vault
+ */
+async function assertAuthorizedManager(provider, vaultAddress, manager) {
+  if (!(await isAuthorizedManager(provider, vaultAddress, manager))) {
+    throw new Error(`${manager} is neither owner nor asset manager of Enzyme vault ${vaultAddress}`);
+  }
+}
+
+/**
+ * Tracked assets of the vault with a non-zero balance, as rebalancing baseEntries. The
+ * balances are read in the client's Multicall3 batches, one by one when batching is off.
+ * @param {ThirtyOneThirdClient} client - Client whose provider and multicall reader are used
+ * @param {string} vaultAddress - Enzyme VaultProxy
+ * @returns {Promise<Array>} - [{ tokenAddress, amount }] with amount in wei as string
+ * @throws {Error} - When a tracked asset's balance can't be read
+ */
+async function getVaultHoldings(client, vaultAddress) {
+  const vault = new ethers.Contract(vaultAddress, ENZYME_VAULT_ABI, client._requireProvider());
+  const trackedAssets = await vault.getTrackedAssets();
+
+  const results = await client._aggregate(trackedAssets.map(tokenAddress => ({
+    target: tokenAddress,
+    interface: erc20Interface,
+    method: "balanceOf",
+    args: [vaultAddress]
+  })));
+  const holdings = trackedAssets.map((tokenAddress, index) => {
+    if (!results[index].success) {
+      throw new Error(`Could not read the balance of tracked asset ${tokenAddress} of vault ${vaultAddress}: ${results[index].error.message}`);
+    }
+    return { tokenAddress, amount: results[index].value.toString() };
+  });
+
+  return holdings.filter(holding => holding.amount !== "0");
+}
+
+/**
+ * Integration data for the adapter from an "enzyme-vault" encoded API transaction.
+ * Accepts either the bare integration data or a full takeOrder call.
+ */
+function getIntegrationData(data) {
+  if (data.slice(0, 10) === TAKE_ORDER_SELECTOR) {
+    return takeOrderInterface.decodeFunctionData("takeOrder", data).actionData;
+  }
+  return data;
+}
+
+/**
+ * Build the ComptrollerProxy.callOnExtension transaction that has the IntegrationManager
+ * call the adapter's takeOrder with the given integration data
+ * @param {Object} options
+ * @param {string} options.comptroller - ComptrollerProxy of the vault
+ * @param {string} options.integrationManager - IntegrationManager extension
+ * @param {string} options.adapter - 31Third adapter
+ * @param {string} options.integrationData - Encoded takeOrder args from the API
+ * @returns {Object} - Transaction with to, data and value
+ */
+function buildCallOnIntegration({ comptroller, integrationManager, adapter, integrationData }) {
+  const callArgs = ethers.utils.defaultAbiCoder.encode(
+    ["address", "bytes4", "bytes"],
+    [adapter, TAKE_ORDER_SELECTOR, integrationData]
+  );
+
+  return {
+    to: comptroller,
+    data: comptrollerInterface.encodeFunctionData("callOnExtension", [
+      integrationManager,
+      INTEGRATION_MANAGER_ACTIONS.callOnIntegration,
+      callArgs
+    ]),
+    value: ethers.BigNumber.from(0)
+  };
+}
+
+/**
+ * Wrap an "enzyme-vault" encoded API transaction (adapter as `to`, integration data as `data`)
+ * for the vault's IntegrationManager
+ * @param {ethers.providers.Provider} provider
+ * @param {Object} options
+ * @param {string} options.vault - VaultProxy address
+ * @param {Object} options.transaction - Transaction from the API with to (adapter) and data
+ * @param {string} [options.adapter] - Adapter to call instead of transaction.to
+ * @param {string} [options.comptroller] - ComptrollerProxy, read from the vault when omitted
+ * @param {string} [options.integrationManager] - IntegrationManager, read from the comptroller when omitted
+ */
+async function wrapForVault(provider, { vault, transaction, adapter, comptroller, integrationManager }) {
+  const contracts = await getVaultContracts(provider, vault, { comptroller, integrationManager });
+
+  return buildCallOnIntegration({
+    comptroller: contracts.comptroller.address,
+    integrationManager: contracts.integrationManager,
+    adapter: adapter || transaction.to,
+    integrationData: getIntegrationData(transaction.data)
+  });
+}
+
+module.exports = {
+  ENZYME_VAULT_ABI,
+  ENZYME_COMPTROLLER_ABI,
+  INTEGRATION_MANAGER_ACTIONS,
+  TAKE_ORDER_SELECTOR,
+  getVaultContracts,
+  isAuthorizedManager,
+  assertAuthorizedManager,
+  getVaultHoldings,
+  getIntegrationData,
+  buildCallOnIntegration,
+  wrapForVault
+};
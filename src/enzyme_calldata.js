@@ -1,123 +1,345 @@
-const axios = require("axios");
-const ethers = require("ethers");
-
-class ThirtyOneThirdAdapter {
-  constructor(apiKey, chainId = "0xa4b1") {
-    this.API_KEY = apiKey;
-    this.CHAIN_ID = chainId; // Ethereum mainnet by default, passed as hex string
-    this.BASE_URL = "https://api.31third.com/0.1";
-  }
+const { ethers } = require("ethers");
+const { createClientFromEnv } = require("./env");
+const { explainTransaction, isBatchTradeCalldata, batchTradeToIntegrationData } = require("./calldata");
+const { assertAuthorizedManager, getVaultHoldings, wrapForVault } = require("./enzyme");
+const { assertAllowedTarget } = require("./quote-validation");
+const { expectedDeltasFromQuote, expectedDeltasFromRebalancing, logSimulation } = require("./simulation");
+const { buildSwapReport, buildRebalancingReport, logExecutionReport } = require("./execution-report");
+const { tokensFromQuote } = require("./single-swap");
+const { resolveEntries, logRebalancingSummary, tokensFromTrades } = require("./basket-swap");
+const { exportUnsignedTransactions } = require("./offline");
+const { buildRebalancingPlan, assertGuardrails, writeRebalancingPlan } = require("./rebalancing-plan");
+
+/**
+ * Swap tokens held by an Enzyme vault through the 31Third adapter. The quote is fetched with
+ * the "enzyme-vault" encoding and wrapped in ComptrollerProxy.callOnExtension, which has the
+ * IntegrationManager call the adapter. The manager sends it, or it is returned unsigned.
+ * @param {Object} options
+ * @param {ThirtyOneThirdClient} [options.client] - Client with provider (and the manager as signer), built from .env when omitted
+ * @param {string} options.vault - Enzyme VaultProxy address
+ * @param {string} [options.manager] - Owner or asset manager of the vault, defaults to the client's signer
+ * @param {string} options.sellToken - Token address or symbol to sell
+ * @param {string} options.buyToken - Token address or symbol to buy
+ * @param {ethers.BigNumberish|string} options.sellAmount - Amount to sell in wei, or with its symbol like "1.5 WETH"
+ * @param {number} [options.maxSlippageBps=50] - Maximum slippage in basis points
+ * @param {number} [options.minExpirySec=120] - Minimum quote expiry
+ * @param {string} [options.adapter] - 31Third adapter, defaults to the quote's transaction target
+ * @param {string} [options.comptroller] - ComptrollerProxy, read from the vault when omitted
+ * @param {string} [options.integrationManager] - IntegrationManager, read from the comptroller when omitted
+ * @param {boolean} [options.unsigned=false] - Export the transaction for the manager to sign elsewhere
+ * @param {string} [options.output] - File the unsigned transaction is written to, logged when omitted
+ * @param {boolean} [options.dryRun=false] - Simulate from the manager with eth_call instead of sending
+ * @returns {Promise<Object>} - { quote, transaction, decoded }, plus the unsigned transaction file,
+ *   simulation on dry runs or receipt and report (of the vault's transfers) once sent
+ */
+async function swapFromEnzymeVault({
+  client = createClientFromEnv(),
+  vault,
+  manager,
+  sellToken,
+  buyToken,
+  sellAmount,
+  maxSlippageBps = 50,
+  minExpirySec = 120,
+  adapter,
+  comptroller,
+  integrationManager,
+  unsigned = false,
+  output,
+  dryRun = false
+} = {}) {
+  const { logger, tokenRegistry } = client;
+  const provider = client._requireProvider();
+  sellToken = tokenRegistry.resolve(sellToken).address;
+  buyToken = tokenRegistry.resolve(buyToken).address;
+  sellAmount = await tokenRegistry.parseAmount(sellAmount, sellToken);
+  client.beginRun("enzyme-swap", { vault, manager, sellToken, buyToken, sellAmount, maxSlippageBps, unsigned, dryRun });
+  manager = await resolveManager(client, { vault, manager, unsigned, dryRun });
 
-  async getSwapQuote({
+  logger.log("Getting Enzyme-encoded swap quote from 31Third API...");
+  const quoteRequest = {
     sellToken,
     buyToken,
     sellAmount,
-    taker,
-    txOrigin,
-    maxSlippageBps = 50,
-    maxPriceImpactBps = 10000,
-    minExpirySec = 120,
-    skipSimulation = false,
-    skipChecks = false,
-  }) {
-    const url = `${this.BASE_URL}/swap/quote`;
-
-    const params = {
-      sellToken,
-      buyToken,
-      sellAmount,
-      taker,
-      txOrigin,
-      maxSlippageBps,
-      maxPriceImpactBps,
-      minExpirySec,
-      skipSimulation,
-      skipChecks,
-      // encodingType: "enzyme-vault",
-    };
+    taker: vault,
+    txOrigin: manager,
+    maxSlippageBps,
+    minExpirySec,
+    skipChecks: false,
+    encodingType: "enzyme-vault"
+  };
+  const quoteData = await client.getSwapQuote(quoteRequest);
+
+  logger.log(`Quote received: ${quoteData.sellToken.symbol} → ${quoteData.buyToken.symbol}`);
+  logger.log(`Sell amount: ${ethers.utils.formatUnits(quoteData.sellAmount, quoteData.sellToken.decimals)} ${quoteData.sellToken.symbol}`);
+  logger.log(`Buy amount: ${ethers.utils.formatUnits(quoteData.buyAmount, quoteData.buyToken.decimals)} ${quoteData.buyToken.symbol}`);
+
+  const issues = client.checkIssues(quoteData);
+  if (issues) {
+    logger.warn("Quote has issues:", issues);
+  }
+
+  client.validateSwapQuote(quoteData, quoteRequest);
+  if (adapter) {
+    assertAllowedTarget(adapter, client.chain, client.allowedTargets);
+  }
+
+  const transaction = await wrapForVault(provider, {
+    vault,
+    transaction: quoteData.transaction,
+    adapter,
+    comptroller,
+    integrationManager
+  });
+
+  // Reviewers of the manager transaction see the trades behind the hex
+  const decoded = explainTransaction(logger, transaction, { taker: vault, vault }, tokensFromQuote(quoteData));
+
+  return submitManagerTransaction(client, transaction, {
+    manager,
+    unsigned,
+    output,
+    dryRun,
+    result: { quote: quoteData, decoded },
+    buildReport: receipt => buildSwapReport(receipt, {
+      account: vault,
+      quote: quoteData,
+      expectedDeltas: expectedDeltasFromQuote(quoteData)
+    })
+  });
+}
+
+/**
+ * Rebalance an Enzyme vault to target allocations. The vault's tracked assets and balances
+ * become the baseEntries; the rebalancing is requested with the vault as wallet and the
+ * manager as signer, then wrapped for the vault's IntegrationManager like swapFromEnzymeVault.
+ * @param {Object} options
+ * @param {ThirtyOneThirdClient} [options.client] - Client with provider (and the manager as signer), built from .env when omitted
+ * @param {string} options.vault - Enzyme VaultProxy address
+ * @param {string} [options.manager] - Owner or asset manager of the vault, defaults to the client's signer
+ * @param {Array} options.targetEntries - Tokens to hold as { tokenAddress, allocation }; tokens may be symbols
+ * @param {Array} [options.baseEntries] - Tokens to sell as { tokenAddress, amount } with amounts in wei or like "2 GRT",
+ *   defaults to all vault holdings
+ * @param {number} [options.maxSlippage=0.01] - Maximum slippage per trade
+ * @param {number} [options.maxPriceImpact=0.05] - Maximum price impact per trade
+ * @param {string} [options.adapter] - 31Third adapter; required when the API returns plain batchTrade calldata
+ * @param {string} [options.comptroller] - ComptrollerProxy, read from the vault when omitted
+ * @param {string} [options.integrationManager] - IntegrationManager, read from the comptroller when omitted
+ * @param {boolean} [options.unsigned=false] - Export the transaction for the manager to sign elsewhere
+ * @param {string} [options.output] - File the unsigned transaction is written to, logged when omitted
+ * @param {boolean} [options.dryRun=false] - Simulate from the manager with eth_call instead of sending
+ * @param {Object|false} [options.guardrails] - Pre-trade checks as for executeWalletRebalancing; a broken one
+ *   throws a GuardrailError before anything is exported or sent (dry runs only warn)
+ * @param {Function} [options.confirm] - async (plan) => boolean, asked before the manager sends;
+ *   anything but true cancels the rebalancing
+ * @param {string} [options.planOutput] - File the plan is written to for sign-off (.json, .csv or .md)
+ * @param {string} [options.planFormat] - Format of planOutput when its extension doesn't tell
+ * @returns {Promise<Object>} - { rebalancing, plan, transaction, decoded }, plus the unsigned transaction file,
+ *   simulation on dry runs or receipt and report (of the vault's transfers) once sent
+ */
+async function rebalanceEnzymeVault({
+  client = createClientFromEnv(),
+  vault,
+  manager,
+  targetEntries,
+  baseEntries,
+  maxSlippage = 0.01,
+  maxPriceImpact = 0.05,
+  adapter,
+  comptroller,
+  integrationManager,
+  unsigned = false,
+  output,
+  dryRun = false,
+  guardrails = {},
+  confirm,
+  planOutput,
+  planFormat
+} = {}) {
+  const { logger } = client;
+  const provider = client._requireProvider();
+  client.beginRun("enzyme-rebalance", { vault, manager, targetEntries, baseEntries, maxSlippage, unsigned, dryRun });
+  manager = await resolveManager(client, { vault, manager, unsigned, dryRun });
+
+  if (!targetEntries || targetEntries.length === 0) {
+    throw new Error("targetEntries are required to rebalance a vault");
+  }
+  if (!baseEntries) {
+    logger.log(`Reading tracked assets of vault ${vault}...`);
+    baseEntries = await getVaultHoldings(client, vault);
+    baseEntries.forEach(entry => logger.log(`- ${entry.tokenAddress}: ${entry.amount}`));
+  }
+  if (baseEntries.length === 0) {
+    throw new Error(`Vault ${vault} holds none of its tracked assets, nothing to rebalance`);
+  }
+  ({ baseEntries, targetEntries } = await resolveEntries(client, baseEntries, targetEntries));
+
+  logger.log("Requesting vault rebalancing from 31Third API...");
+  const rebalancingRequest = {
+    signer: manager,
+    wallet: vault,
+    baseEntries,
+    targetEntries,
+    maxSlippage,
+    maxPriceImpact,
+    batchTrade: true,
+    encodingType: "enzyme-vault"
+  };
+  const rebalancingData = await client.requestWalletRebalancing(rebalancingRequest);
+  logRebalancingSummary(logger, rebalancingData);
+
+  client.validateRebalancing(rebalancingData, rebalancingRequest);
 
+  // The vault's costs are checked like a wallet's before the manager transaction is built
+  const plan = buildRebalancingPlan(rebalancingData, { wallet: vault, guardrails });
+  if (planOutput) {
+    const format = writeRebalancingPlan(plan, planOutput, { format: planFormat });
+    logger.log(`\nRebalancing plan written to ${planOutput} (${format})`);
+  }
+  if (dryRun) {
+    plan.violations.forEach(violation => logger.warn(`⚠️ Guardrail: ${violation.message}`));
+  } else {
     try {
-      const response = await axios.get(url, {
-        headers: {
-          "x-api-key": this.API_KEY,
-          "chain-id": this.CHAIN_ID,
-        },
-        params,
-      });
-
-      return response.data;
+      assertGuardrails(plan.violations);
     } catch (error) {
-      const errorMessage = error.response?.data || error.message;
-      console.error("Error fetching swap quote:", errorMessage);
-      throw new Error(`31Third API error: ${JSON.stringify(errorMessage)}`);
+      client.recordEvent("rebalancing.rejected", { error });
+      throw error;
     }
   }
 
-  /**
-   * Execute a swap based on the quote
-   * @param {Object} quoteData - The quote data returned from getSwapQuote
-   * @returns {Object} - Transaction object ready to be signed and sent
-   */
-  prepareTransaction(quoteData) {
-    if (!quoteData || !quoteData.transaction) {
-      throw new Error("Invalid quote data. Missing transaction information.");
+  // Plain batchTrade calldata is re-encoded for the adapter, which runs the batch trade for the vault
+  let integrationTransaction = { to: adapter || rebalancingData.txHandler, data: rebalancingData.txData };
+  if (isBatchTradeCalldata(rebalancingData.txData)) {
+    if (!adapter) {
+      throw new Error("The API returned batchTrade calldata; pass the 31Third adapter address to wrap it for the vault");
     }
+    integrationTransaction = { to: adapter, data: batchTradeToIntegrationData(rebalancingData.txData) };
+  }
+  assertAllowedTarget(integrationTransaction.to, client.chain, client.allowedTargets);
+
+  const transaction = await wrapForVault(provider, {
+    vault,
+    transaction: integrationTransaction,
+    comptroller,
+    integrationManager
+  });
+  const decoded = explainTransaction(logger, transaction, { taker: vault, vault }, tokensFromTrades(rebalancingData.trades));
 
-    return {
-      to: quoteData.transaction.to,
-      data: quoteData.transaction.data,
-      value: quoteData.transaction.value,
-      gasLimit: quoteData.transaction.gasLimit,
-      gasPrice: quoteData.transaction.gasPrice,
-    };
+  if (!dryRun && !unsigned && confirm && (await confirm(plan)) !== true) {
+    const error = new Error("The rebalancing was not confirmed, nothing was sent");
+    client.recordEvent("rebalancing.rejected", { error });
+    throw error;
   }
 
-  /**
-   * Check if there are any issues with the quote (balance, allowance)
-   * @param {Object} quoteData - The quote data returned from getSwapQuote
-   * @returns {Object|null} - Issues object or null if no issues
-   */
-  checkIssues(quoteData) {
-    return quoteData.issues || null;
+  return submitManagerTransaction(client, transaction, {
+    manager,
+    unsigned,
+    output,
+    dryRun,
+    result: { rebalancing: rebalancingData, plan, decoded },
+    fallbackGasLimit: 3000000,
+    buildReport: receipt => buildRebalancingReport(receipt, {
+      account: vault,
+      rebalancing: rebalancingData,
+      targetEntries,
+      expectedDeltas: expectedDeltasFromRebalancing(rebalancingData)
+    })
+  });
+}
+
+/**
+ * Default the manager to the client's signer and check it may trade for the vault.
+ * Sending needs the manager as signer; unsigned and dry runs only need its address.
+ */
+async function resolveManager(client, { vault, manager, unsigned, dryRun }) {
+  if (!vault) {
+    throw new Error("An Enzyme vault address is required");
   }
+  const signerAddress = client.signer ? await client.signer.getAddress() : undefined;
+  manager = manager || signerAddress;
+  if (!manager) {
+    throw new Error("A manager address (or a manager signer) is required");
+  }
+  if (!unsigned && !dryRun && (!signerAddress || signerAddress.toLowerCase() !== manager.toLowerCase())) {
+    throw new Error(`The client's signer must be the manager ${manager} to send, use unsigned mode otherwise`);
+  }
+
+  await assertAuthorizedManager(client._requireProvider(), vault, manager);
+  client.logger.log(`Manager ${manager} is authorized on vault ${vault}`);
+  return manager;
 }
 
-// Example usage
-async function swapWithThirtyOneThird() {
-  const API_KEY = "6c8e528a-1ed1-497a-a71e-889170cfe52e"; // Request via dev@31third.com
-  const CHAIN_ID = "0x1"; // Ethereum mainnet
-
-  const adapter = new ThirtyOneThirdAdapter(API_KEY, CHAIN_ID);
-  const fromTokenAddress = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2"; // WETH
-  const toTokenAddress = "0xdAC17F958D2ee523a2206206994597C13D831ec7"; // USDT
-  const amount = ethers.utils.parseUnits("0.00001", 18); // 10 USDT (USDT has 6 decimals)
-  const vaultAddress = "0xef816305E54008535E4998014cbba4B9c54B8768"; // Enzyme vault address
-  const managerAddress = "0xaE87F9BD09895f1aA21c5023b61EcD85Eba515D1"; // Authorized manager address
-
-  try {
-    // Get quote for the swap
-    const quoteData = await adapter.getSwapQuote({
-      sellToken: fromTokenAddress,
-      buyToken: toTokenAddress,
-      sellAmount: amount,
-      taker: vaultAddress,
-      txOrigin: managerAddress,
-    });
+/**
+ * Simulate, output unsigned or send the manager's vault transaction
+ */
+async function submitManagerTransaction(client, transaction, {
+  manager,
+  unsigned,
+  output,
+  dryRun,
+  result,
+  buildReport,
+  fallbackGasLimit = 1500000
+}) {
+  const { logger } = client;
 
-    console.log("quoteData   ", quoteData);
+  if (dryRun) {
+    logger.log("Dry run: simulating the vault call from the manager...");
+    const simulation = await client.simulateTransaction({ ...transaction, from: manager });
+    logSimulation(logger, simulation);
+    client.endRun({ dryRun: true, simulation });
+    return { ...result, transaction, simulation };
+  }
 
-    const issues = adapter.checkIssues(quoteData);
-    if (issues) {
-      console.warn("Quote has issues:", issues);
-    }
+  if (unsigned) {
+    const file = await exportUnsignedTransactions(client, [{
+      ...transaction,
+      description: `Enzyme vault call through ${transaction.to}`,
+      purpose: "trade"
+    }], { from: manager, output, fallbackGasLimit });
+    return { ...result, transaction: { ...transaction, from: manager, chainId: client.chain.chainId }, unsigned: file };
+  }
 
-    const transaction = adapter.prepareTransaction(quoteData);
+  const receipt = await client.sendTransaction(transaction, { fallbackGasLimit, purpose: "trade" });
+  const report = buildReport(receipt);
+  logExecutionReport(logger, report);
+  client.endRun({ transactionHash: receipt.transactionHash, report });
+  return { ...result, transaction, receipt, report };
+}
 
-    console.log("transaction data to submit", quoteData.transaction.data);
-  } catch (error) {
-    console.error("Error:", error.message);
+// Example usage with the vault and manager from .env
+async function main() {
+  const vault = process.env.ENZYME_VAULT;
+  const manager = process.env.ENZYME_MANAGER;
+  if (!vault) {
+    throw new Error("Please set ENZYME_VAULT (and ENZYME_MANAGER for unsigned output) in your .env file");
   }
+
+  const client = createClientFromEnv({ requireSigner: false });
+  const unsigned = !client.signer || client.signer instanceof ethers.VoidSigner;
+
+  return swapFromEnzymeVault({
+    client,
+    vault,
+    manager,
+    sellToken: "WETH",
+    buyToken: "USDT",
+    sellAmount: "0.00001 WETH",
+    unsigned
+  });
 }
 
-// Execute the example
-swapWithThirtyOneThird();
+module.exports = { swapFromEnzymeVault, rebalanceEnzymeVault, main };
+
+// Execute the example when run directly
+if (require.main === module) {
+  main()
+    .then(() => {
+      console.log("✅ Enzyme swap completed successfully!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("❌ Error executing Enzyme swap:", error.message);
+      process.exit(1);
+    });
+}
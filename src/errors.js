@@ -0,0 +1,219 @@
+/**
+ * Base class for errors raised while sending a transaction
+ */
+class TransactionError extends Error {
+  constructor(message, { cause, transaction, receipt } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.cause = cause;
+    this.transaction = transaction;
+    this.receipt = receipt;
+  }
+}
+
+/**
+ * The transaction reverted, either during gas estimation or on-chain
+ */
+class TransactionRevertedError extends TransactionError {
+  constructor(message, { reason, ...details } = {}) {
+    super(message, details);
+    this.reason = reason;
+  }
+}
+
+/**
+ * The node rejected the fees: underpriced, replacement underpriced or below base fee
+ */
+class TransactionUnderpricedError extends TransactionError {}
+
+/**
+ * The nonce was already used or is too far ahead of the account's nonce
+ */
+class NonceError extends TransactionError {}
+
+/**
+ * The sender cannot pay for value plus gas
+ */
+class InsufficientFundsError extends TransactionError {}
+
+/**
+ * Base class for API responses that fail the integrity checks done before signing
+ */
+class QuoteValidationError extends Error {
+  constructor(message, { field, expected, actual } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.field = field;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Tokens or amounts in the response differ from the request
+ */
+class QuoteMismatchError extends QuoteValidationError {}
+
+/**
+ * The transaction targets a contract that is not on the chain's allowlist
+ */
+class UntrustedTargetError extends QuoteValidationError {}
+
+/**
+ * The transaction sends native value although no native token is sold
+ */
+class UnexpectedValueError extends QuoteValidationError {}
+
+/**
+ * The quote or rebalancing has already expired
+ */
+class QuoteExpiredError extends QuoteValidationError {}
+
+/**
+ * The minimum buy amount is below what the requested slippage allows
+ */
+class SlippageExceededError extends QuoteValidationError {}
+
+/**
+ * The quoted price is worse than the reference price by more than allowed
+ */
+class PriceDeviationError extends QuoteValidationError {}
+
+/**
+ * The rebalancing breaks a pre-trade guardrail, like costs above the allowed share of the sell
+ * value; `violations` lists every broken guardrail as { field, message, expected, actual }
+ */
+class GuardrailError extends QuoteValidationError {
+  constructor(message, { violations = [], ...details } = {}) {
+    super(message, details);
+    this.violations = violations;
+  }
+}
+
+/**
+ * Base class for failed 31Third API requests. Keeps the HTTP status (undefined when no
+ * response arrived), the API's error code and message, and the request that failed.
+ */
+class ApiError extends Error {
+  constructor(message, { status, code, apiMessage, method, path, params, data, retryAfterMs, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.apiMessage = apiMessage;
+    this.method = method;
+    this.path = path;
+    this.params = params;
+    this.data = data;
+    this.retryAfterMs = retryAfterMs;
+    this.cause = cause;
+  }
+
+  /**
+   * Whether sending the same request again may succeed
+   */
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * The API key is missing, invalid or not allowed to use the endpoint (401/403)
+ */
+class AuthenticationError extends ApiError {}
+
+/**
+ * The API rejected the request parameters (other 4xx)
+ */
+class InvalidRequestError extends ApiError {}
+
+/**
+ * A token of the request is not supported on the chain
+ */
+class UnsupportedTokenError extends InvalidRequestError {}
+
+/**
+ * No route with enough liquidity (or no price pair) for the requested trade
+ */
+class InsufficientLiquidityError extends InvalidRequestError {}
+
+/**
+ * Too many requests (429); `retryAfterMs` holds the Retry-After delay when the API sent one
+ */
+class RateLimitError extends ApiError {
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The API failed on its side (5xx)
+ */
+class ServerError extends ApiError {
+  get retryable() {
+    return this.status !== 501;
+  }
+}
+
+/**
+ * No response: connection refused or reset, DNS failure
+ */
+class NetworkError extends ApiError {
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * No response within the request timeout
+ */
+class ApiTimeoutError extends ApiError {
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The request was cancelled through its AbortSignal
+ */
+class RequestAbortedError extends ApiError {}
+
+/**
+ * The API reports an async rebalancing job as failed, cancelled or expired
+ */
+class RebalancingJobError extends Error {
+  constructor(message, { id, status, data } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.id = id;
+    this.status = status;
+    this.data = data;
+  }
+}
+
+module.exports = {
+  TransactionError,
+  TransactionRevertedError,
+  TransactionUnderpricedError,
+  NonceError,
+  InsufficientFundsError,
+  QuoteValidationError,
+  QuoteMismatchError,
+  UntrustedTargetError,
+  UnexpectedValueError,
+  QuoteExpiredError,
+  SlippageExceededError,
+  PriceDeviationError,
+  GuardrailError,
+  ApiError,
+  AuthenticationError,
+  InvalidRequestError,
+  UnsupportedTokenError,
+  InsufficientLiquidityError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  ApiTimeoutError,
+  RequestAbortedError,
+  RebalancingJobError
+};
@@ -0,0 +1,228 @@
+const { ethers } = require("ethers");
+
+const TRANSFER_TOPIC = ethers.utils.id("Transfer(address,address,uint256)");
+
+function formatAmount(amount, decimals) {
+  return decimals !== undefined ? ethers.utils.formatUnits(amount, decimals) : amount.toString();
+}
+
+function slippageBps(expected, actual) {
+  const expectedAmount = ethers.BigNumber.from(expected);
+  if (expectedAmount.isZero()) {
+    return 0;
+  }
+  return expectedAmount.sub(actual).mul(10000).div(expectedAmount).toNumber();
+}
+
+/**
+ * Sum the ERC20 Transfer events of a receipt into and out of `account`, per token
+ * @param {Object} receipt - Transaction receipt with logs
+ * @param {string} account - Taker whose transfers are counted
+ * @returns {Object} - By lowercase token address: { token, sent, received }
+ */
+function readTransfers(receipt, account) {
+  const transfers = {};
+  const owner = account.toLowerCase();
+
+  (receipt.logs || []).forEach(log => {
+    // ERC721 Transfer events index the token id as well
+    if (log.topics[0] !== TRANSFER_TOPIC || log.topics.length !== 3) {
+      return;
+    }
+    const from = ethers.utils.hexDataSlice(log.topics[1], 12).toLowerCase();
+    const to = ethers.utils.hexDataSlice(log.topics[2], 12).toLowerCase();
+    if (from !== owner && to !== owner) {
+      return;
+    }
+
+    const key = log.address.toLowerCase();
+    const entry = transfers[key] || { token: log.address, sent: ethers.constants.Zero, received: ethers.constants.Zero };
+    const amount = ethers.BigNumber.from(log.data);
+    if (from === owner) {
+      entry.sent = entry.sent.add(amount);
+    }
+    if (to === owner) {
+      entry.received = entry.received.add(amount);
+    }
+    transfers[key] = entry;
+  });
+
+  return transfers;
+}
+
+/**
+ * Gas actually paid by a receipt, compared to the API's estimate when there is one
+ */
+function gasReport(receipt, { estimatedGasFees, estimatedGasFeesInUsd } = {}) {
+  const gasPrice = ethers.BigNumber.from(receipt.effectiveGasPrice || 0);
+  const cost = receipt.gasUsed.mul(gasPrice);
+  const report = {
+    gasUsed: receipt.gasUsed,
+    effectiveGasPrice: gasPrice,
+    cost,
+    formattedCost: ethers.utils.formatEther(cost)
+  };
+
+  if (estimatedGasFees) {
+    report.estimatedCost = ethers.BigNumber.from(estimatedGasFees);
+    if (estimatedGasFeesInUsd && !report.estimatedCost.isZero()) {
+      // Priced with the native token price the API used for its estimate
+      const usdPerWei = Number(estimatedGasFeesInUsd) / Number(report.estimatedCost.toString());
+      report.costInUsd = Number(cost.toString()) * usdPerWei;
+    }
+  }
+  return report;
+}
+
+/**
+ * Compare the token transfers of a receipt with the expected deltas of a quote or rebalancing
+ * (see expectedDeltasFromQuote). Sold tokens are checked against what was expected to leave
+ * the account, bought tokens against the expected and minimum amounts.
+ * @param {Object} receipt - Receipt of the swap or rebalancing
+ * @param {Object} options
+ * @param {string} options.account - Taker or wallet whose balances changed
+ * @param {Array} options.expectedDeltas - [{ token, symbol, decimals, amount, minAmount }], sold tokens negative
+ * @param {Object} [options.gasEstimate] - { estimatedGasFees, estimatedGasFeesInUsd } from the API
+ * @returns {Object} - { transactionHash, blockNumber, status, account, tokens, gas }
+ */
+function buildExecutionReport(receipt, { account, expectedDeltas = [], gasEstimate } = {}) {
+  const transfers = readTransfers(receipt, account);
+  const expectedByToken = {};
+  expectedDeltas.forEach(delta => {
+    expectedByToken[delta.token.toLowerCase()] = delta;
+  });
+
+  const addresses = new Set(Object.keys(expectedByToken).concat(Object.keys(transfers)));
+  const tokens = Array.from(addresses).map(address => {
+    const expected = expectedByToken[address];
+    const transfer = transfers[address] || { sent: ethers.constants.Zero, received: ethers.constants.Zero };
+    const decimals = expected && expected.decimals;
+    const net = transfer.received.sub(transfer.sent);
+    const entry = {
+      token: (expected && expected.token) || transfer.token,
+      symbol: expected && expected.symbol,
+      decimals,
+      sold: transfer.sent,
+      received: transfer.received,
+      net,
+      formattedNet: formatAmount(net, decimals)
+    };
+
+    if (expected && ethers.BigNumber.from(expected.amount).gt(0)) {
+      entry.expected = ethers.BigNumber.from(expected.amount);
+      entry.minExpected = ethers.BigNumber.from(expected.minAmount);
+      entry.slippageBps = slippageBps(entry.expected, net);
+      entry.belowMinimum = net.lt(entry.minExpected);
+    } else if (expected) {
+      entry.expected = ethers.BigNumber.from(expected.amount);
+      entry.soldMoreThanExpected = net.lt(entry.expected);
+    } else {
+      entry.unexpected = true;
+    }
+    return entry;
+  });
+
+  return {
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    status: receipt.status,
+    account,
+    tokens,
+    gas: gasReport(receipt, gasEstimate)
+  };
+}
+
+/**
+ * Execution report of a swap: realized slippage of the bought token against the quote's buyAmount
+ */
+function buildSwapReport(receipt, { account, quote, expectedDeltas }) {
+  const report = buildExecutionReport(receipt, { account, expectedDeltas, gasEstimate: quote });
+  const bought = report.tokens.find(entry => entry.token.toLowerCase() === quote.buyToken.address.toLowerCase());
+
+  return {
+    ...report,
+    type: "swap",
+    buyAmount: ethers.BigNumber.from(quote.buyAmount),
+    minBuyAmount: quote.minBuyAmount !== undefined ? ethers.BigNumber.from(quote.minBuyAmount) : undefined,
+    received: bought ? bought.net : ethers.constants.Zero,
+    slippageBps: bought ? bought.slippageBps : 10000,
+    belowMinimum: bought ? bought.belowMinimum : true
+  };
+}
+
+/**
+ * Execution report of a rebalancing. The received value in USD is the API's estimate scaled by
+ * how much of each bought token arrived, with tokens weighted by their target allocation.
+ * @param {Object} receipt
+ * @param {Object} options
+ * @param {string} options.account - Rebalanced wallet
+ * @param {Object} options.rebalancing - Response of requestWalletRebalancing
+ * @param {Array} options.targetEntries - Target entries of the request, for weighting bought tokens
+ * @param {Array} options.expectedDeltas - Result of expectedDeltasFromRebalancing
+ */
+function buildRebalancingReport(receipt, { account, rebalancing, targetEntries = [], expectedDeltas }) {
+  const report = buildExecutionReport(receipt, { account, expectedDeltas, gasEstimate: rebalancing });
+  const estimated = Number(rebalancing.estimatedReceiveValueInUsd);
+  const minimum = Number(rebalancing.minReceiveValueInUsd);
+
+  let weightedRatio = 0;
+  let totalWeight = 0;
+  report.tokens.filter(entry => entry.slippageBps !== undefined).forEach(entry => {
+    const target = targetEntries.find(candidate => candidate.tokenAddress.toLowerCase() === entry.token.toLowerCase());
+    const weight = target ? Number(target.allocation) : 0;
+    weightedRatio += weight * (1 - entry.slippageBps / 10000);
+    totalWeight += weight;
+  });
+
+  const result = { ...report, type: "rebalancing" };
+  if (Number.isFinite(estimated) && totalWeight > 0) {
+    result.estimatedReceiveValueInUsd = estimated;
+    result.minReceiveValueInUsd = Number.isFinite(minimum) ? minimum : undefined;
+    result.receivedValueInUsd = estimated * (weightedRatio / totalWeight);
+    result.slippageBps = Math.round((1 - weightedRatio / totalWeight) * 10000);
+    result.belowMinimum = result.minReceiveValueInUsd !== undefined && result.receivedValueInUsd < result.minReceiveValueInUsd;
+  }
+  return result;
+}
+
+/**
+ * Log an execution report
+ */
+function logExecutionReport(logger, report) {
+  logger.log("\n======= Execution Report =======");
+  logger.log(`Transaction: ${report.transactionHash} (block ${report.blockNumber})`);
+  report.tokens.forEach(entry => {
+    const name = entry.symbol || entry.token;
+    let line = `${name}: ${entry.formattedNet}`;
+    if (entry.slippageBps !== undefined) {
+      line += ` (expected ${formatAmount(entry.expected, entry.decimals)}, slippage ${(entry.slippageBps / 100).toFixed(2)}%` +
+        `${entry.belowMinimum ? ", BELOW MINIMUM" : ""})`;
+    } else if (entry.unexpected) {
+      line += " (not expected)";
+    }
+    logger.log(line);
+  });
+  if (report.receivedValueInUsd !== undefined) {
+    const minimum = report.minReceiveValueInUsd !== undefined ? `, min $${report.minReceiveValueInUsd.toFixed(2)}` : "";
+    logger.log(
+      `Received value (USD): $${report.receivedValueInUsd.toFixed(2)} ` +
+      `(estimated $${report.estimatedReceiveValueInUsd.toFixed(2)}${minimum})`
+    );
+  }
+  if (report.slippageBps !== undefined) {
+    logger.log(`Realized slippage: ${(report.slippageBps / 100).toFixed(2)}%`);
+  }
+  logger.log(
+    `Gas: ${report.gas.gasUsed.toString()} at ${ethers.utils.formatUnits(report.gas.effectiveGasPrice, "gwei")} gwei = ` +
+    `${report.gas.formattedCost} ETH${report.gas.costInUsd !== undefined ? ` ($${report.gas.costInUsd.toFixed(2)})` : ""}`
+  );
+}
+
+module.exports = {
+  TRANSFER_TOPIC,
+  readTransfers,
+  buildExecutionReport,
+  buildSwapReport,
+  buildRebalancingReport,
+  logExecutionReport
+};
@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// How long withFileLockSync waits for a lock before giving up, and how often it looks again
+const DEFAULT_LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 10;
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Read a lock file, or undefined when there is none or its process is gone
+ */
+function readLock(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return undefined;
+    }
+    throw error;
+  }
+  const lock = JSON.parse(content);
+  return lock.pid === undefined || processAlive(lock.pid) ? lock : undefined;
+}
+
+/**
+ * Move a lock left behind by a process that died out of the way. It is renamed to a name of
+ * our own first, so of two processes taking it over only one gets it, and checked again there:
+ * a live lock that replaced the dead one in between is put back.
+ * @returns {boolean} - Whether the lock can be taken, false while a live process holds it
+ */
+function clearStaleLock(file, token) {
+  if (readLock(file)) {
+    return false;
+  }
+  const aside = `${file}.${token}.stale`;
+  try {
+    fs.renameSync(file, aside);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return true;
+    }
+    throw error;
+  }
+
+  const held = Boolean(readLock(aside));
+  if (held) {
+    try {
+      fs.linkSync(aside, file);
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+  }
+  fs.rmSync(aside, { force: true });
+  return !held;
+}
+
+/**
+ * Take a lock file. It is written under a temporary name and hard-linked into place, which
+ * fails when the lock exists, so two processes can't both hold it and nobody reads it half
+ * written. A lock left behind by a process that died is taken over.
+ * @param {string} file - Lock file
+ * @param {Object} [holder] - Details kept in the lock
+ * @returns {Function|undefined} - Releases the lock, undefined when another process holds it
+ */
+function acquireFileLock(file, holder = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const token = `${process.pid}-${crypto.randomBytes(8).toString("hex")}`;
+  const temporary = `${file}.${token}`;
+  fs.writeFileSync(temporary, JSON.stringify({ ...holder, pid: process.pid, token }));
+
+  try {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        fs.linkSync(temporary, file);
+        return () => releaseFileLock(file, token);
+      } catch (error) {
+        if (error.code !== "EEXIST") {
+          throw error;
+        }
+      }
+      if (!clearStaleLock(file, token)) {
+        return undefined;
+      }
+    }
+    return undefined;
+  } finally {
+    fs.rmSync(temporary, { force: true });
+  }
+}
+
+/**
+ * Remove the lock unless another process took it over in the meantime
+ */
+function releaseFileLock(file, token) {
+  const lock = readLock(file);
+  if (lock && lock.token === token) {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+/**
+ * Run `fn` while holding a lock file, waiting for another process to release it first.
+ * Meant for short critical sections like a read-modify-write of a small file, so the wait
+ * blocks instead of yielding to the event loop.
+ * @param {string} file - Lock file
+ * @param {Function} fn - Called while the lock is held
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=5000] - How long to wait for the lock
+ * @returns {*} - What fn returns
+ * @throws {Error} - When the lock is still held after timeoutMs
+ */
+function withFileLockSync(file, fn, { timeoutMs = DEFAULT_LOCK_TIMEOUT_MS } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let release = acquireFileLock(file);
+  while (!release) {
+    if (Date.now() >= deadline) {
+      const holder = readLock(file);
+      throw new Error(`Timed out waiting for ${file}${holder ? `, held by process ${holder.pid}` : ""}`);
+    }
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, LOCK_RETRY_MS);
+    release = acquireFileLock(file);
+  }
+  try {
+    return fn();
+  } finally {
+    release();
+  }
+}
+
+module.exports = { readLock, acquireFileLock, withFileLockSync };
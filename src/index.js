@@ -0,0 +1,230 @@
+const {
+  ThirtyOneThirdClient,
+  ERC20_ABI,
+  WRAPPED_NATIVE_ABI,
+  DEFAULT_BASE_URL,
+  DEFAULT_GAS_RESERVE,
+  DEFAULT_MAX_DEVIATION_FROM_TARGET
+} = require("./client");
+const { DEFAULT_REQUEST_OPTIONS, classifyApiError } = require("./api-request");
+const { CHAINS, NATIVE_TOKEN_ADDRESS, ENZYME_ADAPTER_ADDRESS, getChain, isNativeToken, registerChain, getRpcUrl } = require("./chains");
+const { TOKENS, DEFAULT_TOKEN_CACHE_PATH, resolveToken, readTokenSymbol, decodeTokenSymbol, TokenRegistry } = require("./tokens");
+const { MULTICALL3_ADDRESS, MULTICALL3_ABI, isMulticallDeployed, aggregate } = require("./multicall");
+const { createClientFromEnv, signerFromEnv } = require("./env");
+const { loadKeystoreSigner, CallbackSigner, assertSignedTransaction } = require("./signers");
+const {
+  populateUnsignedTransactions,
+  exportUnsignedTransactions,
+  readTransactionFile,
+  writeTransactionFile,
+  signTransactionFile,
+  broadcastTransactionFile
+} = require("./offline");
+const {
+  decodeRevertReason,
+  simulateTransaction,
+  expectedDeltasFromQuote,
+  expectedDeltasFromRebalancing
+} = require("./simulation");
+const { TransactionSender, classifyTransactionError } = require("./transaction-sender");
+const { NonceManager } = require("./nonce-manager");
+const {
+  PERMIT2_ADDRESS,
+  APPROVAL_STRATEGIES,
+  DEFAULT_APPROVAL_OPTIONS,
+  getApprovalAmount,
+  requiresResetToZero,
+  approvalTransactions,
+  signErc2612Permit,
+  signPermit2
+} = require("./approvals");
+const {
+  parseExpiry,
+  getAllowedTargets,
+  assertTradeTargetsConfigured,
+  validateSwapQuote,
+  validateRebalancing
+} = require("./quote-validation");
+const { BATCH_TRADE_ABI, decodeTransaction, logDecodedTransaction, explainTransaction } = require("./calldata");
+const {
+  INTEGRATION_MANAGER_ACTIONS,
+  getVaultContracts,
+  isAuthorizedManager,
+  assertAuthorizedManager,
+  getVaultHoldings,
+  buildCallOnIntegration,
+  wrapForVault
+} = require("./enzyme");
+const { readTargetAllocation, validateWeights, computeRebalance } = require("./portfolio");
+const { JobStore } = require("./job-store");
+const { TradeJournal, DEFAULT_JOURNAL_PATH, checkJournalTransactions } = require("./journal");
+const {
+  MULTISEND_CALL_ONLY_ADDRESS,
+  SAFE_OPERATIONS,
+  encodeMultiSend,
+  decodeMultiSend,
+  buildSafeBatch
+} = require("./safe");
+const {
+  readTransfers,
+  buildExecutionReport,
+  buildSwapReport,
+  buildRebalancingReport,
+  logExecutionReport
+} = require("./execution-report");
+const { waitForRebalancing, requestRebalancingJob } = require("./rebalancing-job");
+const {
+  DEFAULT_GUARDRAILS,
+  rebalancingCosts,
+  checkGuardrails,
+  buildRebalancingPlan,
+  formatRebalancingPlan,
+  writeRebalancingPlan,
+  promptConfirmation
+} = require("./rebalancing-plan");
+const {
+  TransactionError,
+  TransactionRevertedError,
+  TransactionUnderpricedError,
+  NonceError,
+  InsufficientFundsError,
+  QuoteValidationError,
+  QuoteMismatchError,
+  UntrustedTargetError,
+  UnexpectedValueError,
+  QuoteExpiredError,
+  SlippageExceededError,
+  PriceDeviationError,
+  GuardrailError,
+  ApiError,
+  AuthenticationError,
+  InvalidRequestError,
+  UnsupportedTokenError,
+  InsufficientLiquidityError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  ApiTimeoutError,
+  RequestAbortedError,
+  RebalancingJobError
+} = require("./errors");
+
+module.exports = {
+  ThirtyOneThirdClient,
+  ERC20_ABI,
+  WRAPPED_NATIVE_ABI,
+  DEFAULT_BASE_URL,
+  DEFAULT_GAS_RESERVE,
+  DEFAULT_MAX_DEVIATION_FROM_TARGET,
+  DEFAULT_REQUEST_OPTIONS,
+  classifyApiError,
+  CHAINS,
+  NATIVE_TOKEN_ADDRESS,
+  ENZYME_ADAPTER_ADDRESS,
+  getChain,
+  isNativeToken,
+  registerChain,
+  getRpcUrl,
+  TOKENS,
+  DEFAULT_TOKEN_CACHE_PATH,
+  resolveToken,
+  readTokenSymbol,
+  decodeTokenSymbol,
+  TokenRegistry,
+  MULTICALL3_ADDRESS,
+  MULTICALL3_ABI,
+  isMulticallDeployed,
+  aggregate,
+  createClientFromEnv,
+  signerFromEnv,
+  loadKeystoreSigner,
+  CallbackSigner,
+  assertSignedTransaction,
+  populateUnsignedTransactions,
+  exportUnsignedTransactions,
+  readTransactionFile,
+  writeTransactionFile,
+  signTransactionFile,
+  broadcastTransactionFile,
+  decodeRevertReason,
+  simulateTransaction,
+  expectedDeltasFromQuote,
+  expectedDeltasFromRebalancing,
+  TransactionSender,
+  classifyTransactionError,
+  NonceManager,
+  PERMIT2_ADDRESS,
+  APPROVAL_STRATEGIES,
+  DEFAULT_APPROVAL_OPTIONS,
+  getApprovalAmount,
+  requiresResetToZero,
+  approvalTransactions,
+  signErc2612Permit,
+  signPermit2,
+  parseExpiry,
+  getAllowedTargets,
+  assertTradeTargetsConfigured,
+  validateSwapQuote,
+  validateRebalancing,
+  BATCH_TRADE_ABI,
+  decodeTransaction,
+  logDecodedTransaction,
+  explainTransaction,
+  INTEGRATION_MANAGER_ACTIONS,
+  getVaultContracts,
+  isAuthorizedManager,
+  assertAuthorizedManager,
+  getVaultHoldings,
+  buildCallOnIntegration,
+  wrapForVault,
+  readTargetAllocation,
+  validateWeights,
+  computeRebalance,
+  JobStore,
+  TradeJournal,
+  DEFAULT_JOURNAL_PATH,
+  checkJournalTransactions,
+  MULTISEND_CALL_ONLY_ADDRESS,
+  SAFE_OPERATIONS,
+  encodeMultiSend,
+  decodeMultiSend,
+  buildSafeBatch,
+  readTransfers,
+  buildExecutionReport,
+  buildSwapReport,
+  buildRebalancingReport,
+  logExecutionReport,
+  waitForRebalancing,
+  requestRebalancingJob,
+  DEFAULT_GUARDRAILS,
+  rebalancingCosts,
+  checkGuardrails,
+  buildRebalancingPlan,
+  formatRebalancingPlan,
+  writeRebalancingPlan,
+  promptConfirmation,
+  TransactionError,
+  TransactionRevertedError,
+  TransactionUnderpricedError,
+  NonceError,
+  InsufficientFundsError,
+  QuoteValidationError,
+  QuoteMismatchError,
+  UntrustedTargetError,
+  UnexpectedValueError,
+  QuoteExpiredError,
+  SlippageExceededError,
+  PriceDeviationError,
+  GuardrailError,
+  ApiError,
+  AuthenticationError,
+  InvalidRequestError,
+  UnsupportedTokenError,
+  InsufficientLiquidityError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  ApiTimeoutError,
+  RequestAbortedError,
+  RebalancingJobError
+};
@@ -0,0 +1,77 @@
+const fs = require("fs");
+const path = require("path");
+const { withFileLockSync } = require("./file-lock");
+
+const DEFAULT_JOB_STORE_PATH = ".31third/jobs.json";
+
+/**
+ * Small JSON file keyed by string, used to remember work that must survive a restart
+ * (like the id of an async rebalancing job). Writes go through a temp file and a rename,
+ * so a crash never leaves a half-written file behind, and each read-modify-write holds a
+ * lock file next to it, so processes sharing the store don't drop each other's entries.
+ */
+class JobStore {
+  /**
+   * @param {string} [filePath=".31third/jobs.json"] - File the entries are kept in
+   */
+  constructor(filePath = DEFAULT_JOB_STORE_PATH) {
+    this.filePath = filePath;
+  }
+
+  get(key) {
+    return this._read()[key];
+  }
+
+  set(key, value) {
+    this._update(entries => {
+      entries[key] = value;
+      return true;
+    });
+  }
+
+  delete(key) {
+    this._update(entries => {
+      if (!(key in entries)) {
+        return false;
+      }
+      delete entries[key];
+      return true;
+    });
+  }
+
+  entries() {
+    return Object.entries(this._read());
+  }
+
+  /**
+   * Read the entries, let `change` edit them and write them back if it returns true, all
+   * under the store's lock
+   */
+  _update(change) {
+    withFileLockSync(`${this.filePath}.lock`, () => {
+      const entries = this._read();
+      if (change(entries)) {
+        this._write(entries);
+      }
+    });
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      throw new Error(`Cannot read job store ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  _write(entries) {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(entries, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = { JobStore, DEFAULT_JOB_STORE_PATH };
@@ -0,0 +1,266 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const DEFAULT_JOURNAL_PATH = ".31third/journal.jsonl";
+
+/**
+ * JSON.stringify replacer writing BigNumbers as decimal strings and errors as their message
+ */
+function journalReplacer(key, value) {
+  if (value && value.type === "BigNumber" && value.hex) {
+    return ethers.BigNumber.from(value.hex).toString();
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, status: value.status };
+  }
+  return value;
+}
+
+/**
+ * The fields of a receipt worth keeping in the journal
+ */
+function summarizeReceipt(receipt) {
+  return {
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    status: receipt.status,
+    gasUsed: receipt.gasUsed,
+    effectiveGasPrice: receipt.effectiveGasPrice
+  };
+}
+
+/**
+ * Append-only log of everything a run did: quote requests and responses, approvals,
+ * submitted, replaced and confirmed transactions and the execution report. Each line is
+ * one JSON record { time, runId, type, ... }, so the file survives a crash mid-write
+ * and can be grepped or loaded into other tools.
+ */
+class TradeJournal {
+  /**
+   * @param {string} [filePath=".31third/journal.jsonl"] - File the records are appended to
+   */
+  constructor(filePath = DEFAULT_JOURNAL_PATH) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Start a run; records passed the returned id are linked to it
+   * @param {string} kind - What the run does, like "swap" or "rebalance"
+   * @param {Object} [details] - Parameters of the run
+   * @returns {string} - Run id
+   */
+  startRun(kind, details = {}) {
+    const runId = crypto.randomUUID();
+    this.record(runId, "run.started", { kind, details });
+    return runId;
+  }
+
+  /**
+   * Append a record
+   * @param {string} runId - Run the record belongs to
+   * @param {string} type - Record type, like "quote.received" or "transaction.submitted"
+   * @param {Object} [data] - Record fields
+   */
+  record(runId, type, data = {}) {
+    const line = JSON.stringify({ time: new Date().toISOString(), runId, type, ...data }, journalReplacer);
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${line}\n`);
+  }
+
+  /**
+   * Read records, oldest first
+   * @param {Object} [filter]
+   * @param {string} [filter.runId] - Only records of this run
+   * @param {string} [filter.type] - Only records of this type
+   * @param {string|Date} [filter.since] - Only records from this time on
+   * @returns {Array}
+   */
+  read({ runId, type, since } = {}) {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw new Error(`Cannot read journal ${this.filePath}: ${error.message}`);
+    }
+
+    const sinceTime = since === undefined ? undefined : new Date(since).getTime();
+    const records = [];
+    content.split("\n").forEach(line => {
+      if (!line.trim()) {
+        return;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A crash while appending can leave one partial line behind
+        return;
+      }
+      if (runId && record.runId !== runId) {
+        return;
+      }
+      if (type && record.type !== type) {
+        return;
+      }
+      if (sinceTime !== undefined && new Date(record.time).getTime() < sinceTime) {
+        return;
+      }
+      records.push(record);
+    });
+    return records;
+  }
+
+  /**
+   * Summaries of the most recent runs, newest first. A run is
+   * - completed: it finished (dryRun is set for simulations)
+   * - unconfirmed: a transaction was sent but no receipt was recorded, e.g. after a crash
+   * - confirmed: all its transactions were mined but the run stopped before it completed
+   * - failed: a request, validation or transaction failed
+   * - incomplete: it stopped before sending anything
+   * @param {Object} [options]
+   * @param {number} [options.limit=20] - Number of runs to return
+   * @param {string} [options.runId] - Only this run
+   * @returns {Array} - [{ runId, kind, details, startedAt, updatedAt, status, dryRun, error, transactions }]
+   */
+  runs({ limit = 20, runId } = {}) {
+    const runs = new Map();
+
+    this.read({ runId }).forEach(record => {
+      let run = runs.get(record.runId);
+      if (!run) {
+        run = { runId: record.runId, kind: undefined, startedAt: record.time, transactions: [], completed: false };
+        runs.set(record.runId, run);
+      }
+      run.updatedAt = record.time;
+      applyRecord(run, record);
+    });
+
+    return Array.from(runs.values())
+      .reverse()
+      .slice(0, limit)
+      .map(run => {
+        const { completed, ...summary } = run;
+        return { ...summary, status: runStatus(run, completed) };
+      });
+  }
+}
+
+function findTransaction(run, hash) {
+  return run.transactions.find(transaction => transaction.hashes.includes(hash));
+}
+
+function applyRecord(run, record) {
+  switch (record.type) {
+    case "run.started":
+      run.kind = record.kind;
+      run.details = record.details;
+      break;
+    case "run.completed":
+      run.completed = true;
+      run.dryRun = Boolean(record.dryRun);
+      break;
+    case "transaction.submitted":
+      run.transactions.push({
+        hash: record.hash,
+        hashes: [record.hash],
+        purpose: record.purpose,
+        nonce: record.nonce,
+        status: "submitted"
+      });
+      break;
+    case "transaction.replaced": {
+      const transaction = findTransaction(run, record.hash);
+      if (transaction && !transaction.hashes.includes(record.replacementHash)) {
+        transaction.hashes.push(record.replacementHash);
+      }
+      break;
+    }
+    case "transaction.confirmed": {
+      const transaction = findTransaction(run, record.hash);
+      if (transaction) {
+        transaction.status = record.receipt.status === 0 ? "reverted" : "confirmed";
+        transaction.transactionHash = record.receipt.transactionHash;
+        transaction.blockNumber = record.receipt.blockNumber;
+      }
+      break;
+    }
+    case "transaction.failed": {
+      const transaction = record.hash && findTransaction(run, record.hash);
+      if (transaction) {
+        transaction.status = "failed";
+      }
+      run.error = record.error;
+      break;
+    }
+    default:
+      if (/\.(failed|rejected)$/.test(record.type)) {
+        run.error = record.error;
+      }
+  }
+}
+
+function runStatus(run, completed) {
+  if (completed) {
+    return "completed";
+  }
+  if (run.transactions.some(transaction => transaction.status === "submitted")) {
+    return "unconfirmed";
+  }
+  if (run.error || run.transactions.some(transaction => transaction.status !== "confirmed")) {
+    return "failed";
+  }
+  // Everything was mined but the run stopped before recording its outcome
+  return run.transactions.length > 0 ? "confirmed" : "incomplete";
+}
+
+/**
+ * Look up receipts for transactions the journal has no outcome for, like after a crash while
+ * waiting for confirmation, and record what was found
+ * @param {TradeJournal} journal
+ * @param {ethers.providers.Provider} provider - Provider of the chain the transactions were sent on
+ * @param {Object} [options] - runId or limit, see TradeJournal.runs
+ * @param {string} [options.chain] - Only runs on this chain (registry name), since receipts are looked up with `provider`
+ * @returns {Promise<Array>} - [{ runId, hash, receipt }] with receipt null when none was found yet
+ */
+async function checkJournalTransactions(journal, provider, { chain, ...options } = {}) {
+  const results = [];
+  const runs = journal.runs(options).filter(run =>
+    run.status === "unconfirmed" && (!chain || !run.details || run.details.chain === chain)
+  );
+
+  for (const run of runs) {
+    for (const transaction of run.transactions.filter(candidate => candidate.status === "submitted")) {
+      let receipt = null;
+      for (const hash of transaction.hashes) {
+        receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) {
+          break;
+        }
+      }
+
+      if (receipt) {
+        journal.record(run.runId, "transaction.confirmed", {
+          hash: transaction.hash,
+          purpose: transaction.purpose,
+          receipt: summarizeReceipt(receipt),
+          checked: true
+        });
+      }
+      results.push({ runId: run.runId, hash: transaction.hash, receipt });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  TradeJournal,
+  DEFAULT_JOURNAL_PATH,
+  summarizeReceipt,
+  checkJournalTransactions
+};
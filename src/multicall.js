@@ -0,0 +1,106 @@
+const { ethers } = require("ethers");
+
+// Multicall3 is deployed at the same address on every supported chain
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const MULTICALL3_ABI = [
+  "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) external payable returns (tuple(bool success, bytes returnData)[] returnData)",
+  "function getEthBalance(address addr) external view returns (uint256 balance)"
+];
+
+// Calls per aggregate3 eth_call, well below the gas limit RPC providers apply to eth_call
+const DEFAULT_BATCH_SIZE = 100;
+
+const multicallInterface = new ethers.utils.Interface(MULTICALL3_ABI);
+
+/**
+ * Whether Multicall3 is deployed at `address`
+ */
+async function isMulticallDeployed(provider, address = MULTICALL3_ADDRESS) {
+  return (await provider.getCode(address)) !== "0x";
+}
+
+/**
+ * Run read-only calls through Multicall3 aggregate3, `batchSize` calls per eth_call. Every call
+ * may fail on its own: a reverting or non-contract token fails its entry, not the batch.
+ * Without `address` each call is sent as its own eth_call, with the same results.
+ * @param {ethers.providers.Provider} provider - Provider the calls are made with
+ * @param {Array} calls - { target, interface, method, args } with an ethers Interface, a custom
+ *   `decode(returnData)`, or { nativeBalanceOf: address } for a native balance
+ * @param {Object} [options]
+ * @param {string} [options.address] - Multicall3 contract
+ * @param {number} [options.batchSize=100] - Calls per aggregate3
+ * @param {string|number} [options.blockTag="latest"] - Block the calls read
+ * @returns {Promise<Array>} - { success, value, error } in the order of `calls`
+ */
+async function aggregate(provider, calls, { address, batchSize = DEFAULT_BATCH_SIZE, blockTag = "latest" } = {}) {
+  if (!address) {
+    return Promise.all(calls.map(call => callOne(provider, call, blockTag)));
+  }
+
+  const results = [];
+  for (let start = 0; start < calls.length; start += batchSize) {
+    const batch = calls.slice(start, start + batchSize);
+    const data = multicallInterface.encodeFunctionData("aggregate3", [
+      batch.map(call => ({ ...encodeCall(call, address), allowFailure: true }))
+    ]);
+    const [returned] = multicallInterface.decodeFunctionResult("aggregate3", await provider.call({ to: address, data }, blockTag));
+    returned.forEach(({ success, returnData }, index) => {
+      results.push(success
+        ? decodeResult(batch[index], returnData)
+        : { success: false, error: new Error(`${describeCall(batch[index])} reverted`) });
+    });
+  }
+  return results;
+}
+
+async function callOne(provider, call, blockTag) {
+  try {
+    if (call.nativeBalanceOf) {
+      return { success: true, value: await provider.getBalance(call.nativeBalanceOf, blockTag) };
+    }
+    const { target, callData } = encodeCall(call);
+    return decodeResult(call, await provider.call({ to: target, data: callData }, blockTag));
+  } catch (error) {
+    return { success: false, error: new Error(`${describeCall(call)} failed: ${error.reason || error.message}`) };
+  }
+}
+
+function encodeCall(call, multicallAddress) {
+  if (call.nativeBalanceOf) {
+    return { target: multicallAddress, callData: multicallInterface.encodeFunctionData("getEthBalance", [call.nativeBalanceOf]) };
+  }
+  return { target: call.target, callData: call.interface.encodeFunctionData(call.method, call.args || []) };
+}
+
+function decodeResult(call, returnData) {
+  // Calls to addresses without code succeed with no data
+  if (returnData === "0x") {
+    return { success: false, error: new Error(`${describeCall(call)} returned no data`) };
+  }
+  try {
+    let value;
+    if (call.nativeBalanceOf) {
+      [value] = multicallInterface.decodeFunctionResult("getEthBalance", returnData);
+    } else if (call.decode) {
+      value = call.decode(returnData);
+    } else {
+      [value] = call.interface.decodeFunctionResult(call.method, returnData);
+    }
+    return { success: true, value };
+  } catch (error) {
+    return { success: false, error: new Error(`${describeCall(call)} returned data that cannot be decoded`) };
+  }
+}
+
+function describeCall(call) {
+  return call.nativeBalanceOf ? `Native balance of ${call.nativeBalanceOf}` : `${call.method}() on ${call.target}`;
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  MULTICALL3_ABI,
+  DEFAULT_BATCH_SIZE,
+  isMulticallDeployed,
+  aggregate
+};
@@ -0,0 +1,298 @@
+const { ethers } = require("ethers");
+const { TransactionUnderpricedError } = require("./errors");
+
+const MIN_REPLACEMENT_BUMP_PERCENT = 10; // Nodes reject replacements with less than a 10% fee bump
+
+function bumpFee(fee, percent) {
+  return ethers.BigNumber.from(fee).mul(100 + percent).div(100).add(1);
+}
+
+function maxBigNumber(a, b) {
+  return a.gt(b) ? a : b;
+}
+
+function minBigNumber(a, b) {
+  return a.lt(b) ? a : b;
+}
+
+function formatGwei(fee) {
+  return `${ethers.utils.formatUnits(fee, "gwei")} gwei`;
+}
+
+/**
+ * Hands out nonces one after another for a single signer and keeps track of the
+ * transactions sent with them, so stuck ones can be sped up or cancelled.
+ */
+class NonceManager {
+  /**
+   * @param {Object} options
+   * @param {ethers.Signer} options.signer - Signer whose nonces are managed
+   * @param {ethers.providers.Provider} [options.provider] - Provider, defaults to the signer's
+   * @param {Object} [options.logger=console] - Logger with log/warn/error methods
+   * @param {Function} [options.onEvent] - Called with ("transaction.replaced", data) for every speed-up or cancel
+   */
+  constructor({ signer, provider, logger = console, onEvent } = {}) {
+    if (!signer) {
+      throw new Error("A signer is required to manage nonces");
+    }
+
+    this.signer = signer;
+    this.provider = provider || signer.provider;
+    this.logger = logger;
+    this.onEvent = onEvent;
+    this.pending = new Map();
+    this._nextNonce = null;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Reserve the next nonce. Calls are served in order, so concurrent callers never share a nonce.
+   * @returns {Promise<number>}
+   */
+  async next() {
+    const result = this._queue.then(async () => {
+      if (this._nextNonce === null) {
+        const address = await this.signer.getAddress();
+        this._nextNonce = await this.provider.getTransactionCount(address, "pending");
+      }
+      return this._nextNonce++;
+    });
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Give back a nonce whose transaction was never broadcast
+   */
+  release(nonce) {
+    if (this._nextNonce !== null && nonce === this._nextNonce - 1) {
+      this._nextNonce--;
+    } else {
+      // A later nonce is already out; re-read the pending nonce so the gap gets filled
+      this.reset();
+    }
+  }
+
+  /**
+   * Forget the local counter and read the nonce from the node on the next call
+   */
+  reset() {
+    this._nextNonce = null;
+  }
+
+  /**
+   * Remember a broadcast transaction until it is mined
+   * @param {Object} txResponse - Response returned by sendTransaction
+   * @param {Object} transaction - The populated transaction that was signed
+   */
+  async track(txResponse, transaction) {
+    this.pending.set(transaction.nonce, {
+      nonce: transaction.nonce,
+      hash: txResponse.hash,
+      transaction,
+      sentAtBlock: await this.provider.getBlockNumber()
+    });
+  }
+
+  /**
+   * Stop tracking a nonce once its transaction (or a replacement) is mined
+   */
+  markMined(nonce) {
+    this.pending.delete(nonce);
+  }
+
+  /**
+   * Tracked transactions that are still unmined after `stuckAfterBlocks` blocks
+   * @param {number} stuckAfterBlocks - Blocks to wait before a transaction counts as stuck
+   * @returns {Promise<Array>}
+   */
+  async getStuckTransactions(stuckAfterBlocks) {
+    const blockNumber = await this.provider.getBlockNumber();
+    const stuck = [];
+
+    for (const entry of this.pending.values()) {
+      if (blockNumber - entry.sentAtBlock < stuckAfterBlocks) {
+        continue;
+      }
+
+      const receipt = await this.provider.getTransactionReceipt(entry.hash);
+      if (receipt) {
+        this.markMined(entry.nonce);
+      } else {
+        stuck.push(entry);
+      }
+    }
+
+    return stuck;
+  }
+
+  /**
+   * Resend a tracked transaction with the same nonce and higher fees
+   * @param {number} nonce - Nonce of the tracked transaction
+   * @param {Object} [options]
+   * @param {number} [options.bumpPercent=15] - Fee increase over the previous attempt
+   * @param {ethers.BigNumberish} [options.maxFeePerGasCap] - Upper bound for maxFeePerGas (or gasPrice) in wei
+   * @param {ethers.BigNumberish} [options.maxPriorityFeePerGasCap] - Upper bound for maxPriorityFeePerGas in wei
+   * @returns {Promise<Object>} - Response of the replacement transaction
+   * @throws {TransactionUnderpricedError} - When the smallest bump nodes accept is above a cap
+   */
+  async speedUp(nonce, options = {}) {
+    const entry = this._requirePending(nonce);
+    const transaction = { ...entry.transaction, ...(await this._replacementFees(entry, options)) };
+
+    this.logger.log(`Speeding up transaction ${entry.hash} (nonce ${nonce})`);
+    return this._replace(entry, transaction);
+  }
+
+  /**
+   * Cancel a tracked transaction by sending a zero-value transfer to ourselves with the same nonce
+   * @param {number} nonce - Nonce of the tracked transaction
+   * @param {Object} [options] - Fee bump and caps, see speedUp
+   * @returns {Promise<Object>} - Response of the cancelling transaction
+   * @throws {TransactionUnderpricedError} - When the smallest bump nodes accept is above a cap
+   */
+  async cancel(nonce, options = {}) {
+    const entry = this._requirePending(nonce);
+    const address = await this.signer.getAddress();
+    const transaction = {
+      to: address,
+      data: "0x",
+      value: ethers.BigNumber.from(0),
+      gasLimit: ethers.BigNumber.from(21000),
+      nonce,
+      chainId: entry.transaction.chainId,
+      type: entry.transaction.type,
+      ...(await this._replacementFees(entry, options))
+    };
+
+    this.logger.log(`Cancelling transaction ${entry.hash} (nonce ${nonce})`);
+    return this._replace(entry, transaction, { cancelled: true });
+  }
+
+  /**
+   * Speed up or cancel every tracked transaction stuck for `stuckAfterBlocks` blocks
+   * @param {Object} options
+   * @param {number} options.stuckAfterBlocks - Blocks before a transaction counts as stuck
+   * @param {"speedUp"|"cancel"} [options.action="speedUp"] - What to do with stuck transactions
+   * @param {number} [options.bumpPercent=15] - Fee increase over the previous attempt
+   * @param {ethers.BigNumberish} [options.maxFeePerGasCap] - Fee caps the replacements keep to, see speedUp
+   * @param {ethers.BigNumberish} [options.maxPriorityFeePerGasCap]
+   * @returns {Promise<Array>} - Responses of the replacement transactions
+   */
+  async handleStuckTransactions({ stuckAfterBlocks, action = "speedUp", ...replaceOptions }) {
+    const stuck = await this.getStuckTransactions(stuckAfterBlocks);
+    const replacements = [];
+
+    for (const entry of stuck) {
+      replacements.push(await this[action](entry.nonce, replaceOptions));
+    }
+
+    return replacements;
+  }
+
+  /**
+   * Check for stuck transactions on every new block until the returned function is called
+   * @param {Object} options - Same options as handleStuckTransactions
+   * @returns {Function} - Stops watching
+   */
+  watch(options) {
+    let running = false;
+    const onBlock = async () => {
+      if (running) {
+        return;
+      }
+      running = true;
+      try {
+        await this.handleStuckTransactions(options);
+      } catch (error) {
+        this.logger.error("Failed to replace stuck transaction:", error.message);
+      } finally {
+        running = false;
+      }
+    };
+
+    this.provider.on("block", onBlock);
+    return () => this.provider.off("block", onBlock);
+  }
+
+  /**
+   * Fees of a replacement: the previous ones bumped by at least 10%, or the network's when
+   * higher, kept under the caps. A replacement whose smallest accepted bump is above a cap
+   * is refused instead of being sent and rejected by the node.
+   */
+  async _replacementFees(entry, { bumpPercent = 15, maxFeePerGasCap, maxPriorityFeePerGasCap } = {}) {
+    const { transaction: previous } = entry;
+    const percent = Math.max(bumpPercent, MIN_REPLACEMENT_BUMP_PERCENT);
+    const feeData = await this.provider.getFeeData();
+    const capped = (name, minimum, fee, cap) => {
+      if (cap === undefined) {
+        return fee;
+      }
+      if (minimum.gt(cap)) {
+        throw new TransactionUnderpricedError(
+          `Replacing transaction ${entry.hash} (nonce ${entry.nonce}) needs a ${name} of at least ${formatGwei(minimum)}, ` +
+          `above the cap of ${formatGwei(cap)}; raise the cap to replace it`,
+          { transaction: previous }
+        );
+      }
+      return minBigNumber(fee, ethers.BigNumber.from(cap));
+    };
+
+    if (previous.type === 2) {
+      const minMaxFeePerGas = bumpFee(previous.maxFeePerGas, percent);
+      const minMaxPriorityFeePerGas = bumpFee(previous.maxPriorityFeePerGas, percent);
+      const maxFeePerGas = capped(
+        "max fee",
+        minMaxFeePerGas,
+        maxBigNumber(maxBigNumber(minMaxFeePerGas, feeData.maxFeePerGas || 0), minMaxPriorityFeePerGas),
+        maxFeePerGasCap
+      );
+      // Still at least its minimum: the previous max fee covered the previous tip
+      const maxPriorityFeePerGas = minBigNumber(
+        capped(
+          "priority fee",
+          minMaxPriorityFeePerGas,
+          maxBigNumber(minMaxPriorityFeePerGas, feeData.maxPriorityFeePerGas || 0),
+          maxPriorityFeePerGasCap
+        ),
+        maxFeePerGas
+      );
+      return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    const minGasPrice = bumpFee(previous.gasPrice, percent);
+    return { gasPrice: capped("gas price", minGasPrice, maxBigNumber(minGasPrice, feeData.gasPrice || 0), maxFeePerGasCap) };
+  }
+
+  async _replace(entry, transaction, { cancelled = false } = {}) {
+    const txResponse = await this.signer.sendTransaction(transaction);
+    this.logger.log(`Replacement transaction sent with hash: ${txResponse.hash}`);
+    if (this.onEvent) {
+      this.onEvent("transaction.replaced", {
+        hash: entry.hash,
+        replacementHash: txResponse.hash,
+        nonce: entry.nonce,
+        cancelled
+      });
+    }
+
+    this.pending.set(entry.nonce, {
+      ...entry,
+      hash: txResponse.hash,
+      transaction,
+      sentAtBlock: await this.provider.getBlockNumber()
+    });
+
+    return txResponse;
+  }
+
+  _requirePending(nonce) {
+    const entry = this.pending.get(nonce);
+    if (!entry) {
+      throw new Error(`No pending transaction tracked for nonce ${nonce}`);
+    }
+    return entry;
+  }
+}
+
+module.exports = { NonceManager };
@@ -0,0 +1,220 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { summarizeReceipt } = require("./journal");
+const { assertSignedTransaction } = require("./signers");
+const { TransactionSender } = require("./transaction-sender");
+
+const TRANSACTION_FIELDS = [
+  "to", "data", "value", "gasLimit", "nonce", "chainId", "type", "gasPrice", "maxFeePerGas", "maxPriorityFeePerGas"
+];
+
+function serializeTransaction(transaction) {
+  const result = {};
+  TRANSACTION_FIELDS.forEach(field => {
+    const value = transaction[field];
+    if (value !== undefined && value !== null) {
+      result[field] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Fill in gas, fees, nonces and chain id for calls the client's signer will sign elsewhere.
+ * Nonces follow one another, so the transactions must be broadcast in order. Calls that can
+ * only be estimated after an earlier one (a trade after its approval) get `fallbackGasLimit`.
+ * @param {ThirtyOneThirdClient} client - Client whose signer address sends the transactions
+ * @param {Array} calls - [{ to, data, value, description, purpose }]
+ * @param {Object} [options]
+ * @param {ethers.BigNumberish} [options.fallbackGasLimit] - Gas limit for calls whose estimate fails
+ * @param {string} [options.from] - Another sender, like an Enzyme vault manager, defaults to the client's signer
+ * @returns {Promise<Object>} - Transaction file: { version, chainId, from, createdAt, transactions }
+ */
+async function populateUnsignedTransactions(client, calls, { fallbackGasLimit, from } = {}) {
+  const sender = await senderFor(client, from);
+  from = await sender.signer.getAddress();
+  const transactions = [];
+  // Read, not reserved from the nonce manager: nothing is sent, so those nonces stay free
+  const firstNonce = await sender.provider.getTransactionCount(from, "pending");
+
+  for (const [index, call] of calls.entries()) {
+    const transaction = await sender.populateTransaction(call, { fallbackGasLimit, nonce: firstNonce + index });
+    transactions.push({
+      description: call.description,
+      purpose: call.purpose,
+      transaction: serializeTransaction(transaction)
+    });
+  }
+
+  return {
+    version: 1,
+    chainId: client.chain.chainId,
+    from,
+    createdAt: new Date().toISOString(),
+    transactions
+  };
+}
+
+/**
+ * The client's sender, or an address-only one for another account, which the client's
+ * nonce manager knows nothing about
+ */
+async function senderFor(client, from) {
+  const signerAddress = client.signer ? await client.signer.getAddress() : undefined;
+  if (!from || (signerAddress && signerAddress.toLowerCase() === from.toLowerCase())) {
+    client._requireSigner();
+    return client.sender;
+  }
+
+  const provider = client._requireProvider();
+  const { sender } = client;
+  return new TransactionSender({
+    signer: new ethers.VoidSigner(from, provider),
+    provider,
+    logger: client.logger,
+    maxFeePerGasCap: sender && sender.maxFeePerGasCap,
+    maxPriorityFeePerGasCap: sender && sender.maxPriorityFeePerGasCap
+  });
+}
+
+/**
+ * Populate calls for offline signing, write them to `output` (or log them) and close the run
+ * @returns {Promise<Object>} - The transaction file, see populateUnsignedTransactions
+ */
+async function exportUnsignedTransactions(client, calls, { fallbackGasLimit, output, expiresAt, from } = {}) {
+  const { logger } = client;
+  const file = await populateUnsignedTransactions(client, calls, { fallbackGasLimit, from });
+
+  logger.log(`\n${file.transactions.length} unsigned transaction(s) from ${file.from}:`);
+  file.transactions.forEach(entry => {
+    logger.log(`- nonce ${entry.transaction.nonce}: ${entry.description || entry.transaction.to}`);
+  });
+  if (expiresAt) {
+    logger.log(`⚠️ Sign and broadcast before the quote expires at ${expiresAt}`);
+  }
+
+  if (output) {
+    writeTransactionFile(output, file);
+    logger.log(`Unsigned transactions written to ${output}`);
+  } else {
+    logger.log("Unsigned transactions:", JSON.stringify(file, null, 2));
+  }
+
+  client.endRun({ unsigned: true, output, transactions: file.transactions });
+  return file;
+}
+
+function writeTransactionFile(filePath, file) {
+  fs.writeFileSync(filePath, JSON.stringify(file, null, 2));
+}
+
+/**
+ * Read a transaction file. A plain JSON array of signed raw transactions is accepted too.
+ */
+function readTransactionFile(filePath) {
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read transaction file ${filePath}: ${error.message}`);
+  }
+
+  if (Array.isArray(file)) {
+    return { version: 1, transactions: file.map(signed => ({ signed })) };
+  }
+  if (!file || !Array.isArray(file.transactions)) {
+    throw new Error(`${filePath} is not a transaction file`);
+  }
+  return file;
+}
+
+/**
+ * Sign every transaction of a file, e.g. on an offline machine with a keystore
+ * @param {ethers.Signer} signer - Signer for the file's `from` address
+ * @param {Object} file - Transaction file from populateUnsignedTransactions
+ * @returns {Promise<Object>} - The file with `signed` set on every transaction
+ */
+async function signTransactionFile(signer, file) {
+  const address = await signer.getAddress();
+  if (file.from && ethers.utils.getAddress(file.from) !== address) {
+    throw new Error(`Transactions are from ${file.from} but the signer is ${address}`);
+  }
+
+  const transactions = [];
+  for (const entry of file.transactions) {
+    if (!entry.transaction) {
+      throw new Error("Transaction file entry has no transaction to sign");
+    }
+    if (file.chainId !== undefined && Number(entry.transaction.chainId) !== Number(file.chainId)) {
+      throw new Error(`Transaction for chain ${entry.transaction.chainId} in a file for chain ${file.chainId}`);
+    }
+    const signed = await signer.signTransaction(entry.transaction);
+    assertSignedTransaction(signed, { ...entry.transaction, from: address });
+    transactions.push({ ...entry, signed });
+  }
+
+  return { ...file, signedAt: new Date().toISOString(), transactions };
+}
+
+/**
+ * Send the signed transactions of a file in order, waiting for each before sending the next.
+ * Transactions that are already mined (a broadcast that was interrupted) are skipped, and
+ * nothing after a reverted transaction is sent.
+ * @param {ethers.providers.Provider} provider - Provider of the file's chain
+ * @param {Object} file - Transaction file with `signed` set, see signTransactionFile
+ * @param {Object} [options]
+ * @param {number} [options.confirmations=1] - Blocks to wait for per transaction
+ * @param {Object} [options.logger=console] - Logger with log/warn/error methods
+ * @param {Function} [options.onEvent] - Called with (type, data) like TransactionSender's onEvent
+ * @returns {Promise<Array>} - Receipts, in order
+ */
+async function broadcastTransactionFile(provider, file, { confirmations = 1, logger = console, onEvent } = {}) {
+  const emit = (type, data) => onEvent && onEvent(type, data);
+  const { chainId } = await provider.getNetwork();
+  const parsed = file.transactions.map((entry, index) => {
+    if (!entry.signed) {
+      throw new Error(`Transaction ${index + 1} is not signed`);
+    }
+    const transaction = ethers.utils.parseTransaction(entry.signed);
+    if (!transaction.from) {
+      throw new Error(`Transaction ${index + 1} has no signature`);
+    }
+    if (transaction.chainId !== chainId) {
+      throw new Error(`Transaction ${index + 1} is for chain ${transaction.chainId}, the provider is on chain ${chainId}`);
+    }
+    return { ...entry, hash: transaction.hash, parsed: transaction };
+  });
+
+  const receipts = [];
+  for (const entry of parsed) {
+    const { hash, purpose } = entry;
+    let receipt = await provider.getTransactionReceipt(hash);
+
+    if (receipt) {
+      logger.log(`Transaction ${hash} is already mined in block ${receipt.blockNumber}`);
+    } else {
+      logger.log(`Broadcasting ${entry.description || hash} (nonce ${entry.parsed.nonce})...`);
+      await provider.sendTransaction(entry.signed);
+      emit("transaction.submitted", { hash, purpose, nonce: entry.parsed.nonce, from: entry.parsed.from });
+      receipt = await provider.waitForTransaction(hash, confirmations);
+      logger.log(`Transaction ${hash} mined in block ${receipt.blockNumber}`);
+      emit("transaction.confirmed", { hash, purpose, receipt: summarizeReceipt(receipt) });
+    }
+
+    receipts.push(receipt);
+    if (receipt.status === 0) {
+      throw new Error(`Transaction ${hash} reverted; the remaining transactions were not sent`);
+    }
+  }
+
+  return receipts;
+}
+
+module.exports = {
+  populateUnsignedTransactions,
+  exportUnsignedTransactions,
+  writeTransactionFile,
+  readTransactionFile,
+  signTransactionFile,
+  broadcastTransactionFile
+};
@@ -0,0 +1,167 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { resolveToken } = require("./tokens");
+
+const WEIGHT_TOLERANCE = 1e-6;
+const FRACTION_PRECISION = 1e6;
+
+/**
+ * Read a target allocation file: a JSON object of token (symbol or address) → weight
+ * @param {string} filePath - Path of the JSON file, e.g. { "WETH": 0.6, "USDC": 0.4 }
+ * @param {string|number|Object} chain - Chain used to resolve symbols
+ * @returns {Array} - [{ tokenAddress, weight }]
+ */
+function readTargetAllocation(filePath, chain) {
+  const allocation = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!allocation || typeof allocation !== "object" || Array.isArray(allocation)) {
+    throw new Error(`${filePath} must contain a JSON object of token → weight`);
+  }
+
+  const targets = Object.entries(allocation).map(([token, weight]) => ({
+    tokenAddress: resolveToken(chain, token).address,
+    weight: Number(weight)
+  }));
+  validateWeights(targets);
+  return targets;
+}
+
+/**
+ * Reject target weights that are negative, not numbers or don't sum to 1
+ * @param {Array} targets - [{ tokenAddress, weight }]
+ */
+function validateWeights(targets) {
+  if (!targets || targets.length === 0) {
+    throw new Error("The target allocation is empty");
+  }
+
+  targets.forEach(({ tokenAddress, weight }) => {
+    if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+      throw new Error(`Weight of ${tokenAddress} must be between 0 and 1, got ${weight}`);
+    }
+  });
+
+  const sum = targets.reduce((total, { weight }) => total + weight, 0);
+  if (Math.abs(sum - 1) > WEIGHT_TOLERANCE) {
+    throw new Error(`Target weights must sum to 1, got ${sum}`);
+  }
+}
+
+/**
+ * Value a holding in the valuation token by quoting its full balance
+ */
+async function quoteValue(client, holding, { valuationToken, wallet }) {
+  if (holding.balance.isZero()) {
+    return 0;
+  }
+  if (holding.address.toLowerCase() === valuationToken.address.toLowerCase()) {
+    return Number(holding.formattedBalance);
+  }
+
+  const quoteData = await client.getSwapQuote({
+    sellToken: holding.address,
+    buyToken: valuationToken.address,
+    sellAmount: holding.balance,
+    taker: wallet,
+    txOrigin: wallet,
+    skipSimulation: true
+  });
+  return Number(ethers.utils.formatUnits(quoteData.buyAmount, valuationToken.decimals));
+}
+
+/**
+ * Work out what to sell and buy to move a wallet to its target weights.
+ * Holdings are read in one batch with getTokenBalances and valued in `valuationToken` (by
+ * default through a quote for the full balance). Overweight tokens sell their excess as
+ * baseEntries; the proceeds go to underweight tokens as targetEntries, weighted by how far
+ * below target each is.
+ * @param {ThirtyOneThirdClient} client - Client with a provider
+ * @param {Object} options
+ * @param {string} options.wallet - Wallet whose holdings are rebalanced
+ * @param {Array} options.targets - [{ tokenAddress, weight }] summing to 1; weight 0 sells the token
+ * @param {number} [options.driftThreshold=0.01] - Only rebalance when a weight is off by more than this
+ * @param {string} [options.valuationToken="USDC"] - Token holdings are valued in
+ * @param {Function} [options.getValue] - async (holding) => value in the valuation token, replaces quoting
+ * @returns {Promise<Object>} - { needsRebalance, drift, totalValue, holdings, baseEntries, targetEntries }
+ */
+async function computeRebalance(client, {
+  wallet,
+  targets,
+  driftThreshold = 0.01,
+  valuationToken = "USDC",
+  getValue
+}) {
+  validateWeights(targets);
+  const valuation = client.tokenRegistry.resolve(valuationToken);
+  const valueOf = getValue || (holding => quoteValue(client, holding, { valuationToken: valuation, wallet }));
+
+  const balances = await client.getTokenBalances(targets.map(target => target.tokenAddress), wallet);
+  const holdings = [];
+  for (const [index, target] of targets.entries()) {
+    const holding = balances[index];
+    if (holding.error) {
+      throw new Error(`Cannot read the balance of ${target.tokenAddress}: ${holding.error}`);
+    }
+    holdings.push({ ...holding, targetWeight: target.weight, value: await valueOf(holding) });
+  }
+
+  const totalValue = holdings.reduce((total, holding) => total + holding.value, 0);
+  if (totalValue === 0) {
+    throw new Error(`Wallet ${wallet} holds none of the target tokens, nothing to rebalance`);
+  }
+
+  holdings.forEach(holding => {
+    holding.weight = holding.value / totalValue;
+    holding.drift = holding.weight - holding.targetWeight;
+  });
+  const drift = Math.max(...holdings.map(holding => Math.abs(holding.drift)));
+
+  const overweight = holdings.filter(holding => holding.drift > 0 && !holding.balance.isZero());
+  const underweight = holdings.filter(holding => holding.drift < 0);
+  const missingWeight = underweight.reduce((total, holding) => total - holding.drift, 0);
+
+  const baseEntries = overweight.map(holding => {
+    const fraction = Math.round((holding.drift / holding.weight) * FRACTION_PRECISION);
+    return {
+      tokenAddress: holding.address,
+      amount: holding.balance.mul(fraction).div(FRACTION_PRECISION).toString()
+    };
+  }).filter(entry => entry.amount !== "0");
+
+  const targetEntries = underweight.map(holding => ({
+    tokenAddress: holding.address,
+    allocation: -holding.drift / missingWeight
+  }));
+
+  return {
+    needsRebalance: drift > driftThreshold && baseEntries.length > 0 && targetEntries.length > 0,
+    drift,
+    driftThreshold,
+    totalValue,
+    valuationToken: valuation,
+    holdings,
+    baseEntries,
+    targetEntries
+  };
+}
+
+/**
+ * Log current and target weights of a computed rebalance
+ */
+function logPortfolio(logger, plan) {
+  logger.log("\n======= Portfolio =======");
+  logger.log(`Total value: ${plan.totalValue.toFixed(2)} ${plan.valuationToken.symbol}`);
+  plan.holdings.forEach(holding => {
+    logger.log(
+      `${holding.symbol}: ${holding.formattedBalance} (${(holding.weight * 100).toFixed(2)}% ` +
+      `→ ${(holding.targetWeight * 100).toFixed(2)}%)`
+    );
+  });
+  logger.log(`Max drift: ${(plan.drift * 100).toFixed(2)}% (threshold ${(plan.driftThreshold * 100).toFixed(2)}%)`);
+}
+
+module.exports = {
+  readTargetAllocation,
+  validateWeights,
+  computeRebalance,
+  logPortfolio
+};
@@ -0,0 +1,249 @@
+const { ethers } = require("ethers");
+const { getChain, NATIVE_TOKEN_ADDRESS, ENZYME_ADAPTER_ADDRESS } = require("./chains");
+const {
+  QuoteValidationError,
+  QuoteMismatchError,
+  UntrustedTargetError,
+  UnexpectedValueError,
+  QuoteExpiredError,
+  SlippageExceededError
+} = require("./errors");
+
+// Same default the client uses when getSwapQuote is called without maxSlippageBps
+const DEFAULT_MAX_SLIPPAGE_BPS = 500;
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+function isNative(tokenAddress) {
+  return sameAddress(tokenAddress, NATIVE_TOKEN_ADDRESS);
+}
+
+function tokenAddressOf(token) {
+  return typeof token === "string" ? token : token && token.address;
+}
+
+/**
+ * Parse an expiry given as ISO date, unix seconds or unix milliseconds
+ * @returns {number|null} - Expiry in milliseconds, null when missing or unparseable
+ */
+function parseExpiry(expiry) {
+  if (expiry === undefined || expiry === null || expiry === "") {
+    return null;
+  }
+
+  const numeric = Number(expiry);
+  if (Number.isFinite(numeric)) {
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+
+  const parsed = Date.parse(expiry);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Allowed transaction targets for a chain: the registry's allowedTargets plus extra addresses
+ */
+function getAllowedTargets(chain, extraTargets = []) {
+  return (getChain(chain).allowedTargets || []).concat(extraTargets);
+}
+
+/**
+ * Throw an UntrustedTargetError unless `target` is on the chain's allowlist
+ */
+function assertAllowedTarget(target, chain, allowedTargets = []) {
+  const allowed = getAllowedTargets(chain, allowedTargets);
+  const { name } = getChain(chain);
+
+  if (allowed.length === 0) {
+    throw new UntrustedTargetError(
+      `No allowlist of 31Third contracts configured for ${name}; set allowedTargets (or ALLOWED_TARGETS) before signing`,
+      { field: "to", actual: target }
+    );
+  }
+  if (!allowed.some(address => sameAddress(address, target))) {
+    throw new UntrustedTargetError(`Transaction target ${target} is not an allowed 31Third contract on ${name}`, {
+      field: "to",
+      expected: allowed,
+      actual: target
+    });
+  }
+}
+
+/**
+ * Throw an UntrustedTargetError when the allowlist has no 31Third contract that swaps and
+ * rebalancings are sent to. The registry only ships the Enzyme adapter, which wraps those
+ * calls but is never their target, so without ALLOWED_TARGETS every trade would be refused.
+ */
+function assertTradeTargetsConfigured(chain, allowedTargets = []) {
+  const tradeTargets = getAllowedTargets(chain, allowedTargets).filter(address => !sameAddress(address, ENZYME_ADAPTER_ADDRESS));
+
+  if (tradeTargets.length === 0) {
+    throw new UntrustedTargetError(
+      `No 31Third trading contracts are allowlisted for ${getChain(chain).name}; set ALLOWED_TARGETS (or allowedTargets) ` +
+      "to the executor and BatchTrade addresses 31Third lists for the chain",
+      { field: "to", expected: tradeTargets }
+    );
+  }
+}
+
+function assertNotExpired(expiry, field, now) {
+  const expiresAtMs = parseExpiry(expiry);
+  if (expiresAtMs === null) {
+    throw new QuoteValidationError(`Response has no valid ${field}`, { field, actual: expiry });
+  }
+  if (expiresAtMs <= now) {
+    throw new QuoteExpiredError(`Quote expired at ${new Date(expiresAtMs).toISOString()}`, {
+      field,
+      expected: `after ${new Date(now).toISOString()}`,
+      actual: expiry
+    });
+  }
+}
+
+function assertValue(value, maxNativeValue) {
+  const actual = ethers.BigNumber.from(value || 0);
+  if (actual.gt(maxNativeValue)) {
+    throw new UnexpectedValueError(
+      maxNativeValue.isZero()
+        ? `Transaction sends ${ethers.utils.formatEther(actual)} native tokens although none are sold`
+        : `Transaction sends ${ethers.utils.formatEther(actual)} native tokens, more than the ` +
+          `${ethers.utils.formatEther(maxNativeValue)} sold`,
+      { field: "value", expected: maxNativeValue.toString(), actual: actual.toString() }
+    );
+  }
+}
+
+function assertMinBuyAmount(buyAmount, minBuyAmount, maxSlippageBps, label) {
+  if (minBuyAmount === undefined || minBuyAmount === null) {
+    throw new QuoteValidationError(`${label} has no minBuyAmount, the slippage cannot be checked`, {
+      field: "minBuyAmount"
+    });
+  }
+
+  const required = ethers.BigNumber.from(buyAmount).mul(10000 - maxSlippageBps).div(10000);
+  if (ethers.BigNumber.from(minBuyAmount).lt(required)) {
+    throw new SlippageExceededError(
+      `${label} minimum buy amount ${minBuyAmount.toString()} is below ${required.toString()} ` +
+      `(${maxSlippageBps} bps slippage on ${buyAmount.toString()})`,
+      { field: "minBuyAmount", expected: required.toString(), actual: minBuyAmount.toString() }
+    );
+  }
+}
+
+/**
+ * Check a swap quote against the request before anything is signed
+ * @param {Object} quoteData - Response of getSwapQuote
+ * @param {Object} request - The getSwapQuote parameters: sellToken, buyToken, sellAmount, maxSlippageBps
+ * @param {Object} options
+ * @param {string|number|Object} options.chain - Chain the quote is for
+ * @param {string[]} [options.allowedTargets] - Allowed targets on top of the chain registry's
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @throws {QuoteValidationError} - Specific subclass for each failed check
+ */
+function validateSwapQuote(quoteData, request, { chain, allowedTargets = [], now = Date.now() } = {}) {
+  if (!quoteData || !quoteData.transaction) {
+    throw new QuoteValidationError("Quote has no transaction", { field: "transaction" });
+  }
+
+  const { sellToken, buyToken, sellAmount, maxSlippageBps = DEFAULT_MAX_SLIPPAGE_BPS } = request;
+
+  [["sellToken", sellToken], ["buyToken", buyToken]].forEach(([field, requested]) => {
+    const actual = tokenAddressOf(quoteData[field]);
+    if (!sameAddress(actual, requested)) {
+      throw new QuoteMismatchError(`Quote ${field} ${actual} does not match the requested ${requested}`, {
+        field,
+        expected: requested,
+        actual
+      });
+    }
+  });
+
+  if (!ethers.BigNumber.from(quoteData.sellAmount).eq(sellAmount)) {
+    throw new QuoteMismatchError(
+      `Quote sellAmount ${quoteData.sellAmount} does not match the requested ${sellAmount.toString()}`,
+      { field: "sellAmount", expected: sellAmount.toString(), actual: quoteData.sellAmount }
+    );
+  }
+
+  assertAllowedTarget(quoteData.transaction.to, chain, allowedTargets);
+  assertValue(quoteData.transaction.value, isNative(sellToken) ? ethers.BigNumber.from(sellAmount) : ethers.constants.Zero);
+  assertNotExpired(quoteData.expiresAt, "expiresAt", now);
+  assertMinBuyAmount(quoteData.buyAmount, quoteData.minBuyAmount, maxSlippageBps, "Quote");
+}
+
+/**
+ * Check a wallet rebalancing against the request before anything is signed
+ * @param {Object} rebalancingData - Response of requestWalletRebalancing
+ * @param {Object} request - The request: baseEntries, targetEntries and maxSlippage (fraction)
+ * @param {Object} options - Same options as validateSwapQuote
+ * @throws {QuoteValidationError} - Specific subclass for each failed check
+ */
+function validateRebalancing(rebalancingData, request, { chain, allowedTargets = [], now = Date.now() } = {}) {
+  if (!rebalancingData || !rebalancingData.txHandler || !rebalancingData.txData) {
+    throw new QuoteValidationError("Rebalancing has no transaction", { field: "txData" });
+  }
+
+  const { baseEntries = [], targetEntries = [], maxSlippage = 0.01 } = request;
+  const maxSlippageBps = Math.round(maxSlippage * 10000);
+
+  const requestedSells = new Map();
+  baseEntries.forEach(entry => {
+    const key = entry.tokenAddress.toLowerCase();
+    requestedSells.set(key, (requestedSells.get(key) || ethers.constants.Zero).add(entry.amount));
+  });
+  const targets = targetEntries.map(entry => entry.tokenAddress);
+
+  const sold = new Map();
+  (rebalancingData.trades || []).forEach((trade, index) => {
+    const label = `Trade ${index + 1}`;
+    const sellToken = tokenAddressOf(trade.sellToken) || trade.sellTokenAddress;
+    const buyToken = tokenAddressOf(trade.buyToken) || trade.buyTokenAddress;
+
+    if (!sellToken || !requestedSells.has(sellToken.toLowerCase())) {
+      throw new QuoteMismatchError(`${label} sells ${sellToken}, which is not in baseEntries`, {
+        field: "sellToken",
+        expected: baseEntries.map(entry => entry.tokenAddress),
+        actual: sellToken
+      });
+    }
+    if (!targets.some(address => sameAddress(address, buyToken))) {
+      throw new QuoteMismatchError(`${label} buys ${buyToken}, which is not in targetEntries`, {
+        field: "buyToken",
+        expected: targets,
+        actual: buyToken
+      });
+    }
+
+    const key = sellToken.toLowerCase();
+    sold.set(key, (sold.get(key) || ethers.constants.Zero).add(trade.sellAmount || 0));
+    if (trade.buyAmount) {
+      assertMinBuyAmount(trade.buyAmount, trade.minBuyAmount, maxSlippageBps, label);
+    }
+  });
+
+  sold.forEach((amount, token) => {
+    const requested = requestedSells.get(token);
+    if (amount.gt(requested)) {
+      throw new QuoteMismatchError(
+        `Trades sell ${amount.toString()} of ${token}, more than the requested ${requested.toString()}`,
+        { field: "sellAmount", expected: requested.toString(), actual: amount.toString() }
+      );
+    }
+  });
+
+  assertAllowedTarget(rebalancingData.txHandler, chain, allowedTargets);
+  assertValue(rebalancingData.txValue, requestedSells.get(NATIVE_TOKEN_ADDRESS.toLowerCase()) || ethers.constants.Zero);
+  assertNotExpired(rebalancingData.expirationTimestamp, "expirationTimestamp", now);
+}
+
+module.exports = {
+  DEFAULT_MAX_SLIPPAGE_BPS,
+  parseExpiry,
+  getAllowedTargets,
+  assertAllowedTarget,
+  assertTradeTargetsConfigured,
+  validateSwapQuote,
+  validateRebalancing
+};
@@ -0,0 +1,412 @@
+const fs = require("fs");
+const path = require("path");
+const { createClientFromEnv } = require("./env");
+const { DEFAULT_MAX_DEVIATION_FROM_TARGET } = require("./client");
+const { rebalanceToTarget } = require("./basket-swap");
+const { validateWeights } = require("./portfolio");
+const { JobStore } = require("./job-store");
+const { readLock, acquireFileLock } = require("./file-lock");
+const { sleep } = require("./api-request");
+
+// Outcomes kept per portfolio for the status command
+const HISTORY_LENGTH = 20;
+// The daemon wakes up at least this often, so clock changes are noticed
+const MAX_SLEEP_MS = 60 * 1000;
+// Stop looking for the next run of a schedule that never matches, like "0 0 31 2 *"
+const MAX_SCHEDULE_YEARS = 5;
+
+const SCHEDULE_ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *"
+};
+
+const SCHEDULE_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }
+];
+
+/**
+ * Values of one cron field: "*", "5", "1-5", "*\/15", "1-20/5" or a comma separated list of them
+ */
+function parseScheduleField(value, { name, min, max }, expression) {
+  const values = new Set();
+  for (const part of value.split(",")) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name} "${part}" in schedule "${expression}"`);
+    }
+    const start = match[1] === "*" ? min : Number(match[2]);
+    const end = match[1] === "*" ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : start;
+    const step = match[4] ? Number(match[4]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} "${part}" in schedule "${expression}", expected ${min}-${max}`);
+    }
+    for (let current = start; current <= end; current += step) {
+      values.add(current);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression: minute hour day-of-month month day-of-week, in local time.
+ * Like cron, a restricted day of month and day of week match when either does.
+ * @param {string} expression - e.g. "0 9 * * 1" (Mondays at 09:00), or @hourly, @daily, @weekly, @monthly, @yearly
+ * @returns {Object} - { expression, minutes, hours, days, months, weekdays, anyDay, anyWeekday }
+ */
+function parseSchedule(expression) {
+  const source = String(expression || "").trim();
+  const fields = (SCHEDULE_ALIASES[source] || source).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Schedule "${source}" must have 5 fields: minute hour day-of-month month day-of-week`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) =>
+    parseScheduleField(field, SCHEDULE_FIELDS[index], source)
+  );
+  // 7 is Sunday as well
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+  return {
+    expression: source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === "*",
+    anyWeekday: fields[4] === "*"
+  };
+}
+
+function dayMatches(schedule, date) {
+  const day = schedule.days.has(date.getDate());
+  const weekday = schedule.weekdays.has(date.getDay());
+  if (schedule.anyDay || schedule.anyWeekday) {
+    return day && weekday;
+  }
+  return day || weekday;
+}
+
+/**
+ * First time after `after` the schedule is due, to the minute
+ * @param {Object|string} schedule - Parsed schedule or cron expression
+ * @param {Date} [after=new Date()]
+ * @returns {Date}
+ */
+function nextScheduledRun(schedule, after = new Date()) {
+  const parsed = typeof schedule === "string" ? parseSchedule(schedule) : schedule;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_SCHEDULE_YEARS);
+  while (date < limit) {
+    if (!parsed.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!dayMatches(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!parsed.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!parsed.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  throw new Error(`Schedule "${parsed.expression}" never comes due`);
+}
+
+/**
+ * Read portfolio definitions: a JSON file of { portfolios: [...] } or an array of
+ * { name, schedule, targets: { token: weight }, maxDeviationFromTarget, maxSlippage, maxPriceImpact,
+ * guardrails, valuationToken, chain, dryRun, keystorePath, keystorePasswordFile }
+ * @param {string} filePath
+ * @returns {Array} - The portfolios, each with its parsed schedule as `cron`
+ */
+function readPortfolioSchedules(filePath) {
+  const content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const portfolios = Array.isArray(content) ? content : content.portfolios;
+  if (!Array.isArray(portfolios) || portfolios.length === 0) {
+    throw new Error(`${filePath} must contain a list of portfolios`);
+  }
+
+  const names = new Set();
+  return portfolios.map((portfolio, index) => {
+    const name = portfolio.name || `portfolio-${index + 1}`;
+    if (names.has(name)) {
+      throw new Error(`Portfolio names must be unique, "${name}" is used twice`);
+    }
+    names.add(name);
+
+    if (!portfolio.targets || typeof portfolio.targets !== "object" || Array.isArray(portfolio.targets)) {
+      throw new Error(`Portfolio ${name} needs targets: a JSON object of token → weight`);
+    }
+    validateWeights(Object.entries(portfolio.targets).map(([token, weight]) => ({ tokenAddress: token, weight: Number(weight) })));
+    const deviation = portfolio.maxDeviationFromTarget;
+    if (deviation !== undefined && !(deviation >= 0 && deviation < 1)) {
+      throw new Error(`maxDeviationFromTarget of portfolio ${name} must be a fraction between 0 and 1, got ${deviation}`);
+    }
+
+    return { ...portfolio, name, cron: parseSchedule(portfolio.schedule) };
+  });
+}
+
+/**
+ * Environment of a portfolio's client: signing with its own keystore when it names one
+ * @param {Object} portfolio
+ * @param {Object} [env=process.env]
+ * @returns {Object}
+ */
+function portfolioEnv(portfolio, env = process.env) {
+  if (!portfolio.keystorePath) {
+    return env;
+  }
+  return { ...env, KEYSTORE_PATH: portfolio.keystorePath, KEYSTORE_PASSWORD_FILE: portfolio.keystorePasswordFile };
+}
+
+function scheduleKey(name) {
+  return `schedule:${name}`;
+}
+
+function lockDirFor(jobStore) {
+  return path.join(path.dirname(jobStore.filePath), "locks");
+}
+
+function lockPath(lockDir, chain, wallet) {
+  return path.join(lockDir, `${chain.chainId}-${wallet.toLowerCase()}.lock`);
+}
+
+/**
+ * Hold the wallet's rebalancing lock, the one scheduled runs take, while `fn` runs
+ * @param {ThirtyOneThirdClient} client - Client whose signer is the wallet
+ * @param {Object} options
+ * @param {JobStore} [options.jobStore] - Job store the lock directory sits next to
+ * @param {string} [options.lockDir] - Directory of the wallet locks, defaults to "locks" next to the job store
+ * @param {Object} [options.holder] - Details kept in the lock, shown by scheduleStatus
+ * @param {Function} fn - Called while the lock is held
+ * @returns {Promise<*>} - What fn returns
+ * @throws {Error} - When another run holds the wallet's lock
+ */
+async function withWalletLock(client, { jobStore = new JobStore(), lockDir = lockDirFor(jobStore), holder = {} }, fn) {
+  const wallet = await client._requireSigner().getAddress();
+  const release = acquireFileLock(lockPath(lockDir, client.chain, wallet), {
+    ...holder,
+    startedAt: new Date().toISOString()
+  });
+  if (!release) {
+    throw new Error(`Wallet ${wallet} is already being rebalanced by another run, try again once it finishes`);
+  }
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+function saveRun(jobStore, name, record) {
+  const state = jobStore.get(scheduleKey(name)) || { history: [] };
+  state.lastRun = record;
+  state.history = state.history.concat(record).slice(-HISTORY_LENGTH);
+  jobStore.set(scheduleKey(name), state);
+}
+
+/**
+ * Run one portfolio's rebalancing now: skipped while its drift stays within
+ * maxDeviationFromTarget, and never while another run holds the wallet's lock.
+ * The outcome is kept in the job store for scheduleStatus.
+ * @param {Object} portfolio - A portfolio of readPortfolioSchedules
+ * @param {Object} options
+ * @param {ThirtyOneThirdClient} options.client - Client with provider and signer of the portfolio's wallet
+ * @param {JobStore} [options.jobStore] - Where outcomes are kept, defaults to .31third/jobs.json
+ * @param {string} [options.lockDir] - Directory of the wallet locks, defaults to "locks" next to the job store
+ * @param {boolean} [options.dryRun=false] - Simulate instead of sending, as does the portfolio's dryRun
+ * @returns {Promise<Object>} - { portfolio, wallet, startedAt, finishedAt, outcome, drift, transactionHash, error };
+ *   outcome is rebalanced, skipped, simulated, locked or failed
+ */
+async function runScheduledRebalance(portfolio, {
+  client,
+  jobStore = new JobStore(),
+  lockDir = lockDirFor(jobStore),
+  dryRun = false
+}) {
+  const { signer: wallet, logger, tokenRegistry } = client;
+  const record = { portfolio: portfolio.name, wallet: wallet.address, startedAt: new Date().toISOString() };
+  const finish = (outcome, details = {}) => {
+    Object.assign(record, { finishedAt: new Date().toISOString(), outcome, ...details });
+    saveRun(jobStore, portfolio.name, record);
+    return record;
+  };
+
+  const release = acquireFileLock(lockPath(lockDir, client.chain, wallet.address), {
+    portfolio: portfolio.name,
+    startedAt: record.startedAt
+  });
+  if (!release) {
+    logger.warn(`Wallet ${wallet.address} is already being rebalanced, skipping portfolio ${portfolio.name}`);
+    return finish("locked");
+  }
+
+  try {
+    logger.log(`Rebalancing portfolio ${portfolio.name} of ${wallet.address}`);
+    const simulate = dryRun || Boolean(portfolio.dryRun);
+    // One tolerance for skipping the run and for the API, so an unset one doesn't mean two things
+    const maxDeviationFromTarget = portfolio.maxDeviationFromTarget === undefined
+      ? DEFAULT_MAX_DEVIATION_FROM_TARGET
+      : portfolio.maxDeviationFromTarget;
+    const { plan, skipped, result } = await rebalanceToTarget({
+      client,
+      targets: Object.entries(portfolio.targets).map(([token, weight]) => ({
+        tokenAddress: tokenRegistry.resolve(token).address,
+        weight: Number(weight)
+      })),
+      driftThreshold: maxDeviationFromTarget,
+      valuationToken: portfolio.valuationToken,
+      maxDeviationFromTarget,
+      maxSlippage: portfolio.maxSlippage,
+      maxPriceImpact: portfolio.maxPriceImpact,
+      guardrails: portfolio.guardrails,
+      dryRun: simulate
+    });
+
+    if (skipped) {
+      return finish("skipped", { drift: plan.drift });
+    }
+    if (!result) {
+      return finish("failed", { drift: plan.drift, error: "No transaction data in the API response" });
+    }
+    if (simulate) {
+      return finish("simulated", { drift: plan.drift });
+    }
+    return finish("rebalanced", { drift: plan.drift, transactionHash: result.receipt.transactionHash });
+  } catch (error) {
+    logger.error(`Rebalancing portfolio ${portfolio.name} failed: ${error.message}`);
+    return finish("failed", { error: error.message });
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Rebalance portfolios on their schedules until the signal aborts. Portfolios that come due
+ * together run one after the other; a run that is still going when another process wants the
+ * same wallet makes that one skip, see runScheduledRebalance. Runs missed while the daemon was
+ * not running are not caught up.
+ * @param {Object} options
+ * @param {Array} options.portfolios - Portfolios of readPortfolioSchedules
+ * @param {Function} [options.createClient] - (portfolio) => client, defaults to the environment's with the
+ *   portfolio's chain and keystore
+ * @param {JobStore} [options.jobStore] - Where outcomes are kept, defaults to .31third/jobs.json
+ * @param {string} [options.lockDir] - Directory of the wallet locks
+ * @param {boolean} [options.dryRun=false] - Simulate every run instead of sending
+ * @param {AbortSignal} [options.signal] - Stops the daemon once the current run is done
+ * @param {Function} [options.onRun] - Called with the record of every run
+ * @param {Object} [options.logger=console]
+ */
+async function runRebalanceDaemon({
+  portfolios,
+  createClient = portfolio => createClientFromEnv({ chain: portfolio.chain, env: portfolioEnv(portfolio) }),
+  jobStore = new JobStore(),
+  lockDir = lockDirFor(jobStore),
+  dryRun = false,
+  signal,
+  onRun,
+  logger = console
+}) {
+  const next = new Map(portfolios.map(portfolio => [portfolio.name, nextScheduledRun(portfolio.cron)]));
+  portfolios.forEach(portfolio => {
+    logger.log(`Portfolio ${portfolio.name} (${portfolio.cron.expression}): next run ${next.get(portfolio.name).toISOString()}`);
+  });
+
+  while (!(signal && signal.aborted)) {
+    for (const portfolio of portfolios.filter(candidate => next.get(candidate.name) <= new Date())) {
+      next.set(portfolio.name, nextScheduledRun(portfolio.cron));
+      let record;
+      try {
+        record = await runScheduledRebalance(portfolio, { client: createClient(portfolio), jobStore, lockDir, dryRun });
+      } catch (error) {
+        // The client couldn't be built, the daemon keeps serving the other portfolios
+        logger.error(`Portfolio ${portfolio.name} failed: ${error.message}`);
+        record = { portfolio: portfolio.name, startedAt: new Date().toISOString(), outcome: "failed", error: error.message };
+        saveRun(jobStore, portfolio.name, record);
+      }
+      logger.log(`Portfolio ${portfolio.name}: ${record.outcome}, next run ${next.get(portfolio.name).toISOString()}`);
+      if (onRun) {
+        onRun(record);
+      }
+      if (signal && signal.aborted) {
+        return;
+      }
+    }
+
+    const wake = Math.min(...Array.from(next.values(), date => date.getTime()));
+    await sleep(Math.min(Math.max(wake - Date.now(), 0), MAX_SLEEP_MS), signal);
+  }
+}
+
+/**
+ * Last run, next run and recent outcomes of every portfolio
+ * @param {Array} portfolios - Portfolios of readPortfolioSchedules
+ * @param {Object} [options]
+ * @param {JobStore} [options.jobStore] - Where outcomes are kept, defaults to .31third/jobs.json
+ * @param {string} [options.lockDir] - Directory of the wallet locks
+ * @param {Date} [options.now=new Date()]
+ * @returns {Array} - [{ name, schedule, lastRun, nextRun, running, history }]; running is the lock of a run in progress
+ */
+function scheduleStatus(portfolios, { jobStore = new JobStore(), lockDir = lockDirFor(jobStore), now = new Date() } = {}) {
+  const locks = fs.existsSync(lockDir)
+    ? fs.readdirSync(lockDir)
+      .filter(file => file.endsWith(".lock"))
+      .map(file => readLock(path.join(lockDir, file)))
+      .filter(Boolean)
+    : [];
+
+  return portfolios.map(portfolio => {
+    const state = jobStore.get(scheduleKey(portfolio.name)) || { history: [] };
+    return {
+      name: portfolio.name,
+      schedule: portfolio.cron.expression,
+      lastRun: state.lastRun,
+      nextRun: nextScheduledRun(portfolio.cron, now).toISOString(),
+      running: locks.find(lock => lock.portfolio === portfolio.name),
+      history: state.history
+    };
+  });
+}
+
+module.exports = {
+  parseSchedule,
+  nextScheduledRun,
+  readPortfolioSchedules,
+  portfolioEnv,
+  runScheduledRebalance,
+  runRebalanceDaemon,
+  scheduleStatus,
+  withWalletLock
+};
+
+// Execute the script when run directly: rebalance the portfolios of PORTFOLIOS (default portfolios.json)
+if (require.main === module) {
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  Promise.resolve()
+    .then(() => runRebalanceDaemon({
+      portfolios: readPortfolioSchedules(process.env.PORTFOLIOS || "portfolios.json"),
+      signal: controller.signal
+    }))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Error running the rebalancing schedule:", error.message);
+      process.exit(1);
+    });
+}
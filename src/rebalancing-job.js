@@ -0,0 +1,224 @@
+const { ethers } = require("ethers");
+const { parseExpiry } = require("./quote-validation");
+const { ApiError, RebalancingJobError } = require("./errors");
+const { sleep } = require("./api-request");
+
+const FAILED_STATUSES = ["failed", "error", "cancelled", "expired"];
+
+/**
+ * A job is done once its transaction is there, failed once the API says so
+ */
+function jobState(data) {
+  const status = String(data.status || (data.txData ? "completed" : "pending")).toLowerCase();
+  if (FAILED_STATUSES.includes(status)) {
+    return { status, done: true, failed: true };
+  }
+  return { status, done: Boolean(data.txHandler && data.txData), failed: false };
+}
+
+/**
+ * Whether the API failed the job or no longer knows it (404), so its id can be dropped
+ */
+function isJobGone(error) {
+  return error instanceof RebalancingJobError || (error instanceof ApiError && error.status === 404);
+}
+
+/**
+ * Key a rebalancing request for the job store: same chain, wallet and entries, same job
+ */
+function jobKey(chain, request) {
+  const rest = { ...request };
+  delete rest.async;
+  return ethers.utils.id(JSON.stringify({ chain: chain.name, ...rest }));
+}
+
+/**
+ * Poll an async rebalancing job until its transaction is ready
+ * @param {ThirtyOneThirdClient} client
+ * @param {string} id - Job id returned by requestWalletRebalancing with async: true
+ * @param {Object} [options]
+ * @param {number} [options.initialDelayMs=1000] - Delay before the second poll
+ * @param {number} [options.maxDelayMs=15000] - Upper bound for the delay between polls
+ * @param {number} [options.backoffFactor=2] - Delay multiplier after each poll
+ * @param {number} [options.timeoutMs=300000] - Give up after this long
+ * @param {Function} [options.onProgress] - Called with { id, status, previousStatus, attempt, data } on every status change
+ * @returns {Promise<Object>} - The finished rebalancing with txHandler and txData; a RebalancingJobError
+ *   is thrown when the API reports the job as failed, cancelled or expired
+ */
+async function waitForRebalancing(client, id, {
+  initialDelayMs = 1000,
+  maxDelayMs = 15000,
+  backoffFactor = 2,
+  timeoutMs = 300000,
+  onProgress
+} = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let delay = initialDelayMs;
+  let previousStatus;
+
+  for (let attempt = 1; ; attempt++) {
+    const data = await client.getRebalancing(id);
+    const { status, done, failed } = jobState(data);
+
+    if (status !== previousStatus) {
+      client.logger.log(`Rebalancing job ${id}: ${status}`);
+      if (onProgress) {
+        onProgress({ id, status, previousStatus, attempt, data });
+      }
+      previousStatus = status;
+    }
+
+    if (failed) {
+      throw new RebalancingJobError(
+        `Rebalancing job ${id} ${status}${data.error ? `: ${JSON.stringify(data.error)}` : ""}`,
+        { id, status, data }
+      );
+    }
+    if (done) {
+      return data;
+    }
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      throw new Error(`Rebalancing job ${id} not finished after ${Math.round(timeoutMs / 1000)}s (last status: ${status})`);
+    }
+    await sleep(Math.min(delay, remaining));
+    delay = Math.min(delay * backoffFactor, maxDelayMs);
+  }
+}
+
+/**
+ * Request a rebalancing as an async job and wait for it. The job id is saved in the store
+ * before polling, so a restarted process resumes the same job instead of requesting a new one.
+ * Resumed jobs are only replaced by a new request once the API reports them as failed, expired
+ * or unknown, or their result has expired; any other error keeps the job for the next run.
+ * @param {ThirtyOneThirdClient} client
+ * @param {Object} request - Parameters for requestWalletRebalancing
+ * @param {Object} [options]
+ * @param {JobStore} [options.jobStore] - Where job ids are kept; without it jobs can't be resumed
+ * @returns {Promise<Object>} - The finished rebalancing, with `jobKey` for clearing the store entry.
+ *   When an earlier run already sent the job's transaction (see saveJobSubmission) and it was mined,
+ *   `submitted` holds its { transactionHash, nonce, receipt } and it must not be sent again.
+ */
+async function requestRebalancingJob(client, request, { jobStore, ...pollOptions } = {}) {
+  const key = jobKey(client.chain, request);
+  let saved = jobStore && jobStore.get(key);
+
+  // The transaction of a resumed job may have gone out before the last run stopped
+  if (saved && saved.submitted) {
+    const { transactionHash, nonce } = saved.submitted;
+    const { receipt, nonceUsed } = await submittedTransactionOutcome(client, saved.submitted, request.signer || request.wallet);
+    if (receipt && receipt.status === 1) {
+      client.logger.warn(`Rebalancing job ${saved.id} was already executed by transaction ${transactionHash}, not sending it again`);
+      let data = {};
+      try {
+        data = await waitForRebalancing(client, saved.id, pollOptions);
+      } catch (error) {
+        client.logger.warn(`Cannot read rebalancing job ${saved.id} for the report: ${error.message}`);
+      }
+      return { ...data, id: saved.id, jobKey: key, submitted: { transactionHash, nonce, receipt } };
+    }
+    if (receipt) {
+      client.logger.warn(`Transaction ${transactionHash} of rebalancing job ${saved.id} reverted, requesting a new job`);
+      jobStore.delete(key);
+      saved = undefined;
+    } else if (nonceUsed) {
+      // Most likely a repriced replacement of the same trade, which can't be told apart from anything else
+      jobStore.delete(key);
+      const error = new Error(
+        `Transaction ${transactionHash} of rebalancing job ${saved.id} was replaced by another transaction with nonce ${nonce}; ` +
+        "check the wallet's balances before rebalancing again"
+      );
+      client.recordEvent("rebalancing.failed", { id: saved.id, error });
+      throw error;
+    } else {
+      client.logger.log(`Transaction ${transactionHash} of rebalancing job ${saved.id} was never mined`);
+      saved = { ...saved };
+      delete saved.submitted;
+      jobStore.set(key, saved);
+    }
+  }
+
+  if (saved) {
+    client.logger.log(`Resuming rebalancing job ${saved.id} from ${saved.createdAt}`);
+    client.recordEvent("rebalancing.job", { id: saved.id, resumed: true, createdAt: saved.createdAt });
+    try {
+      const data = await waitForRebalancing(client, saved.id, pollOptions);
+      const expiresAt = parseExpiry(data.expirationTimestamp);
+      if (expiresAt === null || expiresAt > Date.now()) {
+        client.recordEvent("rebalancing.received", { response: data });
+        return { ...data, jobKey: key };
+      }
+      client.logger.log(`Rebalancing job ${saved.id} has expired, requesting a new one`);
+    } catch (error) {
+      // Timeouts and transport errors say nothing about the job, which may still finish
+      if (!isJobGone(error)) {
+        client.recordEvent("rebalancing.failed", { id: saved.id, error });
+        throw error;
+      }
+      client.logger.warn(`Cannot resume rebalancing job ${saved.id}: ${error.message}`);
+    }
+    jobStore.delete(key);
+  }
+
+  const created = await client.requestWalletRebalancing({ ...request, async: true });
+  if (!created.id) {
+    throw new Error("The API did not return a job id for the async rebalancing");
+  }
+  client.logger.log(`Rebalancing job ${created.id} created`);
+  client.recordEvent("rebalancing.job", { id: created.id, resumed: false });
+
+  if (jobStore) {
+    jobStore.set(key, { id: created.id, createdAt: new Date().toISOString(), wallet: request.wallet });
+  }
+
+  if (jobState(created).done) {
+    return { ...created, jobKey: key };
+  }
+  let data;
+  try {
+    data = await waitForRebalancing(client, created.id, pollOptions);
+  } catch (error) {
+    client.recordEvent("rebalancing.failed", { id: created.id, error });
+    throw error;
+  }
+  client.recordEvent("rebalancing.received", { response: data });
+  return { ...data, jobKey: key };
+}
+
+/**
+ * Remember the transaction sent for a job, so a restarted run checks it instead of sending again
+ * @param {JobStore} jobStore
+ * @param {string} key - `jobKey` of the rebalancing returned by requestRebalancingJob
+ * @param {Object} submission - { transactionHash, nonce }
+ */
+function saveJobSubmission(jobStore, key, { transactionHash, nonce }) {
+  const job = jobStore.get(key);
+  if (job) {
+    jobStore.set(key, { ...job, submitted: { transactionHash, nonce, submittedAt: new Date().toISOString() } });
+  }
+}
+
+/**
+ * What became of a job's transaction: its receipt, waited for while it is still pending,
+ * or without one whether its nonce went to another transaction
+ */
+async function submittedTransactionOutcome(client, { transactionHash, nonce }, from) {
+  const provider = client._requireProvider();
+  let receipt = await provider.getTransactionReceipt(transactionHash);
+  if (!receipt && await provider.getTransaction(transactionHash)) {
+    client.logger.log(`Waiting for transaction ${transactionHash} sent by an earlier run...`);
+    receipt = await provider.waitForTransaction(transactionHash);
+  }
+  if (receipt) {
+    return { receipt };
+  }
+  return { nonceUsed: await provider.getTransactionCount(from) > nonce };
+}
+
+module.exports = {
+  jobKey,
+  saveJobSubmission,
+  waitForRebalancing,
+  requestRebalancingJob
+};
@@ -0,0 +1,297 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { ethers } = require("ethers");
+const { GuardrailError } = require("./errors");
+const { parseExpiry } = require("./quote-validation");
+
+/**
+ * Checks done on every rebalancing before anything is approved or sent
+ * - maxCostBps: abort when value loss, gas and protocol fees add up to more than this share
+ *   of sellValueInUsd (unset: no limit)
+ * - requireExecutable: abort when the API says the rebalancing is not executable
+ * - allowMissingPricePairs: go on although tokensWithoutPricePair is not empty
+ */
+const DEFAULT_GUARDRAILS = {
+  maxCostBps: undefined,
+  requireExecutable: true,
+  allowMissingPricePairs: false
+};
+
+const PLAN_FORMATS = {
+  ".json": "json",
+  ".csv": "csv",
+  ".md": "markdown",
+  ".markdown": "markdown"
+};
+
+function usd(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Estimated costs of a rebalancing in USD; fields the API left out count as 0
+ * @param {Object} rebalancingData - Response of requestWalletRebalancing
+ * @returns {Object} - { sellValueInUsd, valueLossInUsd, gasFeesInUsd, protocolFeesInUsd, totalCostInUsd, costBps }
+ */
+function rebalancingCosts(rebalancingData) {
+  const sellValueInUsd = usd(rebalancingData.sellValueInUsd);
+  const valueLossInUsd = usd(rebalancingData.estimatedValueLossInUsd);
+  const gasFeesInUsd = usd(rebalancingData.estimatedGasFeesInUsd);
+  const protocolFeesInUsd = usd(rebalancingData.estimatedProtocolFeesInUsd);
+  const totalCostInUsd = valueLossInUsd + gasFeesInUsd + protocolFeesInUsd;
+
+  return {
+    sellValueInUsd,
+    valueLossInUsd,
+    gasFeesInUsd,
+    protocolFeesInUsd,
+    totalCostInUsd,
+    costBps: sellValueInUsd > 0 ? Math.round((totalCostInUsd / sellValueInUsd) * 10000) : undefined
+  };
+}
+
+/**
+ * Guardrails the rebalancing breaks
+ * @param {Object} rebalancingData - Response of requestWalletRebalancing
+ * @param {Object} [guardrails] - Overrides of DEFAULT_GUARDRAILS
+ * @returns {Array} - [{ field, message, expected, actual }], empty when all checks pass
+ */
+function checkGuardrails(rebalancingData, guardrails = {}) {
+  const { maxCostBps, requireExecutable, allowMissingPricePairs } = { ...DEFAULT_GUARDRAILS, ...guardrails };
+  const violations = [];
+
+  if (requireExecutable && rebalancingData.executable === false) {
+    violations.push({
+      field: "executable",
+      message: "The API marked the rebalancing as not executable",
+      expected: true,
+      actual: false
+    });
+  }
+
+  const missing = rebalancingData.tokensWithoutPricePair || [];
+  if (!allowMissingPricePairs && missing.length > 0) {
+    violations.push({
+      field: "tokensWithoutPricePair",
+      message: `Tokens without a price pair: ${missing.join(", ")}`,
+      expected: [],
+      actual: missing
+    });
+  }
+
+  if (maxCostBps !== undefined) {
+    const costs = rebalancingCosts(rebalancingData);
+    if (costs.costBps === undefined) {
+      violations.push({
+        field: "sellValueInUsd",
+        message: "The sell value is unknown, so the costs can't be checked against it",
+        expected: maxCostBps,
+        actual: rebalancingData.sellValueInUsd
+      });
+    } else if (costs.costBps > maxCostBps) {
+      violations.push({
+        field: "costBps",
+        message: `Estimated costs of $${costs.totalCostInUsd.toFixed(2)} are ${(costs.costBps / 100).toFixed(2)}% ` +
+          `of the sell value, above the ${(maxCostBps / 100).toFixed(2)}% allowed`,
+        expected: maxCostBps,
+        actual: costs.costBps
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Throw a GuardrailError listing every broken guardrail
+ */
+function assertGuardrails(violations) {
+  if (violations.length > 0) {
+    const [first] = violations;
+    throw new GuardrailError(
+      `Rebalancing stopped by its guardrails: ${violations.map(violation => violation.message).join("; ")}`,
+      { violations, field: first.field, expected: first.expected, actual: first.actual }
+    );
+  }
+}
+
+function formatAmount(amount, token) {
+  if (amount === undefined || amount === null) {
+    return "";
+  }
+  return ethers.utils.formatUnits(amount, (token && token.decimals) || 18);
+}
+
+/**
+ * What a rebalancing will do and cost, for review and sign-off before it is sent
+ * @param {Object} rebalancingData - Response of requestWalletRebalancing
+ * @param {Object} [options]
+ * @param {string} [options.wallet] - Wallet that is rebalanced
+ * @param {Object|false} [options.guardrails] - Overrides of DEFAULT_GUARDRAILS, false to check none
+ * @returns {Object} - { id, wallet, createdAt, expiresAt, executable, tokensWithoutPricePair, costs,
+ *   estimatedReceiveValueInUsd, minReceiveValueInUsd, trades, requiredAllowances, violations }
+ */
+function buildRebalancingPlan(rebalancingData, { wallet, guardrails = {} } = {}) {
+  const expiresAt = parseExpiry(rebalancingData.expirationTimestamp);
+  return {
+    id: rebalancingData.id,
+    wallet,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt === null ? undefined : new Date(expiresAt).toISOString(),
+    executable: rebalancingData.executable,
+    tokensWithoutPricePair: rebalancingData.tokensWithoutPricePair || [],
+    costs: rebalancingCosts(rebalancingData),
+    estimatedReceiveValueInUsd: rebalancingData.estimatedReceiveValueInUsd,
+    minReceiveValueInUsd: rebalancingData.minReceiveValueInUsd,
+    trades: (rebalancingData.trades || []).map(trade => ({
+      sellToken: (trade.sellToken && trade.sellToken.symbol) || "",
+      sellTokenAddress: (trade.sellToken && trade.sellToken.address) || trade.sellTokenAddress,
+      sellAmount: formatAmount(trade.sellAmount, trade.sellToken),
+      buyToken: (trade.buyToken && trade.buyToken.symbol) || "",
+      buyTokenAddress: (trade.buyToken && trade.buyToken.address) || trade.buyTokenAddress,
+      buyAmount: formatAmount(trade.buyAmount, trade.buyToken),
+      minBuyAmount: formatAmount(trade.minBuyAmount, trade.buyToken)
+    })),
+    requiredAllowances: (rebalancingData.requiredAllowances || []).map(allowance => ({
+      token: allowance.token.symbol || allowance.token.address,
+      spender: allowance.allowanceTarget,
+      amount: formatAmount(allowance.neededAllowance, allowance.token)
+    })),
+    violations: guardrails === false ? [] : checkGuardrails(rebalancingData, guardrails)
+  };
+}
+
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function planSummary(plan) {
+  const { costs } = plan;
+  return [
+    ["Rebalancing", plan.id],
+    ["Wallet", plan.wallet],
+    ["Created", plan.createdAt],
+    ["Expires", plan.expiresAt],
+    ["Executable", plan.executable === false ? "no" : "yes"],
+    ["Sell value (USD)", costs.sellValueInUsd.toFixed(2)],
+    ["Estimated receive value (USD)", plan.estimatedReceiveValueInUsd],
+    ["Min receive value (USD)", plan.minReceiveValueInUsd],
+    ["Estimated value loss (USD)", costs.valueLossInUsd.toFixed(2)],
+    ["Estimated gas fees (USD)", costs.gasFeesInUsd.toFixed(2)],
+    ["Estimated protocol fees (USD)", costs.protocolFeesInUsd.toFixed(2)],
+    ["Total cost (USD)", costs.totalCostInUsd.toFixed(2)],
+    ["Total cost (% of sell value)", costs.costBps === undefined ? "" : (costs.costBps / 100).toFixed(2)],
+    ["Tokens without price pair", plan.tokensWithoutPricePair.join(" ")]
+  ];
+}
+
+const TRADE_COLUMNS = ["sellToken", "sellAmount", "buyToken", "buyAmount", "minBuyAmount", "sellTokenAddress", "buyTokenAddress"];
+
+/**
+ * Render a plan of buildRebalancingPlan as JSON, CSV (summary rows, then one row per trade)
+ * or a Markdown document
+ * @param {Object} plan
+ * @param {string} [format="json"] - json, csv or markdown
+ * @returns {string}
+ */
+function formatRebalancingPlan(plan, format = "json") {
+  if (format === "json") {
+    return `${JSON.stringify(plan, null, 2)}\n`;
+  }
+
+  if (format === "csv") {
+    const rows = [["field", "value"], ...planSummary(plan)];
+    plan.violations.forEach(violation => rows.push(["Guardrail violated", violation.message]));
+    rows.push([], TRADE_COLUMNS, ...plan.trades.map(trade => TRADE_COLUMNS.map(column => trade[column])));
+    return `${rows.map(row => row.map(csvField).join(",")).join("\n")}\n`;
+  }
+
+  if (format === "markdown") {
+    const cell = value => (value === undefined || value === null ? "" : String(value).replace(/\|/g, "\\|"));
+    const table = (header, rows) => [
+      `| ${header.join(" | ")} |`,
+      `| ${header.map(() => "---").join(" | ")} |`,
+      ...rows.map(row => `| ${row.map(cell).join(" | ")} |`)
+    ];
+    const lines = [`# Rebalancing plan ${plan.id || ""}`.trim(), "", ...table(["", "Value"], planSummary(plan)), "", "## Trades", ""];
+    lines.push(...(plan.trades.length > 0
+      ? table(["Sell", "Amount", "Buy", "Estimated amount", "Minimum amount"], plan.trades.map(trade => [
+        trade.sellToken || trade.sellTokenAddress,
+        trade.sellAmount,
+        trade.buyToken || trade.buyTokenAddress,
+        trade.buyAmount,
+        trade.minBuyAmount
+      ]))
+      : ["No trades."]));
+    if (plan.requiredAllowances.length > 0) {
+      lines.push("", "## Approvals", "", ...table(["Token", "Spender", "Amount"], plan.requiredAllowances.map(allowance => [
+        allowance.token,
+        allowance.spender,
+        allowance.amount
+      ])));
+    }
+    lines.push("", "## Guardrails", "", ...(plan.violations.length > 0
+      ? plan.violations.map(violation => `- ❌ ${violation.message}`)
+      : ["- ✅ All checks passed"]));
+    return `${lines.join("\n")}\n`;
+  }
+
+  throw new Error(`Unknown plan format "${format}", expected json, csv or markdown`);
+}
+
+/**
+ * Write a plan to a file, in the format of its extension (.json, .csv, .md) unless one is given
+ * @param {Object} plan - Plan of buildRebalancingPlan
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {string} [options.format] - json, csv or markdown
+ * @returns {string} - The format written
+ */
+function writeRebalancingPlan(plan, filePath, { format } = {}) {
+  const resolved = format || PLAN_FORMATS[path.extname(filePath).toLowerCase()];
+  if (!resolved) {
+    throw new Error(`Cannot tell the plan format of ${filePath}, use .json, .csv or .md`);
+  }
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, formatRebalancingPlan(plan, resolved));
+  return resolved;
+}
+
+/**
+ * Ask a yes/no question on the terminal; anything but y or yes, or the input ending, is a no
+ * @param {string} question
+ * @param {Object} [options]
+ * @param {stream.Readable} [options.input=process.stdin]
+ * @param {stream.Writable} [options.output=process.stderr] - stderr keeps stdout clean for --json
+ * @returns {Promise<boolean>}
+ */
+function promptConfirmation(question, { input = process.stdin, output = process.stderr } = {}) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input, output });
+    let answered = false;
+    rl.question(`${question} (y/n) `, answer => {
+      answered = true;
+      rl.close();
+      resolve(["y", "yes"].includes(answer.trim().toLowerCase()));
+    });
+    rl.on("close", () => {
+      if (!answered) {
+        resolve(false);
+      }
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_GUARDRAILS,
+  rebalancingCosts,
+  checkGuardrails,
+  assertGuardrails,
+  buildRebalancingPlan,
+  formatRebalancingPlan,
+  writeRebalancingPlan,
+  promptConfirmation
+};
@@ -0,0 +1,228 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { createClientFromEnv } = require("./env");
+const { explainTransaction } = require("./calldata");
+const { buildSafeBatch } = require("./safe");
+const { approvalTransactions } = require("./approvals");
+const { parseExpiry } = require("./quote-validation");
+const { tokensFromQuote } = require("./single-swap");
+const { resolveEntries, logRebalancingSummary, tokensFromTrades } = require("./basket-swap");
+
+/**
+ * Build a swap for a Safe: the approval of the sell token (when the Safe's allowance is short)
+ * and the trade itself, packaged as one Transaction Builder batch with the Safe as taker.
+ * Nothing is signed; the Safe's owners review and execute the batch.
+ * @param {Object} options
+ * @param {ThirtyOneThirdClient} [options.client] - Client with a provider, built from .env when omitted
+ * @param {string} options.safe - Safe holding the tokens
+ * @param {string} options.sellToken - Token to sell: address, symbol or "ETH" for the native token
+ * @param {string} options.buyToken - Token to buy, same forms as sellToken
+ * @param {ethers.BigNumberish|string} options.sellAmount - Amount to sell in wei, or with its symbol like "1.5 WETH"
+ * @param {number} [options.maxSlippageBps] - Maximum slippage in basis points
+ * @param {number} [options.minExpirySec=600] - Minimum quote expiry; the batch must execute before the quote expires
+ * @param {string} [options.output] - File the batch JSON is written to
+ * @param {string} [options.multiSendAddress] - MultiSendCallOnly deployment, see buildSafeBatch
+ * @returns {Promise<Object>} - { quote, decoded, transactions, batch, multiSend }
+ */
+async function swapFromSafe({
+  client = createClientFromEnv({ requireSigner: false }),
+  safe,
+  sellToken,
+  buyToken,
+  sellAmount,
+  maxSlippageBps,
+  minExpirySec = 600,
+  output,
+  multiSendAddress
+} = {}) {
+  const { logger, tokenRegistry } = client;
+  if (!safe) {
+    throw new Error("A Safe address is required");
+  }
+  const sell = tokenRegistry.resolve(sellToken);
+  const buy = tokenRegistry.resolve(buyToken);
+  const amount = await tokenRegistry.parseAmount(sellAmount, sell.address);
+  client.beginRun("safe-swap", { safe, sellToken: sell.address, buyToken: buy.address, sellAmount: amount, maxSlippageBps });
+
+  logger.log(`Getting swap quote for Safe ${safe} from 31Third API...`);
+  const quoteRequest = {
+    sellToken: sell.address,
+    buyToken: buy.address,
+    sellAmount: amount,
+    taker: safe,
+    txOrigin: safe,
+    maxSlippageBps,
+    minExpirySec
+  };
+  const quoteData = await client.getSwapQuote(quoteRequest);
+
+  logger.log(`Quote received: ${quoteData.sellToken.symbol} → ${quoteData.buyToken.symbol}`);
+  logger.log(`Sell amount: ${ethers.utils.formatUnits(quoteData.sellAmount, quoteData.sellToken.decimals)} ${quoteData.sellToken.symbol}`);
+  logger.log(`Buy amount: ${ethers.utils.formatUnits(quoteData.buyAmount, quoteData.buyToken.decimals)} ${quoteData.buyToken.symbol}`);
+
+  client.validateSwapQuote(quoteData, quoteRequest);
+  const decoded = explainTransaction(logger, quoteData.transaction, { taker: safe }, tokensFromQuote(quoteData));
+
+  const approvals = await approvalTransactions(client, safe, [{
+    token: { address: sell.address, symbol: quoteData.sellToken.symbol },
+    allowanceTarget: quoteData.transaction.to,
+    neededAllowance: amount
+  }]);
+  // The API may send "0" for value, which is a string and so truthy
+  const quotedValue = ethers.BigNumber.from(quoteData.transaction.value || 0);
+  const transactions = approvals.concat({
+    to: quoteData.transaction.to,
+    value: quotedValue.isZero() && sell.native ? amount.toString() : quotedValue.toString(),
+    data: quoteData.transaction.data,
+    description: `Swap ${quoteData.sellToken.symbol} for ${quoteData.buyToken.symbol}`
+  });
+
+  const result = packageSafeBatch(client, {
+    safe,
+    transactions,
+    output,
+    multiSendAddress,
+    name: `31Third swap ${quoteData.sellToken.symbol} → ${quoteData.buyToken.symbol}`,
+    expiresAt: quoteData.expiresAt
+  });
+  return { quote: quoteData, decoded, ...result };
+}
+
+/**
+ * Build a wallet rebalancing for a Safe: the approvals in the rebalancing's requiredAllowances
+ * and the batch trade, packaged as one Transaction Builder batch with the Safe as signer and wallet
+ * @param {Object} options
+ * @param {ThirtyOneThirdClient} [options.client] - Client with a provider, built from .env when omitted
+ * @param {string} options.safe - Safe holding the tokens
+ * @param {Array} options.baseEntries - Tokens to sell as { tokenAddress, amount } with amount in wei
+ * @param {Array} options.targetEntries - Tokens to buy as { tokenAddress, allocation }
+ * @param {number} [options.maxSlippage=0.01] - Maximum slippage per trade
+ * @param {number} [options.maxPriceImpact=0.05] - Maximum price impact per trade
+ * @param {string} [options.output] - File the batch JSON is written to
+ * @param {string} [options.multiSendAddress] - MultiSendCallOnly deployment, see buildSafeBatch
+ * @returns {Promise<Object>} - { rebalancing, decoded, transactions, batch, multiSend }
+ */
+async function rebalanceSafe({
+  client = createClientFromEnv({ requireSigner: false }),
+  safe,
+  baseEntries,
+  targetEntries,
+  maxSlippage = 0.01,
+  maxPriceImpact = 0.05,
+  output,
+  multiSendAddress
+} = {}) {
+  const { logger } = client;
+  if (!safe) {
+    throw new Error("A Safe address is required");
+  }
+  ({ baseEntries, targetEntries } = await resolveEntries(client, baseEntries, targetEntries));
+  client.beginRun("safe-rebalance", { safe, baseEntries, targetEntries, maxSlippage });
+
+  logger.log(`Requesting rebalancing of Safe ${safe} from 31Third API...`);
+  const rebalancingRequest = {
+    signer: safe,
+    wallet: safe,
+    baseEntries,
+    targetEntries,
+    maxSlippage,
+    maxPriceImpact,
+    batchTrade: true
+  };
+  const rebalancingData = await client.requestWalletRebalancing(rebalancingRequest);
+  logRebalancingSummary(logger, rebalancingData);
+
+  if (!rebalancingData.txHandler || !rebalancingData.txData) {
+    client.recordEvent("rebalancing.rejected", { error: { message: "No transaction data in the API response" } });
+    throw new Error("No transaction data in the API response, nothing to put in the Safe batch");
+  }
+  client.validateRebalancing(rebalancingData, rebalancingRequest);
+  const decoded = explainTransaction(
+    logger,
+    { to: rebalancingData.txHandler, data: rebalancingData.txData },
+    { taker: safe },
+    tokensFromTrades(rebalancingData.trades)
+  );
+
+  const approvals = await approvalTransactions(client, safe, rebalancingData.requiredAllowances);
+  const transactions = approvals.concat({
+    to: rebalancingData.txHandler,
+    value: rebalancingData.txValue || "0",
+    data: rebalancingData.txData,
+    description: `Rebalance through ${(rebalancingData.trades || []).length} trade(s)`
+  });
+
+  const result = packageSafeBatch(client, {
+    safe,
+    transactions,
+    output,
+    multiSendAddress,
+    name: "31Third rebalancing",
+    expiresAt: rebalancingData.expirationTimestamp
+  });
+  return { rebalancing: rebalancingData, decoded, ...result };
+}
+
+/**
+ * Build the batch, write it to `output` (or log it) and record it in the journal
+ */
+function packageSafeBatch(client, { safe, transactions, output, multiSendAddress, name, expiresAt }) {
+  const { logger } = client;
+  const description = transactions.map(transaction => transaction.description).join("; ");
+  const { batch, multiSend } = buildSafeBatch({
+    chain: client.chain,
+    safe,
+    transactions,
+    name,
+    description,
+    multiSendAddress
+  });
+
+  logger.log(`\nSafe batch with ${transactions.length} transaction(s):`);
+  transactions.forEach((transaction, index) => logger.log(`${index + 1}. ${transaction.description}`));
+  const expiry = parseExpiry(expiresAt);
+  if (expiry !== null) {
+    logger.log(`⚠️ The batch must be executed before the quote expires at ${new Date(expiry).toISOString()}`);
+  }
+
+  if (output) {
+    fs.writeFileSync(output, JSON.stringify(batch, null, 2));
+    logger.log(`Transaction Builder batch written to ${output}`);
+  } else {
+    logger.log("Transaction Builder batch:", JSON.stringify(batch, null, 2));
+  }
+
+  client.endRun({ safe, output, multiSend });
+  return { transactions, batch, multiSend };
+}
+
+// Example usage with the Safe from .env
+async function main() {
+  const safe = process.env.SAFE_ADDRESS;
+  if (!safe) {
+    throw new Error("Please set SAFE_ADDRESS in your .env file");
+  }
+
+  return swapFromSafe({
+    safe,
+    sellToken: "0xdAC17F958D2ee523a2206206994597C13D831ec7", // USDT
+    buyToken: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", // WETH
+    sellAmount: ethers.utils.parseUnits("1", 6), // 1 USDT
+    output: "safe-batch.json"
+  });
+}
+
+module.exports = { swapFromSafe, rebalanceSafe, main };
+
+// Execute the example when run directly
+if (require.main === module) {
+  main()
+    .then(() => {
+      console.log("✅ Safe batch created successfully!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("❌ Error creating Safe batch:", error.message);
+      process.exit(1);
+    });
+}
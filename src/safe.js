@@ -0,0 +1,115 @@
+const { ethers } = require("ethers");
+
+// MultiSendCallOnly v1.3.0, deployed at the same address on every chain in the registry
+const MULTISEND_CALL_ONLY_ADDRESS = "0x40A2aCCbd92BCA938b02010E17A5b8929b49130D";
+
+// Version of the Safe Transaction Builder app the batch files follow
+const TX_BUILDER_VERSION = "1.16.5";
+
+const SAFE_OPERATIONS = {
+  call: 0,
+  delegateCall: 1
+};
+
+const multiSendInterface = new ethers.utils.Interface(["function multiSend(bytes transactions) payable"]);
+
+/**
+ * Encode calls for MultiSend: operation, to, value, data length and data of every call, packed
+ * @param {Array} transactions - [{ to, value, data }], all sent as calls
+ * @returns {string} - Calldata of multiSend(bytes)
+ */
+function encodeMultiSend(transactions) {
+  const packed = ethers.utils.hexConcat(transactions.map(transaction => {
+    const data = transaction.data || "0x";
+    return ethers.utils.solidityPack(
+      ["uint8", "address", "uint256", "uint256", "bytes"],
+      [SAFE_OPERATIONS.call, transaction.to, transaction.value || 0, ethers.utils.hexDataLength(data), data]
+    );
+  }));
+  return multiSendInterface.encodeFunctionData("multiSend", [packed]);
+}
+
+/**
+ * Decode multiSend(bytes) calldata back into its calls
+ * @returns {Array} - [{ operation, to, value, data }]
+ */
+function decodeMultiSend(data) {
+  const [packed] = multiSendInterface.decodeFunctionData("multiSend", data);
+  const bytes = ethers.utils.arrayify(packed);
+  const transactions = [];
+
+  for (let offset = 0; offset < bytes.length;) {
+    const dataLength = ethers.BigNumber.from(bytes.slice(offset + 53, offset + 85)).toNumber();
+    transactions.push({
+      operation: bytes[offset],
+      to: ethers.utils.getAddress(ethers.utils.hexlify(bytes.slice(offset + 1, offset + 21))),
+      value: ethers.BigNumber.from(bytes.slice(offset + 21, offset + 53)),
+      data: ethers.utils.hexlify(bytes.slice(offset + 85, offset + 85 + dataLength))
+    });
+    offset += 85 + dataLength;
+  }
+  return transactions;
+}
+
+/**
+ * Package calls as a Safe Transaction Builder batch file. Importing it in the Transaction
+ * Builder proposes all calls as one MultiSend transaction; `multiSend` is the same batch
+ * for proposing through the Safe API or SDK (a delegatecall to MultiSendCallOnly).
+ * @param {Object} options
+ * @param {Object} options.chain - Chain from the registry
+ * @param {string} options.safe - Safe address
+ * @param {Array} options.transactions - [{ to, value, data, description }]
+ * @param {string} [options.name] - Batch name shown in the Transaction Builder
+ * @param {string} [options.description] - Batch description
+ * @param {string} [options.multiSendAddress] - MultiSendCallOnly deployment, defaults to v1.3.0
+ * @returns {Object} - { batch, multiSend }
+ */
+function buildSafeBatch({
+  chain,
+  safe,
+  transactions,
+  name = "31Third trade",
+  description = "",
+  multiSendAddress = MULTISEND_CALL_ONLY_ADDRESS
+}) {
+  if (transactions.length === 0) {
+    throw new Error("A Safe batch needs at least one transaction");
+  }
+
+  const calls = transactions.map(transaction => ({
+    to: ethers.utils.getAddress(transaction.to),
+    value: ethers.BigNumber.from(transaction.value || 0).toString(),
+    data: transaction.data || "0x"
+  }));
+
+  const batch = {
+    version: "1.0",
+    chainId: String(chain.chainId),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: ethers.utils.getAddress(safe),
+      createdFromOwnerAddress: ""
+    },
+    transactions: calls.map(call => ({ ...call, contractMethod: null, contractInputsValues: null }))
+  };
+
+  const multiSend = {
+    to: multiSendAddress,
+    value: "0",
+    data: encodeMultiSend(calls),
+    operation: SAFE_OPERATIONS.delegateCall
+  };
+
+  return { batch, multiSend };
+}
+
+module.exports = {
+  MULTISEND_CALL_ONLY_ADDRESS,
+  SAFE_OPERATIONS,
+  encodeMultiSend,
+  decodeMultiSend,
+  buildSafeBatch
+};
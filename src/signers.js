@@ -0,0 +1,129 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+/**
+ * Decrypt an encrypted JSON keystore (geth, Foundry's `cast wallet` or ethers' wallet.encrypt)
+ * @param {string} filePath - Keystore file
+ * @param {string} password - Keystore password
+ * @param {ethers.providers.Provider} [provider] - Provider the signer is connected to
+ * @returns {ethers.Wallet}
+ */
+function loadKeystoreSigner(filePath, password, provider) {
+  if (password === undefined) {
+    throw new Error(`A password is required to decrypt the keystore ${filePath}`);
+  }
+
+  let wallet;
+  try {
+    wallet = ethers.Wallet.fromEncryptedJsonSync(fs.readFileSync(filePath, "utf8"), password);
+  } catch (error) {
+    throw new Error(`Cannot decrypt keystore ${filePath}: ${error.message}`);
+  }
+  return provider ? wallet.connect(provider) : wallet;
+}
+
+/**
+ * Signer that hands signing to an external callback, e.g. a KMS, an HSM or a signing service.
+ * The callback gets the populated transaction and returns it signed and serialized; the result
+ * is parsed and compared with the request, so a callback can't swap in another transaction.
+ */
+class CallbackSigner extends ethers.Signer {
+  /**
+   * @param {Object} options
+   * @param {string} options.address - Address the callback signs for
+   * @param {Function} options.signTransaction - async (transaction) => signed raw transaction
+   * @param {Function} [options.signMessage] - async (message) => signature, needed for permits only
+   * @param {Function} [options.signTypedData] - async (domain, types, value) => signature, needed for permits only
+   * @param {ethers.providers.Provider} [options.provider] - Provider for populating and sending
+   */
+  constructor({ address, signTransaction, signMessage, signTypedData, provider }) {
+    super();
+    if (typeof signTransaction !== "function") {
+      throw new Error("CallbackSigner needs a signTransaction callback");
+    }
+
+    ethers.utils.defineReadOnly(this, "address", ethers.utils.getAddress(address));
+    ethers.utils.defineReadOnly(this, "provider", provider);
+    this.callbacks = { signTransaction, signMessage, signTypedData };
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async signTransaction(transaction) {
+    const tx = await ethers.utils.resolveProperties(transaction);
+    if (tx.from && ethers.utils.getAddress(tx.from) !== this.address) {
+      throw new Error(`Transaction from ${tx.from} cannot be signed by ${this.address}`);
+    }
+    delete tx.from;
+
+    const signed = await this.callbacks.signTransaction(tx);
+    assertSignedTransaction(signed, { ...tx, from: this.address });
+    return signed;
+  }
+
+  async signMessage(message) {
+    return this._callback("signMessage")(message);
+  }
+
+  async _signTypedData(domain, types, value) {
+    return this._callback("signTypedData")(domain, types, value);
+  }
+
+  connect(provider) {
+    return new CallbackSigner({ address: this.address, ...this.callbacks, provider });
+  }
+
+  _callback(name) {
+    if (typeof this.callbacks[name] !== "function") {
+      throw new Error(`CallbackSigner has no ${name} callback`);
+    }
+    return this.callbacks[name];
+  }
+}
+
+/**
+ * Check that a signed raw transaction is the expected transaction, from the expected address
+ * @param {string} signed - Signed and serialized transaction
+ * @param {Object} expected - Populated transaction with from; fields it leaves out are not checked
+ * @returns {Object} - The parsed transaction
+ */
+function assertSignedTransaction(signed, expected) {
+  let parsed;
+  try {
+    parsed = ethers.utils.parseTransaction(signed);
+  } catch (error) {
+    throw new Error(`Signer returned an invalid transaction: ${error.message}`);
+  }
+  if (!parsed.from) {
+    throw new Error("Signer returned an unsigned transaction");
+  }
+
+  const mismatches = [];
+  if (expected.from && parsed.from !== ethers.utils.getAddress(expected.from)) {
+    mismatches.push(`from ${parsed.from}`);
+  }
+  if (expected.to && (!parsed.to || parsed.to !== ethers.utils.getAddress(expected.to))) {
+    mismatches.push(`to ${parsed.to}`);
+  }
+  if (expected.data !== undefined && parsed.data.toLowerCase() !== ethers.utils.hexlify(expected.data).toLowerCase()) {
+    mismatches.push("data");
+  }
+  ["value", "nonce", "chainId", "gasLimit"].forEach(field => {
+    if (expected[field] !== undefined && !ethers.BigNumber.from(parsed[field]).eq(expected[field])) {
+      mismatches.push(`${field} ${parsed[field].toString()}`);
+    }
+  });
+  if (mismatches.length > 0) {
+    throw new Error(`Signed transaction does not match the request: ${mismatches.join(", ")}`);
+  }
+
+  return parsed;
+}
+
+module.exports = {
+  loadKeystoreSigner,
+  CallbackSigner,
+  assertSignedTransaction
+};
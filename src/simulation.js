@@ -0,0 +1,252 @@
+const { ethers } = require("ethers");
+
+// Selectors of the built-in Solidity revert payloads
+const ERROR_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+const PANIC_CODES = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division or modulo by zero",
+  0x21: "invalid enum value",
+  0x22: "invalid storage byte array",
+  0x31: "pop on empty array",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+  0x51: "call to invalid internal function"
+};
+
+/**
+ * Turn revert data into a readable reason
+ * @param {string} data - Revert data returned by the node
+ * @param {Array|ethers.utils.Interface} [abi] - Optional ABI to decode custom errors
+ * @returns {string} - Human readable revert reason
+ */
+function decodeRevertReason(data, abi) {
+  if (!data || data === "0x") {
+    return "execution reverted without a reason";
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const payload = ethers.utils.hexDataSlice(data, 4);
+
+  try {
+    if (selector === ERROR_SELECTOR) {
+      const [reason] = ethers.utils.defaultAbiCoder.decode(["string"], payload);
+      return reason;
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const [code] = ethers.utils.defaultAbiCoder.decode(["uint256"], payload);
+      const description = PANIC_CODES[code.toNumber()] || "unknown panic code";
+      return `Panic(0x${code.toNumber().toString(16)}): ${description}`;
+    }
+
+    if (abi) {
+      const iface = abi instanceof ethers.utils.Interface ? abi : new ethers.utils.Interface(abi);
+      const error = iface.parseError(data);
+      return `${error.name}(${error.args.map(arg => arg.toString()).join(", ")})`;
+    }
+  } catch (error) {
+    // Fall through to the raw selector below
+  }
+
+  return `custom error ${selector} (${data})`;
+}
+
+/**
+ * Find the revert data in an error thrown by a JSON-RPC provider. Nodes nest it
+ * differently: anvil and geth put it in error.data, ganache in error.data.result,
+ * and ethers wraps the node error in error.error and keeps the raw body.
+ */
+function extractRevertData(error, depth = 0) {
+  if (!error || typeof error !== "object" || depth > 4) {
+    return null;
+  }
+
+  for (const key of ["data", "result"]) {
+    if (typeof error[key] === "string" && ethers.utils.isHexString(error[key])) {
+      return error[key];
+    }
+  }
+
+  for (const key of ["data", "error"]) {
+    const nested = extractRevertData(error[key], depth + 1);
+    if (nested !== null) {
+      return nested;
+    }
+  }
+
+  if (typeof error.body === "string") {
+    try {
+      return extractRevertData(JSON.parse(error.body), depth + 1);
+    } catch (parseError) {
+      // Not a JSON body
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run a transaction through eth_call from the sender address without sending it
+ * @param {ethers.providers.Provider} provider - RPC provider
+ * @param {Object} tx - Transaction with from, to, data and value
+ * @param {Object} [options]
+ * @param {string|number} [options.blockTag="latest"] - Block to simulate against
+ * @param {Array|ethers.utils.Interface} [options.abi] - ABI used to decode custom errors
+ * @returns {Promise<Object>} - { success, returnData, revertReason, revertData, gasEstimate }
+ */
+async function simulateTransaction(provider, { from, to, data, value = 0 }, { blockTag = "latest", abi } = {}) {
+  const tx = {
+    from,
+    to,
+    data,
+    value: ethers.BigNumber.from(value || 0)
+  };
+
+  const result = {
+    from,
+    to,
+    value: tx.value,
+    success: false,
+    returnData: null,
+    revertReason: null,
+    revertData: null,
+    gasEstimate: null
+  };
+
+  try {
+    if (typeof provider.send === "function") {
+      const rpcTx = ethers.providers.JsonRpcProvider.hexlifyTransaction(tx, { from: true });
+      const tag = typeof blockTag === "number" ? ethers.utils.hexValue(blockTag) : blockTag;
+      result.returnData = await provider.send("eth_call", [rpcTx, tag]);
+    } else {
+      result.returnData = await provider.call(tx, blockTag);
+    }
+    result.success = true;
+  } catch (error) {
+    const revertData = extractRevertData(error);
+    if (revertData === null && !/revert/i.test(error.message || "")) {
+      throw error;
+    }
+    result.revertData = revertData;
+    result.revertReason = decodeRevertReason(revertData, abi);
+    return result;
+  }
+
+  try {
+    result.gasEstimate = await provider.estimateGas(tx);
+  } catch (error) {
+    result.gasEstimate = null;
+  }
+
+  return result;
+}
+
+function addDelta(deltas, token, amount, field = "amount") {
+  if (!token || amount === undefined || amount === null) {
+    return;
+  }
+
+  const address = (token.address || token).toLowerCase();
+  if (!deltas[address]) {
+    deltas[address] = {
+      token: token.address || token,
+      symbol: token.symbol,
+      decimals: token.decimals,
+      amount: ethers.BigNumber.from(0),
+      minAmount: ethers.BigNumber.from(0)
+    };
+  }
+  deltas[address][field] = deltas[address][field].add(amount);
+}
+
+function formatDeltas(deltas) {
+  return Object.values(deltas).map(delta => ({
+    ...delta,
+    formattedAmount: delta.decimals !== undefined
+      ? ethers.utils.formatUnits(delta.amount, delta.decimals)
+      : delta.amount.toString()
+  }));
+}
+
+/**
+ * Expected token balance changes of the taker for a swap quote.
+ * Sold tokens are negative, bought tokens positive; minAmount uses the quote's minimum buy amount.
+ */
+function expectedDeltasFromQuote(quoteData) {
+  const deltas = {};
+  const sellAmount = ethers.BigNumber.from(quoteData.sellAmount);
+  const buyAmount = ethers.BigNumber.from(quoteData.buyAmount);
+
+  addDelta(deltas, quoteData.sellToken, sellAmount.mul(-1));
+  addDelta(deltas, quoteData.sellToken, sellAmount.mul(-1), "minAmount");
+  addDelta(deltas, quoteData.buyToken, buyAmount);
+  addDelta(deltas, quoteData.buyToken, quoteData.minBuyAmount || buyAmount, "minAmount");
+
+  return formatDeltas(deltas);
+}
+
+/**
+ * Expected token balance changes of the wallet for a rebalancing, summed over its trades
+ */
+function expectedDeltasFromRebalancing(rebalancingData) {
+  const deltas = {};
+
+  (rebalancingData.trades || []).forEach(trade => {
+    const sellToken = trade.sellToken || trade.sellTokenAddress;
+    const buyToken = trade.buyToken || trade.buyTokenAddress;
+
+    if (trade.sellAmount) {
+      const sellAmount = ethers.BigNumber.from(trade.sellAmount).mul(-1);
+      addDelta(deltas, sellToken, sellAmount);
+      addDelta(deltas, sellToken, sellAmount, "minAmount");
+    }
+    if (trade.buyAmount) {
+      addDelta(deltas, buyToken, trade.buyAmount);
+      addDelta(deltas, buyToken, trade.minBuyAmount || trade.buyAmount, "minAmount");
+    }
+  });
+
+  return formatDeltas(deltas);
+}
+
+/**
+ * Log a simulation result with its expected token deltas
+ */
+function logSimulation(logger, simulation) {
+  logger.log("\n======= Simulation =======");
+  logger.log(`From: ${simulation.from}`);
+  logger.log(`To: ${simulation.to}`);
+  logger.log(`Value: ${ethers.utils.formatEther(simulation.value)} ETH`);
+
+  if (simulation.success) {
+    logger.log("Result: success");
+    logger.log(`Simulated gas: ${simulation.gasEstimate ? simulation.gasEstimate.toString() : "N/A"}`);
+  } else {
+    logger.log(`Result: reverted - ${simulation.revertReason}`);
+  }
+
+  (simulation.missingAllowances || []).forEach(allowance => {
+    logger.log(`⚠️ Missing allowance for ${allowance.token.symbol || allowance.token.address}: ` +
+      `${allowance.currentAllowance.toString()} < ${allowance.neededAllowance.toString()} ` +
+      `(the call reverts until it is approved)`);
+  });
+
+  if (simulation.expectedDeltas && simulation.expectedDeltas.length > 0) {
+    logger.log("Expected token deltas:");
+    simulation.expectedDeltas.forEach(delta => {
+      logger.log(`  ${delta.symbol || delta.token}: ${delta.formattedAmount}`);
+    });
+  }
+}
+
+module.exports = {
+  decodeRevertReason,
+  extractRevertData,
+  simulateTransaction,
+  expectedDeltasFromQuote,
+  expectedDeltasFromRebalancing,
+  logSimulation
+};
@@ -1,242 +1,223 @@
 const { ethers } = require("ethers");
-const axios = require("axios");
-require("dotenv").config();
-
-// ABI for ERC20 approve function
-const ERC20_ABI = [
-  "function approve(address spender, uint256 amount) external returns (bool)",
-  "function allowance(address owner, address spender) external view returns (uint256)"
-];
+const { createClientFromEnv } = require("./env");
+const { isNativeToken } = require("./chains");
+const { expectedDeltasFromQuote, logSimulation } = require("./simulation");
+const { explainTransaction } = require("./calldata");
+const { buildSwapReport, logExecutionReport } = require("./execution-report");
+const { approvalTransactions } = require("./approvals");
+const { exportUnsignedTransactions } = require("./offline");
 
 /**
- * Get a swap quote from 31Third API
+ * Execute a swap with 31Third API
+ * @param {Object} [options]
+ * @param {ThirtyOneThirdClient} [options.client] - Client with provider and signer, built from .env when omitted
+ * @param {string} [options.sellToken="USDT"] - Token to sell: symbol, address, or "ETH" / the native placeholder for the native token
+ * @param {string} [options.buyToken="WETH"] - Token to buy, same forms as sellToken
+ * @param {ethers.BigNumberish|string} [options.sellAmount="1 USDT"] - Amount to sell in wei, or with its symbol like "1.5 WETH"
+ * @param {number} [options.maxSlippageBps] - Maximum slippage in basis points
+ * @param {number} [options.maxPriceImpactBps=10000] - Maximum price impact in basis points, enforced by the API
+ * @param {boolean} [options.wrapNative=false] - Trade the wrapped native token instead of the native one: wrap
+ *   before selling, unwrap after buying. For routes that only exist for WETH.
+ * @param {boolean} [options.dryRun=false] - Simulate the swap with eth_call instead of approving and sending
+ * @param {boolean} [options.unsigned=false] - Export the approval and swap as unsigned transactions instead of sending
+ * @param {string} [options.output] - File the unsigned transactions are written to (default: logged)
+ * @param {Function} [options.checkQuote] - Called with the validated quote before anything is approved,
+ *   simulated or sent; throwing aborts the swap
+ * @param {Function} [options.onSubmitted] - Called with { hash, nonce } once the trade is sent, before its receipt
+ * @returns {Promise<Object>} - { quote, receipt, report } (see buildSwapReport), the simulation on dry runs,
+ *   or the unsigned transaction file (see populateUnsignedTransactions)
  */
-async function getSwapQuote({
-  apiKey,
-  sellToken,
-  buyToken,
-  sellAmount,
-  taker,
-  txOrigin,
-  maxSlippageBps = 500,
-  maxPriceImpactBps = 10000,
-  minExpirySec = 60,
-  skipSimulation = false,
-  skipChecks = true,
-  encodingType = "basic"
-}) {
-  const url = "https://api.31third.com/0.1/swap/quote";
-  
-  const params = {
-    sellToken,
-    buyToken,
-    sellAmount,
-    taker,
-    txOrigin,
+async function swapWithThirtyOneThird({
+  client = createClientFromEnv(),
+  sellToken = "USDT",
+  buyToken = "WETH",
+  sellAmount = "1 USDT",
+  maxSlippageBps,
+  maxPriceImpactBps,
+  wrapNative = false,
+  dryRun = false,
+  unsigned = false,
+  output,
+  checkQuote,
+  onSubmitted
+} = {}) {
+  const { signer: wallet, logger, tokenRegistry } = client;
+  logger.log(`Using wallet address: ${wallet.address}`);
+  
+  // Symbols, the native token and amounts like "1 USDT" resolve through the token registry
+  const sell = tokenRegistry.resolve(sellToken);
+  const buy = tokenRegistry.resolve(buyToken);
+  const amount = await tokenRegistry.parseAmount(sellAmount, sell.address);
+  client.beginRun("swap", {
+    sellToken: sell.address,
+    buyToken: buy.address,
+    sellAmount: amount,
     maxSlippageBps,
     maxPriceImpactBps,
-    minExpirySec,
-    skipSimulation,
-    skipChecks,
-    encodingType
-  };
-  
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        "x-api-key": apiKey,
-        "chain-id": "0x1" // Ethereum mainnet
-      },
-      params
-    });
-    
-    return response.data;
-  } catch (error) {
-    const errorMessage = error.response?.data || error.message;
-    throw new Error(`31Third API error: ${JSON.stringify(errorMessage)}`);
-  }
-}
-
-/**
- * Check and set token allowance if needed
- */
-async function checkAndSetAllowance(
-  provider,
-  wallet,
-  tokenAddress,
-  spenderAddress,
-  amount
-) {
-  console.log(`Checking allowance for ${tokenAddress} to spender ${spenderAddress}`);
-  
-  // Create contract instance
-  const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
-  
-  // Check current allowance
-  const currentAllowance = await tokenContract.allowance(wallet.address, spenderAddress);
-  console.log(`Current allowance: ${currentAllowance.toString()}`);
-  
-  // If allowance is insufficient, approve
-  if (currentAllowance.lt(amount)) {
-    console.log(`Setting approval for ${tokenAddress}`);
-    
-    // Define approval amount - approve a large amount to avoid future approvals
-    const approvalAmount = ethers.constants.MaxUint256;
-    
-    // Create and send approval transaction
-    const approveTx = await tokenContract.approve(spenderAddress, approvalAmount, {
-      gasLimit: 100000,
-      gasPrice: await provider.getGasPrice()
-    });
-    
-    console.log(`Approval transaction sent: ${approveTx.hash}`);
-    console.log(`Waiting for approval confirmation...`);
-    
-    // Wait for confirmation
-    const approveReceipt = await approveTx.wait(1);
-    console.log(`Approval confirmed in block ${approveReceipt.blockNumber}`);
-    
-    return true;
-  } else {
-    console.log(`Token allowance is sufficient`);
-    return false;
-  }
-}
-
-/**
- * Execute a swap with 31Third API
- */
-async function swapWithThirtyOneThird() {
-  // Load environment variables
-  const API_KEY = process.env.API_KEY || "6c8e528a-1ed1-497a-a71e-889170cfe52e"; // Default API key
-  const PRIVATE_KEY = process.env.PRIVATE_KEY;
-  const RPC_URL = process.env.RPC_URL;
-  
-  if (!PRIVATE_KEY || !RPC_URL) {
-    throw new Error("Please set PRIVATE_KEY and RPC_URL in your .env file");
-  }
+    wrapNative,
+    dryRun,
+    unsigned
+  });
   
-  // Create wallet and provider
-  const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
-  const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-  console.log(`Using wallet address: ${wallet.address}`);
+  // With wrapNative the trade itself sells or buys the wrapped token
+  const wrapped = wrapNative && (sell.native || buy.native) ? tokenRegistry.wrappedNative() : undefined;
+  const wrapBefore = Boolean(wrapped) && sell.native;
+  const unwrapAfter = Boolean(wrapped) && buy.native;
+  const fromTokenAddress = wrapBefore ? wrapped.address : sell.address;
+  const toTokenAddress = unwrapAfter ? wrapped.address : buy.address;
   
-  // Token addresses and amount
-  const fromTokenAddress = "0xdAC17F958D2ee523a2206206994597C13D831ec7"; // USDT
-  const toTokenAddress = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2"; // WETH
-  const amount = ethers.utils.parseUnits("1", 6); // 10 USDT (USDT has 6 decimals)
+  // Never sell the native token down to a balance that can't pay for gas
+  if (sell.native) {
+    await client.assertNativeBalance(wallet.address, amount);
+  }
   
-  console.log("Getting swap quote from 31Third API...");
+  logger.log("Getting swap quote from 31Third API...");
   
   // Get quote from 31Third API
-  const quoteData = await getSwapQuote({
-    apiKey: API_KEY,
+  const quoteRequest = {
     sellToken: fromTokenAddress,
     buyToken: toTokenAddress,
     sellAmount: amount,
     taker: wallet.address,
-    txOrigin: wallet.address
-  });
+    txOrigin: wallet.address,
+    maxSlippageBps,
+    maxPriceImpactBps
+  };
+  const quoteData = await client.getSwapQuote(quoteRequest);
+  
+  logger.log(`Quote received: ${quoteData.sellToken.symbol} → ${quoteData.buyToken.symbol}`);
+  logger.log(`Sell amount: ${ethers.utils.formatUnits(quoteData.sellAmount, quoteData.sellToken.decimals)} ${quoteData.sellToken.symbol}`);
+  logger.log(`Buy amount: ${ethers.utils.formatUnits(quoteData.buyAmount, quoteData.buyToken.decimals)} ${quoteData.buyToken.symbol}`);
+  logger.log(`Rate: 1 ${quoteData.sellToken.symbol} = ${quoteData.price} ${quoteData.buyToken.symbol}`);
+  logger.log(`Expires at: ${quoteData.expiresAt}`);
+  
+  // Never sign a quote that doesn't match what we asked for
+  client.validateSwapQuote(quoteData, quoteRequest);
+  if (checkQuote) {
+    await checkQuote(quoteData);
+  }
+  
+  const decoded = explainTransaction(logger, quoteData.transaction, { taker: wallet.address }, tokensFromQuote(quoteData));
   
-  console.log(`Quote received: ${quoteData.sellToken.symbol} → ${quoteData.buyToken.symbol}`);
-  console.log(`Sell amount: ${ethers.utils.formatUnits(quoteData.sellAmount, quoteData.sellToken.decimals)} ${quoteData.sellToken.symbol}`);
-  console.log(`Buy amount: ${ethers.utils.formatUnits(quoteData.buyAmount, quoteData.buyToken.decimals)} ${quoteData.buyToken.symbol}`);
-  console.log(`Rate: 1 ${quoteData.sellToken.symbol} = ${quoteData.price} ${quoteData.buyToken.symbol}`);
-  console.log(`Expires at: ${quoteData.expiresAt}`);
+  // The native token is sent as value; validateSwapQuote made sure the quote asks for no more than the amount sold.
+  // The API may send "0" for value, which is a string and so truthy
+  const quotedValue = ethers.BigNumber.from(quoteData.transaction.value || 0);
+  const value = !quotedValue.isZero()
+    ? quotedValue.toString()
+    : isNativeToken(fromTokenAddress) ? amount.toString() : "0";
+  
+  if (dryRun) {
+    logger.log("Dry run: simulating the swap without approving or sending...");
+    if (wrapped) {
+      logger.warn(`Wrapping and unwrapping ${wrapped.symbol} is not simulated, only the trade`);
+    }
+    const transaction = { ...client.prepareTransaction(quoteData), value };
+    const simulation = await client.simulateTransaction(transaction, {
+      requiredAllowances: [{
+        token: { address: fromTokenAddress, symbol: quoteData.sellToken.symbol },
+        allowanceTarget: transaction.to,
+        neededAllowance: amount.toString()
+      }]
+    });
+    simulation.expectedDeltas = expectedDeltasFromQuote(quoteData);
+    logSimulation(logger, simulation);
+    client.endRun({ dryRun: true, simulation });
+    return { quote: quoteData, transaction, simulation, decoded };
+  }
+  
+  if (unsigned) {
+    // Nonces are assigned in order, so the approval must be broadcast before the swap
+    const approvals = await approvalTransactions(client, wallet.address, [{
+      token: { address: fromTokenAddress, symbol: quoteData.sellToken.symbol },
+      allowanceTarget: quoteData.transaction.to,
+      neededAllowance: amount
+    }]);
+    const calls = (wrapBefore ? [client.wrapNativeTransaction(amount)] : []).concat(approvals, {
+      to: quoteData.transaction.to,
+      data: quoteData.transaction.data,
+      value,
+      description: `Swap ${quoteData.sellToken.symbol} for ${quoteData.buyToken.symbol}`,
+      purpose: "trade"
+    });
+    // The amount received is only known once the swap is mined, so the guaranteed minimum is unwrapped
+    if (unwrapAfter) {
+      calls.push(client.unwrapNativeTransaction(quoteData.minBuyAmount));
+    }
+    const file = await exportUnsignedTransactions(client, calls, {
+      fallbackGasLimit: 500000,
+      output,
+      expiresAt: quoteData.expiresAt
+    });
+    return { quote: quoteData, unsigned: file, decoded };
+  }
+  
+  const wrapReceipt = wrapBefore ? await client.wrapNative(amount) : undefined;
   
   // Check the spender address from the quote
   const spenderAddress = quoteData.transaction.to;
   
-  // Check and set allowance if needed
-  await checkAndSetAllowance(
-    provider,
-    wallet,
+  // Check and set allowance if needed (skipped for the native token)
+  await client.checkAndSetAllowance(
     fromTokenAddress,
     spenderAddress,
     ethers.BigNumber.from(amount)
   );
   
-  // Extract transaction data
-  const tx = {
-    to: quoteData.transaction.to,
-    data: quoteData.transaction.data,
-    value: ethers.BigNumber.from(quoteData.transaction.value || "0"), // Convert to BigNumber
-    gasPrice: quoteData.transaction.gasPrice ? 
-      ethers.BigNumber.from(quoteData.transaction.gasPrice) : 
-      await provider.getGasPrice(),
-  };
+  const wrappedBefore = unwrapAfter ? (await client.getTokenBalance(wrapped.address, wallet.address)).balance : undefined;
   
-  // Use a fixed gas limit since estimation failed
-  const gasLimit = ethers.BigNumber.from("500000");
-  console.log(`Using fixed gas limit: ${gasLimit.toString()}`);
-  
-  // Get nonce
-  const nonce = await provider.getTransactionCount(wallet.address, "latest");
-  
-  // Prepare transaction for signing
-  const transaction = {
-    to: tx.to,
-    data: tx.data,
-    value: tx.value,
-    gasLimit: gasLimit,
-    gasPrice: tx.gasPrice,
-    nonce: nonce,
-    chainId: (await provider.getNetwork()).chainId
-  };
+  // Send the swap through the shared transaction sender (EIP-1559 fees, confirmations)
+  const receipt = await client.sendTransaction(
+    {
+      to: quoteData.transaction.to,
+      data: quoteData.transaction.data,
+      value
+    },
+    { fallbackGasLimit: 500000, purpose: "trade", onSubmitted }
+  );
   
-  console.log("Transaction details:");
-  console.log(`To: ${transaction.to}`);
-  console.log(`Value: ${ethers.utils.formatEther(transaction.value)} ETH`);
-  console.log(`Gas Price: ${ethers.utils.formatUnits(transaction.gasPrice, "gwei")} gwei`);
-  console.log(`Gas Limit: ${transaction.gasLimit.toString()}`);
-  console.log(`Nonce: ${transaction.nonce}`);
-  
-  try {
-    // Sign the transaction
-    console.log("Signing transaction...");
-    const signedTx = await wallet.signTransaction(transaction);
-    console.log("Transaction signed!");
-    
-    // Send the transaction
-    console.log("Sending transaction...");
-    const txResponse = await provider.sendTransaction(signedTx);
-    console.log(`Transaction sent with hash: ${txResponse.hash}`);
-    
-    // Wait for confirmation
-    console.log("Waiting for confirmation...");
-    const receipt = await txResponse.wait(1);
-    console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
-    console.log(`Gas used: ${receipt.gasUsed.toString()}`);
-    
-    return receipt;
-  } catch (error) {
-    console.error("Error with transaction:", error.message);
-    
-    // If there's an error about gas limit, try again with a higher limit
-    if (error.message.includes("gas limit") || error.message.includes("UNPREDICTABLE_GAS_LIMIT")) {
-      console.log("Trying with higher gas limit...");
-      transaction.gasLimit = ethers.BigNumber.from("750000");
-      
-      const signedTx = await wallet.signTransaction(transaction);
-      const txResponse = await provider.sendTransaction(signedTx);
-      console.log(`Transaction sent with hash: ${txResponse.hash}`);
-      
-      const receipt = await txResponse.wait(1);
-      console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
-      return receipt;
-    }
-    
-    throw error;
+  // What actually moved, from the receipt's Transfer events
+  const report = buildSwapReport(receipt, {
+    account: wallet.address,
+    quote: quoteData,
+    expectedDeltas: expectedDeltasFromQuote(quoteData)
+  });
+  logExecutionReport(logger, report);
+  
+  // Unwrap what the swap actually delivered
+  let unwrapReceipt;
+  if (unwrapAfter) {
+    const received = (await client.getTokenBalance(wrapped.address, wallet.address)).balance.sub(wrappedBefore);
+    unwrapReceipt = await client.unwrapNative(received);
   }
+  client.endRun({ transactionHash: receipt.transactionHash, report });
+  
+  return { quote: quoteData, receipt, report, wrapReceipt, unwrapReceipt };
 }
 
-// Execute the script
-swapWithThirtyOneThird()
-  .then(() => {
-    console.log("✅ Swap completed successfully!");
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error("❌ Error executing swap:", error.message);
-    process.exit(1);
-  });
\ No newline at end of file
+/**
+ * Token metadata of a quote by lowercase address, for formatting decoded trades
+ */
+function tokensFromQuote(quoteData) {
+  const tokens = {};
+  [quoteData.sellToken, quoteData.buyToken].forEach(token => {
+    if (token && token.address) {
+      tokens[token.address.toLowerCase()] = token;
+    }
+  });
+  return tokens;
+}
+
+module.exports = { swapWithThirtyOneThird, tokensFromQuote };
+
+// Execute the script when run directly
+if (require.main === module) {
+  swapWithThirtyOneThird()
+    .then(() => {
+      console.log("✅ Swap completed successfully!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("❌ Error executing swap:", error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,265 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { getChain, isNativeToken, NATIVE_TOKEN_ADDRESS } = require("./chains");
+
+const DEFAULT_TOKEN_CACHE_PATH = ".31third/tokens.json";
+
+const metadataInterface = new ethers.utils.Interface([
+  "function decimals() external view returns (uint8)",
+  "function symbol() external view returns (string)"
+]);
+const bytes32SymbolInterface = new ethers.utils.Interface(["function symbol() external view returns (bytes32)"]);
+
+/**
+ * Well-known tokens per chain, keyed by chain name then symbol
+ */
+const TOKENS = {
+  ethereum: {
+    WETH: { address: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", decimals: 18 },
+    USDC: { address: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", decimals: 6 },
+    USDT: { address: "0xdAC17F958D2ee523a2206206994597C13D831ec7", decimals: 6 },
+    DAI: { address: "0x6B175474E89094C44Da98b954EedeAC495271d0F", decimals: 18 },
+    WBTC: { address: "0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599", decimals: 8 },
+    GRT: { address: "0xc944E90C64B2c07662A292be6244BDf05Cda44a7", decimals: 18 },
+    MKR: { address: "0x9f8F72aA9304c8B593d555F12eF6589cC3A579A2", decimals: 18 }
+  },
+  arbitrum: {
+    WETH: { address: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1", decimals: 18 },
+    USDC: { address: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831", decimals: 6 },
+    USDT: { address: "0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9", decimals: 6 },
+    DAI: { address: "0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1", decimals: 18 }
+  },
+  base: {
+    WETH: { address: "0x4200000000000000000000000000000000000006", decimals: 18 },
+    USDC: { address: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913", decimals: 6 }
+  },
+  polygon: {
+    WPOL: { address: "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270", decimals: 18 },
+    WETH: { address: "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619", decimals: 18 },
+    USDC: { address: "0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359", decimals: 6 },
+    USDT: { address: "0xc2132D05D31c914a87C6611C10748AEb04B58e8F", decimals: 6 }
+  },
+  optimism: {
+    WETH: { address: "0x4200000000000000000000000000000000000006", decimals: 18 },
+    USDC: { address: "0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85", decimals: 6 },
+    USDT: { address: "0x94b008aA00579c1307B0EF2c499aD98a8ce58e58", decimals: 6 },
+    DAI: { address: "0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1", decimals: 18 }
+  }
+};
+
+/**
+ * Resolve a token symbol or address on a chain. The chain's native symbol (ETH, POL) and the
+ * API's native placeholder address resolve to the native asset.
+ * @param {string|number|Object} chain - Chain identifier
+ * @param {string} token - Symbol like "USDC" or a token address
+ * @param {Object} [extraTokens] - Tokens on top of (and taking precedence over) TOKENS, keyed by symbol
+ * @returns {Object} - { address, symbol, decimals, native }; symbol and decimals are
+ *   undefined for addresses that are not in the list
+ */
+function resolveToken(chain, token, extraTokens = {}) {
+  const resolvedChain = getChain(chain);
+  const { name, nativeToken } = resolvedChain;
+  const known = { ...TOKENS[name], ...extraTokens };
+
+  if (isNativeToken(token) || String(token).toUpperCase() === nativeToken.symbol) {
+    return { address: NATIVE_TOKEN_ADDRESS, symbol: nativeToken.symbol, decimals: nativeToken.decimals, native: true };
+  }
+
+  if (ethers.utils.isAddress(token)) {
+    const address = ethers.utils.getAddress(token);
+    const symbol = Object.keys(known).find(s => known[s].address.toLowerCase() === address.toLowerCase());
+    return { address, symbol, decimals: symbol ? known[symbol].decimals : undefined, native: false };
+  }
+
+  const symbol = String(token).toUpperCase();
+  if (!known[symbol]) {
+    throw new Error(`Unknown token "${token}" on ${name}. Use the token address instead.`);
+  }
+
+  return {
+    address: ethers.utils.getAddress(known[symbol].address),
+    symbol,
+    decimals: known[symbol].decimals,
+    native: false
+  };
+}
+
+/**
+ * Read a token's symbol, falling back to bytes32 for tokens like MKR
+ */
+async function readTokenSymbol(provider, tokenAddress) {
+  const data = metadataInterface.encodeFunctionData("symbol");
+  return decodeTokenSymbol(await provider.call({ to: tokenAddress, data }));
+}
+
+/**
+ * Decode the return data of symbol(), as a string or as bytes32
+ */
+function decodeTokenSymbol(result) {
+  try {
+    return metadataInterface.decodeFunctionResult("symbol", result)[0];
+  } catch (error) {
+    const [symbol] = bytes32SymbolInterface.decodeFunctionResult("symbol", result);
+    return ethers.utils.parseBytes32String(symbol);
+  }
+}
+
+/**
+ * Tokens of one chain: resolves symbols to checksummed addresses, reads decimals and symbol
+ * once per token and keeps them in a JSON file, and parses amounts like "1.5 WETH".
+ */
+class TokenRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string|number|Object} [options.chain="ethereum"] - Chain the tokens live on
+   * @param {ethers.providers.Provider} [options.provider] - Provider for reading metadata of unknown tokens
+   * @param {string} [options.cachePath] - JSON file metadata is cached in; kept in memory only when omitted
+   * @param {Object} [options.tokens] - Tokens on top of TOKENS, keyed by symbol: { address, decimals }
+   */
+  constructor({ chain = "ethereum", provider, cachePath, tokens = {} } = {}) {
+    this.chain = getChain(chain);
+    this.provider = provider;
+    this.cachePath = cachePath;
+    this.tokens = Object.fromEntries(Object.entries(tokens).map(([symbol, token]) => [symbol.toUpperCase(), token]));
+    this._cache = undefined;
+  }
+
+  /**
+   * Resolve a symbol or address, see resolveToken. Metadata cached earlier fills in
+   * symbol and decimals of addresses that are not in the list.
+   * @returns {Object} - { address, symbol, decimals, native }
+   */
+  resolve(token) {
+    const resolved = resolveToken(this.chain, token, this.tokens);
+    if (resolved.decimals === undefined) {
+      const cached = this._readCache()[resolved.address.toLowerCase()];
+      return cached ? { ...resolved, ...cached } : resolved;
+    }
+    return resolved;
+  }
+
+  /**
+   * The chain's wrapped native token (WETH, WPOL)
+   */
+  wrappedNative() {
+    const { wrappedNativeToken } = this.chain;
+    if (!wrappedNativeToken) {
+      throw new Error(`No wrapped native token known on ${this.chain.name}`);
+    }
+    const known = this.tokens[wrappedNativeToken.symbol] || (TOKENS[this.chain.name] || {})[wrappedNativeToken.symbol];
+    return this.resolve(known ? wrappedNativeToken.symbol : wrappedNativeToken.address);
+  }
+
+  /**
+   * Decimals and symbol of a token, read on-chain the first time and cached after that
+   * @param {string} token - Symbol or address
+   * @returns {Promise<Object>} - { address, symbol, decimals, native }
+   */
+  async getMetadata(token) {
+    const resolved = this.resolve(token);
+    if (resolved.symbol !== undefined && resolved.decimals !== undefined) {
+      return resolved;
+    }
+    if (!this.provider) {
+      throw new Error(`A provider is required to read the metadata of ${resolved.address}`);
+    }
+
+    const contract = new ethers.Contract(resolved.address, metadataInterface, this.provider);
+    const [decimals, symbol] = await Promise.all([
+      contract.decimals(),
+      readTokenSymbol(this.provider, resolved.address)
+    ]);
+    this.remember(resolved.address, { symbol, decimals });
+    return { ...resolved, symbol, decimals };
+  }
+
+  /**
+   * Cache metadata read elsewhere, e.g. in a Multicall3 batch
+   * @param {string} address - Token address
+   * @param {Object} metadata - { symbol, decimals }
+   */
+  remember(address, { symbol, decimals }) {
+    this._writeCache(address, { symbol, decimals });
+  }
+
+  /**
+   * Parse an amount given in wei (BigNumber, integer or integer string) or as a human amount
+   * with its symbol ("1.5 WETH")
+   * @param {ethers.BigNumberish|string} amount - Amount to parse
+   * @param {string|Object} [token] - Token the amount is for; a human amount in another token is rejected
+   * @returns {Promise<ethers.BigNumber>} - Amount in wei
+   */
+  async parseAmount(amount, token) {
+    if (typeof amount !== "string" || /^\d+$/.test(amount.trim())) {
+      return ethers.BigNumber.from(typeof amount === "string" ? amount.trim() : amount);
+    }
+
+    const match = amount.trim().match(/^(\d+(?:\.\d+)?|\.\d+)\s+(\S+)$/);
+    if (!match) {
+      throw new Error(`Invalid amount "${amount}", expected wei or an amount with its symbol like "1.5 WETH"`);
+    }
+
+    // The symbol refers to `token` when they match, so tokens outside the list work too
+    const expected = token === undefined
+      ? undefined
+      : await this.getMetadata(typeof token === "string" ? token : token.address);
+    const metadata = expected && expected.symbol.toUpperCase() === match[2].toUpperCase()
+      ? expected
+      : await this.getMetadata(match[2]);
+    if (expected && expected.address !== metadata.address) {
+      throw new Error(`Amount "${amount}" is in ${metadata.symbol}, expected ${expected.symbol}`);
+    }
+    return ethers.utils.parseUnits(match[1], metadata.decimals);
+  }
+
+  _readCache() {
+    if (this._cache) {
+      return this._cache;
+    }
+
+    let file = {};
+    if (this.cachePath) {
+      try {
+        file = JSON.parse(fs.readFileSync(this.cachePath, "utf8"));
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          throw new Error(`Cannot read token cache ${this.cachePath}: ${error.message}`);
+        }
+      }
+    }
+    this._file = file;
+    this._cache = file[this.chain.name] || {};
+    return this._cache;
+  }
+
+  _writeCache(address, metadata) {
+    const cache = this._readCache();
+    cache[address.toLowerCase()] = metadata;
+    if (!this.cachePath) {
+      return;
+    }
+
+    // Re-read so entries other processes cached for other chains are kept
+    let file = {};
+    try {
+      file = JSON.parse(fs.readFileSync(this.cachePath, "utf8"));
+    } catch (error) {
+      file = this._file;
+    }
+    file[this.chain.name] = { ...file[this.chain.name], ...cache };
+    fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+    const tmpPath = `${this.cachePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(file, null, 2));
+    fs.renameSync(tmpPath, this.cachePath);
+  }
+}
+
+module.exports = {
+  TOKENS,
+  DEFAULT_TOKEN_CACHE_PATH,
+  resolveToken,
+  readTokenSymbol,
+  decodeTokenSymbol,
+  TokenRegistry
+};
@@ -0,0 +1,346 @@
+const { ethers } = require("ethers");
+const {
+  TransactionError,
+  TransactionRevertedError,
+  TransactionUnderpricedError,
+  NonceError,
+  InsufficientFundsError
+} = require("./errors");
+const { decodeRevertReason, extractRevertData } = require("./simulation");
+const { summarizeReceipt } = require("./journal");
+
+/**
+ * Map an error thrown by ethers or the node to one of the typed transaction errors
+ * @param {Error} error - Original error
+ * @param {Object} [transaction] - Transaction that failed
+ * @returns {TransactionError}
+ */
+function classifyTransactionError(error, transaction) {
+  if (error instanceof TransactionError) {
+    return error;
+  }
+
+  const details = { cause: error, transaction, receipt: error.receipt };
+  const text = [
+    error.message,
+    error.reason,
+    error.error && error.error.message,
+    typeof error.body === "string" ? error.body : ""
+  ].join(" ");
+
+  if (error.code === "INSUFFICIENT_FUNDS" || /insufficient funds/i.test(text)) {
+    return new InsufficientFundsError("Insufficient funds for value plus gas", details);
+  }
+
+  if (
+    error.code === "REPLACEMENT_UNDERPRICED" ||
+    /underpriced|fee too low|less than .*base ?fee|max fee per gas less than/i.test(text)
+  ) {
+    return new TransactionUnderpricedError(`Transaction underpriced: ${error.reason || error.message}`, details);
+  }
+
+  if (error.code === "NONCE_EXPIRED" || /nonce too (low|high)|invalid nonce/i.test(text)) {
+    return new NonceError(`Nonce error: ${error.reason || error.message}`, details);
+  }
+
+  if (
+    error.code === "CALL_EXCEPTION" ||
+    error.code === "UNPREDICTABLE_GAS_LIMIT" ||
+    /revert/i.test(text)
+  ) {
+    const reason = error.receipt && error.receipt.status === 0
+      ? "transaction reverted on-chain"
+      : decodeRevertReason(extractRevertData(error));
+    return new TransactionRevertedError(`Transaction reverted: ${reason}`, { ...details, reason });
+  }
+
+  return new TransactionError(error.message, details);
+}
+
+function minBigNumber(a, b) {
+  return a.lt(b) ? a : b;
+}
+
+/**
+ * Sends transactions with one fee policy: EIP-1559 fees from getFeeData (legacy
+ * gasPrice on chains without a base fee), optional fee caps, gas estimation with
+ * a buffer and a configurable confirmation depth.
+ */
+class TransactionSender {
+  /**
+   * @param {Object} options
+   * @param {ethers.Signer} options.signer - Signer sending the transactions
+   * @param {ethers.providers.Provider} [options.provider] - Provider, defaults to the signer's
+   * @param {number} [options.confirmations=1] - Blocks to wait for before a transaction counts as confirmed
+   * @param {ethers.BigNumberish} [options.maxFeePerGasCap] - Upper bound for maxFeePerGas (or gasPrice) in wei
+   * @param {ethers.BigNumberish} [options.maxPriorityFeePerGasCap] - Upper bound for maxPriorityFeePerGas in wei
+   * @param {number} [options.gasLimitBufferPercent=20] - Buffer added on top of the gas estimate
+   * @param {NonceManager} [options.nonceManager] - Hands out nonces and tracks pending transactions
+   * @param {number} [options.stuckAfterBlocks] - While waiting, let the nonce manager replace transactions
+   *   unmined for this many blocks; off by default
+   * @param {"speedUp"|"cancel"} [options.stuckAction="speedUp"] - How stuck transactions are replaced
+   * @param {Object} [options.logger=console] - Logger with log/warn/error methods
+   * @param {Function} [options.onEvent] - Called with (type, data) when a transaction is submitted,
+   *   replaced, confirmed or fails, e.g. to record it in a TradeJournal
+   */
+  constructor({
+    signer,
+    provider,
+    nonceManager,
+    stuckAfterBlocks,
+    stuckAction = "speedUp",
+    confirmations = 1,
+    maxFeePerGasCap,
+    maxPriorityFeePerGasCap,
+    gasLimitBufferPercent = 20,
+    logger = console,
+    onEvent
+  } = {}) {
+    if (!signer) {
+      throw new Error("A signer is required to send transactions");
+    }
+    if (!["speedUp", "cancel"].includes(stuckAction)) {
+      throw new Error(`Unknown stuck transaction action "${stuckAction}", expected speedUp or cancel`);
+    }
+
+    this.signer = signer;
+    this.provider = provider || signer.provider;
+    this.nonceManager = nonceManager;
+    this.stuckAfterBlocks = stuckAfterBlocks;
+    this.stuckAction = stuckAction;
+    this.confirmations = confirmations;
+    this.maxFeePerGasCap = maxFeePerGasCap === undefined ? undefined : ethers.BigNumber.from(maxFeePerGasCap);
+    this.maxPriorityFeePerGasCap = maxPriorityFeePerGasCap === undefined
+      ? undefined
+      : ethers.BigNumber.from(maxPriorityFeePerGasCap);
+    this.gasLimitBufferPercent = gasLimitBufferPercent;
+    this.logger = logger;
+    this.onEvent = onEvent;
+  }
+
+  /**
+   * Work out the fee fields for the next transaction
+   * @returns {Promise<Object>} - { type: 2, maxFeePerGas, maxPriorityFeePerGas } or { type: 0, gasPrice }
+   */
+  async getFees() {
+    const feeData = await this.provider.getFeeData();
+
+    if (!feeData.maxFeePerGas || !feeData.maxPriorityFeePerGas) {
+      let gasPrice = feeData.gasPrice;
+      if (this.maxFeePerGasCap && gasPrice.gt(this.maxFeePerGasCap)) {
+        this.logger.warn(`Gas price ${ethers.utils.formatUnits(gasPrice, "gwei")} gwei is above the cap, using the cap`);
+        gasPrice = this.maxFeePerGasCap;
+      }
+      return { type: 0, gasPrice };
+    }
+
+    let maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+    let maxFeePerGas = feeData.maxFeePerGas;
+
+    if (this.maxPriorityFeePerGasCap) {
+      maxPriorityFeePerGas = minBigNumber(maxPriorityFeePerGas, this.maxPriorityFeePerGasCap);
+    }
+    if (this.maxFeePerGasCap && maxFeePerGas.gt(this.maxFeePerGasCap)) {
+      this.logger.warn(`Max fee ${ethers.utils.formatUnits(maxFeePerGas, "gwei")} gwei is above the cap, using the cap`);
+      maxFeePerGas = this.maxFeePerGasCap;
+    }
+    maxPriorityFeePerGas = minBigNumber(maxPriorityFeePerGas, maxFeePerGas);
+
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  /**
+   * Estimate the gas limit with the configured buffer
+   * @param {Object} tx - Transaction to estimate
+   * @param {ethers.BigNumberish} [fallbackGasLimit] - Used when estimation fails; without it the failure is thrown
+   */
+  async estimateGasLimit(tx, fallbackGasLimit) {
+    try {
+      const from = tx.from || (await this.signer.getAddress());
+      const estimate = await this.provider.estimateGas({ ...tx, from });
+      return estimate.mul(100 + this.gasLimitBufferPercent).div(100);
+    } catch (error) {
+      if (fallbackGasLimit === undefined) {
+        throw classifyTransactionError(error, tx);
+      }
+      this.logger.warn("Gas estimation failed, using fallback gas limit:", error.message);
+      return ethers.BigNumber.from(fallbackGasLimit);
+    }
+  }
+
+  /**
+   * Fill in gas limit, fees, nonce and chain id
+   * @param {Object} tx - Transaction with to, data and value
+   * @param {Object} [options]
+   * @param {ethers.BigNumberish} [options.gasLimit] - Fixed gas limit, skips estimation
+   * @param {ethers.BigNumberish} [options.fallbackGasLimit] - Gas limit used when estimation fails
+   * @param {number} [options.nonce] - Nonce to use, defaults to the nonce manager's next nonce
+   *   (or the account's pending nonce without a nonce manager)
+   */
+  async populateTransaction(tx, { gasLimit, fallbackGasLimit, nonce } = {}) {
+    const from = await this.signer.getAddress();
+    const transaction = {
+      to: tx.to,
+      data: tx.data || "0x",
+      value: ethers.BigNumber.from(tx.value || 0)
+    };
+
+    transaction.gasLimit = gasLimit !== undefined
+      ? ethers.BigNumber.from(gasLimit)
+      : await this.estimateGasLimit(transaction, fallbackGasLimit);
+    Object.assign(transaction, await this.getFees());
+    transaction.chainId = (await this.provider.getNetwork()).chainId;
+    // Reserve the nonce last so nothing can fail between reserving and sending
+    if (nonce !== undefined) {
+      transaction.nonce = nonce;
+    } else if (this.nonceManager) {
+      transaction.nonce = await this.nonceManager.next();
+    } else {
+      transaction.nonce = await this.provider.getTransactionCount(from, "pending");
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Populate, sign and send a transaction, then wait for the configured confirmations
+   * @param {Object} tx - Transaction with to, data and value
+   * @param {Object} [options] - Same options as populateTransaction, plus:
+   * @param {string} [options.purpose] - What the transaction is for ("approval", "trade", ...), passed to onEvent
+   * @param {Function} [options.onSubmitted] - Called with { hash, nonce } once the transaction is sent,
+   *   before waiting for it
+   * @returns {Promise<Object>} - Transaction receipt
+   * @throws {TransactionError} - Typed error for reverts, fee and nonce problems
+   */
+  async sendTransaction(tx, options = {}) {
+    const { purpose, onSubmitted } = options;
+    const transaction = await this.populateTransaction(tx, options);
+    this.logTransaction(transaction);
+
+    let txResponse;
+    try {
+      this.logger.log("Sending transaction...");
+      txResponse = await this.signer.sendTransaction(transaction);
+    } catch (error) {
+      const typedError = classifyTransactionError(error, transaction);
+      this._emit("transaction.failed", { purpose, nonce: transaction.nonce, error: typedError });
+      if (this.nonceManager) {
+        if (typedError instanceof NonceError) {
+          this.nonceManager.reset();
+        } else {
+          this.nonceManager.release(transaction.nonce);
+        }
+      }
+      throw typedError;
+    }
+    this.logger.log(`Transaction sent with hash: ${txResponse.hash}`);
+    this._emit("transaction.submitted", { hash: txResponse.hash, purpose, nonce: transaction.nonce, from: txResponse.from, transaction });
+    if (onSubmitted) {
+      onSubmitted({ hash: txResponse.hash, nonce: transaction.nonce });
+    }
+
+    if (this.nonceManager) {
+      await this.nonceManager.track(txResponse, transaction);
+    }
+
+    return this.waitForTransaction(txResponse, transaction, { purpose });
+  }
+
+  /**
+   * Wait for a sent transaction; a repriced replacement counts as success. With stuckAfterBlocks
+   * the nonce manager speeds up (or cancels) it and earlier transactions while they are stuck.
+   * @param {Object} txResponse - Response of signer.sendTransaction
+   * @param {Object} transaction - The populated transaction
+   * @param {Object} [options]
+   * @param {string} [options.purpose] - Passed to onEvent, see sendTransaction
+   */
+  async waitForTransaction(txResponse, transaction, { purpose } = {}) {
+    const hash = txResponse.hash;
+    this.logger.log(`Waiting for ${this.confirmations} confirmation(s)...`);
+    const stopWatching = this.nonceManager && this.stuckAfterBlocks
+      ? this.nonceManager.watch({
+        stuckAfterBlocks: this.stuckAfterBlocks,
+        action: this.stuckAction,
+        maxFeePerGasCap: this.maxFeePerGasCap,
+        maxPriorityFeePerGasCap: this.maxPriorityFeePerGasCap
+      })
+      : undefined;
+
+    try {
+      const receipt = await txResponse.wait(this.confirmations);
+      this._markMined(transaction);
+      this.logger.log(`Transaction confirmed in block ${receipt.blockNumber}`);
+      this.logger.log(`Gas used: ${receipt.gasUsed.toString()}`);
+      this._emit("transaction.confirmed", { hash, purpose, receipt: summarizeReceipt(receipt) });
+      return receipt;
+    } catch (error) {
+      if (error.receipt) {
+        this._markMined(transaction);
+      }
+      if (error.code === "TRANSACTION_REPLACED") {
+        this._emit("transaction.replaced", {
+          hash,
+          purpose,
+          replacementHash: error.replacement.hash,
+          cancelled: error.cancelled
+        });
+      }
+      if (error.code === "TRANSACTION_REPLACED" && !error.cancelled) {
+        this.logger.log(`Transaction was repriced as ${error.replacement.hash}`);
+        this._emit("transaction.confirmed", { hash, purpose, receipt: summarizeReceipt(error.receipt) });
+        return error.receipt;
+      }
+
+      const typedError = error.code === "TRANSACTION_REPLACED"
+        ? new NonceError(`Transaction ${hash} was replaced by ${error.replacement.hash}`, {
+          cause: error,
+          transaction,
+          receipt: error.receipt
+        })
+        : classifyTransactionError(error, transaction);
+      this._emit("transaction.failed", {
+        hash,
+        purpose,
+        nonce: transaction.nonce,
+        error: typedError,
+        receipt: error.receipt ? summarizeReceipt(error.receipt) : undefined
+      });
+      throw typedError;
+    } finally {
+      if (stopWatching) {
+        stopWatching();
+      }
+    }
+  }
+
+  _emit(type, data) {
+    if (this.onEvent) {
+      this.onEvent(type, data);
+    }
+  }
+
+  _markMined(transaction) {
+    if (this.nonceManager) {
+      this.nonceManager.markMined(transaction.nonce);
+    }
+  }
+
+  logTransaction(transaction) {
+    this.logger.log("Transaction details:");
+    this.logger.log(`To: ${transaction.to}`);
+    this.logger.log(`Value: ${ethers.utils.formatEther(transaction.value)} ETH`);
+    if (transaction.type === 2) {
+      this.logger.log(`Max Fee: ${ethers.utils.formatUnits(transaction.maxFeePerGas, "gwei")} gwei`);
+      this.logger.log(`Max Priority Fee: ${ethers.utils.formatUnits(transaction.maxPriorityFeePerGas, "gwei")} gwei`);
+    } else {
+      this.logger.log(`Gas Price: ${ethers.utils.formatUnits(transaction.gasPrice, "gwei")} gwei`);
+    }
+    this.logger.log(`Gas Limit: ${transaction.gasLimit.toString()}`);
+    this.logger.log(`Nonce: ${transaction.nonce}`);
+  }
+}
+
+module.exports = {
+  TransactionSender,
+  classifyTransactionError
+};
@@ -0,0 +1,358 @@
+const { ethers } = require("ethers");
+const { createClientFromEnv } = require("./env");
+const { swapWithThirtyOneThird } = require("./single-swap");
+const { JobStore } = require("./job-store");
+const { sleep } = require("./api-request");
+const { PriceDeviationError } = require("./errors");
+
+// Price impact one slice may take; the whole point of slicing is to keep this small
+const DEFAULT_SLICE_PRICE_IMPACT_BPS = 100;
+// How far a slice's price may fall below the reference before the TWAP pauses
+const DEFAULT_MAX_PRICE_DEVIATION_BPS = 200;
+const DEFAULT_MAX_PAUSE_MS = 60 * 60 * 1000;
+
+/**
+ * Price of a quote in buy tokens per sell token, from its amounts
+ */
+function quotePrice(quoteData) {
+  const sold = Number(ethers.utils.formatUnits(quoteData.sellAmount, quoteData.sellToken.decimals));
+  const bought = Number(ethers.utils.formatUnits(quoteData.buyAmount, quoteData.buyToken.decimals));
+  return bought / sold;
+}
+
+/**
+ * Price impact of a quote in bps: how far its buy amount falls short of what the sell amount
+ * fetches at the quote's market `price`
+ */
+function quotePriceImpactBps(quoteData) {
+  const marketPrice = Number(quoteData.price);
+  return Math.round(((marketPrice - quotePrice(quoteData)) / marketPrice) * 10000);
+}
+
+/**
+ * Key a TWAP for the job store: same chain, wallet, tokens, total and slices, same TWAP
+ */
+function twapKey(chain, wallet, { sellToken, buyToken, totalAmount, slices }) {
+  const id = ethers.utils.id(JSON.stringify({
+    chain: chain.name,
+    wallet,
+    sellToken,
+    buyToken,
+    totalAmount: totalAmount.toString(),
+    slices
+  }));
+  return `twap:${id}`;
+}
+
+/**
+ * Sell `totalAmount` in `slices` swaps, `intervalMs` apart. Every slice gets a fresh quote,
+ * capped at `maxPriceImpactBps` by the API and checked against it again locally. When a
+ * slice's price impact is too high or its price is more than `maxPriceDeviationBps`
+ * below the reference price (given, or the first slice's), the TWAP pauses and quotes again
+ * every `pauseMs`, giving up after `maxPauseMs`. Progress is saved in the job store after
+ * every step, so running the same TWAP again carries on with the remaining slices.
+ * @param {Object} options
+ * @param {ThirtyOneThirdClient} [options.client] - Client with provider and signer, built from .env when omitted
+ * @param {string} options.sellToken - Token to sell: symbol, address or "ETH"
+ * @param {string} options.buyToken - Token to buy, same forms as sellToken
+ * @param {ethers.BigNumberish|string} options.totalAmount - Amount to sell over all slices, in wei or like "10 WETH"
+ * @param {number} options.slices - Number of swaps
+ * @param {number} options.intervalMs - Time between the start of two slices
+ * @param {number} [options.maxSlippageBps] - Maximum slippage of each slice
+ * @param {number} [options.maxPriceImpactBps=100] - Maximum price impact of each slice, sent to the API and
+ *   checked on its quote; the TWAP pauses while a quote exceeds it
+ * @param {number} [options.referencePrice] - Buy tokens per sell token to compare quotes with,
+ *   defaults to the price of the first slice
+ * @param {number} [options.maxPriceDeviationBps=200] - Pause while a quote is this much worse than the reference
+ * @param {number} [options.pauseMs=intervalMs] - Time between quotes while paused
+ * @param {number} [options.maxPauseMs=3600000] - Give up when one slice stays paused this long
+ * @param {boolean} [options.wrapNative=false] - Trade WETH instead of native ETH, see swapWithThirtyOneThird
+ * @param {JobStore} [options.jobStore] - Where progress is kept, defaults to .31third/jobs.json
+ * @param {Function} [options.onProgress] - Called with { type: "slice" | "paused", slice, slices, ... }; paused
+ *   events carry price and referencePrice, or priceImpactBps and maxPriceImpactBps
+ * @param {AbortSignal} [options.signal] - Stops the TWAP between slices, ending the interval and pause waits;
+ *   progress stays saved, so running it again resumes
+ * @returns {Promise<Object>} - { slices: [{ slice, sellAmount, received, price, transactionHash, startedAt, executedAt }],
+ *   sold, received, averagePrice, referencePrice }, with stopped: true when the signal stopped it
+ */
+async function executeTwap({
+  client = createClientFromEnv(),
+  sellToken,
+  buyToken,
+  totalAmount,
+  slices,
+  intervalMs,
+  maxSlippageBps,
+  maxPriceImpactBps = DEFAULT_SLICE_PRICE_IMPACT_BPS,
+  referencePrice,
+  maxPriceDeviationBps = DEFAULT_MAX_PRICE_DEVIATION_BPS,
+  pauseMs = intervalMs,
+  maxPauseMs = DEFAULT_MAX_PAUSE_MS,
+  wrapNative = false,
+  jobStore = new JobStore(),
+  onProgress,
+  signal
+}) {
+  const { signer: wallet, logger, tokenRegistry } = client;
+  if (!Number.isInteger(slices) || slices < 1) {
+    throw new Error(`slices must be a positive integer, got ${slices}`);
+  }
+  if (!Number.isFinite(intervalMs) || intervalMs < 0) {
+    throw new Error(`intervalMs must be a non-negative number, got ${intervalMs}`);
+  }
+
+  const sell = await tokenRegistry.getMetadata(sellToken);
+  const buy = await tokenRegistry.getMetadata(buyToken);
+  const total = await tokenRegistry.parseAmount(totalAmount, sell.address);
+  if (total.div(slices).isZero()) {
+    throw new Error(`${total.toString()} can't be split into ${slices} slices`);
+  }
+
+  const key = twapKey(client.chain, wallet.address, { sellToken: sell.address, buyToken: buy.address, totalAmount: total, slices });
+  let state = jobStore.get(key);
+  if (state) {
+    logger.log(`Resuming TWAP after ${state.completed.length} of ${slices} slices`);
+  } else {
+    state = {
+      sellToken: sell.address,
+      buyToken: buy.address,
+      totalAmount: total.toString(),
+      slices,
+      wallet: wallet.address,
+      createdAt: new Date().toISOString(),
+      completed: []
+    };
+  }
+  if (referencePrice !== undefined) {
+    state.referencePrice = Number(referencePrice);
+  }
+  const save = () => jobStore.set(key, state);
+  save();
+
+  if (state.pending) {
+    await recoverPendingSlice(client, state, sell);
+    save();
+  }
+
+  // The first quote sets the reference price unless one was given or saved
+  const checkPrice = quoteData => {
+    const priceImpactBps = quotePriceImpactBps(quoteData);
+    if (priceImpactBps > maxPriceImpactBps) {
+      const error = new PriceDeviationError(
+        `Quoted price impact of ${priceImpactBps} bps is above the ${maxPriceImpactBps} bps allowed per slice`,
+        { field: "priceImpactBps", expected: maxPriceImpactBps, actual: priceImpactBps }
+      );
+      client.recordEvent("quote.rejected", { error });
+      throw error;
+    }
+
+    const price = quotePrice(quoteData);
+    if (state.referencePrice === undefined) {
+      state.referencePrice = price;
+      logger.log(`Reference price: 1 ${sell.symbol} = ${price} ${quoteData.buyToken.symbol}`);
+      save();
+      return;
+    }
+    const deviationBps = Math.round(((state.referencePrice - price) / state.referencePrice) * 10000);
+    if (deviationBps > maxPriceDeviationBps) {
+      const error = new PriceDeviationError(
+        `Quoted price ${price} is ${deviationBps} bps below the reference price ${state.referencePrice}`,
+        { field: "price", expected: state.referencePrice, actual: price }
+      );
+      client.recordEvent("quote.rejected", { error });
+      throw error;
+    }
+  };
+
+  const stopped = () => {
+    logger.log(`TWAP stopped after ${state.completed.length} of ${slices} slices; progress is saved, run it again to resume`);
+    return { ...summarize(state, sell, buy), stopped: true };
+  };
+
+  while (state.completed.length < slices) {
+    if (signal && signal.aborted) {
+      return stopped();
+    }
+    const slice = state.completed.length + 1;
+    const sold = state.completed.reduce((sum, entry) => sum.add(entry.sellAmount), ethers.constants.Zero);
+    const amount = slice === slices ? total.sub(sold) : total.div(slices);
+
+    // Measured from the start of the previous slice, saved so a restart doesn't trade early
+    const previous = state.completed[state.completed.length - 1];
+    const wait = previous ? Date.parse(previous.startedAt || previous.executedAt) + intervalMs - Date.now() : 0;
+    if (wait > 0) {
+      logger.log(`Next TWAP slice in ${Math.ceil(wait / 1000)}s`);
+      await sleep(wait, signal);
+      if (signal && signal.aborted) {
+        return stopped();
+      }
+    }
+
+    let pausedSince;
+    const startedAt = new Date().toISOString();
+    for (;;) {
+      logger.log(`TWAP slice ${slice} of ${slices}: selling ${ethers.utils.formatUnits(amount, sell.decimals)} ${sell.symbol}`);
+      // Kept until the slice is recorded, so a crash mid-trade isn't traded twice
+      const { balance } = await client.getTokenBalance(sell.address, wallet.address);
+      state.pending = { slice, sellAmount: amount.toString(), balanceBefore: balance.toString(), startedAt };
+      save();
+
+      try {
+        const { quote, receipt, report } = await swapWithThirtyOneThird({
+          client,
+          sellToken: sell.address,
+          buyToken: buy.address,
+          sellAmount: amount,
+          maxSlippageBps,
+          maxPriceImpactBps,
+          wrapNative,
+          checkQuote: checkPrice,
+          // Saved before the receipt, so a restart can look the trade up instead of guessing
+          onSubmitted: ({ hash, nonce }) => {
+            Object.assign(state.pending, { transactionHash: hash, nonce });
+            save();
+          }
+        });
+        const entry = {
+          slice,
+          sellAmount: amount.toString(),
+          received: report.received.toString(),
+          price: quotePrice(quote),
+          transactionHash: receipt.transactionHash,
+          startedAt,
+          executedAt: new Date().toISOString()
+        };
+        state.completed.push(entry);
+        delete state.pending;
+        save();
+        if (onProgress) {
+          onProgress({ type: "slice", slice, slices, ...entry });
+        }
+        break;
+      } catch (error) {
+        // Other errors may come after the trade was sent, so the next run checks the balance
+        if (!(error instanceof PriceDeviationError)) {
+          throw error;
+        }
+        delete state.pending;
+        save();
+
+        pausedSince = pausedSince || Date.now();
+        if (Date.now() + pauseMs - pausedSince > maxPauseMs) {
+          throw new PriceDeviationError(
+            `TWAP paused for more than ${Math.round(maxPauseMs / 1000)}s at slice ${slice} of ${slices}: ${error.message}. ` +
+            "Progress is saved, run it again to resume",
+            { field: error.field, expected: error.expected, actual: error.actual }
+          );
+        }
+        logger.warn(`${error.message}, pausing the TWAP for ${Math.round(pauseMs / 1000)}s`);
+        if (onProgress) {
+          const details = error.field === "priceImpactBps"
+            ? { priceImpactBps: error.actual, maxPriceImpactBps: error.expected }
+            : { price: error.actual, referencePrice: error.expected };
+          onProgress({ type: "paused", slice, slices, ...details });
+        }
+        await sleep(pauseMs, signal);
+        if (signal && signal.aborted) {
+          return stopped();
+        }
+      }
+    }
+  }
+
+  jobStore.delete(key);
+  return summarize(state, sell, buy);
+}
+
+/**
+ * Whether the submitted trade of an interrupted slice executed: its receipt decides, a trade
+ * still waiting in the mempool is waited for and a dropped one (its nonce still unused) did
+ * not. Undefined when the nonce went to another transaction, like a repriced replacement.
+ */
+async function pendingTradeExecuted(client, state) {
+  const { pending } = state;
+  const provider = client._requireProvider();
+  let receipt = await provider.getTransactionReceipt(pending.transactionHash);
+  if (!receipt && await provider.getTransaction(pending.transactionHash)) {
+    client.logger.log(`Waiting for the trade ${pending.transactionHash} of TWAP slice ${pending.slice}...`);
+    receipt = await provider.waitForTransaction(pending.transactionHash);
+  }
+  if (receipt) {
+    return receipt.status === 1;
+  }
+  return await provider.getTransactionCount(state.wallet) > pending.nonce ? undefined : false;
+}
+
+/**
+ * A slice that was running when the process stopped counts as executed when its submitted
+ * trade did or, without one to look up, when the sold tokens left the wallet; otherwise it
+ * is traded again
+ */
+async function recoverPendingSlice(client, state, sell) {
+  const { pending } = state;
+  let executed = pending.transactionHash ? await pendingTradeExecuted(client, state) : undefined;
+  if (executed === undefined) {
+    const { balance } = await client.getTokenBalance(sell.address, state.wallet);
+    executed = ethers.BigNumber.from(pending.balanceBefore).sub(balance).gte(pending.sellAmount);
+  }
+
+  if (executed) {
+    client.logger.warn(
+      `TWAP slice ${pending.slice} was interrupted after it traded; counting it as executed, ` +
+      `see ${pending.transactionHash ? `transaction ${pending.transactionHash}` : "the trade journal for its transaction"}`
+    );
+    state.completed.push({
+      slice: pending.slice,
+      sellAmount: pending.sellAmount,
+      transactionHash: pending.transactionHash,
+      startedAt: pending.startedAt,
+      executedAt: pending.startedAt,
+      recovered: true
+    });
+  } else {
+    client.logger.log(`TWAP slice ${pending.slice} was interrupted before it traded, running it again`);
+  }
+  delete state.pending;
+}
+
+/**
+ * Totals of a finished TWAP; recovered slices count as sold, but what they received is unknown
+ */
+function summarize(state, sell, buy) {
+  const sum = (entries, field) => entries.reduce((total, entry) => total.add(entry[field]), ethers.constants.Zero);
+  const traded = state.completed.filter(entry => !entry.recovered);
+  const tradedAmount = sum(traded, "sellAmount");
+  const received = sum(traded, "received");
+
+  return {
+    slices: state.completed,
+    sold: sum(state.completed, "sellAmount"),
+    received,
+    averagePrice: tradedAmount.isZero()
+      ? undefined
+      : Number(ethers.utils.formatUnits(received, buy.decimals)) / Number(ethers.utils.formatUnits(tradedAmount, sell.decimals)),
+    referencePrice: state.referencePrice
+  };
+}
+
+module.exports = {
+  DEFAULT_SLICE_PRICE_IMPACT_BPS,
+  DEFAULT_MAX_PRICE_DEVIATION_BPS,
+  twapKey,
+  quotePrice,
+  quotePriceImpactBps,
+  executeTwap
+};
+
+// Execute the script when run directly: sell 1000 USDT for WETH in 4 slices, 15 minutes apart
+if (require.main === module) {
+  executeTwap({ sellToken: "USDT", buyToken: "WETH", totalAmount: "1000 USDT", slices: 4, intervalMs: 15 * 60 * 1000 })
+    .then(result => {
+      console.log(`✅ TWAP completed, average price ${result.averagePrice}`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("❌ Error executing TWAP:", error.message);
+      process.exit(1);
+    });
+}
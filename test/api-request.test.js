@@ -0,0 +1,183 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { parseRetryAfter, classifyApiError, retryDelay, sleep, requestWithRetry } = require("../src/api-request");
+const {
+  ApiError,
+  AuthenticationError,
+  InvalidRequestError,
+  UnsupportedTokenError,
+  InsufficientLiquidityError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  ApiTimeoutError,
+  RequestAbortedError
+} = require("../src/errors");
+
+const REQUEST = { method: "get", path: "/swap/quote", params: { sellToken: "0x1" } };
+
+function httpError(status, data, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data, headers } });
+}
+
+// Answers each request with the next queued response; "hang" never answers
+let server;
+let url;
+let responses = [];
+let received = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    received++;
+    const next = responses.shift() || { status: 200, body: { ok: true } };
+    if (next === "hang") {
+      return;
+    }
+    res.writeHead(next.status, { "Content-Type": "application/json", ...next.headers });
+    res.end(JSON.stringify(next.body));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(() => resolve()));
+});
+
+function send(method, options = {}, queued = []) {
+  responses = queued;
+  received = 0;
+  return requestWithRetry(
+    { method, url: `${url}/endpoint`, path: "/endpoint" },
+    { retryBaseDelayMs: 1, timeoutMs: 200, ...options }
+  );
+}
+
+test("HTTP failures become the matching ApiError subclass", () => {
+  const classify = error => classifyApiError(error, REQUEST);
+
+  assert.ok(classify(httpError(401, { message: "Invalid API key" })) instanceof AuthenticationError);
+  assert.ok(classify(httpError(403, "Forbidden")) instanceof AuthenticationError);
+  assert.ok(classify(httpError(400, { code: "UNSUPPORTED_TOKEN", message: "Token is not supported" })) instanceof UnsupportedTokenError);
+  assert.ok(classify(httpError(400, { message: ["No route found", "try a smaller amount"] })) instanceof InsufficientLiquidityError);
+  assert.ok(classify(httpError(422, { error: "sellAmount must be positive" })) instanceof InvalidRequestError);
+  assert.ok(classify(httpError(302, "")).constructor === ApiError);
+
+  const limited = classify(httpError(429, { message: "Slow down" }, { "retry-after": "2" }));
+  assert.ok(limited instanceof RateLimitError);
+  assert.strictEqual(limited.retryAfterMs, 2000);
+  assert.strictEqual(limited.retryable, true);
+
+  const unavailable = classify(httpError(503, { statusCode: 503, errorCode: "MAINTENANCE", message: "Back soon" }));
+  assert.ok(unavailable instanceof ServerError);
+  assert.strictEqual(unavailable.retryable, true);
+  assert.strictEqual(unavailable.code, "MAINTENANCE");
+  assert.strictEqual(unavailable.apiMessage, "Back soon");
+  assert.strictEqual(unavailable.message, "31Third API error 503 on GET /swap/quote (MAINTENANCE): Back soon");
+  assert.deepStrictEqual(unavailable.params, REQUEST.params);
+  assert.strictEqual(classify(httpError(501, {})).retryable, false, "501 won't change on a retry");
+  assert.strictEqual(classify(httpError(400, {})).retryable, false);
+});
+
+test("failures without a response are timeouts, network errors or aborts", () => {
+  const classify = error => classifyApiError(error, REQUEST);
+
+  const timeout = classify(Object.assign(new Error("timeout of 100ms exceeded"), { code: "ECONNABORTED" }));
+  assert.ok(timeout instanceof ApiTimeoutError);
+  assert.strictEqual(timeout.retryable, true);
+
+  const refused = classify(Object.assign(new Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" }));
+  assert.ok(refused instanceof NetworkError);
+  assert.strictEqual(refused.retryable, true);
+  assert.match(refused.message, /GET \/swap\/quote failed: connect ECONNREFUSED/);
+
+  const aborted = classify(Object.assign(new Error("canceled"), { name: "CanceledError" }));
+  assert.ok(aborted instanceof RequestAbortedError);
+  assert.strictEqual(aborted.retryable, false);
+
+  assert.strictEqual(classifyApiError(aborted, REQUEST), aborted, "ApiErrors pass through unchanged");
+});
+
+test("Retry-After is read as seconds or a date and wins over a shorter backoff", () => {
+  const now = Date.parse("2024-01-01T00:00:00Z");
+  assert.strictEqual(parseRetryAfter("3", now), 3000);
+  assert.strictEqual(parseRetryAfter("Mon, 01 Jan 2024 00:00:05 GMT", now), 5000);
+  assert.strictEqual(parseRetryAfter("Sun, 31 Dec 2023 23:59:00 GMT", now), 0);
+  assert.strictEqual(parseRetryAfter("soon", now), undefined);
+  assert.strictEqual(parseRetryAfter(undefined, now), undefined);
+
+  const options = { retryBaseDelayMs: 100, retryMaxDelayMs: 1000 };
+  const error = new ServerError("down");
+  assert.strictEqual(retryDelay(1, error, options, () => 1), 100);
+  assert.strictEqual(retryDelay(3, error, options, () => 1), 400);
+  assert.strictEqual(retryDelay(10, error, options, () => 1), 1000, "capped at retryMaxDelayMs");
+  assert.strictEqual(retryDelay(3, error, options, () => 0.5), 200, "full jitter");
+  assert.strictEqual(retryDelay(1, new RateLimitError("slow", { retryAfterMs: 5000 }), options, () => 1), 5000);
+  assert.strictEqual(retryDelay(3, new RateLimitError("slow", { retryAfterMs: 10 }), options, () => 1), 400);
+});
+
+test("idempotent requests are retried on 5xx and timeouts until the retries run out", async () => {
+  assert.deepStrictEqual(await send("get", { idempotent: true }, [{ status: 503, body: {} }, { status: 502, body: {} }]), { ok: true });
+  assert.strictEqual(received, 3);
+
+  assert.deepStrictEqual(await send("get", { idempotent: true, timeoutMs: 50 }, ["hang"]), { ok: true });
+  assert.strictEqual(received, 2);
+
+  const failures = Array(3).fill({ status: 500, body: { message: "Internal error" } });
+  await assert.rejects(send("get", { idempotent: true, retries: 2 }, failures), ServerError);
+  assert.strictEqual(received, 3);
+
+  await assert.rejects(send("get", { idempotent: true }, [{ status: 400, body: { message: "Bad sellAmount" } }]), InvalidRequestError);
+  assert.strictEqual(received, 1, "client errors are not retried");
+});
+
+test("requests that aren't idempotent are only retried on rate limits", async () => {
+  await assert.rejects(send("post", {}, [{ status: 503, body: {} }]), ServerError);
+  assert.strictEqual(received, 1);
+
+  await assert.rejects(send("post", { timeoutMs: 50 }, ["hang"]), ApiTimeoutError);
+  assert.strictEqual(received, 1, "a timed out request may have been carried out");
+
+  assert.deepStrictEqual(await send("post", {}, [{ status: 429, headers: { "retry-after": "0" }, body: {} }]), { ok: true });
+  assert.strictEqual(received, 2);
+});
+
+test("network errors are retried for idempotent requests and the signal cancels the wait", async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, "127.0.0.1", resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  const warnings = [];
+  await assert.rejects(
+    requestWithRetry(
+      { method: "get", url: `http://127.0.0.1:${port}/`, path: "/" },
+      { idempotent: true, retries: 2, retryBaseDelayMs: 1, logger: { warn: message => warnings.push(message) } }
+    ),
+    NetworkError
+  );
+  assert.strictEqual(warnings.length, 2);
+  assert.match(warnings[1], /retry 2\/2 in \d+ms$/);
+
+  const controller = new AbortController();
+  const pending = send("get", { idempotent: true, retryBaseDelayMs: 60000, retryMaxDelayMs: 60000, signal: controller.signal }, [
+    { status: 503, headers: { "retry-after": "60" }, body: {} }
+  ]);
+  setTimeout(() => controller.abort(), 50);
+  await assert.rejects(pending, RequestAbortedError);
+  assert.strictEqual(received, 1);
+});
+
+test("sleep ends early when its signal aborts", async () => {
+  const controller = new AbortController();
+  const startedAt = Date.now();
+  setTimeout(() => controller.abort(), 20);
+
+  await sleep(60000, controller.signal);
+  await sleep(60000, controller.signal);
+
+  assert.ok(Date.now() - startedAt < 5000);
+  assert.ok(controller.signal.aborted);
+});
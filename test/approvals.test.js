@@ -0,0 +1,88 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { ethers } = require("ethers");
+const { PERMIT2_ADDRESS, PERMIT2_ABI } = require("../src/approvals");
+const { startTestEnvironment } = require("./helpers");
+
+let env;
+let token;
+
+before(async () => {
+  env = await startTestEnvironment();
+  token = await env.deploy("MockPermitToken");
+  // Permit2 lives at the same address on every chain, so its stand-in's code is put there
+  const permit2 = await env.deploy("MockPermit2");
+  await env.provider.send("evm_setAccountCode", [PERMIT2_ADDRESS, await env.provider.getCode(permit2.address)]);
+});
+
+after(() => env.stop());
+
+test("permit strategies refuse to run without a relayer, before anything is signed or sent", async () => {
+  const { wallet, exchange, createClient } = env;
+  const nonce = await wallet.getTransactionCount();
+
+  for (const strategy of ["permit", "permit2"]) {
+    const client = createClient({ approvalOptions: { strategy, permit2Spenders: [exchange.address] } });
+    await assert.rejects(client.checkAndSetAllowance(token.address, exchange.address, 1000), /needs a permitRelayer/);
+  }
+
+  assert.strictEqual(await wallet.getTransactionCount(), nonce);
+  assert.ok((await token.nonces(wallet.address)).isZero(), "no permit was used");
+});
+
+test("the relayer submits an EIP-2612 permit so the owner sends nothing", async () => {
+  const { wallet, other, exchange, createClient } = env;
+  const nonce = await wallet.getTransactionCount();
+  const relayerNonce = await other.getTransactionCount();
+  const client = createClient({ approvalOptions: { strategy: "permit", permitRelayer: other } });
+
+  const permit = await client.checkAndSetAllowance(token.address, exchange.address, 1000);
+
+  assert.strictEqual(permit.type, "erc2612");
+  assert.strictEqual((await token.allowance(wallet.address, exchange.address)).toString(), "1000");
+  assert.strictEqual(await wallet.getTransactionCount(), nonce);
+  assert.strictEqual(await other.getTransactionCount(), relayerNonce + 1);
+  assert.strictEqual(await client.checkAndSetAllowance(token.address, exchange.address, 1000), false);
+});
+
+test("permit2 approves the token to Permit2 once and has the relayer submit the spender's allowance", async () => {
+  const { wallet, other, exchange, tokens, provider, createClient } = env;
+  const permit2 = new ethers.Contract(PERMIT2_ADDRESS, PERMIT2_ABI, provider);
+  const nonce = await wallet.getTransactionCount();
+  const relayerNonce = await other.getTransactionCount();
+  const client = createClient({
+    approvalOptions: { strategy: "permit2", permit2Spenders: [exchange.address], permitRelayer: other }
+  });
+
+  const permit = await client.checkAndSetAllowance(tokens.GRT.address, exchange.address, 1000);
+
+  assert.strictEqual(permit.type, "permit2");
+  assert.strictEqual((await tokens.GRT.allowance(wallet.address, PERMIT2_ADDRESS)).toString(), "1000");
+  const allowance = await permit2.allowance(wallet.address, tokens.GRT.address, exchange.address);
+  assert.strictEqual(allowance.amount.toString(), "1000");
+  assert.strictEqual(allowance.nonce, 1);
+  assert.ok(allowance.expiration > Date.now() / 1000);
+  assert.strictEqual(await wallet.getTransactionCount(), nonce + 1, "the owner only approved Permit2");
+  assert.strictEqual(await other.getTransactionCount(), relayerNonce + 1);
+  assert.strictEqual(await client.checkAndSetAllowance(tokens.GRT.address, exchange.address, 1000), false);
+
+  // A larger amount needs a new permit, signed with Permit2's next nonce
+  await client.checkAndSetAllowance(tokens.GRT.address, exchange.address, 2000);
+  const raised = await permit2.allowance(wallet.address, tokens.GRT.address, exchange.address);
+  assert.strictEqual(raised.amount.toString(), "2000");
+  assert.strictEqual(raised.nonce, 2);
+});
+
+test("spenders that don't use Permit2 get an exact approval instead", async () => {
+  const { wallet, other, tokens, createClient } = env;
+  const client = createClient({
+    approvalOptions: { strategy: "permit2", permit2Spenders: [], permitRelayer: other }
+  });
+  const relayerNonce = await other.getTransactionCount();
+
+  await client.checkAndSetAllowance(tokens.USDC.address, other.address, 500);
+
+  assert.strictEqual((await tokens.USDC.allowance(wallet.address, other.address)).toString(), "500");
+  assert.strictEqual((await tokens.USDC.allowance(wallet.address, PERMIT2_ADDRESS)).toString(), "0");
+  assert.strictEqual(await other.getTransactionCount(), relayerNonce);
+});
@@ -0,0 +1,124 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { ethers } = require("ethers");
+const {
+  BATCH_TRADE_ABI,
+  decodeTransaction,
+  decodeExchangeRecipient,
+  isBatchTradeCalldata,
+  batchTradeToIntegrationData,
+  explainTransaction
+} = require("../src/calldata");
+const { buildCallOnIntegration } = require("../src/enzyme");
+
+const BATCH_TRADE = ethers.utils.getAddress("0x00000000000000000000000000000000000b7c11");
+const TAKER = ethers.utils.getAddress("0x0000000000000000000000000000000000007a4e");
+const VAULT = ethers.utils.getAddress("0x000000000000000000000000000000000000fa17");
+const ADAPTER = ethers.utils.getAddress("0x000000000000000000000000000000000000ada9");
+const ATTACKER = ethers.utils.getAddress("0x000000000000000000000000000000000000bad0");
+const INTEGRATION_MANAGER = ethers.utils.getAddress("0x000000000000000000000000000000000000111e");
+const WETH = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2";
+const USDC = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+
+const batchTradeInterface = new ethers.utils.Interface(BATCH_TRADE_ABI);
+const exchangeInterface = new ethers.utils.Interface([
+  "function exactInputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)",
+  "function transformERC20(address inputTokenAddress, address outputTokenAddress, uint256 inputTokenAmount, uint256 minOutputTokenAmount, tuple(uint32 deploymentNonce, bytes data)[] transformations)"
+]);
+
+function uniswap(recipient) {
+  return exchangeInterface.encodeFunctionData("exactInputSingle", [[WETH, USDC, 500, recipient, 1, 1, 0]]);
+}
+
+function trade(data, overrides = {}) {
+  return {
+    exchangeName: "Uniswap V3",
+    from: WETH,
+    fromAmount: ethers.utils.parseEther("1"),
+    to: USDC,
+    minToReceiveBeforeFees: ethers.utils.parseUnits("2900", 6),
+    data,
+    signature: "0x",
+    ...overrides
+  };
+}
+
+function batchTrade(trades) {
+  return batchTradeInterface.encodeFunctionData("batchTrade", [trades, { checkFeelessWallets: true, revertOnError: true }]);
+}
+
+test("batch trades are decoded with their recipients and foreign recipients are flagged", () => {
+  const data = batchTrade([
+    trade(uniswap(TAKER)),
+    trade(uniswap(ethers.constants.AddressZero), { exchangeName: "Uniswap V3 (caller)" }),
+    trade(exchangeInterface.encodeFunctionData("transformERC20", [WETH, USDC, 1, 1, []]), { exchangeName: "0x" }),
+    trade("0xdeadbeef", { exchangeName: "Unknown" }),
+    trade(uniswap(ATTACKER))
+  ]);
+
+  const decoded = decodeTransaction({ to: BATCH_TRADE, data }, { taker: TAKER });
+
+  assert.strictEqual(decoded.type, "batchTrade");
+  assert.deepStrictEqual(decoded.config, { checkFeelessWallets: true, revertOnError: true });
+  assert.deepStrictEqual(
+    decoded.trades.map(entry => [entry.exchange, entry.recipient, entry.recipientDecoded, entry.unexpectedRecipient]),
+    [
+      ["Uniswap V3", TAKER, true, false],
+      // Address zero and exchanges without a recipient pay the caller, the BatchTrade contract
+      ["Uniswap V3 (caller)", BATCH_TRADE, true, false],
+      ["0x", BATCH_TRADE, true, false],
+      ["Unknown", undefined, false, false],
+      ["Uniswap V3", ATTACKER, true, true]
+    ]
+  );
+  assert.strictEqual(decoded.trades[0].fromAmount.toString(), ethers.utils.parseEther("1").toString());
+  assert.deepStrictEqual(decoded.warnings, [`Trade 5 sends ${USDC} to ${ATTACKER}, which is not the taker or vault`]);
+});
+
+test("Enzyme calls are decoded through callOnExtension and the adapter counts as a recipient", () => {
+  const data = batchTrade([trade(uniswap(ADAPTER)), trade(uniswap(VAULT)), trade(uniswap(TAKER))]);
+  assert.ok(isBatchTradeCalldata(data));
+
+  const transaction = buildCallOnIntegration({
+    comptroller: "0x000000000000000000000000000000000000C0C0",
+    integrationManager: INTEGRATION_MANAGER,
+    adapter: ADAPTER,
+    integrationData: batchTradeToIntegrationData(data)
+  });
+  assert.ok(!isBatchTradeCalldata(transaction.data));
+
+  const decoded = decodeTransaction(transaction, { vault: VAULT });
+
+  assert.strictEqual(decoded.type, "enzyme");
+  assert.strictEqual(decoded.adapter, ADAPTER);
+  assert.strictEqual(decoded.extension, INTEGRATION_MANAGER);
+  assert.deepStrictEqual(decoded.trades.map(entry => entry.unexpectedRecipient), [false, false, true]);
+  assert.strictEqual(decoded.warnings.length, 1);
+});
+
+test("unknown calldata is reported instead of thrown when explained", () => {
+  assert.throws(() => decodeTransaction({ to: BATCH_TRADE, data: "0x12345678" }), /Unknown 31Third calldata selector 0x12345678/);
+  assert.throws(() => decodeTransaction({ to: BATCH_TRADE }), /selector \(empty\)/);
+  assert.strictEqual(decodeExchangeRecipient("0x"), undefined);
+
+  const logged = [];
+  const logger = { log: message => logged.push(message) };
+  assert.strictEqual(explainTransaction(logger, { to: BATCH_TRADE, data: "0x12345678" }, {}), null);
+  assert.match(logged[0], /Could not decode the calldata/);
+});
+
+test("explained trades are formatted with the token metadata", () => {
+  const logged = [];
+  const logger = { log: message => logged.push(message) };
+  const tokens = {
+    [WETH.toLowerCase()]: { symbol: "WETH", decimals: 18 },
+    [USDC.toLowerCase()]: { symbol: "USDC", decimals: 6 }
+  };
+
+  explainTransaction(logger, { to: BATCH_TRADE, data: batchTrade([trade(uniswap(ATTACKER))]) }, { taker: TAKER }, tokens);
+
+  assert.ok(logged.includes("  Sell: 1.0 WETH"));
+  assert.ok(logged.includes("  Buy (min received): 2900.0 USDC"));
+  assert.ok(logged.includes(`  Recipient: ${ATTACKER}`));
+  assert.ok(logged.some(line => line.startsWith("⚠️ Trade 1 sends")));
+});
@@ -0,0 +1,183 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { run } = require("../src/cli");
+const { startTestEnvironment } = require("./helpers");
+
+let env;
+
+before(async () => {
+  env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+/**
+ * Run the CLI against the test chain and mock API, capturing what it prints and the options
+ * it builds its client with
+ */
+async function cli(argv, clientOptions = {}) {
+  const output = { stdout: [], stderr: [], clientRequests: [] };
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  console.log = (...args) => output.stdout.push(args.join(" "));
+  console.warn = (...args) => output.stderr.push(args.join(" "));
+  console.error = (...args) => output.stderr.push(args.join(" "));
+  try {
+    output.code = await run(argv, {
+      createClient: options => {
+        output.clientRequests.push(options);
+        return env.createClient({ logger: options.logger, ...clientOptions });
+      }
+    });
+  } finally {
+    Object.assign(console, original);
+  }
+  output.json = () => JSON.parse(output.stdout.join("\n"));
+  return output;
+}
+
+function apiRequests(route) {
+  return env.api.requests.filter(request => request.route === route);
+}
+
+test("usage errors exit with 2 and failed commands with 1, before anything is requested", async () => {
+  const requests = env.api.requests.length;
+
+  assert.strictEqual((await cli([])).code, 2);
+  assert.strictEqual((await cli(["--help"])).code, 0);
+  const unknown = await cli(["quote", "USDC", "WETH", "1", "--bogus"]);
+  assert.strictEqual(unknown.code, 2);
+  assert.match(unknown.stderr[0], /Unknown option '--bogus'/);
+  assert.match((await cli(["teleport"])).stderr[0], /Unknown command "teleport"/);
+
+  const failures = [
+    [["quote", "USDC", "WETH"], /quote needs <sell> <buy> <amount>/],
+    [["swap", "USDC", "WETH", "1", "--slippage-bps", "lots"], /slippage-bps/],
+    [["rebalance", "--target", "USDC:1"], /rebalance needs at least one base and one target entry/],
+    [["rebalance", "--base", "GRT", "--target", "USDC:1"], /Invalid --base entry "GRT"/],
+    [["balances"], /balances needs at least one token/]
+  ];
+  for (const [argv, message] of failures) {
+    const result = await cli(argv);
+    assert.strictEqual(result.code, 1, argv.join(" "));
+    assert.match(result.stderr.join("\n"), message);
+  }
+
+  assert.strictEqual(env.api.requests.length, requests);
+});
+
+test("quote parses tokens and amounts and prints the quote as JSON", async () => {
+  const { tokens, other } = env;
+  const quotes = apiRequests("GET /swap/quote").length;
+
+  const result = await cli(["quote", "USDC", "WETH", "1500", "--slippage-bps", "50", "--taker", other.address, "--json"]);
+
+  assert.strictEqual(result.code, 0, result.stderr.join("\n"));
+  const [request] = apiRequests("GET /swap/quote").slice(quotes);
+  assert.strictEqual(request.query.sellToken, tokens.USDC.address);
+  assert.strictEqual(request.query.buyToken, tokens.WETH.address);
+  assert.strictEqual(request.query.sellAmount, ethers.utils.parseUnits("1500", 6).toString());
+  assert.strictEqual(request.query.maxSlippageBps, "50");
+  assert.strictEqual(request.query.taker, other.address);
+  assert.strictEqual(result.json().buyAmount, ethers.utils.parseEther("0.5").toString());
+  // Read-only with an explicit taker: no signer or allowlist is needed
+  assert.deepStrictEqual(
+    [result.clientRequests[0].requireSigner, result.clientRequests[0].requireAllowedTargets],
+    [false, false]
+  );
+});
+
+test("swap --dry-run simulates without sending, and a plain swap trades", async () => {
+  const { tokens, wallet } = env;
+  await (await tokens.USDC.mint(wallet.address, ethers.utils.parseUnits("30", 6))).wait();
+  const usdcBefore = await tokens.USDC.balanceOf(wallet.address);
+  const nonce = await wallet.getTransactionCount();
+
+  const dryRun = await cli(["swap", "USDC", "GRT", "30", "--dry-run"]);
+  assert.strictEqual(dryRun.code, 0, dryRun.stderr.join("\n"));
+  assert.ok(dryRun.stdout.includes("✅ swap completed (dry run)"));
+  assert.strictEqual(await wallet.getTransactionCount(), nonce, "nothing was sent");
+  assert.ok((await tokens.USDC.balanceOf(wallet.address)).eq(usdcBefore));
+  assert.deepStrictEqual(
+    [dryRun.clientRequests[0].requireSigner, dryRun.clientRequests[0].requireAllowedTargets],
+    [true, true]
+  );
+
+  const swapped = await cli(["swap", "USDC", "GRT", "30", "--json"]);
+  assert.strictEqual(swapped.code, 0, swapped.stderr.join("\n"));
+  assert.strictEqual(swapped.json().receipt.status, 1);
+  assert.ok((await tokens.USDC.balanceOf(wallet.address)).eq(usdcBefore.sub(ethers.utils.parseUnits("30", 6))));
+});
+
+test("swap exits with 1 and the API's error when there is no route", async () => {
+  const nonce = await env.wallet.getTransactionCount();
+  env.api.respondOnce("GET /swap/quote", "insufficient-liquidity");
+
+  const result = await cli(["swap", "USDC", "GRT", "30"]);
+
+  assert.strictEqual(result.code, 1);
+  assert.match(result.stderr.join("\n"), /swap failed.*No route found with enough liquidity/);
+  assert.strictEqual(await env.wallet.getTransactionCount(), nonce);
+});
+
+test("rebalance parses --base and --target entries, --dry-run sends nothing", async () => {
+  const { tokens, wallet } = env;
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("100"))).wait();
+  const rebalancings = apiRequests("POST /rebalancing/wallet").length;
+  const nonce = await wallet.getTransactionCount();
+
+  const result = await cli(["rebalance", "--base", "GRT:100", "--target", "USDC:0.25", "--target", "WETH:0.75", "--dry-run", "--json"]);
+
+  assert.strictEqual(result.code, 0, result.stderr.join("\n"));
+  const [request] = apiRequests("POST /rebalancing/wallet").slice(rebalancings);
+  assert.deepStrictEqual(request.body.baseEntries, [{ tokenAddress: tokens.GRT.address, amount: ethers.utils.parseEther("100").toString() }]);
+  assert.deepStrictEqual(request.body.targetEntries, [
+    { tokenAddress: tokens.USDC.address, allocation: 0.25 },
+    { tokenAddress: tokens.WETH.address, allocation: 0.75 }
+  ]);
+  assert.strictEqual(await wallet.getTransactionCount(), nonce, "nothing was sent");
+  assert.ok(result.json());
+});
+
+test("rebalance --yes sends under the wallet lock and fails with 1 above --max-cost-bps", async () => {
+  const { tokens, wallet } = env;
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("100"))).wait();
+  const grtBefore = await tokens.GRT.balanceOf(wallet.address);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "31third-cli-"));
+  process.env.JOB_STORE_PATH = path.join(dir, "jobs.json");
+  try {
+    env.api.respondOnce("POST /rebalancing/wallet", { patch: { estimatedValueLossInUsd: "5" } });
+    const rejected = await cli(["rebalance", "--base", "GRT:100", "--target", "USDC:1", "--yes", "--max-cost-bps", "100"]);
+    assert.strictEqual(rejected.code, 1);
+    assert.match(rejected.stderr.join("\n"), /above the 1.00% allowed/);
+    assert.ok((await tokens.GRT.balanceOf(wallet.address)).eq(grtBefore));
+
+    const sent = await cli(["rebalance", "--base", "GRT:100", "--target", "USDC:1", "--yes"]);
+    assert.strictEqual(sent.code, 0, sent.stderr.join("\n"));
+    assert.ok((await tokens.GRT.balanceOf(wallet.address)).eq(grtBefore.sub(ethers.utils.parseEther("100"))));
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, "locks")), [], "the wallet lock is released");
+  } finally {
+    delete process.env.JOB_STORE_PATH;
+  }
+});
+
+test("balances prints the wallet's balances, of another wallet with --wallet", async () => {
+  const { tokens, other } = env;
+  await (await tokens.GRT.mint(other.address, ethers.utils.parseEther("12.5"))).wait();
+  const expected = ethers.utils.formatEther(await tokens.GRT.balanceOf(other.address));
+
+  const result = await cli(["balances", "GRT", "USDC", "--wallet", other.address, "--json"]);
+
+  assert.strictEqual(result.code, 0, result.stderr.join("\n"));
+  const [grt, usdc] = result.json();
+  assert.deepStrictEqual([grt.symbol, grt.formattedBalance], ["GRT", expected]);
+  assert.strictEqual(usdc.symbol, "USDC");
+  assert.strictEqual(result.clientRequests[0].requireSigner, false);
+
+  const missing = await cli(["balances", "NOPE"]);
+  assert.strictEqual(missing.code, 1);
+  assert.match(missing.stderr.join("\n"), /NOPE/);
+});
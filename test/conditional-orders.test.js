@@ -0,0 +1,124 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { ethers } = require("ethers");
+const { watchConditionalOrders } = require("../src/conditional-orders");
+const { startTestEnvironment } = require("./helpers");
+
+let env;
+
+before(async () => {
+  env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+function quoteRequests() {
+  return env.api.requests.filter(request => request.route === "GET /swap/quote");
+}
+
+function setPrice(token, priceUsd) {
+  env.api.tokens[token.address.toLowerCase()].priceUsd = priceUsd;
+}
+
+function exitOrders() {
+  return [
+    { id: "take-profit", sellToken: "WETH", buyToken: "USDC", sellAmount: "0.01 WETH", above: 3300, ocoGroup: "exit" },
+    { id: "stop-loss", sellToken: "WETH", buyToken: "USDC", sellAmount: "0.01 WETH", below: 2700, ocoGroup: "exit" }
+  ];
+}
+
+test("polls without simulation and executes the triggered order of an OCO pair", async () => {
+  const { tokens, wallet, api, createClient } = env;
+  await (await tokens.WETH.mint(wallet.address, ethers.utils.parseEther("0.01"))).wait();
+  const quotes = quoteRequests().length;
+
+  const waiting = await watchConditionalOrders({ client: createClient(), orders: exitOrders(), maxPolls: 2, pollIntervalMs: 10 });
+  assert.deepStrictEqual(waiting.map(order => order.status), ["active", "active"]);
+  assert.deepStrictEqual(waiting.map(order => order.lastPrice), [3000, 3000]);
+  const polls = quoteRequests().slice(quotes);
+  assert.strictEqual(polls.length, 4);
+  assert.ok(polls.every(request => request.query.skipSimulation === "true"));
+
+  // The price recovers between the poll and the executable quote, so nothing is sent
+  setPrice(tokens.WETH, 2600);
+  api.respondOnce("GET /swap/quote", { patch: {} });
+  api.respondOnce("GET /swap/quote", { patch: { price: "2800" } });
+  const nonce = await wallet.getTransactionCount();
+  const recovered = await watchConditionalOrders({ client: createClient(), orders: exitOrders(), maxPolls: 1 });
+  assert.deepStrictEqual(recovered.map(order => order.status), ["active", "active"]);
+  assert.strictEqual(await wallet.getTransactionCount(), nonce);
+
+  const events = [];
+  const usdcBefore = await tokens.USDC.balanceOf(wallet.address);
+  const orders = await watchConditionalOrders({
+    client: createClient(),
+    orders: exitOrders(),
+    pollIntervalMs: 10,
+    onEvent: event => events.push(`${event.order.id}:${event.type}`)
+  });
+  setPrice(tokens.WETH, 3000);
+
+  assert.deepStrictEqual(orders.map(order => order.status), ["cancelled", "executed"]);
+  assert.deepStrictEqual(events, ["stop-loss:triggered", "stop-loss:executed", "take-profit:cancelled"]);
+  assert.strictEqual(orders[1].result.receipt.status, 1);
+  assert.ok((await tokens.WETH.balanceOf(wallet.address)).isZero());
+  assert.strictEqual((await tokens.USDC.balanceOf(wallet.address)).sub(usdcBefore).toString(), ethers.utils.parseUnits("24.7", 6).toString());
+});
+
+test("keeps the rest of an OCO group active when one order fails, and retries retryable failures", async () => {
+  const { tokens, wallet, api, createClient } = env;
+  const nonce = await wallet.getTransactionCount();
+  setPrice(tokens.WETH, 2600);
+  // Each round quotes take-profit, then stop-loss, then requests stop-loss's executable quote
+  api.respondOnce("GET /swap/quote", { patch: {} });
+  api.respondOnce("GET /swap/quote", { patch: {} });
+  api.respondOnce("GET /swap/quote", "server-error");
+  api.respondOnce("GET /swap/quote", { patch: {} });
+  api.respondOnce("GET /swap/quote", { patch: {} });
+  api.respondOnce("GET /swap/quote", "insufficient-liquidity");
+
+  const events = [];
+  const orders = await watchConditionalOrders({
+    client: createClient({ requestOptions: { retries: 0 } }),
+    orders: exitOrders(),
+    maxPolls: 2,
+    pollIntervalMs: 10,
+    onEvent: event => events.push(`${event.order.id}:${event.type}`)
+  });
+  setPrice(tokens.WETH, 3000);
+
+  assert.deepStrictEqual(orders.map(order => order.status), ["active", "failed"]);
+  assert.deepStrictEqual(events, ["stop-loss:triggered", "stop-loss:retrying", "stop-loss:triggered", "stop-loss:failed"]);
+  assert.strictEqual(await wallet.getTransactionCount(), nonce, "nothing is sent");
+});
+
+test("expires orders and only simulates triggered ones in a dry run", async () => {
+  const { wallet, createClient } = env;
+  const nonce = await wallet.getTransactionCount();
+  const quotes = quoteRequests().length;
+
+  const orders = await watchConditionalOrders({
+    client: createClient(),
+    dryRun: true,
+    orders: [
+      { id: "expired", sellToken: "USDC", buyToken: "GRT", sellAmount: "10 USDC", below: 100, expiresAt: new Date(Date.now() - 1000).toISOString() },
+      { id: "dip", sellToken: "USDC", buyToken: "WETH", sellAmount: "10 USDC", above: 0.0003 }
+    ]
+  });
+
+  assert.deepStrictEqual(orders.map(order => order.status), ["expired", "simulated"]);
+  assert.ok(orders[1].result.simulation);
+  assert.deepStrictEqual(quoteRequests().slice(quotes).map(request => request.query.skipSimulation), ["true", "false"]);
+  assert.strictEqual(await wallet.getTransactionCount(), nonce, "nothing is sent");
+});
+
+test("rejects orders without exactly one trigger", async () => {
+  const { createClient } = env;
+  await assert.rejects(
+    watchConditionalOrders({
+      client: createClient(),
+      orders: [{ sellToken: "WETH", buyToken: "USDC", sellAmount: "1 WETH", above: 4000, below: 2000 }]
+    }),
+    /exactly one positive trigger price/
+  );
+});
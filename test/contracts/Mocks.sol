@@ -0,0 +1,336 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+/// ERC20 anyone can mint, for the offline tests
+contract MockERC20 {
+    string public name;
+    string public symbol;
+    uint8 public decimals;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    constructor(string memory _name, string memory _symbol, uint8 _decimals) {
+        name = _name;
+        symbol = _symbol;
+        decimals = _decimals;
+    }
+
+    function mint(address to, uint256 value) external {
+        balanceOf[to] += value;
+        emit Transfer(address(0), to, value);
+    }
+
+    function approve(address spender, uint256 value) external returns (bool) {
+        allowance[msg.sender][spender] = value;
+        emit Approval(msg.sender, spender, value);
+        return true;
+    }
+
+    function transfer(address to, uint256 value) external returns (bool) {
+        _transfer(msg.sender, to, value);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 value) external returns (bool) {
+        require(allowance[from][msg.sender] >= value, "ERC20: insufficient allowance");
+        allowance[from][msg.sender] -= value;
+        _transfer(from, to, value);
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 value) internal {
+        require(balanceOf[from] >= value, "ERC20: insufficient balance");
+        balanceOf[from] -= value;
+        balanceOf[to] += value;
+        emit Transfer(from, to, value);
+    }
+}
+
+/// ERC20 with EIP-2612 permits (domain version "1")
+contract MockPermitToken is MockERC20("Permit Token", "PRMT", 18) {
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    mapping(address => uint256) public nonces;
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256(bytes(name)),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external {
+        require(block.timestamp <= deadline, "permit expired");
+        bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, nonces[owner]++, deadline));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        require(ecrecover(digest, v, r, s) == owner, "invalid permit");
+        allowance[owner][spender] = value;
+        emit Approval(owner, spender, value);
+    }
+}
+
+/// Permit2's PermitSingle allowances; the tests put its code at the canonical Permit2 address
+contract MockPermit2 {
+    struct PermitDetails {
+        address token;
+        uint160 amount;
+        uint48 expiration;
+        uint48 nonce;
+    }
+
+    struct PermitSingle {
+        PermitDetails details;
+        address spender;
+        uint256 sigDeadline;
+    }
+
+    struct PackedAllowance {
+        uint160 amount;
+        uint48 expiration;
+        uint48 nonce;
+    }
+
+    bytes32 private constant PERMIT_DETAILS_TYPEHASH =
+        keccak256("PermitDetails(address token,uint160 amount,uint48 expiration,uint48 nonce)");
+    bytes32 private constant PERMIT_SINGLE_TYPEHASH = keccak256(
+        "PermitSingle(PermitDetails details,address spender,uint256 sigDeadline)PermitDetails(address token,uint160 amount,uint48 expiration,uint48 nonce)"
+    );
+
+    mapping(address => mapping(address => mapping(address => PackedAllowance))) public allowance;
+
+    // Computed on every call, so the code still verifies after being copied to another address
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)"),
+            keccak256("Permit2"),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    function permit(address owner, PermitSingle calldata permitSingle, bytes calldata signature) external {
+        require(block.timestamp <= permitSingle.sigDeadline, "signature expired");
+        PermitDetails calldata details = permitSingle.details;
+        PackedAllowance storage allowed = allowance[owner][details.token][permitSingle.spender];
+        require(details.nonce == allowed.nonce, "invalid nonce");
+
+        bytes32 structHash = keccak256(abi.encode(
+            PERMIT_SINGLE_TYPEHASH,
+            keccak256(abi.encode(PERMIT_DETAILS_TYPEHASH, details.token, details.amount, details.expiration, details.nonce)),
+            permitSingle.spender,
+            permitSingle.sigDeadline
+        ));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        require(signature.length == 65, "invalid signature length");
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        require(ecrecover(digest, v, r, s) == owner, "invalid signature");
+
+        allowed.amount = details.amount;
+        allowed.expiration = details.expiration;
+        allowed.nonce = details.nonce + 1;
+    }
+}
+
+/// WETH9-style wrapper of the native token
+contract MockWETH is MockERC20("Wrapped Ether", "WETH", 18) {
+    event Deposit(address indexed to, uint256 value);
+    event Withdrawal(address indexed from, uint256 value);
+
+    receive() external payable {
+        deposit();
+    }
+
+    function deposit() public payable {
+        balanceOf[msg.sender] += msg.value;
+        emit Deposit(msg.sender, msg.value);
+    }
+
+    function withdraw(uint256 value) external {
+        require(balanceOf[msg.sender] >= value, "WETH: insufficient balance");
+        balanceOf[msg.sender] -= value;
+        payable(msg.sender).transfer(value);
+        emit Withdrawal(msg.sender, value);
+    }
+}
+
+/// Token whose symbol() returns bytes32, like MKR
+contract MockBytes32Token {
+    bytes32 public symbol;
+    uint8 public decimals = 18;
+    mapping(address => uint256) public balanceOf;
+
+    constructor(bytes32 _symbol) {
+        symbol = _symbol;
+    }
+
+    function mint(address to, uint256 value) external {
+        balanceOf[to] += value;
+    }
+}
+
+struct Trade {
+    string exchangeName;
+    address from;
+    uint256 fromAmount;
+    address to;
+    uint256 minToReceiveBeforeFees;
+    bytes data;
+    bytes signature;
+}
+
+struct BatchTradeConfig {
+    bool checkFeelessWallets;
+    bool revertOnError;
+}
+
+/// Stand-in for the 31Third batch trade contract and its Enzyme adapter: takes the sold
+/// tokens and mints the minimum amount of the bought ones. The native token is paid in as
+/// value and paid out from the exchange's own balance.
+contract MockExchange {
+    address internal constant NATIVE = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
+
+    receive() external payable {}
+
+    function batchTrade(Trade[] calldata trades, BatchTradeConfig calldata) external payable {
+        uint256 nativeSold = 0;
+        for (uint256 i = 0; i < trades.length; i++) {
+            if (trades[i].from == NATIVE) {
+                nativeSold += trades[i].fromAmount;
+            } else {
+                MockERC20(trades[i].from).transferFrom(msg.sender, address(this), trades[i].fromAmount);
+            }
+            if (trades[i].to == NATIVE) {
+                payable(msg.sender).transfer(trades[i].minToReceiveBeforeFees);
+            } else {
+                MockERC20(trades[i].to).mint(msg.sender, trades[i].minToReceiveBeforeFees);
+            }
+        }
+        require(msg.value == nativeSold, "MockExchange: wrong value");
+    }
+
+    /// Called by the IntegrationManager after it moved the sold tokens here
+    function takeOrder(address vaultProxy, bytes calldata actionData, bytes calldata) external {
+        Trade[] memory trades = abi.decode(actionData, (Trade[]));
+        for (uint256 i = 0; i < trades.length; i++) {
+            MockERC20(trades[i].to).mint(vaultProxy, trades[i].minToReceiveBeforeFees);
+        }
+    }
+}
+
+/// Enzyme VaultProxy with an owner, asset managers and tracked assets
+contract MockVault {
+    address public owner;
+    address public accessor;
+    address[] internal trackedAssets;
+    mapping(address => bool) public isAssetManager;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    function setAccessor(address _accessor) external {
+        require(accessor == address(0), "accessor set");
+        accessor = _accessor;
+    }
+
+    function addAssetManager(address manager) external {
+        require(msg.sender == owner, "only owner");
+        isAssetManager[manager] = true;
+    }
+
+    function setTrackedAssets(address[] calldata assets) external {
+        trackedAssets = assets;
+    }
+
+    function getAccessor() external view returns (address) {
+        return accessor;
+    }
+
+    function getOwner() external view returns (address) {
+        return owner;
+    }
+
+    function canManageAssets(address who) external view returns (bool) {
+        return who == owner || isAssetManager[who];
+    }
+
+    function getTrackedAssets() external view returns (address[] memory) {
+        return trackedAssets;
+    }
+
+    function withdrawAssetTo(address asset, address to, uint256 amount) external {
+        require(msg.sender == accessor, "only accessor");
+        MockERC20(asset).transfer(to, amount);
+    }
+}
+
+/// ComptrollerProxy that is also its own IntegrationManager: callOnExtension moves the sold
+/// tokens from the vault to the adapter and calls the adapter's takeOrder
+contract MockComptroller {
+    bytes4 internal constant TAKE_ORDER = bytes4(keccak256("takeOrder(address,bytes,bytes)"));
+
+    MockVault public vault;
+
+    constructor(MockVault _vault) {
+        vault = _vault;
+        _vault.setAccessor(address(this));
+    }
+
+    function getIntegrationManager() external view returns (address) {
+        return address(this);
+    }
+
+    function getVaultProxy() external view returns (address) {
+        return address(vault);
+    }
+
+    function callOnExtension(address extension, uint256 actionId, bytes calldata callArgs) external {
+        require(extension == address(this) && actionId == 0, "unknown extension call");
+        require(vault.canManageAssets(msg.sender), "Unauthorized");
+
+        (address adapter, bytes4 selector, bytes memory integrationData) = abi.decode(callArgs, (address, bytes4, bytes));
+        require(selector == TAKE_ORDER, "unknown selector");
+
+        Trade[] memory trades = abi.decode(integrationData, (Trade[]));
+        for (uint256 i = 0; i < trades.length; i++) {
+            vault.withdrawAssetTo(trades[i].from, adapter, trades[i].fromAmount);
+        }
+        MockExchange(payable(adapter)).takeOrder(address(vault), integrationData, "");
+    }
+}
+
+/// Multicall3's aggregate3 and getEthBalance; the dev chain has nothing at the canonical address
+contract MockMulticall3 {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    function aggregate3(Call3[] calldata calls) external payable returns (Result[] memory returnData) {
+        returnData = new Result[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool success, bytes memory data) = calls[i].target.call(calls[i].callData);
+            require(success || calls[i].allowFailure, "Multicall3: call failed");
+            returnData[i] = Result(success, data);
+        }
+    }
+
+    function getEthBalance(address addr) external view returns (uint256) {
+        return addr.balance;
+    }
+}
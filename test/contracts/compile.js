@@ -0,0 +1,31 @@
+// Compile the mock contracts into artifacts.json (run with `npm run compile-contracts`)
+const fs = require("fs");
+const path = require("path");
+const solc = require("solc");
+
+const SOURCE = "Mocks.sol";
+
+const input = {
+  language: "Solidity",
+  sources: { [SOURCE]: { content: fs.readFileSync(path.join(__dirname, SOURCE), "utf8") } },
+  settings: {
+    evmVersion: "shanghai",
+    optimizer: { enabled: true, runs: 200 },
+    outputSelection: { "*": { "*": ["abi", "evm.bytecode.object"] } }
+  }
+};
+
+const output = JSON.parse(solc.compile(JSON.stringify(input)));
+const errors = (output.errors || []).filter(error => error.severity === "error");
+(output.errors || []).forEach(error => console.error(error.formattedMessage));
+if (errors.length > 0) {
+  process.exit(1);
+}
+
+const artifacts = {};
+Object.entries(output.contracts[SOURCE]).forEach(([name, contract]) => {
+  artifacts[name] = { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+});
+
+fs.writeFileSync(path.join(__dirname, "artifacts.json"), `${JSON.stringify(artifacts, null, 2)}\n`);
+console.log(`Compiled ${Object.keys(artifacts).join(", ")}`);
@@ -0,0 +1,181 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { swapFromEnzymeVault, rebalanceEnzymeVault } = require("../src/enzyme_calldata");
+const { getVaultHoldings } = require("../src/enzyme");
+const { readTransactionFile } = require("../src/offline");
+const { GuardrailError } = require("../src/errors");
+const { startTestEnvironment } = require("./helpers");
+
+let env;
+let vault;
+let comptroller;
+
+before(async () => {
+  env = await startTestEnvironment();
+  vault = await env.deploy("MockVault", env.wallet.address);
+  comptroller = await env.deploy("MockComptroller", vault.address);
+
+  const { tokens } = env;
+  await (await vault.setTrackedAssets([tokens.USDC.address, tokens.GRT.address])).wait();
+  await (await tokens.USDC.mint(vault.address, ethers.utils.parseUnits("6000", 6))).wait();
+  await (await tokens.GRT.mint(vault.address, ethers.utils.parseEther("10000"))).wait();
+});
+
+after(() => env.stop());
+
+/**
+ * Record the eth_calls made while `run` runs
+ */
+async function recordCalls(run) {
+  const { provider } = env;
+  const calls = [];
+  const call = provider.call;
+  provider.call = (transaction, blockTag) => {
+    calls.push(transaction);
+    return call.call(provider, transaction, blockTag);
+  };
+  try {
+    return { result: await run(), calls };
+  } finally {
+    provider.call = call;
+  }
+}
+
+test("swaps vault tokens through callOnExtension as the vault owner", async () => {
+  const { tokens, createClient } = env;
+
+  const { receipt, report } = await swapFromEnzymeVault({
+    client: createClient(),
+    vault: vault.address,
+    sellToken: tokens.USDC.address,
+    buyToken: tokens.WETH.address,
+    sellAmount: ethers.utils.parseUnits("3000", 6)
+  });
+
+  assert.strictEqual(receipt.status, 1);
+  assert.strictEqual(receipt.to, comptroller.address);
+  assert.strictEqual((await tokens.USDC.balanceOf(vault.address)).toString(), ethers.utils.parseUnits("3000", 6).toString());
+  // 1 WETH less the default 50 bps slippage
+  assert.strictEqual((await tokens.WETH.balanceOf(vault.address)).toString(), ethers.utils.parseEther("0.995").toString());
+  assert.strictEqual(report.account, vault.address);
+  assert.strictEqual(report.received.toString(), ethers.utils.parseEther("0.995").toString());
+});
+
+test("exports the manager transaction unsigned without needing a signer", async () => {
+  const { tokens, wallet, createClient } = env;
+  const nonce = await wallet.getTransactionCount();
+  const output = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "31third-enzyme-")), "enzyme-swap.json");
+
+  const result = await swapFromEnzymeVault({
+    client: createClient({ signer: undefined, provider: env.provider }),
+    vault: vault.address,
+    manager: wallet.address,
+    sellToken: tokens.GRT.address,
+    buyToken: tokens.USDC.address,
+    sellAmount: ethers.utils.parseEther("100"),
+    unsigned: true,
+    output
+  });
+
+  assert.strictEqual(result.transaction.to, comptroller.address);
+  assert.strictEqual(result.transaction.from, wallet.address);
+  assert.strictEqual(result.transaction.chainId, 1);
+  assert.strictEqual(result.decoded.type, "enzyme");
+  assert.strictEqual(await wallet.getTransactionCount(), nonce);
+
+  const file = readTransactionFile(output);
+  assert.deepStrictEqual(file, JSON.parse(JSON.stringify(result.unsigned)));
+  assert.strictEqual(file.from, wallet.address);
+  assert.strictEqual(file.transactions.length, 1);
+  const { transaction } = file.transactions[0];
+  assert.strictEqual(transaction.to, comptroller.address);
+  assert.strictEqual(transaction.nonce, nonce);
+  assert.strictEqual(transaction.chainId, 1);
+  assert.ok(transaction.gasLimit && transaction.maxFeePerGas, "gas limit and fees are filled in");
+});
+
+test("rejects managers the vault does not know", async () => {
+  const { tokens, other, createClient } = env;
+
+  await assert.rejects(
+    swapFromEnzymeVault({
+      client: createClient({ signer: other }),
+      vault: vault.address,
+      sellToken: tokens.USDC.address,
+      buyToken: tokens.WETH.address,
+      sellAmount: 1000000
+    }),
+    /neither owner nor asset manager/
+  );
+});
+
+test("vault rebalancings go through the guardrails and the confirmation before the manager sends", async () => {
+  const { tokens, wallet, api, createClient } = env;
+  const nonce = await wallet.getTransactionCount();
+  const rebalance = options => rebalanceEnzymeVault({
+    client: createClient(),
+    vault: vault.address,
+    targetEntries: [{ tokenAddress: tokens.WETH.address, allocation: 1 }],
+    ...options
+  });
+
+  api.respondOnce("POST /rebalancing/wallet", { patch: { estimatedValueLossInUsd: "1000" } });
+  await assert.rejects(
+    rebalance({ guardrails: { maxCostBps: 100 } }),
+    error => error instanceof GuardrailError && error.field === "costBps"
+  );
+
+  const asked = [];
+  await assert.rejects(
+    rebalance({ confirm: async plan => asked.push(plan) && false }),
+    /not confirmed, nothing was sent/
+  );
+  assert.strictEqual(asked[0].wallet, vault.address);
+  assert.strictEqual(await wallet.getTransactionCount(), nonce, "the manager sent nothing");
+});
+
+test("rebalances all tracked assets of the vault", async () => {
+  const { tokens, createClient } = env;
+  await (await vault.setTrackedAssets([tokens.USDC.address, tokens.GRT.address, tokens.WETH.address])).wait();
+
+  const { receipt } = await rebalanceEnzymeVault({
+    client: createClient(),
+    vault: vault.address,
+    targetEntries: [{ tokenAddress: tokens.USDC.address, allocation: 1 }]
+  });
+
+  assert.strictEqual(receipt.status, 1);
+  assert.ok((await tokens.GRT.balanceOf(vault.address)).isZero());
+  assert.ok((await tokens.WETH.balanceOf(vault.address)).isZero());
+  // 1000 USD of GRT and 2985 USD of WETH, less 1% slippage
+  assert.strictEqual(
+    (await tokens.USDC.balanceOf(vault.address)).toString(),
+    ethers.utils.parseUnits("6945.15", 6).toString()
+  );
+});
+
+test("vault holdings are read in one Multicall3 batch, one call per asset when batching is off", async () => {
+  const { tokens, multicall, other, createClient } = env;
+  await (await vault.setTrackedAssets([tokens.USDC.address, tokens.GRT.address, tokens.WETH.address])).wait();
+  const usdc = (await tokens.USDC.balanceOf(vault.address)).toString();
+
+  const { result: holdings, calls } = await recordCalls(() => getVaultHoldings(createClient(), vault.address));
+  // The rebalance above sold all GRT and WETH, so only USDC is left
+  assert.deepStrictEqual(holdings, [{ tokenAddress: tokens.USDC.address, amount: usdc }]);
+  assert.deepStrictEqual(calls.map(call => call.to), [vault.address, multicall.address]);
+
+  const fallback = createClient({ multicallAddress: false });
+  const { result: single, calls: singleCalls } = await recordCalls(() => getVaultHoldings(fallback, vault.address));
+  assert.deepStrictEqual(single, holdings);
+  assert.deepStrictEqual(singleCalls.map(call => call.to), [vault.address, tokens.USDC.address, tokens.GRT.address, tokens.WETH.address]);
+
+  await (await vault.setTrackedAssets([tokens.USDC.address, other.address])).wait();
+  await assert.rejects(
+    getVaultHoldings(createClient(), vault.address),
+    new RegExp(`Could not read the balance of tracked asset ${other.address} of vault ${vault.address}: .*returned no data`)
+  );
+});
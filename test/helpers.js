@@ -0,0 +1,99 @@
+const ganache = require("ganache");
+const { ethers } = require("ethers");
+const { ThirtyOneThirdClient } = require("../src/client");
+const { NATIVE_TOKEN_ADDRESS } = require("../src/chains");
+const { TokenRegistry } = require("../src/tokens");
+const { MockApi } = require("./mock-api");
+const artifacts = require("./contracts/artifacts.json");
+
+const API_KEY = "test-api-key";
+const ACCOUNT_KEYS = [1, 2, 3].map(index => ethers.utils.hexZeroPad(ethers.utils.hexlify(index), 32));
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+async function deploy(name, signer, ...args) {
+  const { abi, bytecode } = artifacts[name];
+  const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy(...args);
+  await contract.deployed();
+  return contract;
+}
+
+/**
+ * Start a dev chain with chain id 1 (so the "ethereum" registry entry applies), mock tokens,
+ * a MockExchange, a Multicall3 and the mock API pricing those tokens
+ * @returns {Promise<Object>} - { provider, wallet, other, tokens, exchange, multicall, api, createClient, stop }
+ */
+async function startTestEnvironment({ apiOptions = {} } = {}) {
+  const ganacheProvider = ganache.provider({
+    chain: { chainId: 1 },
+    wallet: { accounts: ACCOUNT_KEYS.map(secretKey => ({ secretKey, balance: ethers.utils.parseEther("100").toHexString() })) },
+    logging: { quiet: true }
+  });
+  const provider = new ethers.providers.Web3Provider(ganacheProvider);
+  provider.pollingInterval = 50;
+  const [wallet, other] = ACCOUNT_KEYS.map(key => new ethers.Wallet(key, provider));
+
+  const tokens = {
+    WETH: await deploy("MockWETH", wallet),
+    USDC: await deploy("MockERC20", wallet, "USD Coin", "USDC", 6),
+    GRT: await deploy("MockERC20", wallet, "Graph Token", "GRT", 18)
+  };
+  const exchange = await deploy("MockExchange", wallet);
+  const multicall = await deploy("MockMulticall3", wallet);
+  // Native ETH bought through the exchange is paid out of its own balance
+  await (await wallet.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("10") })).wait();
+
+  const prices = { WETH: 3000, USDC: 1, GRT: 0.1 };
+  const api = new MockApi({
+    tokens: {
+      [NATIVE_TOKEN_ADDRESS]: { symbol: "ETH", decimals: 18, priceUsd: prices.WETH },
+      ...Object.fromEntries(Object.entries(tokens).map(([symbol, token]) => [
+        token.address,
+        { symbol, decimals: symbol === "USDC" ? 6 : 18, priceUsd: prices[symbol] }
+      ]))
+    },
+    exchange: exchange.address,
+    apiKey: API_KEY,
+    ...apiOptions
+  });
+  const baseUrl = await api.listen();
+
+  const createClient = (options = {}) => new ThirtyOneThirdClient({
+    apiKey: API_KEY,
+    chain: "ethereum",
+    baseUrl,
+    signer: wallet,
+    logger: silentLogger,
+    allowedTargets: [exchange.address],
+    requestOptions: { retryBaseDelayMs: 10 },
+    multicallAddress: multicall.address,
+    // Symbols resolve to the mock tokens instead of the mainnet ones
+    tokenRegistry: new TokenRegistry({
+      chain: "ethereum",
+      provider,
+      tokens: Object.fromEntries(Object.entries(tokens).map(([symbol, token]) => [
+        symbol,
+        { address: token.address, decimals: symbol === "USDC" ? 6 : 18 }
+      ]))
+    }),
+    ...options
+  });
+
+  return {
+    provider,
+    wallet,
+    other,
+    tokens,
+    exchange,
+    multicall,
+    api,
+    createClient,
+    deploy: (name, ...args) => deploy(name, wallet, ...args),
+    async stop() {
+      await api.close();
+      await ganacheProvider.disconnect();
+    }
+  };
+}
+
+module.exports = { API_KEY, silentLogger, startTestEnvironment };
@@ -0,0 +1,50 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { execFile } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { JobStore } = require("../src/job-store");
+const { acquireFileLock, withFileLockSync } = require("../src/file-lock");
+
+function tempStorePath() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "31third-store-")), "jobs.json");
+}
+
+// Sets `count` keys of its own in the store, one read-modify-write each
+function writeKeys(filePath, prefix, count) {
+  const script = `
+    const { JobStore } = require(${JSON.stringify(path.resolve(__dirname, "../src/job-store"))});
+    const store = new JobStore(${JSON.stringify(filePath)});
+    for (let i = 0; i < ${count}; i++) store.set("${prefix}-" + i, { i });
+  `;
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ["-e", script], { timeout: 60000 }, error => (error ? reject(error) : resolve()));
+  });
+}
+
+test("processes writing the same store keep each other's entries", async () => {
+  const filePath = tempStorePath();
+
+  await Promise.all(["a", "b", "c"].map(prefix => writeKeys(filePath, prefix, 40)));
+
+  const keys = new JobStore(filePath).entries().map(([key]) => key);
+  assert.strictEqual(keys.length, 120);
+  assert.ok(!fs.existsSync(`${filePath}.lock`), "the lock is released after every write");
+});
+
+test("a store lock held by a live process makes writers wait, one left by a dead process is taken over", () => {
+  const filePath = tempStorePath();
+  const store = new JobStore(filePath);
+
+  const release = acquireFileLock(`${filePath}.lock`);
+  assert.throws(() => withFileLockSync(`${filePath}.lock`, () => {}, { timeoutMs: 50 }), /Timed out waiting for .*held by process/);
+  release();
+
+  // No live process has this pid, so the lock it left behind is stale
+  fs.writeFileSync(`${filePath}.lock`, JSON.stringify({ pid: 2 ** 22 + 1, token: "dead" }));
+  store.set("job", { id: "job-1" });
+  assert.deepStrictEqual(store.get("job"), { id: "job-1" });
+  store.delete("job");
+  assert.strictEqual(store.get("job"), undefined);
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { swapWithThirtyOneThird } = require("../src/single-swap");
+const { TradeJournal, checkJournalTransactions } = require("../src/journal");
+const { startTestEnvironment } = require("./helpers");
+
+let env;
+
+before(async () => {
+  env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+function tempJournal() {
+  return new TradeJournal(path.join(fs.mkdtempSync(path.join(os.tmpdir(), "31third-journal-")), "journal.jsonl"));
+}
+
+test("records the quote, approval, transactions and report of a swap under one run id", async () => {
+  const { tokens, wallet, createClient } = env;
+  await (await tokens.USDC.mint(wallet.address, ethers.utils.parseUnits("30", 6))).wait();
+  const journal = tempJournal();
+
+  const { receipt } = await swapWithThirtyOneThird({
+    client: createClient({ journal }),
+    sellToken: tokens.USDC.address,
+    buyToken: tokens.WETH.address,
+    sellAmount: ethers.utils.parseUnits("30", 6)
+  });
+
+  const records = journal.read();
+  assert.strictEqual(new Set(records.map(record => record.runId)).size, 1);
+  assert.deepStrictEqual(records.map(record => record.type), [
+    "run.started",
+    "quote.requested",
+    "quote.received",
+    "approval",
+    "transaction.submitted",
+    "transaction.confirmed",
+    "transaction.submitted",
+    "transaction.confirmed",
+    "run.completed"
+  ]);
+  assert.strictEqual(records[1].request.sellAmount, "30000000");
+  assert.strictEqual(records[8].report.received, ethers.utils.parseEther("0.0095").toString());
+
+  const [run] = journal.runs();
+  assert.strictEqual(run.kind, "swap");
+  assert.strictEqual(run.status, "completed");
+  assert.deepStrictEqual(run.transactions.map(transaction => [transaction.purpose, transaction.status]), [
+    ["approval", "confirmed"],
+    ["trade", "confirmed"]
+  ]);
+  assert.strictEqual(run.transactions[1].transactionHash, receipt.transactionHash);
+});
+
+test("failed quotes mark the run as failed", async () => {
+  const { tokens, other, createClient } = env;
+  const journal = tempJournal();
+
+  await assert.rejects(swapWithThirtyOneThird({
+    client: createClient({ journal }),
+    sellToken: tokens.USDC.address,
+    buyToken: other.address,
+    sellAmount: 1000000
+  }));
+
+  const [run] = journal.runs();
+  assert.strictEqual(run.status, "failed");
+  assert.strictEqual(run.error.name, "UnsupportedTokenError");
+  assert.strictEqual(run.error.status, 400);
+});
+
+test("transactions left unconfirmed by a crash are checked against the chain", async () => {
+  const { wallet, other } = env;
+  const journal = tempJournal();
+
+  // A run that died after broadcasting, before its receipt was recorded
+  const runId = journal.startRun("swap", { chain: "ethereum" });
+  const txResponse = await wallet.sendTransaction({ to: other.address, value: 1 });
+  journal.record(runId, "transaction.submitted", { hash: txResponse.hash, purpose: "trade", nonce: txResponse.nonce });
+  await txResponse.wait();
+  assert.strictEqual(journal.runs()[0].status, "unconfirmed");
+
+  assert.deepStrictEqual(await checkJournalTransactions(journal, env.provider, { chain: "arbitrum" }), []);
+  const [checked] = await checkJournalTransactions(journal, env.provider, { chain: "ethereum" });
+
+  assert.strictEqual(checked.hash, txResponse.hash);
+  assert.strictEqual(checked.receipt.status, 1);
+  const [run] = journal.runs({ runId });
+  assert.strictEqual(run.status, "confirmed");
+  assert.strictEqual(run.transactions[0].blockNumber, checked.receipt.blockNumber);
+});
@@ -0,0 +1,305 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { ethers } = require("ethers");
+const { BATCH_TRADE_ABI } = require("../../src/calldata");
+const { isNativeToken } = require("../../src/chains");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const PRICE_PRECISION = 1e8;
+const TRADE_TUPLE = "tuple(string exchangeName, address from, uint256 fromAmount, address to, uint256 minToReceiveBeforeFees, bytes data, bytes signature)[]";
+
+const batchTradeInterface = new ethers.utils.Interface(BATCH_TRADE_ABI);
+
+/**
+ * Read a fixture from test/mock-api/fixtures: either an error response ({ status, headers, body })
+ * or a patch merged into the computed response ({ patch })
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), "utf8"));
+}
+
+function toUsd(amount, token) {
+  return Number(ethers.utils.formatUnits(amount, token.decimals)) * token.priceUsd;
+}
+
+/**
+ * Convert an amount between tokens at their USD prices
+ */
+function convert(amount, from, to) {
+  return ethers.BigNumber.from(amount)
+    .mul(Math.round(from.priceUsd * PRICE_PRECISION))
+    .mul(ethers.BigNumber.from(10).pow(to.decimals))
+    .div(Math.round(to.priceUsd * PRICE_PRECISION))
+    .div(ethers.BigNumber.from(10).pow(from.decimals));
+}
+
+function withSlippage(amount, slippageBps) {
+  return amount.mul(10000 - slippageBps).div(10000);
+}
+
+/**
+ * Local stand-in for the 31Third API. Quotes and rebalancings are priced from `tokens` and
+ * settle through `exchange` (see MockExchange in test/contracts), so they can be executed
+ * on a dev chain. Fixtures replace the next response of an endpoint with an error or
+ * patch it, e.g. to add issues.
+ * @param {Object} options
+ * @param {Object} options.tokens - Token metadata by address: { symbol, decimals, priceUsd }
+ * @param {string} options.exchange - Batch trade contract the transactions target
+ * @param {string} [options.adapter] - Enzyme adapter for "enzyme-vault" encoding, defaults to exchange
+ * @param {string} [options.apiKey] - Only this API key is accepted when set
+ * @param {number} [options.pendingPolls=1] - Polls an async rebalancing stays pending
+ */
+class MockApi {
+  constructor({ tokens, exchange, adapter, apiKey, pendingPolls = 1 }) {
+    this.tokens = {};
+    Object.entries(tokens).forEach(([address, token]) => {
+      this.tokens[address.toLowerCase()] = { address: ethers.utils.getAddress(address), ...token };
+    });
+    this.exchange = exchange;
+    this.adapter = adapter || exchange;
+    this.apiKey = apiKey;
+    this.pendingPolls = pendingPolls;
+    this.requests = [];
+    this.jobs = new Map();
+    this._queued = [];
+    this._nextId = 1;
+    this.server = http.createServer((req, res) => this._handle(req, res));
+  }
+
+  /**
+   * Start listening on `port` (0 picks a free one)
+   * @returns {Promise<string>} - Base url to pass to the client
+   */
+  listen(port = 0, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        this.url = `http://${host}:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Answer the next request to `route` ("GET /swap/quote", "POST /rebalancing/wallet")
+   * with a fixture, given by name or as an object; an object's patch may be a function of the response
+   */
+  respondOnce(route, fixture) {
+    this._queued.push({ route, fixture: typeof fixture === "string" ? loadFixture(fixture) : fixture });
+  }
+
+  async _handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const body = await readBody(req);
+    const route = `${req.method} ${url.pathname.replace(/\/rebalancing\/wallet\/[^/]+$/, "/rebalancing/wallet/:id")}`;
+    this.requests.push({ route, method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body, headers: req.headers });
+
+    const index = this._queued.findIndex(queued => queued.route === route);
+    const fixture = index === -1 ? undefined : this._queued.splice(index, 1)[0].fixture;
+    if (fixture && fixture.status) {
+      return send(res, fixture.status, fixture.body, fixture.headers);
+    }
+    if (this.apiKey && req.headers["x-api-key"] !== this.apiKey) {
+      const { status, body: error } = loadFixture("unauthorized");
+      return send(res, status, error);
+    }
+
+    try {
+      let response;
+      if (route === "GET /swap/quote") {
+        response = this._quote(Object.fromEntries(url.searchParams));
+      } else if (route === "POST /rebalancing/wallet") {
+        response = this._rebalancing(body);
+      } else if (route === "GET /rebalancing/wallet/:id") {
+        response = this._job(decodeURIComponent(url.pathname.split("/").pop()));
+      } else {
+        return send(res, 404, { statusCode: 404, message: `Cannot ${route}` });
+      }
+      // A patch function gets the computed response, e.g. to change a nested field
+      const patch = fixture && (typeof fixture.patch === "function" ? fixture.patch(response) : fixture.patch);
+      return send(res, 200, patch ? { ...response, ...patch } : response);
+    } catch (error) {
+      return send(res, error.status || 500, error.body || { statusCode: 500, message: error.message });
+    }
+  }
+
+  _token(address) {
+    const token = address && this.tokens[address.toLowerCase()];
+    if (!token) {
+      throw fixtureError("unsupported-token", `Unsupported token ${address}`);
+    }
+    return token;
+  }
+
+  _quote({ sellToken, buyToken, sellAmount, taker, maxSlippageBps = "500", minExpirySec = "60", encodingType = "basic" }) {
+    const sell = this._token(sellToken);
+    const buy = this._token(buyToken);
+    const buyAmount = convert(sellAmount, sell, buy);
+    if (buyAmount.isZero()) {
+      throw fixtureError("insufficient-liquidity");
+    }
+    const minBuyAmount = withSlippage(buyAmount, Number(maxSlippageBps));
+    const trades = [trade(sell, sellAmount, buy, minBuyAmount)];
+
+    return {
+      sellToken: tokenInfo(sell),
+      buyToken: tokenInfo(buy),
+      sellAmount: sellAmount.toString(),
+      buyAmount: buyAmount.toString(),
+      minBuyAmount: minBuyAmount.toString(),
+      price: (sell.priceUsd / buy.priceUsd).toString(),
+      taker,
+      expiresAt: new Date(Date.now() + (Number(minExpirySec) + 60) * 1000).toISOString(),
+      transaction: this._transaction(trades, encodingType, isNativeToken(sell.address) ? sellAmount : 0)
+    };
+  }
+
+  _rebalancing(request) {
+    const { baseEntries = [], targetEntries = [], maxSlippage = 0.01, failOnMissingPricePair = true, encodingType } = request;
+    const missing = baseEntries.concat(targetEntries)
+      .map(entry => entry.tokenAddress)
+      .filter(address => !this.tokens[address.toLowerCase()]);
+    if (missing.length > 0 && failOnMissingPricePair) {
+      throw fixtureError("insufficient-liquidity", `No price pair for ${missing.join(", ")}`);
+    }
+
+    const priced = entries => entries.filter(entry => this.tokens[entry.tokenAddress.toLowerCase()]);
+    const sells = priced(baseEntries);
+    const targets = priced(targetEntries);
+    const slippageBps = Math.round(maxSlippage * 10000);
+
+    // Each sold token is split over the targets by allocation, the last target gets the rest
+    const trades = [];
+    const apiTrades = [];
+    sells.forEach(entry => {
+      const sell = this._token(entry.tokenAddress);
+      let remaining = ethers.BigNumber.from(entry.amount);
+      targets.forEach((target, index) => {
+        const buy = this._token(target.tokenAddress);
+        const fromAmount = index === targets.length - 1
+          ? remaining
+          : ethers.BigNumber.from(entry.amount).mul(Math.round(target.allocation * 1e6)).div(1e6);
+        remaining = remaining.sub(fromAmount);
+        if (fromAmount.isZero() || sell.address === buy.address) {
+          return;
+        }
+        const buyAmount = convert(fromAmount, sell, buy);
+        const minBuyAmount = withSlippage(buyAmount, slippageBps);
+        trades.push(trade(sell, fromAmount, buy, minBuyAmount));
+        apiTrades.push({
+          sellToken: tokenInfo(sell),
+          sellAmount: fromAmount.toString(),
+          buyToken: tokenInfo(buy),
+          buyAmount: buyAmount.toString(),
+          minBuyAmount: minBuyAmount.toString()
+        });
+      });
+    });
+
+    const sellValue = sells.reduce((total, entry) => total + toUsd(entry.amount, this._token(entry.tokenAddress)), 0);
+    const nativeValue = sells
+      .filter(entry => isNativeToken(entry.tokenAddress))
+      .reduce((total, entry) => total.add(entry.amount), ethers.constants.Zero);
+    const transaction = this._transaction(trades, encodingType, nativeValue);
+    const rebalancing = {
+      id: `rebalancing-${this._nextId++}`,
+      txHandler: transaction.to,
+      txData: transaction.data,
+      txValue: transaction.value,
+      trades: apiTrades,
+      requiredAllowances: sells.filter(entry => !isNativeToken(entry.tokenAddress)).map(entry => ({
+        token: tokenInfo(this._token(entry.tokenAddress)),
+        allowanceTarget: this.exchange,
+        neededAllowance: entry.amount.toString()
+      })),
+      sellValueInUsd: sellValue.toFixed(2),
+      estimatedReceiveValueInUsd: sellValue.toFixed(2),
+      minReceiveValueInUsd: (sellValue * (1 - maxSlippage)).toFixed(2),
+      estimatedValueLossInUsd: "0",
+      estimatedGasFees: "0",
+      expirationTimestamp: Math.floor(Date.now() / 1000) + 300,
+      executable: missing.length === 0,
+      tokensWithoutPricePair: missing
+    };
+
+    if (!request.async) {
+      return rebalancing;
+    }
+    this.jobs.set(rebalancing.id, { rebalancing, polls: 0 });
+    return { id: rebalancing.id, status: "pending" };
+  }
+
+  _job(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw Object.assign(new Error(), { status: 404, body: { statusCode: 404, message: `Rebalancing ${id} not found` } });
+    }
+    job.polls++;
+    return job.polls <= this.pendingPolls
+      ? { id, status: job.polls === 1 ? "pending" : "processing" }
+      : { ...job.rebalancing, status: "completed" };
+  }
+
+  _transaction(trades, encodingType, value = 0) {
+    if (encodingType === "enzyme-vault") {
+      return { to: this.adapter, data: ethers.utils.defaultAbiCoder.encode([TRADE_TUPLE], [trades]), value: "0" };
+    }
+    return {
+      to: this.exchange,
+      data: batchTradeInterface.encodeFunctionData("batchTrade", [trades, [false, true]]),
+      value: value.toString()
+    };
+  }
+}
+
+function trade(sell, fromAmount, buy, minToReceiveBeforeFees) {
+  return ["mock", sell.address, fromAmount, buy.address, minToReceiveBeforeFees, "0x", "0x"];
+}
+
+function tokenInfo({ address, symbol, decimals }) {
+  return { address, symbol, decimals };
+}
+
+function fixtureError(name, message) {
+  const { status, body } = loadFixture(name);
+  return Object.assign(new Error(), { status, body: message ? { ...body, message } : body });
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let data = "";
+    req.on("data", chunk => {
+      data += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : undefined);
+      } catch (error) {
+        resolve(data);
+      }
+    });
+  });
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { MockApi, loadFixture };
+
+// Serve mainnet token fixtures for trying the CLI with API_BASE_URL=http://127.0.0.1:8031
+if (require.main === module) {
+  const api = new MockApi({
+    tokens: loadFixture("tokens"),
+    exchange: process.env.MOCK_EXCHANGE || "0x0000000000000000000000000000000000003131"
+  });
+  api.listen(Number(process.env.MOCK_API_PORT || 8031)).then(url => {
+    console.log(`Mock 31Third API listening on ${url}`);
+  });
+}
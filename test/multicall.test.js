@@ -0,0 +1,91 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { ethers } = require("ethers");
+const { NATIVE_TOKEN_ADDRESS } = require("../src/chains");
+const { startTestEnvironment } = require("./helpers");
+
+let env;
+
+before(async () => {
+  env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+/**
+ * Record the eth_calls made while `run` runs
+ */
+async function recordCalls(run) {
+  const { provider } = env;
+  const calls = [];
+  const call = provider.call;
+  provider.call = (transaction, blockTag) => {
+    calls.push(transaction);
+    return call.call(provider, transaction, blockTag);
+  };
+  try {
+    return { result: await run(), calls };
+  } finally {
+    provider.call = call;
+  }
+}
+
+test("reads balances and unknown metadata in one batch, failing only the broken tokens", async () => {
+  const { tokens, wallet, other, exchange, multicall, deploy, createClient } = env;
+  await (await tokens.USDC.mint(wallet.address, ethers.utils.parseUnits("12.5", 6))).wait();
+  const mkr = await deploy("MockBytes32Token", ethers.utils.formatBytes32String("MKR"));
+  await (await mkr.mint(wallet.address, ethers.utils.parseEther("2"))).wait();
+  const client = createClient();
+  const requested = [tokens.USDC.address, "ETH", mkr.address, exchange.address, other.address];
+
+  const { result: balances, calls } = await recordCalls(() => client.checkBalances(wallet.address, requested));
+
+  assert.deepStrictEqual(calls.map(call => call.to), [multicall.address]);
+  assert.strictEqual(balances[0].formattedBalance, "12.5");
+  assert.strictEqual(balances[1].address, NATIVE_TOKEN_ADDRESS);
+  assert.ok(balances[1].balance.eq(await env.provider.getBalance(wallet.address)));
+  assert.deepStrictEqual([balances[2].symbol, balances[2].formattedBalance], ["MKR", "2.0"]);
+  assert.match(balances[3].error, /balanceOf\(\) on .* reverted/);
+  assert.match(balances[4].error, /returned no data/);
+  assert.strictEqual(client.tokenRegistry.resolve(mkr.address).symbol, "MKR", "metadata read in the batch is cached");
+
+  // Without Multicall3 every read is its own call, with the same results
+  const fallback = createClient({ multicallAddress: false });
+  const { result: single, calls: singleCalls } = await recordCalls(() => fallback.getTokenBalances(requested, wallet.address));
+  assert.ok(singleCalls.length > 1);
+  assert.deepStrictEqual(single.map(entry => entry.formattedBalance), balances.map(entry => entry.formattedBalance));
+  assert.deepStrictEqual(single.map(entry => Boolean(entry.error)), [false, false, false, true, true]);
+});
+
+test("falls back to single reads where Multicall3 is not deployed", async () => {
+  const { tokens, wallet, createClient } = env;
+  const warnings = [];
+  const client = createClient({
+    multicallAddress: undefined,
+    logger: { log() {}, warn: message => warnings.push(message), error() {} }
+  });
+
+  const [balance] = await client.getTokenBalances([tokens.GRT.address], wallet.address);
+  await client.getTokenBalances([tokens.GRT.address], wallet.address);
+
+  assert.ok(balance.balance.eq(await tokens.GRT.balanceOf(wallet.address)));
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /Multicall3 is not deployed at 0xcA11bde05977b3631167028862bE2a173976CA11/);
+});
+
+test("checks all required allowances in one batch and approves only the missing ones", async () => {
+  const { tokens, wallet, exchange, multicall, createClient } = env;
+  await (await tokens.GRT.approve(exchange.address, ethers.utils.parseEther("5"))).wait();
+  const client = createClient();
+  const nonce = await wallet.getTransactionCount();
+
+  const { calls } = await recordCalls(() => client.handleRequiredAllowances([
+    { token: { address: tokens.GRT.address, symbol: "GRT" }, allowanceTarget: exchange.address, neededAllowance: ethers.utils.parseEther("5").toString() },
+    { token: { address: tokens.USDC.address, symbol: "USDC" }, allowanceTarget: exchange.address, neededAllowance: "1000000" },
+    { token: { address: NATIVE_TOKEN_ADDRESS, symbol: "ETH" }, allowanceTarget: exchange.address, neededAllowance: "1" }
+  ]));
+
+  assert.strictEqual(calls[0].to, multicall.address);
+  assert.strictEqual(await wallet.getTransactionCount(), nonce + 1, "only USDC is approved");
+  assert.strictEqual((await tokens.USDC.allowance(wallet.address, exchange.address)).toString(), "1000000");
+});
@@ -0,0 +1,233 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { ethers } = require("ethers");
+const { NonceManager } = require("../src/nonce-manager");
+const { exportUnsignedTransactions } = require("../src/offline");
+const { NonceError, TransactionUnderpricedError } = require("../src/errors");
+const { startTestEnvironment } = require("./helpers");
+
+let env;
+
+before(async () => {
+  env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+/**
+ * Signer and provider stand-ins whose chain state the test sets directly
+ */
+function fakeChain({ count = 7, blockNumber = 100 } = {}) {
+  const chain = { count, blockNumber, reads: 0, receipts: {}, sent: [], feeData: { maxFeePerGas: 0, maxPriorityFeePerGas: 0 } };
+  const provider = {
+    getTransactionCount: async () => {
+      chain.reads++;
+      return chain.count;
+    },
+    getBlockNumber: async () => chain.blockNumber,
+    getTransactionReceipt: async hash => chain.receipts[hash] || null,
+    getFeeData: async () => chain.feeData
+  };
+  const signer = {
+    getAddress: async () => "0x000000000000000000000000000000000000dEaD",
+    sendTransaction: async transaction => {
+      chain.sent.push(transaction);
+      return { hash: `0xreplacement${chain.sent.length}` };
+    }
+  };
+  const events = [];
+  const manager = new NonceManager({
+    signer,
+    provider,
+    logger: { log() {}, warn() {}, error() {} },
+    onEvent: (name, data) => events.push({ name, ...data })
+  });
+  return { chain, manager, events };
+}
+
+function trackedTransaction(nonce, fees = {}) {
+  return {
+    nonce,
+    chainId: 1,
+    type: 2,
+    to: "0x000000000000000000000000000000000000bEEF",
+    maxFeePerGas: ethers.BigNumber.from(100),
+    maxPriorityFeePerGas: ethers.BigNumber.from(10),
+    ...fees
+  };
+}
+
+test("concurrent callers get consecutive nonces from a single read", async () => {
+  const { chain, manager } = fakeChain();
+
+  const nonces = await Promise.all([manager.next(), manager.next(), manager.next()]);
+
+  assert.deepStrictEqual(nonces, [7, 8, 9]);
+  assert.strictEqual(chain.reads, 1);
+});
+
+test("a released nonce is handed out again, or the node is asked when a later one is out", async () => {
+  const { chain, manager } = fakeChain();
+  await manager.next();
+  const last = await manager.next();
+
+  manager.release(last);
+  assert.strictEqual(await manager.next(), last);
+  assert.strictEqual(chain.reads, 1);
+
+  // 7 was never sent but 8 is out: the pending nonce from the node decides
+  manager.release(7);
+  chain.count = 8;
+  assert.strictEqual(await manager.next(), 8);
+  assert.strictEqual(chain.reads, 2);
+
+  manager.reset();
+  chain.count = 12;
+  assert.strictEqual(await manager.next(), 12);
+});
+
+test("only transactions unmined for stuckAfterBlocks count as stuck", async () => {
+  const { chain, manager } = fakeChain();
+  await manager.track({ hash: "0xmined" }, trackedTransaction(1));
+  await manager.track({ hash: "0xstuck" }, trackedTransaction(2));
+  chain.blockNumber = 101;
+  await manager.track({ hash: "0xrecent" }, trackedTransaction(3));
+  chain.receipts["0xmined"] = { status: 1 };
+
+  chain.blockNumber = 103;
+  const stuck = await manager.getStuckTransactions(3);
+
+  assert.deepStrictEqual(stuck.map(entry => entry.hash), ["0xstuck"]);
+  assert.deepStrictEqual([...manager.pending.keys()], [2, 3], "the mined one is no longer tracked");
+});
+
+test("speed-ups bump the fees by at least 10% and never go under the network's", async () => {
+  const { chain, manager, events } = fakeChain();
+  await manager.track({ hash: "0xslow" }, trackedTransaction(4));
+
+  await manager.speedUp(4, { bumpPercent: 5 });
+  assert.strictEqual(chain.sent[0].nonce, 4);
+  assert.strictEqual(chain.sent[0].maxFeePerGas.toString(), "111");
+  assert.strictEqual(chain.sent[0].maxPriorityFeePerGas.toString(), "12");
+
+  chain.feeData = { maxFeePerGas: ethers.BigNumber.from(500), maxPriorityFeePerGas: ethers.BigNumber.from(50) };
+  await manager.speedUp(4);
+  assert.strictEqual(chain.sent[1].maxFeePerGas.toString(), "500");
+  assert.strictEqual(chain.sent[1].maxPriorityFeePerGas.toString(), "50");
+
+  assert.strictEqual(manager.pending.get(4).hash, "0xreplacement2");
+  assert.deepStrictEqual(events.map(event => [event.hash, event.replacementHash, event.cancelled]), [
+    ["0xslow", "0xreplacement1", false],
+    ["0xreplacement1", "0xreplacement2", false]
+  ]);
+});
+
+test("replacements keep to the sender's fee caps, or are refused when the smallest bump is above them", async () => {
+  const { chain, manager } = fakeChain();
+  await manager.track({ hash: "0xslow" }, trackedTransaction(4));
+  chain.feeData = { maxFeePerGas: ethers.BigNumber.from(500), maxPriorityFeePerGas: ethers.BigNumber.from(50) };
+
+  await manager.speedUp(4, { maxFeePerGasCap: 200, maxPriorityFeePerGasCap: 20 });
+  assert.strictEqual(chain.sent[0].maxFeePerGas.toString(), "200");
+  assert.strictEqual(chain.sent[0].maxPriorityFeePerGas.toString(), "20");
+
+  // The next bump needs a max fee of 231, so a cap of 200 can't replace it again
+  await assert.rejects(
+    manager.cancel(4, { maxFeePerGasCap: 200 }),
+    error => error instanceof TransactionUnderpricedError && /needs a max fee of at least .* above the cap/.test(error.message)
+  );
+  await assert.rejects(manager.speedUp(4, { maxFeePerGasCap: 1000, maxPriorityFeePerGasCap: 20 }), /needs a priority fee of at least/);
+  assert.strictEqual(chain.sent.length, 1, "nothing was sent for the refused replacements");
+
+  const legacy = fakeChain();
+  await legacy.manager.track({ hash: "0xlegacy" }, { nonce: 5, chainId: 1, type: 0, gasPrice: ethers.BigNumber.from(100) });
+  legacy.chain.feeData = { gasPrice: ethers.BigNumber.from(400) };
+  await legacy.manager.handleStuckTransactions({ stuckAfterBlocks: 0, maxFeePerGasCap: 150 });
+  assert.strictEqual(legacy.chain.sent[0].gasPrice.toString(), "150");
+});
+
+test("a cancellation is an empty transfer to ourselves with the stuck nonce", async () => {
+  const { chain, manager, events } = fakeChain();
+  await manager.track({ hash: "0xunwanted" }, trackedTransaction(5, { value: ethers.BigNumber.from(1000), data: "0x1234" }));
+  chain.blockNumber = 110;
+
+  await manager.handleStuckTransactions({ stuckAfterBlocks: 5, action: "cancel" });
+
+  const [cancellation] = chain.sent;
+  assert.strictEqual(cancellation.nonce, 5);
+  assert.strictEqual(cancellation.to, "0x000000000000000000000000000000000000dEaD");
+  assert.ok(cancellation.value.isZero());
+  assert.strictEqual(cancellation.data, "0x");
+  assert.strictEqual(cancellation.gasLimit.toString(), "21000");
+  assert.strictEqual(events[0].cancelled, true);
+  await assert.rejects(manager.speedUp(6), /No pending transaction tracked for nonce 6/);
+});
+
+/**
+ * Send with automatic mining off and empty blocks mined every 100ms, so a transaction priced
+ * under the base fee stays in the pool while blocks go by. The cap is raised once it is sent,
+ * so replacements may pay the base fee.
+ */
+async function sendUnderpriced(client, transaction) {
+  const { provider } = env;
+  const { baseFeePerGas } = await provider.getBlock("latest");
+  client.sender.maxFeePerGasCap = baseFeePerGas.div(10);
+  const submitted = [];
+  const onSubmitted = ({ hash }) => {
+    submitted.push(hash);
+    client.sender.maxFeePerGasCap = baseFeePerGas.mul(4);
+  };
+
+  await provider.send("miner_stop", []);
+  const miner = setInterval(() => provider.send("evm_mine", []).catch(() => {}), 100);
+  try {
+    const receipt = await client.sendTransaction(transaction, { onSubmitted });
+    return { receipt, submitted };
+  } finally {
+    clearInterval(miner);
+    await provider.send("miner_start", []);
+  }
+}
+
+test("the sender speeds up a transaction that is stuck while it waits", async () => {
+  const { other, createClient } = env;
+  const client = createClient({ transactionOptions: { stuckAfterBlocks: 2 } });
+  const balance = await other.getBalance();
+
+  const { receipt, submitted } = await sendUnderpriced(client, { to: other.address, value: 1000 });
+
+  assert.strictEqual(receipt.status, 1);
+  assert.strictEqual(submitted.length, 1);
+  assert.notStrictEqual(receipt.transactionHash, submitted[0], "the repriced replacement was mined");
+  assert.strictEqual((await other.getBalance()).sub(balance).toString(), "1000");
+  assert.strictEqual(client.nonceManager.pending.size, 0);
+});
+
+test("the sender cancels a stuck transaction when asked to", async () => {
+  const { wallet, other, createClient } = env;
+  const client = createClient({ transactionOptions: { stuckAfterBlocks: 2, stuckAction: "cancel" } });
+  const balance = await other.getBalance();
+  const nonce = await wallet.getTransactionCount();
+
+  await assert.rejects(sendUnderpriced(client, { to: other.address, value: 1000 }), NonceError);
+
+  assert.ok((await other.getBalance()).eq(balance), "the transfer never happened");
+  assert.strictEqual(await wallet.getTransactionCount(), nonce + 1, "the nonce went to the cancellation");
+});
+
+test("unsigned exports leave the nonce manager's nonces free", async () => {
+  const { wallet, other, createClient } = env;
+  const client = createClient();
+  const nonce = await wallet.getTransactionCount();
+
+  const file = await exportUnsignedTransactions(client, [
+    { to: other.address, value: 1, description: "first" },
+    { to: other.address, value: 2, description: "second" }
+  ]);
+  assert.deepStrictEqual(file.transactions.map(entry => entry.transaction.nonce), [nonce, nonce + 1]);
+
+  const receipt = await client.sendTransaction({ to: other.address, value: 3 });
+  const sent = await env.provider.getTransaction(receipt.transactionHash);
+  assert.strictEqual(sent.nonce, nonce);
+  assert.strictEqual(ethers.BigNumber.from(sent.value).toString(), "3");
+});
@@ -0,0 +1,96 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { ethers } = require("ethers");
+const { validateWeights, computeRebalance } = require("../src/portfolio");
+
+const WETH = "0x00000000000000000000000000000000000000e1";
+const USDC = "0x00000000000000000000000000000000000000c1";
+const GRT = "0x00000000000000000000000000000000000000a1";
+const WALLET = "0x000000000000000000000000000000000000dEaD";
+
+const TOKENS = {
+  [WETH]: { symbol: "WETH", decimals: 18, priceUsd: 3000 },
+  [USDC]: { symbol: "USDC", decimals: 6, priceUsd: 1 },
+  [GRT]: { symbol: "GRT", decimals: 18, priceUsd: 0.1 }
+};
+
+/**
+ * Client stand-in holding `balances` (token → amount in whole tokens), valued at TOKENS' prices
+ */
+function fakeClient(balances) {
+  return {
+    tokenRegistry: { resolve: () => ({ address: USDC, ...TOKENS[USDC] }) },
+    getTokenBalances: async addresses => addresses.map(address => {
+      const { symbol, decimals } = TOKENS[address];
+      const formattedBalance = String(balances[address] || 0);
+      return { address, symbol, decimals, formattedBalance, balance: ethers.utils.parseUnits(formattedBalance, decimals) };
+    })
+  };
+}
+
+function rebalance(balances, targets, options = {}) {
+  return computeRebalance(fakeClient(balances), {
+    wallet: WALLET,
+    targets: Object.entries(targets).map(([tokenAddress, weight]) => ({ tokenAddress, weight })),
+    getValue: async holding => Number(holding.formattedBalance) * TOKENS[holding.address].priceUsd,
+    ...options
+  });
+}
+
+test("weights must be numbers between 0 and 1 that sum to 1", () => {
+  assert.doesNotThrow(() => validateWeights([{ tokenAddress: WETH, weight: 0.6 }, { tokenAddress: USDC, weight: 0.4 }]));
+  assert.doesNotThrow(() => validateWeights([{ tokenAddress: WETH, weight: 1 / 3 }, { tokenAddress: USDC, weight: 2 / 3 }]));
+
+  assert.throws(() => validateWeights([]), /allocation is empty/);
+  assert.throws(() => validateWeights([{ tokenAddress: WETH, weight: 0.6 }, { tokenAddress: USDC, weight: 0.3 }]), /must sum to 1, got 0.8999/);
+  assert.throws(() => validateWeights([{ tokenAddress: WETH, weight: 1.2 }, { tokenAddress: USDC, weight: -0.2 }]), /Weight of 0x0*e1 must be between 0 and 1, got 1.2/);
+  assert.throws(() => validateWeights([{ tokenAddress: USDC, weight: NaN }]), /must be between 0 and 1, got NaN/);
+});
+
+test("overweight tokens sell their excess and underweight ones split the proceeds by shortfall", async () => {
+  // 6000 USD of WETH, 1500 of USDC and 500 of GRT against 50/30/20
+  const plan = await rebalance({ [WETH]: 2, [USDC]: 1500, [GRT]: 5000 }, { [WETH]: 0.5, [USDC]: 0.3, [GRT]: 0.2 });
+
+  assert.strictEqual(plan.totalValue, 8000);
+  assert.strictEqual(plan.drift, 0.25);
+  assert.strictEqual(plan.needsRebalance, true);
+  // A third of the WETH (2000 USD) brings it to 50%
+  assert.deepStrictEqual(plan.baseEntries, [{ tokenAddress: WETH, amount: ethers.utils.parseEther("0.666666").toString() }]);
+  // USDC is 900 USD short and GRT 1100 USD
+  assert.deepStrictEqual(plan.targetEntries.map(entry => entry.tokenAddress), [USDC, GRT]);
+  assert.ok(Math.abs(plan.targetEntries[0].allocation - 0.45) < 1e-9);
+  assert.ok(Math.abs(plan.targetEntries[1].allocation - 0.55) < 1e-9);
+});
+
+test("a zero weight sells the whole balance, and wallets without the target tokens are refused", async () => {
+  // 3000 USD of WETH and 1000 of GRT against 50% WETH and 50% USDC
+  const plan = await rebalance({ [WETH]: 1, [GRT]: 10000 }, { [WETH]: 0.5, [USDC]: 0.5, [GRT]: 0 });
+
+  assert.deepStrictEqual(plan.baseEntries, [
+    { tokenAddress: WETH, amount: ethers.utils.parseEther("0.333333").toString() },
+    { tokenAddress: GRT, amount: ethers.utils.parseEther("10000").toString() }
+  ]);
+  assert.deepStrictEqual(plan.targetEntries, [{ tokenAddress: USDC, allocation: 1 }]);
+
+  await assert.rejects(rebalance({}, { [WETH]: 0.5, [USDC]: 0.5 }), /holds none of the target tokens/);
+  await assert.rejects(rebalance({ [WETH]: 1 }, { [WETH]: 0.5, [USDC]: 0.6 }), /must sum to 1/);
+});
+
+test("only drift above the threshold needs a rebalance", async () => {
+  // 5080 USD of WETH against 4920 of USDC: 0.8% off a 50/50 target
+  const balances = { [WETH]: 5080 / 3000, [USDC]: 4920 };
+  const targets = { [WETH]: 0.5, [USDC]: 0.5 };
+
+  const loose = await rebalance(balances, targets);
+  assert.ok(Math.abs(loose.drift - 0.008) < 1e-6);
+  assert.strictEqual(loose.driftThreshold, 0.01);
+  assert.strictEqual(loose.needsRebalance, false, "within the 1% default");
+  assert.strictEqual(loose.baseEntries.length, 1, "the entries are still worked out");
+
+  assert.strictEqual((await rebalance(balances, targets, { driftThreshold: 0.005 })).needsRebalance, true);
+  assert.strictEqual((await rebalance(balances, targets, { driftThreshold: 0.008 + 1e-6 })).needsRebalance, false);
+
+  const balanced = await rebalance({ [WETH]: 1, [USDC]: 3000 }, targets, { driftThreshold: 0 });
+  assert.strictEqual(balanced.drift, 0);
+  assert.strictEqual(balanced.needsRebalance, false, "nothing to trade even with a zero threshold");
+});
@@ -0,0 +1,165 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+  parseSchedule,
+  nextScheduledRun,
+  readPortfolioSchedules,
+  runScheduledRebalance,
+  scheduleStatus
+} = require("../src/rebalance-schedule");
+const { JobStore } = require("../src/job-store");
+const { run } = require("../src/cli");
+const { startTestEnvironment } = require("./helpers");
+
+let env;
+
+before(async () => {
+  env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "31third-schedule-"));
+}
+
+function writePortfolios(dir, portfolios) {
+  const file = path.join(dir, "portfolios.json");
+  fs.writeFileSync(file, JSON.stringify({ portfolios }));
+  return file;
+}
+
+function rebalancingRequests() {
+  return env.api.requests.filter(request => request.route === "POST /rebalancing/wallet");
+}
+
+test("schedules come due on the next matching minute in local time", () => {
+  // Wednesday 14 October 2026, 12:30
+  const wednesday = new Date(2026, 9, 14, 12, 30, 20);
+
+  assert.deepStrictEqual(nextScheduledRun("0 9 * * 1", wednesday), new Date(2026, 9, 19, 9, 0));
+  assert.deepStrictEqual(nextScheduledRun("*/15 * * * *", wednesday), new Date(2026, 9, 14, 12, 45));
+  assert.deepStrictEqual(nextScheduledRun("0 0 31 * *", wednesday), new Date(2026, 9, 31, 0, 0));
+  assert.deepStrictEqual(nextScheduledRun("@monthly", wednesday), new Date(2026, 10, 1, 0, 0));
+  // A restricted day of month and day of week match when either does, 7 is Sunday
+  assert.deepStrictEqual(nextScheduledRun("0 8 1 * 7", wednesday), new Date(2026, 9, 18, 8, 0));
+  assert.deepStrictEqual(nextScheduledRun("30 12 * * *", wednesday), new Date(2026, 9, 15, 12, 30));
+
+  assert.throws(() => parseSchedule("0 9 * *"), /must have 5 fields/);
+  assert.throws(() => parseSchedule("0 24 * * *"), /Invalid hour "24"/);
+  assert.throws(() => nextScheduledRun("0 0 31 2 *", wednesday), /never comes due/);
+});
+
+test("portfolio files are checked before the daemon starts", () => {
+  const dir = tempDir();
+  const portfolio = { name: "core", schedule: "0 9 * * 1", targets: { GRT: 0.5, USDC: 0.5 } };
+
+  const [read] = readPortfolioSchedules(writePortfolios(dir, [portfolio]));
+  assert.strictEqual(read.cron.expression, "0 9 * * 1");
+  assert.throws(() => readPortfolioSchedules(writePortfolios(dir, [portfolio, portfolio])), /"core" is used twice/);
+  assert.throws(
+    () => readPortfolioSchedules(writePortfolios(dir, [{ ...portfolio, targets: { GRT: 0.5, USDC: 0.6 } }])),
+    /must sum to 1/
+  );
+  assert.throws(() => readPortfolioSchedules(writePortfolios(dir, [{ ...portfolio, schedule: "weekly" }])), /5 fields/);
+});
+
+test("skips runs within maxDeviationFromTarget and rebalances drifted wallets", async () => {
+  const { tokens, wallet, createClient } = env;
+  const dir = tempDir();
+  const jobStore = new JobStore(path.join(dir, "jobs.json"));
+  const [portfolio] = readPortfolioSchedules(writePortfolios(dir, [
+    { name: "core", schedule: "0 9 * * 1", targets: { GRT: 0.5, USDC: 0.5 }, maxDeviationFromTarget: 0.05 }
+  ]));
+  // 100 USD each
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("1000"))).wait();
+  await (await tokens.USDC.mint(wallet.address, ethers.utils.parseUnits("100", 6))).wait();
+  const requests = rebalancingRequests().length;
+
+  const skipped = await runScheduledRebalance(portfolio, { client: createClient(), jobStore });
+  assert.strictEqual(skipped.outcome, "skipped");
+  assert.strictEqual(skipped.drift, 0);
+  assert.strictEqual(rebalancingRequests().length, requests, "nothing is requested");
+
+  // 200 USD of GRT against 100 USD of USDC
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("1000"))).wait();
+  const rebalanced = await runScheduledRebalance(portfolio, { client: createClient(), jobStore });
+  assert.strictEqual(rebalanced.outcome, "rebalanced", rebalanced.error);
+  assert.ok(Math.abs(rebalanced.drift - 1 / 6) < 1e-9);
+  assert.ok(rebalanced.transactionHash);
+  const [request] = rebalancingRequests().slice(requests);
+  assert.strictEqual(request.body.maxDeviationFromTarget, 0.05);
+
+  const [status] = scheduleStatus([portfolio], { jobStore, now: new Date(2026, 9, 14, 12, 0) });
+  assert.strictEqual(status.lastRun.outcome, "rebalanced");
+  assert.strictEqual(status.nextRun, new Date(2026, 9, 19, 9, 0).toISOString());
+  assert.deepStrictEqual(status.history.map(run => run.outcome), ["skipped", "rebalanced"]);
+  assert.strictEqual(status.running, undefined);
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, "locks")), [], "the wallet lock is released");
+});
+
+test("an unset maxDeviationFromTarget is one tolerance for skipping and for the API", async () => {
+  const { tokens, wallet, provider, createClient } = env;
+  const dir = tempDir();
+  const owner = ethers.Wallet.createRandom().connect(provider);
+  await (await wallet.sendTransaction({ to: owner.address, value: ethers.utils.parseEther("1") })).wait();
+  const [portfolio] = readPortfolioSchedules(writePortfolios(dir, [
+    { name: "loose", schedule: "@daily", targets: { GRT: 0.5, USDC: 0.5 }, dryRun: true }
+  ]));
+  // 103 USD of GRT against 100 USD of USDC, 0.74% off target: above the 0.5% default
+  await (await tokens.GRT.mint(owner.address, ethers.utils.parseEther("1030"))).wait();
+  await (await tokens.USDC.mint(owner.address, ethers.utils.parseUnits("100", 6))).wait();
+  const requests = rebalancingRequests().length;
+
+  const result = await runScheduledRebalance(portfolio, {
+    client: createClient({ signer: owner }),
+    jobStore: new JobStore(path.join(dir, "jobs.json"))
+  });
+
+  assert.strictEqual(result.outcome, "simulated", result.error);
+  const [request] = rebalancingRequests().slice(requests);
+  assert.strictEqual(request.body.maxDeviationFromTarget, 0.005);
+});
+
+test("never runs two rebalancings of the same wallet at once", async () => {
+  const { wallet, createClient } = env;
+  const dir = tempDir();
+  const jobStore = new JobStore(path.join(dir, "jobs.json"));
+  const portfolios = readPortfolioSchedules(writePortfolios(dir, [
+    { name: "core", schedule: "@daily", targets: { GRT: 0.5, USDC: 0.5 }, maxDeviationFromTarget: 0.5 },
+    { name: "stable", schedule: "@weekly", targets: { USDC: 1 }, maxDeviationFromTarget: 0.5 }
+  ]));
+  const lockFile = path.join(dir, "locks", `1-${wallet.address.toLowerCase()}.lock`);
+  fs.mkdirSync(path.dirname(lockFile));
+
+  // Held by a running process, here this one
+  fs.writeFileSync(lockFile, JSON.stringify({ portfolio: "core", pid: process.pid, startedAt: new Date().toISOString() }));
+  const locked = await runScheduledRebalance(portfolios[1], { client: createClient(), jobStore });
+  assert.strictEqual(locked.outcome, "locked");
+  const status = scheduleStatus(portfolios, { jobStore });
+  assert.strictEqual(status[0].running.portfolio, "core");
+  assert.strictEqual(status[1].running, undefined);
+  assert.strictEqual(status[1].lastRun.outcome, "locked");
+
+  // A plain rebalance from the command line takes the same lock
+  const requests = rebalancingRequests().length;
+  process.env.JOB_STORE_PATH = jobStore.filePath;
+  try {
+    const code = await run(["rebalance", "--base", "GRT:1", "--target", "USDC:1", "--yes"], { createClient: () => createClient() });
+    assert.strictEqual(code, 1);
+  } finally {
+    delete process.env.JOB_STORE_PATH;
+  }
+  assert.strictEqual(rebalancingRequests().length, requests, "nothing is requested while the wallet is locked");
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(lockFile)), [path.basename(lockFile)]);
+
+  // Left behind by a process that is gone
+  fs.writeFileSync(lockFile, JSON.stringify({ portfolio: "core", pid: 4194303, startedAt: new Date().toISOString() }));
+  const takenOver = await runScheduledRebalance(portfolios[1], { client: createClient(), jobStore });
+  assert.strictEqual(takenOver.outcome, "skipped");
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(lockFile)), [], "nothing is left of the stale lock");
+});
@@ -0,0 +1,208 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { executeWalletRebalancing } = require("../src/basket-swap");
+const { JobStore } = require("../src/job-store");
+const { requestRebalancingJob } = require("../src/rebalancing-job");
+const { InsufficientLiquidityError, RateLimitError, ServerError } = require("../src/errors");
+const { startTestEnvironment } = require("./helpers");
+
+let env;
+
+before(async () => {
+  env = await startTestEnvironment({ apiOptions: { pendingPolls: 2 } });
+});
+
+after(() => env.stop());
+
+function tempJobStore() {
+  return new JobStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), "31third-jobs-")), "jobs.json"));
+}
+
+test("rebalances the wallet after setting the required allowances", async () => {
+  const { tokens, wallet, exchange, createClient } = env;
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("1000"))).wait();
+
+  const { receipt, report } = await executeWalletRebalancing({
+    client: createClient(),
+    baseEntries: [{ tokenAddress: tokens.GRT.address, amount: ethers.utils.parseEther("1000").toString() }],
+    targetEntries: [
+      { tokenAddress: tokens.WETH.address, allocation: 0.6 },
+      { tokenAddress: tokens.USDC.address, allocation: 0.4 }
+    ]
+  });
+
+  assert.strictEqual(receipt.status, 1);
+  assert.ok((await tokens.GRT.balanceOf(wallet.address)).isZero());
+  assert.ok((await tokens.GRT.allowance(wallet.address, exchange.address)).isZero());
+  // 60 USD of WETH and 40 USD of USDC, less 1% slippage
+  assert.strictEqual((await tokens.WETH.balanceOf(wallet.address)).toString(), ethers.utils.parseEther("0.0198").toString());
+  assert.strictEqual((await tokens.USDC.balanceOf(wallet.address)).toString(), ethers.utils.parseUnits("39.6", 6).toString());
+
+  assert.strictEqual(report.type, "rebalancing");
+  assert.strictEqual(report.slippageBps, 100);
+  assert.strictEqual(report.receivedValueInUsd.toFixed(2), "99.00");
+  assert.strictEqual(report.belowMinimum, false);
+  assert.deepStrictEqual(report.tokens.map(entry => entry.symbol), ["GRT", "WETH", "USDC"]);
+});
+
+test("missing price pairs fail the request or are reported", async () => {
+  const { tokens, other, createClient } = env;
+  const request = {
+    signer: env.wallet.address,
+    wallet: env.wallet.address,
+    baseEntries: [{ tokenAddress: other.address, amount: "1" }, { tokenAddress: tokens.USDC.address, amount: "1000000" }],
+    targetEntries: [{ tokenAddress: tokens.WETH.address, allocation: 1 }]
+  };
+
+  await assert.rejects(createClient().requestWalletRebalancing(request), InsufficientLiquidityError);
+
+  const rebalancing = await createClient().requestWalletRebalancing({ ...request, failOnMissingPricePair: false });
+  assert.deepStrictEqual(rebalancing.tokensWithoutPricePair, [other.address]);
+  assert.strictEqual(rebalancing.executable, false);
+  assert.strictEqual(rebalancing.trades.length, 1);
+});
+
+test("rebalancing requests are only retried on rate limits", async () => {
+  const { tokens, api, createClient } = env;
+  const request = {
+    signer: env.wallet.address,
+    wallet: env.wallet.address,
+    baseEntries: [{ tokenAddress: tokens.USDC.address, amount: "1000000" }],
+    targetEntries: [{ tokenAddress: tokens.WETH.address, allocation: 1 }]
+  };
+
+  api.respondOnce("POST /rebalancing/wallet", { status: 429, headers: { "retry-after": "0" }, body: { message: "Too many requests" } });
+  assert.ok((await createClient().requestWalletRebalancing(request)).txData);
+
+  api.respondOnce("POST /rebalancing/wallet", "server-error");
+  const before = api.requests.length;
+  await assert.rejects(createClient().requestWalletRebalancing(request), error => error.status === 503);
+  assert.strictEqual(api.requests.length - before, 1);
+
+  api.respondOnce("POST /rebalancing/wallet", "rate-limited");
+  await assert.rejects(
+    createClient({ requestOptions: { retries: 0 } }).requestWalletRebalancing(request),
+    error => error instanceof RateLimitError && error.retryAfterMs === 1000
+  );
+});
+
+test("async rebalancing jobs report progress and are resumed after a crash", async () => {
+  const { tokens, wallet, api, createClient } = env;
+  await (await tokens.USDC.mint(wallet.address, ethers.utils.parseUnits("30", 6))).wait();
+  const jobStore = tempJobStore();
+  const options = {
+    baseEntries: [{ tokenAddress: tokens.USDC.address, amount: ethers.utils.parseUnits("30", 6).toString() }],
+    targetEntries: [{ tokenAddress: tokens.WETH.address, allocation: 1 }],
+    async: true,
+    jobStore,
+    pollOptions: { initialDelayMs: 10 }
+  };
+
+  // A dry run leaves the job in the store, like a process that died before sending
+  const statuses = [];
+  const dryRun = await executeWalletRebalancing({
+    ...options,
+    client: createClient(),
+    dryRun: true,
+    onProgress: ({ status }) => statuses.push(status)
+  });
+  assert.deepStrictEqual(statuses, ["pending", "processing", "completed"]);
+  assert.deepStrictEqual(jobStore.entries().map(([, job]) => job.id), [dryRun.rebalancing.id]);
+
+  const posts = api.requests.filter(request => request.route === "POST /rebalancing/wallet").length;
+  const wethBefore = await tokens.WETH.balanceOf(wallet.address);
+  const { receipt } = await executeWalletRebalancing({ ...options, client: createClient() });
+
+  assert.strictEqual(receipt.status, 1);
+  assert.strictEqual(api.requests.filter(request => request.route === "POST /rebalancing/wallet").length, posts);
+  assert.strictEqual(jobStore.entries().length, 0);
+  assert.strictEqual(
+    (await tokens.WETH.balanceOf(wallet.address)).sub(wethBefore).toString(),
+    ethers.utils.parseEther("0.0099").toString()
+  );
+});
+
+test("resumed jobs are only replaced when the API fails or expires them", async () => {
+  const { tokens, wallet, api, createClient } = env;
+  const jobStore = tempJobStore();
+  const request = {
+    signer: wallet.address,
+    wallet: wallet.address,
+    baseEntries: [{ tokenAddress: tokens.USDC.address, amount: ethers.utils.parseUnits("10", 6).toString() }],
+    targetEntries: [{ tokenAddress: tokens.WETH.address, allocation: 1 }],
+    batchTrade: true
+  };
+  const job = (options = {}) => requestRebalancingJob(options.client || createClient(), request, {
+    jobStore,
+    initialDelayMs: 10
+  });
+  const posts = () => api.requests.filter(entry => entry.route === "POST /rebalancing/wallet").length;
+  const savedId = () => jobStore.entries()[0][1].id;
+
+  const { id } = await job();
+  assert.strictEqual(savedId(), id);
+
+  // A transport error says nothing about the job, so it is kept for the next run
+  let before = posts();
+  api.respondOnce("GET /rebalancing/wallet/:id", "server-error");
+  await assert.rejects(job({ client: createClient({ requestOptions: { retries: 0 } }) }), ServerError);
+  assert.strictEqual(posts(), before);
+  assert.strictEqual(savedId(), id);
+  assert.strictEqual((await job()).id, id);
+
+  // A failed job is replaced by a new one
+  api.respondOnce("GET /rebalancing/wallet/:id", { patch: { status: "failed", error: "no route" } });
+  const replaced = await job();
+  assert.notStrictEqual(replaced.id, id);
+  assert.strictEqual(posts(), before + 1);
+  assert.strictEqual(savedId(), replaced.id);
+
+  // So is one whose result has expired
+  before = posts();
+  api.respondOnce("GET /rebalancing/wallet/:id", { patch: { expirationTimestamp: Math.floor(Date.now() / 1000) - 60 } });
+  const renewed = await job();
+  assert.notStrictEqual(renewed.id, replaced.id);
+  assert.strictEqual(posts(), before + 1);
+  assert.strictEqual(savedId(), renewed.id);
+});
+
+test("a job whose trade was sent before the process stopped is not sent again", async () => {
+  const { tokens, wallet, createClient } = env;
+  await (await tokens.USDC.mint(wallet.address, ethers.utils.parseUnits("20", 6))).wait();
+  const jobStore = tempJobStore();
+  const options = {
+    baseEntries: [{ tokenAddress: tokens.USDC.address, amount: ethers.utils.parseUnits("20", 6).toString() }],
+    targetEntries: [{ tokenAddress: tokens.WETH.address, allocation: 1 }],
+    async: true,
+    jobStore,
+    pollOptions: { initialDelayMs: 10 }
+  };
+
+  // The trade is broadcast, then the process stops before its receipt
+  const client = createClient();
+  const { waitForTransaction } = client.sender;
+  client.sender.waitForTransaction = async (txResponse, transaction, sendOptions) => {
+    if (sendOptions.purpose === "trade") {
+      throw new Error("process stopped");
+    }
+    return waitForTransaction.call(client.sender, txResponse, transaction, sendOptions);
+  };
+  await assert.rejects(executeWalletRebalancing({ ...options, client }), /process stopped/);
+  const [[, saved]] = jobStore.entries();
+  assert.ok(saved.submitted.transactionHash);
+  assert.strictEqual(saved.submitted.nonce, (await wallet.getTransactionCount()) - 1);
+
+  const nonce = await wallet.getTransactionCount();
+  const wethBefore = await tokens.WETH.balanceOf(wallet.address);
+  const result = await executeWalletRebalancing({ ...options, client: createClient() });
+
+  assert.strictEqual(result.resumed, true);
+  assert.strictEqual(result.receipt.transactionHash, saved.submitted.transactionHash);
+  assert.strictEqual(await wallet.getTransactionCount(), nonce, "nothing is sent again");
+  assert.ok((await tokens.WETH.balanceOf(wallet.address)).eq(wethBefore));
+  assert.deepStrictEqual(jobStore.entries(), []);
+});
@@ -0,0 +1,123 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { jobKey, waitForRebalancing, requestRebalancingJob } = require("../src/rebalancing-job");
+const { JobStore } = require("../src/job-store");
+const { getChain } = require("../src/chains");
+const { RebalancingJobError, InvalidRequestError } = require("../src/errors");
+
+/**
+ * Client stand-in whose job polls answer with `statuses` in turn, the last one repeating
+ */
+function fakeClient(statuses) {
+  const polls = [];
+  return {
+    polls,
+    logger: { log() {}, warn() {} },
+    getRebalancing: async id => {
+      polls.push({ id, at: Date.now() });
+      const status = statuses[Math.min(polls.length, statuses.length) - 1];
+      return status === "completed"
+        ? { id, status, txHandler: "0xhandler", txData: "0x1234" }
+        : { id, status, ...(status === "failed" ? { error: { message: "no route" } } : {}) };
+    }
+  };
+}
+
+test("jobs are keyed by chain and request, whatever the async flag", () => {
+  const request = { wallet: "0x1", baseEntries: [{ tokenAddress: "0x2", amount: "1" }], targetEntries: [] };
+  const ethereum = getChain("ethereum");
+
+  assert.strictEqual(jobKey(ethereum, request), jobKey(ethereum, { ...request, async: true }));
+  assert.notStrictEqual(jobKey(ethereum, request), jobKey(getChain("base"), request));
+  assert.notStrictEqual(jobKey(ethereum, request), jobKey(ethereum, { ...request, wallet: "0x3" }));
+});
+
+test("polls back off until the job is ready and report every status change once", async () => {
+  const client = fakeClient(["pending", "pending", "processing", "completed"]);
+  const changes = [];
+
+  const data = await waitForRebalancing(client, "job-1", {
+    initialDelayMs: 10,
+    backoffFactor: 2,
+    onProgress: ({ status, previousStatus, attempt }) => changes.push([previousStatus, status, attempt])
+  });
+
+  assert.strictEqual(data.txData, "0x1234");
+  assert.deepStrictEqual(changes, [[undefined, "pending", 1], ["pending", "processing", 3], ["processing", "completed", 4]]);
+  const gaps = client.polls.slice(1).map((poll, index) => poll.at - client.polls[index].at);
+  assert.ok(gaps[0] >= 9 && gaps[1] >= 19 && gaps[2] >= 39, `delays ${gaps} double after each poll`);
+});
+
+test("failed jobs throw a RebalancingJobError and slow ones time out", async () => {
+  await assert.rejects(
+    waitForRebalancing(fakeClient(["pending", "failed"]), "job-2", { initialDelayMs: 1 }),
+    error => error instanceof RebalancingJobError &&
+      error.id === "job-2" && error.status === "failed" && /job-2 failed: \{"message":"no route"\}/.test(error.message)
+  );
+
+  const client = fakeClient(["processing"]);
+  await assert.rejects(
+    waitForRebalancing(client, "job-3", { initialDelayMs: 10, timeoutMs: 50 }),
+    error => !(error instanceof RebalancingJobError) && /not finished after 0s \(last status: processing\)/.test(error.message)
+  );
+  assert.ok(client.polls.length > 1);
+});
+
+test("a saved job the API no longer knows is replaced, one that is still running is kept", async () => {
+  const jobStore = new JobStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), "31third-jobs-")), "jobs.json"));
+  const request = { wallet: "0x1", baseEntries: [], targetEntries: [] };
+  const client = {
+    ...fakeClient(["processing"]),
+    chain: getChain("ethereum"),
+    events: [],
+    recordEvent(type) {
+      this.events.push(type);
+    },
+    requestWalletRebalancing: async () => ({ id: "new-job", status: "completed", txHandler: "0xhandler", txData: "0x1234" })
+  };
+  const key = jobKey(client.chain, request);
+
+  jobStore.set(key, { id: "slow-job", createdAt: new Date().toISOString() });
+  await assert.rejects(requestRebalancingJob(client, request, { jobStore, initialDelayMs: 10, timeoutMs: 30 }), /not finished/);
+  assert.strictEqual(jobStore.get(key).id, "slow-job");
+  assert.deepStrictEqual(client.events, ["rebalancing.job", "rebalancing.failed"]);
+
+  client.getRebalancing = async id => {
+    throw new InvalidRequestError(`Rebalancing ${id} not found`, { status: 404 });
+  };
+  const data = await requestRebalancingJob(client, request, { jobStore });
+  assert.strictEqual(data.id, "new-job");
+  assert.strictEqual(jobStore.get(key).id, "new-job");
+});
+
+test("a saved trade that was dropped is sent again, one whose nonce went elsewhere stops the run", async () => {
+  const jobStore = new JobStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), "31third-jobs-")), "jobs.json"));
+  const request = { signer: "0x1", wallet: "0x1", baseEntries: [], targetEntries: [] };
+  const chain = { transactionCount: 5 };
+  const client = {
+    ...fakeClient(["completed"]),
+    chain: getChain("ethereum"),
+    recordEvent() {},
+    _requireProvider: () => ({
+      getTransactionReceipt: async () => null,
+      getTransaction: async () => null,
+      getTransactionCount: async () => chain.transactionCount
+    })
+  };
+  const key = jobKey(client.chain, request);
+  const submitted = { transactionHash: "0xdropped", nonce: 5 };
+
+  jobStore.set(key, { id: "job-4", createdAt: new Date().toISOString(), submitted });
+  const data = await requestRebalancingJob(client, request, { jobStore });
+  assert.strictEqual(data.submitted, undefined, "the nonce is still free, so the trade was never executed");
+  assert.strictEqual(data.txData, "0x1234");
+  assert.strictEqual(jobStore.get(key).submitted, undefined);
+
+  chain.transactionCount = 6;
+  jobStore.set(key, { id: "job-4", createdAt: new Date().toISOString(), submitted });
+  await assert.rejects(requestRebalancingJob(client, request, { jobStore }), /replaced by another transaction with nonce 5/);
+  assert.strictEqual(jobStore.get(key), undefined);
+});
@@ -0,0 +1,131 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const { ethers } = require("ethers");
+const { executeWalletRebalancing } = require("../src/basket-swap");
+const {
+  buildRebalancingPlan,
+  formatRebalancingPlan,
+  writeRebalancingPlan,
+  promptConfirmation
+} = require("../src/rebalancing-plan");
+const { GuardrailError } = require("../src/errors");
+const { startTestEnvironment } = require("./helpers");
+
+let env;
+
+before(async () => {
+  env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "31third-plan-"));
+}
+
+// 100 USD of GRT into WETH and USDC
+function rebalancing(options = {}) {
+  const { tokens, createClient } = env;
+  return executeWalletRebalancing({
+    client: createClient(),
+    baseEntries: [{ tokenAddress: tokens.GRT.address, amount: ethers.utils.parseEther("1000").toString() }],
+    targetEntries: [
+      { tokenAddress: tokens.WETH.address, allocation: 0.5 },
+      { tokenAddress: tokens.USDC.address, allocation: 0.5 }
+    ],
+    ...options
+  });
+}
+
+test("guardrails stop costly, not executable or unpriced rebalancings before anything is sent", async () => {
+  const { tokens, wallet, other, api } = env;
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("1000"))).wait();
+  const nonce = await wallet.getTransactionCount();
+
+  api.respondOnce("POST /rebalancing/wallet", { patch: { estimatedValueLossInUsd: "1.5", estimatedGasFeesInUsd: "0.5" } });
+  await assert.rejects(
+    rebalancing({ guardrails: { maxCostBps: 100 } }),
+    error => error instanceof GuardrailError &&
+      error.field === "costBps" && error.actual === 200 &&
+      /\$2\.00 are 2\.00% of the sell value, above the 1\.00% allowed/.test(error.message)
+  );
+
+  api.respondOnce("POST /rebalancing/wallet", { patch: { executable: false, tokensWithoutPricePair: [other.address] } });
+  await assert.rejects(
+    rebalancing(),
+    error => error instanceof GuardrailError &&
+      assert.deepStrictEqual(error.violations.map(violation => violation.field), ["executable", "tokensWithoutPricePair"]) === undefined
+  );
+  assert.strictEqual(await wallet.getTransactionCount(), nonce, "nothing is approved or sent");
+
+  // Dry runs report the violations instead of stopping
+  api.respondOnce("POST /rebalancing/wallet", { patch: { estimatedValueLossInUsd: "1.5" } });
+  const { simulation, plan } = await rebalancing({ guardrails: { maxCostBps: 100 }, dryRun: true });
+  assert.ok(simulation);
+  assert.strictEqual(plan.violations[0].field, "costBps");
+});
+
+test("asks for confirmation with the plan before approving and sending", async () => {
+  const { tokens, wallet } = env;
+  const nonce = await wallet.getTransactionCount();
+  const asked = [];
+
+  await assert.rejects(
+    rebalancing({ confirm: async plan => asked.push(plan) && false }),
+    /not confirmed, nothing was sent/
+  );
+  assert.strictEqual(await wallet.getTransactionCount(), nonce);
+  assert.strictEqual(asked[0].costs.sellValueInUsd, 100);
+  assert.deepStrictEqual(asked[0].trades.map(trade => `${trade.sellAmount} ${trade.sellToken} → ${trade.buyToken}`), [
+    "500.0 GRT → WETH",
+    "500.0 GRT → USDC"
+  ]);
+
+  const { receipt } = await rebalancing({ confirm: async () => true });
+  assert.strictEqual(receipt.status, 1);
+  assert.ok((await tokens.GRT.balanceOf(wallet.address)).isZero());
+
+  const answer = async text => {
+    const input = new PassThrough();
+    const answered = promptConfirmation("Send?", { input, output: new PassThrough() });
+    input.end(text);
+    return answered;
+  };
+  assert.strictEqual(await answer("yes\n"), true);
+  assert.strictEqual(await answer("Y\n"), true);
+  assert.strictEqual(await answer("n\n"), false);
+  assert.strictEqual(await answer(""), false, "no answer is a no");
+});
+
+test("exports the plan as JSON, CSV or Markdown for sign-off", async () => {
+  const { tokens, wallet } = env;
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("1000"))).wait();
+  const dir = tempDir();
+
+  const { plan } = await rebalancing({ dryRun: true, planOutput: path.join(dir, "plan.md") });
+  const markdown = fs.readFileSync(path.join(dir, "plan.md"), "utf8");
+  assert.match(markdown, /^# Rebalancing plan rebalancing-\d+/);
+  assert.match(markdown, /\| Expires \| \d{4}-\d\d-\d\dT/);
+  assert.match(markdown, /\| Sell value \(USD\) \| 100\.00 \|/);
+  assert.match(markdown, /\| GRT \| 500\.0 \| WETH \| 0\.016666666666666666 \| 0\.016499999999999999 \|/);
+  assert.match(markdown, /✅ All checks passed/);
+
+  assert.strictEqual(writeRebalancingPlan(plan, path.join(dir, "plan.csv")), "csv");
+  const csv = fs.readFileSync(path.join(dir, "plan.csv"), "utf8").split("\n");
+  assert.strictEqual(csv[0], "field,value");
+  assert.ok(csv.includes("Total cost (USD),0.00"));
+  assert.ok(csv.includes("sellToken,sellAmount,buyToken,buyAmount,minBuyAmount,sellTokenAddress,buyTokenAddress"));
+  assert.ok(csv.some(row => row.startsWith("GRT,500.0,USDC,50.0,49.5,")));
+
+  writeRebalancingPlan(plan, path.join(dir, "plan.json"));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, "plan.json"), "utf8")), plan);
+  assert.throws(() => writeRebalancingPlan(plan, path.join(dir, "plan.txt")), /use \.json, \.csv or \.md/);
+
+  const unchecked = buildRebalancingPlan({ executable: false, sellValueInUsd: "10" }, { guardrails: false });
+  assert.deepStrictEqual(unchecked.violations, []);
+  assert.match(formatRebalancingPlan(unchecked, "csv"), /Executable,no/);
+});
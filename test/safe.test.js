@@ -0,0 +1,86 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { swapFromSafe, rebalanceSafe } = require("../src/safe-batch");
+const { MULTISEND_CALL_ONLY_ADDRESS, SAFE_OPERATIONS, decodeMultiSend } = require("../src/safe");
+const { startTestEnvironment } = require("./helpers");
+
+let env;
+// Stands in for the Safe: it executes the batch's calls one after another
+let safe;
+
+before(async () => {
+  env = await startTestEnvironment();
+  safe = env.other;
+});
+
+after(() => env.stop());
+
+async function executeBatch(batch) {
+  for (const transaction of batch.transactions) {
+    const receipt = await (await safe.sendTransaction({
+      to: transaction.to,
+      value: transaction.value,
+      data: transaction.data
+    })).wait();
+    assert.strictEqual(receipt.status, 1);
+  }
+}
+
+test("packages the approval and the swap for the Safe as taker", async () => {
+  const { tokens, api, createClient } = env;
+  await (await tokens.USDC.mint(safe.address, ethers.utils.parseUnits("300", 6))).wait();
+
+  const { batch, multiSend, transactions } = await swapFromSafe({
+    client: createClient({ signer: undefined, provider: env.provider }),
+    safe: safe.address,
+    sellToken: tokens.USDC.address,
+    buyToken: tokens.WETH.address,
+    sellAmount: ethers.utils.parseUnits("300", 6),
+    maxSlippageBps: 100
+  });
+
+  const quoteRequest = api.requests.filter(request => request.route === "GET /swap/quote").pop();
+  assert.strictEqual(quoteRequest.query.taker, safe.address);
+  assert.strictEqual(batch.chainId, "1");
+  assert.strictEqual(batch.meta.createdFromSafeAddress, safe.address);
+  assert.deepStrictEqual(transactions.map(transaction => transaction.to), [tokens.USDC.address, env.exchange.address]);
+
+  assert.strictEqual(multiSend.to, MULTISEND_CALL_ONLY_ADDRESS);
+  assert.strictEqual(multiSend.operation, SAFE_OPERATIONS.delegateCall);
+  assert.deepStrictEqual(
+    decodeMultiSend(multiSend.data).map(call => [call.operation, call.to, call.value.toString(), call.data]),
+    batch.transactions.map(call => [SAFE_OPERATIONS.call, call.to, call.value, call.data])
+  );
+
+  await executeBatch(batch);
+  assert.ok((await tokens.USDC.balanceOf(safe.address)).isZero());
+  assert.strictEqual((await tokens.WETH.balanceOf(safe.address)).toString(), ethers.utils.parseEther("0.099").toString());
+});
+
+test("leaves out approvals the Safe already has and writes the batch file", async () => {
+  const { tokens, exchange, createClient } = env;
+  const amount = ethers.utils.parseEther("1000");
+  await (await tokens.GRT.mint(safe.address, amount)).wait();
+  await (await tokens.GRT.connect(safe).approve(exchange.address, amount)).wait();
+  const output = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "31third-safe-")), "batch.json");
+
+  const { transactions } = await rebalanceSafe({
+    client: createClient({ signer: undefined, provider: env.provider }),
+    safe: safe.address,
+    baseEntries: [{ tokenAddress: tokens.GRT.address, amount: amount.toString() }],
+    targetEntries: [{ tokenAddress: tokens.USDC.address, allocation: 1 }],
+    output
+  });
+
+  assert.deepStrictEqual(transactions.map(transaction => transaction.to), [exchange.address]);
+  const batch = JSON.parse(fs.readFileSync(output, "utf8"));
+  assert.strictEqual(batch.transactions.length, 1);
+
+  await executeBatch(batch);
+  assert.ok((await tokens.GRT.balanceOf(safe.address)).isZero());
+  assert.strictEqual((await tokens.USDC.balanceOf(safe.address)).toString(), ethers.utils.parseUnits("99", 6).toString());
+});
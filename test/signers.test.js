@@ -0,0 +1,142 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { swapWithThirtyOneThird } = require("../src/single-swap");
+const { CallbackSigner, loadKeystoreSigner } = require("../src/signers");
+const { readTransactionFile, writeTransactionFile, signTransactionFile, broadcastTransactionFile } = require("../src/offline");
+const { run } = require("../src/cli");
+const { silentLogger, startTestEnvironment } = require("./helpers");
+
+let env;
+
+before(async () => {
+  env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+function tempFile(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "31third-signers-")), name);
+}
+
+test("swaps through a callback signer and rejects a tampered signature", async () => {
+  const { tokens, wallet, provider, createClient } = env;
+  await (await tokens.USDC.mint(wallet.address, ethers.utils.parseUnits("30", 6))).wait();
+  const offlineKey = new ethers.Wallet(wallet.privateKey);
+  const signed = [];
+
+  const signer = new CallbackSigner({
+    address: wallet.address,
+    provider,
+    signTransaction: async transaction => {
+      signed.push(transaction);
+      return offlineKey.signTransaction(transaction);
+    }
+  });
+  const { receipt } = await swapWithThirtyOneThird({
+    client: createClient({ signer }),
+    sellToken: tokens.USDC.address,
+    buyToken: tokens.WETH.address,
+    sellAmount: ethers.utils.parseUnits("30", 6)
+  });
+
+  assert.strictEqual(receipt.status, 1);
+  assert.strictEqual(signed.length, 2);
+
+  const tampering = new CallbackSigner({
+    address: wallet.address,
+    provider,
+    signTransaction: async transaction => offlineKey.signTransaction({ ...transaction, to: env.other.address })
+  });
+  await assert.rejects(
+    tampering.signTransaction({ to: tokens.USDC.address, data: "0x", nonce: 0, gasLimit: 21000, chainId: 1 }),
+    /does not match the request: to/
+  );
+});
+
+test("exports unsigned transactions, signs them offline and broadcasts them once", async () => {
+  const { tokens, wallet, provider, createClient } = env;
+  const amount = ethers.utils.parseEther("1000");
+  await (await tokens.GRT.mint(wallet.address, amount)).wait();
+  const output = tempFile("swap.json");
+
+  const { unsigned } = await swapWithThirtyOneThird({
+    client: createClient({ signer: new ethers.VoidSigner(wallet.address, provider) }),
+    sellToken: tokens.GRT.address,
+    buyToken: tokens.USDC.address,
+    sellAmount: amount,
+    unsigned: true,
+    output
+  });
+
+  const file = readTransactionFile(output);
+  assert.deepStrictEqual(file, JSON.parse(JSON.stringify(unsigned)));
+  assert.strictEqual(file.chainId, 1);
+  assert.deepStrictEqual(file.transactions.map(entry => entry.purpose), ["approval", "trade"]);
+  const nonce = await provider.getTransactionCount(wallet.address);
+  assert.deepStrictEqual(file.transactions.map(entry => entry.transaction.nonce), [nonce, nonce + 1]);
+  assert.ok((await tokens.GRT.balanceOf(wallet.address)).eq(amount), "nothing is sent while exporting");
+
+  await assert.rejects(signTransactionFile(env.other, file), /but the signer is/);
+  const signed = await signTransactionFile(new ethers.Wallet(wallet.privateKey), file);
+
+  const events = [];
+  const receipts = await broadcastTransactionFile(provider, signed, {
+    logger: silentLogger,
+    onEvent: type => events.push(type)
+  });
+  assert.deepStrictEqual(receipts.map(receipt => receipt.status), [1, 1]);
+  assert.ok((await tokens.GRT.balanceOf(wallet.address)).isZero());
+  assert.strictEqual((await tokens.USDC.balanceOf(wallet.address)).toString(), ethers.utils.parseUnits("95", 6).toString());
+  assert.deepStrictEqual(events, ["transaction.submitted", "transaction.confirmed", "transaction.submitted", "transaction.confirmed"]);
+
+  events.length = 0;
+  const again = await broadcastTransactionFile(provider, signed, { logger: silentLogger, onEvent: type => events.push(type) });
+  assert.deepStrictEqual(again.map(receipt => receipt.transactionHash), receipts.map(receipt => receipt.transactionHash));
+  assert.deepStrictEqual(events, []);
+});
+
+test("broadcasts a signed file from the CLI without a configured signer", async () => {
+  const { tokens, wallet, provider, createClient } = env;
+  const amount = ethers.utils.parseUnits("10", 6);
+  await (await tokens.USDC.mint(wallet.address, amount)).wait();
+  const output = tempFile("swap.json");
+
+  await swapWithThirtyOneThird({
+    client: createClient({ signer: new ethers.VoidSigner(wallet.address, provider) }),
+    sellToken: tokens.USDC.address,
+    buyToken: tokens.GRT.address,
+    sellAmount: amount,
+    unsigned: true,
+    output
+  });
+  const before = await tokens.USDC.balanceOf(wallet.address);
+  const signedPath = tempFile("swap.signed.json");
+  writeTransactionFile(signedPath, await signTransactionFile(new ethers.Wallet(wallet.privateKey), readTransactionFile(output)));
+
+  const code = await run(["broadcast", signedPath, "--json"], {
+    // What createClientFromEnv builds without PRIVATE_KEY: a provider and no signer
+    createClient: ({ logger }) => createClient({ signer: undefined, provider, logger })
+  });
+  assert.strictEqual(code, 0);
+  assert.strictEqual((await tokens.USDC.balanceOf(wallet.address)).toString(), before.sub(amount).toString());
+});
+
+test("refuses to send with an address-only signer", async () => {
+  const { wallet, provider, createClient } = env;
+  const client = createClient({ signer: new ethers.VoidSigner(wallet.address, provider) });
+
+  await assert.rejects(client.sendTransaction({ to: wallet.address, value: 1 }), /address-only/);
+});
+
+test("loads an encrypted keystore", async () => {
+  const { wallet } = env;
+  const keystore = tempFile("keystore.json");
+  fs.writeFileSync(keystore, await wallet.encrypt("correct horse", { scrypt: { N: 1024 } }));
+
+  assert.strictEqual(loadKeystoreSigner(keystore, "correct horse").address, wallet.address);
+  assert.throws(() => loadKeystoreSigner(keystore, "wrong"), /Cannot decrypt keystore/);
+});
@@ -0,0 +1,195 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { ethers } = require("ethers");
+const { swapWithThirtyOneThird } = require("../src/single-swap");
+const { ENZYME_ADAPTER_ADDRESS } = require("../src/chains");
+const { assertAllowedTarget } = require("../src/quote-validation");
+const { createClientFromEnv } = require("../src/env");
+const {
+  AuthenticationError,
+  UnsupportedTokenError,
+  InsufficientLiquidityError,
+  QuoteMismatchError,
+  UntrustedTargetError
+} = require("../src/errors");
+const { startTestEnvironment } = require("./helpers");
+
+let env;
+
+before(async () => {
+  env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+test("swaps through the mock exchange and receives the minimum buy amount", async () => {
+  const { tokens, wallet, exchange, createClient } = env;
+  await (await tokens.USDC.mint(wallet.address, ethers.utils.parseUnits("3000", 6))).wait();
+
+  const { receipt, report } = await swapWithThirtyOneThird({
+    client: createClient(),
+    sellToken: tokens.USDC.address,
+    buyToken: tokens.WETH.address,
+    sellAmount: ethers.utils.parseUnits("3000", 6),
+    maxSlippageBps: 100
+  });
+
+  assert.strictEqual(receipt.status, 1);
+  assert.strictEqual(report.received.toString(), ethers.utils.parseEther("0.99").toString());
+  assert.strictEqual(report.slippageBps, 100);
+  assert.strictEqual(report.belowMinimum, false);
+  assert.ok(report.gas.cost.eq(receipt.gasUsed.mul(receipt.effectiveGasPrice)));
+  const sold = report.tokens.find(entry => entry.token === tokens.USDC.address);
+  assert.strictEqual(sold.sold.toString(), ethers.utils.parseUnits("3000", 6).toString());
+  assert.strictEqual(sold.soldMoreThanExpected, false);
+  assert.ok((await tokens.USDC.balanceOf(wallet.address)).isZero());
+  assert.strictEqual((await tokens.USDC.balanceOf(exchange.address)).toString(), ethers.utils.parseUnits("3000", 6).toString());
+  assert.strictEqual((await tokens.WETH.balanceOf(wallet.address)).toString(), ethers.utils.parseEther("0.99").toString());
+});
+
+test("dry run simulates without approving or sending", async () => {
+  const { tokens, wallet, exchange, createClient } = env;
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("100"))).wait();
+  const nonce = await wallet.getTransactionCount();
+
+  const result = await swapWithThirtyOneThird({
+    client: createClient(),
+    sellToken: tokens.GRT.address,
+    buyToken: tokens.USDC.address,
+    sellAmount: ethers.utils.parseEther("100"),
+    dryRun: true
+  });
+
+  assert.strictEqual(result.decoded.type, "batchTrade");
+  assert.strictEqual(result.decoded.trades[0].fromToken, tokens.GRT.address);
+  assert.strictEqual(result.quote.buyAmount, ethers.utils.parseUnits("10", 6).toString());
+  assert.strictEqual(result.simulation.success, false);
+  assert.match(result.simulation.revertReason, /insufficient allowance/);
+  assert.strictEqual(result.simulation.missingAllowances.length, 1);
+  assert.strictEqual(await wallet.getTransactionCount(), nonce);
+  assert.ok((await tokens.GRT.allowance(wallet.address, exchange.address)).isZero());
+});
+
+test("quotes carry fixture issues", async () => {
+  const { tokens, api, createClient } = env;
+  api.respondOnce("GET /swap/quote", "quote-issues");
+
+  const client = createClient();
+  const quote = await client.getSwapQuote({
+    sellToken: tokens.USDC.address,
+    buyToken: tokens.WETH.address,
+    sellAmount: 1000000,
+    taker: env.wallet.address,
+    txOrigin: env.wallet.address
+  });
+
+  assert.deepStrictEqual(Object.keys(client.checkIssues(quote)), ["balance", "allowance"]);
+});
+
+test("API error payloads become typed errors", async () => {
+  const { tokens, api, createClient } = env;
+  const request = {
+    sellToken: tokens.USDC.address,
+    buyToken: tokens.WETH.address,
+    sellAmount: 1000000,
+    taker: env.wallet.address,
+    txOrigin: env.wallet.address
+  };
+
+  await assert.rejects(createClient({ apiKey: "wrong" }).getSwapQuote(request), error => {
+    assert.ok(error instanceof AuthenticationError);
+    assert.strictEqual(error.status, 401);
+    return true;
+  });
+
+  await assert.rejects(createClient().getSwapQuote({ ...request, buyToken: env.other.address }), error => {
+    assert.ok(error instanceof UnsupportedTokenError);
+    assert.strictEqual(error.code, "UNSUPPORTED_TOKEN");
+    assert.strictEqual(error.params.buyToken, env.other.address);
+    return true;
+  });
+
+  api.respondOnce("GET /swap/quote", "insufficient-liquidity");
+  await assert.rejects(createClient().getSwapQuote(request), InsufficientLiquidityError);
+});
+
+test("quotes are retried after 5xx responses", async () => {
+  const { tokens, api, createClient } = env;
+  api.respondOnce("GET /swap/quote", "server-error");
+  api.respondOnce("GET /swap/quote", "server-error");
+  const before = api.requests.length;
+
+  const quote = await createClient().getSwapQuote({
+    sellToken: tokens.USDC.address,
+    buyToken: tokens.WETH.address,
+    sellAmount: 1000000,
+    taker: env.wallet.address,
+    txOrigin: env.wallet.address
+  });
+
+  assert.ok(quote.transaction);
+  assert.strictEqual(api.requests.length - before, 3);
+});
+
+test("quotes that don't match the request or target unknown contracts are not signed", async () => {
+  const { tokens, api, createClient } = env;
+  const options = {
+    sellToken: tokens.USDC.address,
+    buyToken: tokens.WETH.address,
+    sellAmount: ethers.utils.parseUnits("1", 6)
+  };
+
+  api.respondOnce("GET /swap/quote", { patch: { buyToken: { address: tokens.GRT.address, symbol: "GRT", decimals: 18 } } });
+  await assert.rejects(swapWithThirtyOneThird({ client: createClient(), ...options }), QuoteMismatchError);
+
+  await assert.rejects(swapWithThirtyOneThird({ client: createClient({ allowedTargets: [] }), ...options }), UntrustedTargetError);
+});
+
+test("default chains allow their registered 31Third contracts without extra targets", () => {
+  const unknown = "0x000000000000000000000000000000000000bAd0";
+
+  assert.doesNotThrow(() => assertAllowedTarget(ENZYME_ADAPTER_ADDRESS.toLowerCase(), "ethereum"));
+  assert.doesNotThrow(() => assertAllowedTarget(ENZYME_ADAPTER_ADDRESS, "arbitrum"));
+  assert.throws(() => assertAllowedTarget(unknown, "ethereum"), UntrustedTargetError);
+  assert.throws(() => assertAllowedTarget(ENZYME_ADAPTER_ADDRESS, "optimism"), /No allowlist/);
+});
+
+test("clients from the environment need ALLOWED_TARGETS unless they only read", () => {
+  const settings = {
+    RPC_URL: "http://127.0.0.1:1",
+    PRIVATE_KEY: ethers.Wallet.createRandom().privateKey,
+    JOURNAL: "off",
+    TOKEN_CACHE: "off"
+  };
+  const executor = "0x000000000000000000000000000000000000E0E0";
+
+  assert.throws(
+    () => createClientFromEnv({ env: settings }),
+    error => error instanceof UntrustedTargetError && /No 31Third trading contracts are allowlisted for ethereum/.test(error.message)
+  );
+  assert.throws(() => createClientFromEnv({ env: { ...settings, ALLOWED_TARGETS: ENZYME_ADAPTER_ADDRESS } }), UntrustedTargetError);
+  assert.deepStrictEqual(createClientFromEnv({ env: { ...settings, ALLOWED_TARGETS: executor } }).allowedTargets, [executor]);
+  assert.doesNotThrow(() => createClientFromEnv({ env: settings, requireAllowedTargets: false }));
+});
+
+test("a client set to another chain than its provider's refuses to run", async () => {
+  const { tokens, wallet, api, createClient } = env;
+  await (await tokens.USDC.mint(wallet.address, ethers.utils.parseUnits("10", 6))).wait();
+  const requests = api.requests.length;
+  const nonce = await wallet.getTransactionCount();
+  const client = createClient({ chain: "arbitrum" });
+
+  await assert.rejects(
+    swapWithThirtyOneThird({
+      client,
+      sellToken: tokens.USDC.address,
+      buyToken: tokens.WETH.address,
+      sellAmount: ethers.utils.parseUnits("10", 6)
+    }),
+    /Chain mismatch: provider is connected to chain 1 but API calls target Arbitrum One \(42161\)/
+  );
+  await assert.rejects(client.getRebalancing("job-1"), /Chain mismatch/);
+
+  assert.strictEqual(api.requests.length, requests, "the API was never called");
+  assert.strictEqual(await wallet.getTransactionCount(), nonce, "nothing was sent");
+});
@@ -0,0 +1,153 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { swapWithThirtyOneThird } = require("../src/single-swap");
+const { executeWalletRebalancing } = require("../src/basket-swap");
+const { NATIVE_TOKEN_ADDRESS } = require("../src/chains");
+const { TokenRegistry } = require("../src/tokens");
+const { InsufficientFundsError } = require("../src/errors");
+const { startTestEnvironment } = require("./helpers");
+
+let env;
+
+before(async () => {
+  env = await startTestEnvironment();
+  // Backs the WETH the mock exchange mints, so it can be unwrapped
+  await (await env.tokens.WETH.connect(env.other).deposit({ value: ethers.utils.parseEther("1") })).wait();
+});
+
+after(() => env.stop());
+
+function lastQuoteRequest() {
+  return env.api.requests.filter(request => request.route === "GET /swap/quote").pop();
+}
+
+function gasCost(receipt) {
+  return receipt.gasUsed.mul(receipt.effectiveGasPrice);
+}
+
+test("sells native ETH as value without an approval", async () => {
+  const { tokens, wallet, provider, createClient } = env;
+  const ethBefore = await provider.getBalance(wallet.address);
+  const usdcBefore = await tokens.USDC.balanceOf(wallet.address);
+
+  const { receipt } = await swapWithThirtyOneThird({
+    client: createClient(),
+    sellToken: "ETH",
+    buyToken: "USDC",
+    sellAmount: "0.01 ETH"
+  });
+
+  assert.strictEqual(lastQuoteRequest().query.sellToken, NATIVE_TOKEN_ADDRESS);
+  assert.strictEqual(receipt.to, env.exchange.address, "no approval before the trade");
+  const ethAfter = await provider.getBalance(wallet.address);
+  assert.strictEqual(ethBefore.sub(ethAfter).sub(gasCost(receipt)).toString(), ethers.utils.parseEther("0.01").toString());
+  assert.strictEqual((await tokens.USDC.balanceOf(wallet.address)).sub(usdcBefore).toString(), ethers.utils.parseUnits("28.5", 6).toString());
+});
+
+test("sells the native amount when the quote's value is the string \"0\"", async () => {
+  const { tokens, wallet, provider, api, createClient } = env;
+  const ethBefore = await provider.getBalance(wallet.address);
+  const usdcBefore = await tokens.USDC.balanceOf(wallet.address);
+  api.respondOnce("GET /swap/quote", { patch: response => ({ transaction: { ...response.transaction, value: "0" } }) });
+
+  const { receipt } = await swapWithThirtyOneThird({
+    client: createClient(),
+    sellToken: "ETH",
+    buyToken: "USDC",
+    sellAmount: "0.01 ETH"
+  });
+
+  const ethAfter = await provider.getBalance(wallet.address);
+  assert.strictEqual(ethBefore.sub(ethAfter).sub(gasCost(receipt)).toString(), ethers.utils.parseEther("0.01").toString());
+  assert.ok((await tokens.USDC.balanceOf(wallet.address)).gt(usdcBefore));
+});
+
+test("keeps the gas reserve when selling native ETH", async () => {
+  const { wallet, provider, api, createClient } = env;
+  const balance = await provider.getBalance(wallet.address);
+  const requests = api.requests.length;
+
+  await assert.rejects(
+    swapWithThirtyOneThird({
+      client: createClient({ gasReserve: ethers.utils.parseEther("1") }),
+      sellToken: NATIVE_TOKEN_ADDRESS,
+      buyToken: "USDC",
+      sellAmount: balance.sub(ethers.utils.parseEther("0.5"))
+    }),
+    error => error instanceof InsufficientFundsError && /gas reserve/.test(error.message)
+  );
+  assert.strictEqual(api.requests.length, requests, "no quote is requested");
+});
+
+test("wraps before selling and unwraps after buying with wrapNative", async () => {
+  const { tokens, wallet, createClient } = env;
+  await (await tokens.USDC.mint(wallet.address, ethers.utils.parseUnits("30", 6))).wait();
+  const wethBefore = await tokens.WETH.balanceOf(wallet.address);
+
+  const sold = await swapWithThirtyOneThird({
+    client: createClient(),
+    sellToken: "ETH",
+    buyToken: "USDC",
+    sellAmount: "0.01 ETH",
+    wrapNative: true
+  });
+  assert.strictEqual(lastQuoteRequest().query.sellToken, tokens.WETH.address);
+  assert.strictEqual(sold.wrapReceipt.status, 1);
+
+  const bought = await swapWithThirtyOneThird({
+    client: createClient(),
+    sellToken: "USDC",
+    buyToken: "ETH",
+    sellAmount: "30 USDC",
+    wrapNative: true
+  });
+  assert.strictEqual(lastQuoteRequest().query.buyToken, tokens.WETH.address);
+
+  const [withdrawal] = bought.unwrapReceipt.logs.map(log => tokens.WETH.interface.parseLog(log));
+  assert.strictEqual(withdrawal.name, "Withdrawal");
+  assert.strictEqual(withdrawal.args.value.toString(), ethers.utils.parseEther("0.0095").toString());
+  assert.ok((await tokens.WETH.balanceOf(wallet.address)).eq(wethBefore), "nothing is left wrapped");
+});
+
+test("rebalances native ETH given as symbols and human amounts", async () => {
+  const { tokens, wallet, createClient } = env;
+  const grtBefore = await tokens.GRT.balanceOf(wallet.address);
+
+  const { receipt, rebalancing } = await executeWalletRebalancing({
+    client: createClient(),
+    baseEntries: [{ tokenAddress: "ETH", amount: "0.01 ETH" }],
+    targetEntries: [{ tokenAddress: "GRT", allocation: 1 }]
+  });
+
+  assert.strictEqual(receipt.status, 1);
+  assert.strictEqual(rebalancing.txValue, ethers.utils.parseEther("0.01").toString());
+  assert.deepStrictEqual(rebalancing.requiredAllowances, []);
+  assert.strictEqual((await tokens.GRT.balanceOf(wallet.address)).sub(grtBefore).toString(), ethers.utils.parseEther("297").toString());
+});
+
+test("reads bytes32 symbols once and keeps them in the cache file", async () => {
+  const { provider, deploy } = env;
+  const mkr = await deploy("MockBytes32Token", ethers.utils.formatBytes32String("MKR"));
+  const cachePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "31third-tokens-")), "tokens.json");
+
+  const registry = new TokenRegistry({ chain: "ethereum", provider, cachePath });
+  assert.deepStrictEqual(await registry.getMetadata(mkr.address.toLowerCase()), {
+    address: mkr.address,
+    symbol: "MKR",
+    decimals: 18,
+    native: false
+  });
+  assert.strictEqual(JSON.parse(fs.readFileSync(cachePath, "utf8")).ethereum[mkr.address.toLowerCase()].symbol, "MKR");
+
+  // A registry without a provider answers from the cache
+  const cached = new TokenRegistry({ chain: "ethereum", cachePath });
+  assert.strictEqual(cached.resolve(mkr.address).symbol, "MKR");
+  assert.strictEqual((await cached.parseAmount("1.5 MKR", mkr.address)).toString(), ethers.utils.parseEther("1.5").toString());
+  assert.strictEqual((await cached.parseAmount("1.5 USDC")).toString(), "1500000");
+  await assert.rejects(cached.parseAmount("1.5 USDC", mkr.address), /expected MKR/);
+  await assert.rejects(cached.parseAmount("1.5", "USDC"), /Invalid amount/);
+});
@@ -0,0 +1,153 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { ethers } = require("ethers");
+const { TransactionSender, classifyTransactionError } = require("../src/transaction-sender");
+const {
+  TransactionError,
+  TransactionRevertedError,
+  TransactionUnderpricedError,
+  NonceError,
+  InsufficientFundsError
+} = require("../src/errors");
+const { silentLogger, startTestEnvironment } = require("./helpers");
+
+let env;
+
+before(async () => {
+  env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+const gwei = value => ethers.utils.parseUnits(String(value), "gwei");
+
+/**
+ * Sender on a provider stand-in reporting `feeData`, with a signer that fails every send with `sendError`
+ */
+function stubbedSender(options = {}, { feeData = {}, sendError } = {}) {
+  const nonces = { released: [], resets: 0 };
+  const provider = {
+    getFeeData: async () => feeData,
+    estimateGas: async () => ethers.BigNumber.from(21000),
+    getNetwork: async () => ({ chainId: 1 }),
+    getTransactionCount: async () => 3
+  };
+  const signer = {
+    getAddress: async () => "0x000000000000000000000000000000000000dEaD",
+    sendTransaction: async () => {
+      throw sendError;
+    }
+  };
+  const nonceManager = {
+    next: async () => 3,
+    release: nonce => nonces.released.push(nonce),
+    reset: () => nonces.resets++
+  };
+  const events = [];
+  const sender = new TransactionSender({
+    signer,
+    provider,
+    nonceManager,
+    logger: silentLogger,
+    onEvent: (type, data) => events.push({ type, ...data }),
+    ...options
+  });
+  return { sender, nonces, events };
+}
+
+test("fees are clamped to the caps, and the tip never exceeds the max fee", async () => {
+  const feeData = { maxFeePerGas: gwei(80), maxPriorityFeePerGas: gwei(3), gasPrice: gwei(40) };
+
+  assert.deepStrictEqual(
+    await stubbedSender({}, { feeData }).sender.getFees(),
+    { type: 2, maxFeePerGas: gwei(80), maxPriorityFeePerGas: gwei(3) }
+  );
+  assert.deepStrictEqual(
+    await stubbedSender({ maxFeePerGasCap: gwei(50), maxPriorityFeePerGasCap: gwei(2) }, { feeData }).sender.getFees(),
+    { type: 2, maxFeePerGas: gwei(50), maxPriorityFeePerGas: gwei(2) }
+  );
+  assert.deepStrictEqual(
+    await stubbedSender({ maxFeePerGasCap: gwei(1) }, { feeData }).sender.getFees(),
+    { type: 2, maxFeePerGas: gwei(1), maxPriorityFeePerGas: gwei(1) }
+  );
+
+  // Chains without a base fee get a capped legacy gas price
+  const legacy = { gasPrice: gwei(40) };
+  assert.deepStrictEqual(await stubbedSender({ maxFeePerGasCap: gwei(25) }, { feeData: legacy }).sender.getFees(), { type: 0, gasPrice: gwei(25) });
+  assert.deepStrictEqual(await stubbedSender({ maxFeePerGasCap: gwei(60) }, { feeData: legacy }).sender.getFees(), { type: 0, gasPrice: gwei(40) });
+});
+
+test("capped fees are what the transaction is sent with, and a cap under the base fee is refused", async () => {
+  const { wallet, other, provider } = env;
+  const { lastBaseFeePerGas } = await provider.getFeeData();
+  const maxFeePerGasCap = lastBaseFeePerGas.mul(2);
+  const maxPriorityFeePerGasCap = gwei(0.5);
+
+  const sender = new TransactionSender({ signer: wallet, logger: silentLogger, maxFeePerGasCap, maxPriorityFeePerGasCap });
+  const receipt = await sender.sendTransaction({ to: other.address, value: 1 });
+  const sent = await provider.getTransaction(receipt.transactionHash);
+  assert.ok(sent.maxFeePerGas.eq(maxFeePerGasCap));
+  assert.ok(sent.maxPriorityFeePerGas.eq(maxPriorityFeePerGasCap));
+
+  const starved = new TransactionSender({ signer: wallet, logger: silentLogger, maxFeePerGasCap: 1 });
+  await assert.rejects(
+    starved.sendTransaction({ to: other.address, value: 1 }),
+    error => error instanceof TransactionUnderpricedError && /less than the block's baseFeePerGas/.test(error.message)
+  );
+});
+
+test("node errors from sending become typed errors", async () => {
+  const { wallet, other, tokens } = env;
+  const transfer = { to: tokens.USDC.address, data: tokens.USDC.interface.encodeFunctionData("transfer", [wallet.address, 5]) };
+  const broke = new TransactionSender({ signer: other, logger: silentLogger });
+
+  await assert.rejects(
+    broke.sendTransaction({ to: wallet.address, value: ethers.utils.parseEther("1000") }, { gasLimit: 21000 }),
+    InsufficientFundsError
+  );
+  await assert.rejects(
+    broke.sendTransaction(transfer),
+    error => error instanceof TransactionRevertedError && error.reason === "ERC20: insufficient balance"
+  );
+  await assert.rejects(
+    broke.sendTransaction(transfer, { gasLimit: 100000 }),
+    error => error instanceof TransactionRevertedError && error.receipt.status === 0 && /reverted on-chain/.test(error.message)
+  );
+});
+
+test("nonce errors reset the nonce manager, other send failures hand the nonce back", async () => {
+  const nonceTooLow = Object.assign(new Error("processing response error"), {
+    code: "SERVER_ERROR",
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, error: { code: -32000, message: "nonce too low" } })
+  });
+  const stale = stubbedSender({}, { feeData: { gasPrice: gwei(1) }, sendError: nonceTooLow });
+  await assert.rejects(stale.sender.sendTransaction({ to: env.other.address }), NonceError);
+  assert.strictEqual(stale.nonces.resets, 1);
+  assert.deepStrictEqual(stale.events.map(event => [event.type, event.nonce]), [["transaction.failed", 3]]);
+
+  const underpriced = Object.assign(new Error("replacement fee too low"), { code: "REPLACEMENT_UNDERPRICED" });
+  const repriced = stubbedSender({}, { feeData: { gasPrice: gwei(1) }, sendError: underpriced });
+  await assert.rejects(repriced.sender.sendTransaction({ to: env.other.address }), TransactionUnderpricedError);
+  assert.deepStrictEqual(repriced.nonces, { released: [3], resets: 0 });
+});
+
+test("errors are classified by code first, then by the node's message", () => {
+  const classify = (fields, message = "failed") => classifyTransactionError(Object.assign(new Error(message), fields));
+
+  assert.ok(classify({ code: "INSUFFICIENT_FUNDS" }) instanceof InsufficientFundsError);
+  assert.ok(classify({ error: { message: "insufficient funds for gas * price + value" } }) instanceof InsufficientFundsError);
+  assert.ok(classify({ code: "REPLACEMENT_UNDERPRICED" }) instanceof TransactionUnderpricedError);
+  assert.ok(classify({}, "transaction underpriced") instanceof TransactionUnderpricedError);
+  assert.ok(classify({}, "max fee per gas less than block base fee") instanceof TransactionUnderpricedError);
+  assert.ok(classify({ code: "NONCE_EXPIRED" }) instanceof NonceError);
+  assert.ok(classify({ reason: "nonce too high" }) instanceof NonceError);
+  assert.ok(classify({ code: "UNPREDICTABLE_GAS_LIMIT" }) instanceof TransactionRevertedError);
+
+  const reverted = classify({ code: "CALL_EXCEPTION", receipt: { status: 0 } });
+  assert.strictEqual(reverted.reason, "transaction reverted on-chain");
+  assert.strictEqual(reverted.receipt.status, 0);
+
+  const other = classify({ code: "NETWORK_ERROR" }, "could not detect network");
+  assert.strictEqual(other.constructor, TransactionError);
+  assert.strictEqual(classifyTransactionError(other), other, "typed errors pass through unchanged");
+});
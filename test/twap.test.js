@@ -0,0 +1,248 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { executeTwap } = require("../src/twap");
+const { JobStore } = require("../src/job-store");
+const { PriceDeviationError } = require("../src/errors");
+const { startTestEnvironment } = require("./helpers");
+
+let env;
+
+before(async () => {
+  env = await startTestEnvironment();
+});
+
+after(() => env.stop());
+
+function tempJobStore() {
+  return new JobStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), "31third-twap-")), "jobs.json"));
+}
+
+function quoteRequests() {
+  return env.api.requests.filter(request => request.route === "GET /swap/quote");
+}
+
+function setPrice(token, priceUsd) {
+  env.api.tokens[token.address.toLowerCase()].priceUsd = priceUsd;
+}
+
+test("sells the total in slices spaced by the interval, each capped in price impact", async () => {
+  const { tokens, wallet, createClient } = env;
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("300"))).wait();
+  const usdcBefore = await tokens.USDC.balanceOf(wallet.address);
+  const jobStore = tempJobStore();
+  const quotes = quoteRequests().length;
+
+  const result = await executeTwap({
+    client: createClient(),
+    sellToken: "GRT",
+    buyToken: "USDC",
+    totalAmount: "300 GRT",
+    slices: 3,
+    intervalMs: 200,
+    jobStore
+  });
+
+  const requests = quoteRequests().slice(quotes);
+  assert.deepStrictEqual(requests.map(request => request.query.sellAmount), Array(3).fill(ethers.utils.parseEther("100").toString()));
+  assert.ok(requests.every(request => request.query.maxPriceImpactBps === "100"));
+  const starts = result.slices.map(entry => Date.parse(entry.startedAt));
+  assert.ok(starts[1] - starts[0] >= 200 && starts[2] - starts[1] >= 200, "slices start an interval apart");
+  assert.ok(result.slices.every(entry => Date.parse(entry.executedAt) >= Date.parse(entry.startedAt)));
+
+  assert.ok((await tokens.GRT.balanceOf(wallet.address)).isZero());
+  assert.strictEqual(result.received.toString(), ethers.utils.parseUnits("28.5", 6).toString());
+  assert.ok((await tokens.USDC.balanceOf(wallet.address)).sub(usdcBefore).eq(result.received));
+  assert.strictEqual(result.referencePrice, 0.1);
+  assert.deepStrictEqual(jobStore.entries(), [], "finished TWAPs are forgotten");
+});
+
+test("pauses while the price is worse than the reference", async () => {
+  const { tokens, wallet, createClient } = env;
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("200"))).wait();
+  const events = [];
+
+  const result = await executeTwap({
+    client: createClient(),
+    sellToken: "GRT",
+    buyToken: "USDC",
+    totalAmount: "200 GRT",
+    slices: 2,
+    intervalMs: 0,
+    pauseMs: 20,
+    referencePrice: 0.1,
+    maxPriceDeviationBps: 100,
+    jobStore: tempJobStore(),
+    onProgress: event => {
+      events.push(event.type);
+      // GRT drops 5% after the first slice and recovers after the second pause
+      if (event.type === "slice") {
+        setPrice(tokens.GRT, 0.095);
+      } else if (events.filter(type => type === "paused").length === 2) {
+        setPrice(tokens.GRT, 0.1);
+      }
+    }
+  });
+
+  assert.deepStrictEqual(events, ["slice", "paused", "paused", "slice"]);
+  assert.deepStrictEqual(result.slices.map(entry => entry.price), [0.1, 0.1]);
+
+  setPrice(tokens.GRT, 0.09);
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("100"))).wait();
+  await assert.rejects(
+    executeTwap({
+      client: createClient(),
+      sellToken: "GRT",
+      buyToken: "USDC",
+      totalAmount: "100 GRT",
+      slices: 1,
+      intervalMs: 0,
+      pauseMs: 20,
+      maxPauseMs: 50,
+      referencePrice: 0.1,
+      jobStore: tempJobStore()
+    }),
+    error => error instanceof PriceDeviationError && /run it again to resume/.test(error.message)
+  );
+  setPrice(tokens.GRT, 0.1);
+});
+
+test("pauses while a quote's price impact is above the slice cap", async () => {
+  const { tokens, wallet, api, createClient } = env;
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("100"))).wait();
+  const paused = [];
+
+  // The API ignored the cap: the quote buys 5% less than the market price fetches
+  api.respondOnce("GET /swap/quote", { patch: quote => ({ price: String(Number(quote.price) * 1.05) }) });
+  const result = await executeTwap({
+    client: createClient(),
+    sellToken: "GRT",
+    buyToken: "USDC",
+    totalAmount: "100 GRT",
+    slices: 1,
+    intervalMs: 0,
+    pauseMs: 20,
+    maxPriceImpactBps: 100,
+    jobStore: tempJobStore(),
+    onProgress: event => event.type === "paused" && paused.push(event)
+  });
+
+  assert.deepStrictEqual(paused.map(({ priceImpactBps, maxPriceImpactBps }) => [priceImpactBps, maxPriceImpactBps]), [[476, 100]]);
+  assert.strictEqual(result.slices.length, 1);
+  assert.strictEqual(result.referencePrice, 0.1, "the rejected quote didn't set the reference price");
+});
+
+test("a restarted TWAP carries on with the remaining slices", async () => {
+  const { tokens, wallet, api, createClient } = env;
+  const grtBefore = await tokens.GRT.balanceOf(wallet.address);
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("200"))).wait();
+  const jobStore = tempJobStore();
+  const options = {
+    sellToken: tokens.GRT.address,
+    buyToken: tokens.USDC.address,
+    totalAmount: ethers.utils.parseEther("200"),
+    slices: 2,
+    intervalMs: 0,
+    jobStore
+  };
+
+  // The second slice's quote fails, as if the process had stopped there
+  await assert.rejects(
+    executeTwap({
+      ...options,
+      client: createClient(),
+      onProgress: () => api.respondOnce("GET /swap/quote", "insufficient-liquidity")
+    })
+  );
+  const [[key, saved]] = jobStore.entries();
+  assert.ok(key.startsWith("twap:"));
+  assert.strictEqual(saved.completed.length, 1);
+  assert.strictEqual(saved.pending.slice, 2);
+
+  const quotes = quoteRequests().length;
+  const result = await executeTwap({ ...options, client: createClient() });
+
+  assert.strictEqual(quoteRequests().length, quotes + 1, "only the remaining slice is quoted");
+  assert.deepStrictEqual(result.slices.map(entry => entry.slice), [1, 2]);
+  assert.ok((await tokens.GRT.balanceOf(wallet.address)).eq(grtBefore));
+  assert.deepStrictEqual(jobStore.entries(), []);
+});
+
+test("a restarted TWAP looks up the trade its interrupted slice submitted", async () => {
+  const { tokens, wallet, createClient } = env;
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("200"))).wait();
+  const jobStore = tempJobStore();
+  const options = {
+    sellToken: tokens.GRT.address,
+    buyToken: tokens.USDC.address,
+    totalAmount: ethers.utils.parseEther("200"),
+    slices: 2,
+    intervalMs: 0,
+    jobStore
+  };
+
+  // The second slice's trade is sent, then the process stops before its receipt
+  const client = createClient();
+  await assert.rejects(
+    executeTwap({
+      ...options,
+      client,
+      onProgress: () => {
+        const { waitForTransaction } = client.sender;
+        client.sender.waitForTransaction = async (txResponse, transaction, options) => {
+          if (options.purpose === "trade") {
+            throw new Error("process stopped");
+          }
+          return waitForTransaction.call(client.sender, txResponse, transaction, options);
+        };
+      }
+    }),
+    /process stopped/
+  );
+  const [[, saved]] = jobStore.entries();
+  assert.strictEqual(saved.pending.slice, 2);
+  assert.ok(saved.pending.transactionHash);
+  assert.strictEqual(saved.pending.nonce, (await wallet.getTransactionCount()) - 1);
+
+  // New GRT arriving in between would hide the sold tokens from a balance comparison
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("100"))).wait();
+  const quotes = quoteRequests().length;
+  const result = await executeTwap({ ...options, client: createClient() });
+
+  assert.strictEqual(quoteRequests().length, quotes, "the traded slice is not quoted again");
+  assert.deepStrictEqual(result.slices.map(entry => entry.slice), [1, 2]);
+  assert.strictEqual(result.slices[1].transactionHash, saved.pending.transactionHash);
+  assert.ok(result.slices[1].recovered);
+  assert.deepStrictEqual(jobStore.entries(), []);
+});
+
+test("the signal ends the wait for the next slice and leaves the TWAP to resume", async () => {
+  const { tokens, wallet, createClient } = env;
+  await (await tokens.GRT.mint(wallet.address, ethers.utils.parseEther("200"))).wait();
+  const grtBefore = await tokens.GRT.balanceOf(wallet.address);
+  const jobStore = tempJobStore();
+  const controller = new AbortController();
+  const options = { sellToken: "GRT", buyToken: "USDC", totalAmount: "200 GRT", slices: 2, jobStore };
+  const startedAt = Date.now();
+
+  const stopped = await executeTwap({
+    ...options,
+    client: createClient(),
+    intervalMs: 60 * 60 * 1000,
+    signal: controller.signal,
+    onProgress: () => controller.abort()
+  });
+
+  assert.ok(Date.now() - startedAt < 30000, "the hour to the next slice was not waited out");
+  assert.strictEqual(stopped.stopped, true);
+  assert.strictEqual(stopped.slices.length, 1);
+  assert.strictEqual(jobStore.entries()[0][1].completed.length, 1);
+
+  const result = await executeTwap({ ...options, client: createClient(), intervalMs: 0 });
+  assert.strictEqual(result.stopped, undefined);
+  assert.strictEqual(result.slices.length, 2);
+  assert.strictEqual(grtBefore.sub(await tokens.GRT.balanceOf(wallet.address)).toString(), ethers.utils.parseEther("200").toString());
+});